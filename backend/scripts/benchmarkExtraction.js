@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Extraction accuracy benchmark
+ * Runs every extractor path over a labeled corpus, reports per-field precision, recall and
+ * numeric error, and compares the results with a saved baseline. LLM responses are replayed
+ * from the corpus recordings, so the benchmark runs offline.
+ *
+ * Usage: node scripts/benchmarkExtraction.js [options]
+ *   --corpus <dir>          Labeled corpus (default: samples/extraction-corpus)
+ *   --paths <list>          Extractor paths to run, comma-separated (default: llm,pattern)
+ *   --baseline <file>       Baseline report (default: <corpus>/baseline.json)
+ *   --save-baseline         Save this run as the baseline instead of comparing with it
+ *   --record-with <name>    Send requests without a recording to this provider and record them
+ *   --output <file>         Write the full report as JSON
+ *
+ * Exits with status 1 when a field regressed against the baseline.
+ */
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const apiConfig = require('../src/config/apiConfig');
+const { getProvider } = require('../src/services/llmProviders');
+const ocrService = require('../src/services/ocrService');
+const { parseProposalPdf } = require('../src/utils/pdfParser');
+const { parseUtilityBillPdf } = require('../src/utils/utilityBillParser');
+const { parseUtilityBillImage } = require('../src/utils/imageProcessor');
+const {
+  loadCorpus,
+  scoreDocument,
+  summarizeScores,
+  diffReports,
+  formatReport,
+  formatDiff,
+} = require('../src/utils/extractionBenchmark');
+
+// Extractor paths: the LLM provider each task uses while the path runs
+const EXTRACTOR_PATHS = {
+  // Recorded LLM responses, then templates and patterns for what the model didn't find
+  llm: 'stub',
+  // Templates and text patterns only, as when no LLM is configured
+  pattern: 'disabled',
+};
+
+/**
+ * Read the command-line options
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - Options
+ */
+const parseArgs = (args) => {
+  const options = {
+    corpus: path.join(__dirname, '../samples/extraction-corpus'),
+    paths: Object.keys(EXTRACTOR_PATHS),
+    baseline: null,
+    saveBaseline: false,
+    recordWith: null,
+    output: null,
+  };
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    const next = () => {
+      if (index + 1 >= args.length) throw new Error(`${arg} needs a value`);
+      index += 1;
+      return args[index];
+    };
+
+    if (arg === '--corpus') options.corpus = path.resolve(next());
+    else if (arg === '--paths') options.paths = next().split(',').map(name => name.trim()).filter(Boolean);
+    else if (arg === '--baseline') options.baseline = path.resolve(next());
+    else if (arg === '--save-baseline') options.saveBaseline = true;
+    else if (arg === '--record-with') options.recordWith = next();
+    else if (arg === '--output') options.output = path.resolve(next());
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  const unknownPath = options.paths.find(name => !EXTRACTOR_PATHS[name]);
+  if (unknownPath) {
+    throw new Error(`Unknown extractor path ${unknownPath}; use ${Object.keys(EXTRACTOR_PATHS).join(', ')}`);
+  }
+  options.baseline = options.baseline || path.join(options.corpus, 'baseline.json');
+  return options;
+};
+
+/**
+ * Point the LLM providers at the corpus recordings
+ * Must run before any provider is created, since providers read their configuration once.
+ * @param {Object} options - Command-line options
+ */
+const configureProviders = (options) => {
+  apiConfig.llm.providers.stub = {
+    ...apiConfig.llm.providers.stub,
+    recordingsDirectory: path.join(options.corpus, 'llmRecordings'),
+    recordWith: options.recordWith || undefined,
+  };
+  // An OpenAI-compatible provider without a URL is never configured, so the LLM step is skipped
+  apiConfig.llm.providers.disabled = { type: 'openai-compatible', defaultModel: 'none' };
+};
+
+/**
+ * Extract one corpus document the way an upload would be extracted
+ * @param {Object} document - Corpus document
+ * @returns {Promise<Object>} - Extracted data
+ */
+const extractDocument = (document) => {
+  if (document.type === 'proposal') {
+    return parseProposalPdf(document.filePath, `benchmark_${document.name}`);
+  }
+  return document.fileType === 'pdf'
+    ? parseUtilityBillPdf(document.filePath)
+    : parseUtilityBillImage(document.filePath);
+};
+
+/**
+ * Run one extractor path over the corpus
+ * @param {string} extractorPath - Name from EXTRACTOR_PATHS
+ * @param {Array} corpus - Corpus documents
+ * @returns {Promise<Object>} - { fields, documents } with per-field metrics and per-document scores
+ */
+const runPath = async (extractorPath, corpus) => {
+  Object.values(apiConfig.llm.tasks).forEach(task => {
+    task.provider = EXTRACTOR_PATHS[extractorPath];
+  });
+  const stub = getProvider('stub');
+  const documents = {};
+
+  for (const document of corpus) {
+    const unmatchedBefore = stub.unmatchedRequests;
+    let extractedData = null;
+    let error = null;
+
+    try {
+      extractedData = await extractDocument(document);
+    } catch (extractionError) {
+      error = extractionError.message;
+    }
+
+    documents[document.name] = {
+      dataSource: extractedData?.dataSource || null,
+      missingRecordings: stub.unmatchedRequests - unmatchedBefore,
+      ...(error ? { error } : {}),
+      fields: scoreDocument(document, extractedData),
+    };
+  }
+
+  const scores = Object.fromEntries(Object.entries(documents).map(([name, { fields }]) => [name, fields]));
+  return { fields: summarizeScores(scores), documents };
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  configureProviders(options);
+
+  const corpus = loadCorpus(options.corpus);
+  console.log(`Extraction benchmark: ${corpus.length} documents in ${options.corpus}`);
+
+  const report = { corpus: options.corpus, createdAt: new Date().toISOString(), paths: {} };
+  for (const extractorPath of options.paths) {
+    report.paths[extractorPath] = await runPath(extractorPath, corpus);
+  }
+  console.log(formatReport(report));
+
+  if (options.output) {
+    fs.writeFileSync(options.output, JSON.stringify(report, null, 2));
+    console.log(`\nReport written to ${options.output}`);
+  }
+
+  if (options.saveBaseline) {
+    fs.writeFileSync(options.baseline, JSON.stringify(report, null, 2));
+    console.log(`\nBaseline saved to ${options.baseline}`);
+    return 0;
+  }
+
+  if (!fs.existsSync(options.baseline)) {
+    console.log(`\nNo baseline at ${options.baseline}; run with --save-baseline to create one`);
+    return 0;
+  }
+
+  const diff = diffReports(report, JSON.parse(fs.readFileSync(options.baseline, 'utf8')));
+  console.log(`\nAgainst ${options.baseline}:\n${formatDiff(diff)}`);
+  return diff.regressions.length > 0 ? 1 : 0;
+};
+
+main()
+  .then(status => {
+    process.exitCode = status;
+  })
+  .catch(error => {
+    console.error(`Benchmark failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => ocrService.terminate());
@@ -0,0 +1,129 @@
+const path = require('path');
+
+/**
+ * Read a numeric environment variable, keeping explicit zeros
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value used when the variable is unset or invalid
+ * @returns {number} - Parsed value
+ */
+const envNumber = (name, defaultValue) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : defaultValue;
+};
+
+/**
+ * Default assumptions for the analysis calculations
+ * Each financial value can be overridden per analysis through generateResults options
+ */
+const analysisConfig = {
+  financial: {
+    // Years covered by the cash-flow series (typically 25 or 30)
+    analysisPeriodYears: envNumber('ANALYSIS_PERIOD_YEARS', 25),
+    // Annual loss of panel output (0.005 = 0.5% per year)
+    panelDegradationRate: envNumber('PANEL_DEGRADATION_RATE', 0.005),
+    // Annual increase of utility electricity prices
+    utilityEscalationRate: envNumber('UTILITY_ESCALATION_RATE', 0.025),
+    // Discount rate used for NPV, LCOE and discounted payback
+    discountRate: envNumber('DISCOUNT_RATE', 0.05),
+    // Operations & maintenance cost in dollars per kW per year
+    omCostPerKwYear: envNumber('OM_COST_PER_KW_YEAR', 20),
+    // Annual increase of O&M costs
+    omEscalationRate: envNumber('OM_ESCALATION_RATE', 0.02),
+    // Year in which the inverter is replaced (0 disables the replacement)
+    inverterReplacementYear: envNumber('INVERTER_REPLACEMENT_YEAR', 12),
+    // Inverter replacement cost in dollars per watt DC
+    inverterReplacementCostPerWatt: envNumber('INVERTER_REPLACEMENT_COST_PER_WATT', 0.25),
+  },
+  // Default export compensation for tariffs that don't define one (see utils/exportCompensation.js)
+  exportCompensation: {
+    // nem-retail, net-billing or buy-all-sell-all
+    type: process.env.EXPORT_COMPENSATION_TYPE || 'nem-retail',
+    // monthly or annual; unused credits are forfeited at the true-up
+    trueUp: process.env.NEM_TRUE_UP || 'annual',
+    // Month (1-12) that ends the annual true-up period
+    trueUpMonth: envNumber('NEM_TRUE_UP_MONTH', 12),
+    // Net billing credit for exported energy in $/kWh when the tariff has no export rate schedule
+    exportRate: envNumber('EXPORT_RATE', 0.05),
+    // Buy-all/sell-all payment for every kWh produced in $/kWh
+    sellRate: envNumber('SELL_ALL_RATE', 0.08),
+  },
+  // Defaults for the home battery add-on analysis (see utils/batteryModel.js)
+  battery: {
+    // Installed cost in dollars per kWh of capacity
+    costPerKwh: envNumber('BATTERY_COST_PER_KWH', 1100),
+    // Federal investment tax credit for storage (0.30 = 30%)
+    taxCreditRate: envNumber('BATTERY_TAX_CREDIT_RATE', 0.30),
+    // Annual loss of usable capacity
+    degradationRate: envNumber('BATTERY_DEGRADATION_RATE', 0.02),
+    // Years of savings counted for the battery payback (typical warranty length)
+    lifetimeYears: envNumber('BATTERY_LIFETIME_YEARS', 10),
+    // Percent of capacity held back for outages
+    reservePercent: envNumber('BATTERY_RESERVE_PERCENT', 20),
+    // Average draw of a critical-load panel (fridge, lights, internet, furnace fan) in kW
+    criticalLoadKw: envNumber('BATTERY_CRITICAL_LOAD_KW', 1),
+    // State storage rebates in dollars per kWh (CA: SGIP general market)
+    rebatePerKwhByState: {
+      CA: envNumber('SGIP_REBATE_PER_KWH', 150),
+    },
+  },
+  loadShapes: {
+    // Directory of hourly residential load-shape templates (see src/data/loadShapes)
+    directory: process.env.LOAD_SHAPE_DIRECTORY || path.join(__dirname, '../data/loadShapes'),
+    // Template used when monthly usage has no strong seasonal swing
+    defaultTemplate: process.env.DEFAULT_LOAD_SHAPE || 'residential-default',
+  },
+  tariffs: {
+    // Directory of utility tariff JSON files (see src/data/tariffs)
+    directory: process.env.TARIFF_DIRECTORY || path.join(__dirname, '../data/tariffs'),
+  },
+  // Page selection for long PDF proposals (see utils/pdfPages.js)
+  pdfExtraction: {
+    // Pages read from a PDF at most (0 reads every page)
+    maxPages: envNumber('PDF_MAX_PAGES', 0),
+    // Highest-scoring pages passed to the proposal extractors
+    relevantPages: envNumber('PDF_RELEVANT_PAGES', 6),
+    // Characters of page text passed to the proposal extractors (OpenAI reads up to 12,000)
+    maxCharacters: envNumber('PDF_MAX_CHARACTERS', 12000),
+  },
+  // OCR of image bills and scanned PDF pages (see services/ocrService.js)
+  ocr: {
+    // Tesseract language data to load
+    language: process.env.OCR_LANGUAGE || 'eng',
+    // Tesseract workers kept running between documents
+    workerCount: envNumber('OCR_WORKERS', 2),
+    // Idle time after which the workers are shut down to free memory (0 keeps them running)
+    idleTimeoutMs: envNumber('OCR_IDLE_TIMEOUT_MS', 5 * 60 * 1000),
+    // PDF pages with less extracted text than this are treated as scans and OCR'd
+    minPageCharacters: envNumber('OCR_MIN_PAGE_CHARACTERS', 40),
+    // Page images narrower or shorter than this many pixels are logos or icons, not scans
+    minImageSize: envNumber('OCR_MIN_IMAGE_SIZE', 300),
+  },
+  // Cross-checks between extracted fields (see utils/extractionChecks.js)
+  extractionChecks: {
+    // Relative difference allowed between a field and the value the other fields imply
+    tolerance: envNumber('EXTRACTION_CHECK_TOLERANCE', 0.05),
+  },
+  billTemplates: {
+    // Directory of utility-specific bill layouts for deterministic extraction (see src/data/billTemplates)
+    directory: process.env.BILL_TEMPLATE_DIRECTORY || path.join(__dirname, '../data/billTemplates'),
+  },
+  // Thresholds for the proposal red-flag audit (see utils/proposalAuditor.js)
+  proposalAudit: {
+    // Regional installed-cost benchmarks in $/W (see src/data/benchmarks)
+    priceBenchmarkFile: process.env.PRICE_BENCHMARK_FILE
+      || path.join(__dirname, '../data/benchmarks/installedCostPerWatt.json'),
+    // Claimed production above the independent estimate (0.10 = 10%) flagged as medium / high
+    productionMediumOverclaim: envNumber('AUDIT_PRODUCTION_MEDIUM', 0.10),
+    productionHighOverclaim: envNumber('AUDIT_PRODUCTION_HIGH', 0.20),
+    // Price above the top of the regional range flagged as high
+    priceHighMarkup: envNumber('AUDIT_PRICE_HIGH_MARKUP', 0.25),
+    // Panel count × wattage differing from the stated system size, flagged as medium / high
+    systemSizeMediumMismatch: envNumber('AUDIT_SYSTEM_SIZE_MEDIUM', 0.03),
+    systemSizeHighMismatch: envNumber('AUDIT_SYSTEM_SIZE_HIGH', 0.10),
+    // Claimed savings above the tariff model flagged as medium / high
+    savingsMediumOverclaim: envNumber('AUDIT_SAVINGS_MEDIUM', 0.15),
+    savingsHighOverclaim: envNumber('AUDIT_SAVINGS_HIGH', 0.30),
+  },
+};
+
+module.exports = analysisConfig;
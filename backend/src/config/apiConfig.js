@@ -1,3 +1,5 @@
+const path = require('path');
+
 /**
  * API configuration for external services
  */
@@ -19,6 +21,53 @@ const apiConfig = {
     baseUrl: process.env.SREC_TRADE_API_URL || 'https://api.srectrade.com/v1',
     apiKey: process.env.SREC_TRADE_API_KEY,
   },
+
+  // Language model providers and the provider and model used for each task (see services/llmProviders)
+  llm: {
+    providers: {
+      // OpenAI API
+      openai: {
+        type: 'openai',
+        apiKey: process.env.OPENAI_API_KEY,
+        baseUrl: process.env.OPENAI_BASE_URL,
+        defaultModel: 'gpt-3.5-turbo',
+      },
+      // Any OpenAI-compatible server, e.g. Ollama (http://localhost:11434/v1) or llama.cpp (http://localhost:8080/v1)
+      local: {
+        type: 'openai-compatible',
+        baseUrl: process.env.LOCAL_LLM_BASE_URL,
+        apiKey: process.env.LOCAL_LLM_API_KEY,
+        defaultModel: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+        // Local models on CPU can take minutes per document
+        timeoutMs: parseInt(process.env.LOCAL_LLM_TIMEOUT_MS, 10) || 5 * 60 * 1000,
+      },
+      // Replays recorded responses, for tests and offline development
+      stub: {
+        type: 'stub',
+        recordingsDirectory: process.env.LLM_RECORDINGS_DIRECTORY || path.join(__dirname, '../data/llmRecordings'),
+        // Provider called, and its response recorded, when no recording matches a request
+        recordWith: process.env.LLM_RECORD_WITH,
+        defaultModel: 'stub',
+      },
+    },
+    // Requests per task when the response is not valid JSON or breaks the task's schema
+    maxAttempts: parseInt(process.env.LLM_MAX_ATTEMPTS, 10) || 3,
+    // A task's model defaults to its provider's defaultModel
+    tasks: {
+      proposalExtraction: {
+        provider: process.env.LLM_PROPOSAL_PROVIDER || process.env.LLM_PROVIDER || 'openai',
+        model: process.env.LLM_PROPOSAL_MODEL || process.env.LLM_MODEL,
+      },
+      utilityBillExtraction: {
+        provider: process.env.LLM_UTILITY_BILL_PROVIDER || process.env.LLM_PROVIDER || 'openai',
+        model: process.env.LLM_UTILITY_BILL_MODEL || process.env.LLM_MODEL,
+      },
+      environmentalImpact: {
+        provider: process.env.LLM_ENVIRONMENTAL_PROVIDER || process.env.LLM_PROVIDER || 'openai',
+        model: process.env.LLM_ENVIRONMENTAL_MODEL || process.env.LLM_MODEL,
+      },
+    },
+  },
 };
 
 module.exports = apiConfig; 
\ No newline at end of file
@@ -0,0 +1,66 @@
+const path = require('path');
+
+/**
+ * Read a numeric environment variable, keeping explicit zeros
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value used when the variable is unset or invalid
+ * @returns {number} - Parsed value
+ */
+const envNumber = (name, defaultValue) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : defaultValue;
+};
+
+/**
+ * Storage of uploaded documents (see services/documentStorageService.js)
+ * Originals are encrypted before they reach a backend and are purged after the retention period.
+ */
+const storageConfig = {
+  // Backend new uploads are stored in; documents keep the backend they were stored with
+  backend: process.env.DOCUMENT_STORAGE_BACKEND || 'local',
+  backends: {
+    local: {
+      type: 'local',
+      directory: process.env.DOCUMENT_STORAGE_DIRECTORY || path.join(__dirname, '../../uploads'),
+    },
+    // Any S3-compatible service: AWS S3, or MinIO and other stand-ins at S3_ENDPOINT
+    s3: {
+      type: 's3',
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      // Prefix of every object key, e.g. solar-insight/
+      prefix: process.env.S3_PREFIX || '',
+      // Bucket in the path (http://host/bucket/key) rather than the host name; stand-ins at
+      // S3_ENDPOINT usually expect it, AWS itself doesn't
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === 'true'
+        : Boolean(process.env.S3_ENDPOINT),
+      timeoutMs: envNumber('S3_TIMEOUT_MS', 30000),
+    },
+  },
+  // 32-byte AES-256-GCM key, base64 or hex encoded. Required in production; elsewhere a key is
+  // generated into keyFile on first use so development setups work without configuration
+  encryptionKey: process.env.DOCUMENT_ENCRYPTION_KEY,
+  keyFile: process.env.DOCUMENT_ENCRYPTION_KEY_FILE || path.join(__dirname, '../../.document-encryption-key'),
+  // Content checks of uploads (see utils/fileValidation.js); rejected files are quarantined
+  uploadValidation: {
+    // Largest image accepted; the header is checked before anything decodes the pixels
+    maxImagePixels: envNumber('UPLOAD_MAX_IMAGE_PIXELS', 50 * 1000 * 1000),
+  },
+  retention: {
+    // Days after upload when originals, quarantined files and extracted-text logs are purged (0 keeps them forever)
+    days: envNumber('DOCUMENT_RETENTION_DAYS', 90),
+    // How often expired documents are looked for
+    sweepIntervalMs: envNumber('DOCUMENT_RETENTION_SWEEP_INTERVAL_MS', 60 * 60 * 1000),
+    // Log directories whose files are purged with the originals
+    logDirectories: [
+      path.join(__dirname, '../../logs/extracted-text'),
+      path.join(__dirname, '../../logs/ai-extractions'),
+    ],
+  },
+};
+
+module.exports = storageConfig;
@@ -0,0 +1,59 @@
+const documentStorageService = require('../services/documentStorageService');
+const { findAccessibleDocument } = require('../utils/documentAccess');
+const { logger } = require('../middleware/errorMiddleware');
+
+/**
+ * Build the GET handler sending the original file of a document to its owner
+ * Originals are only served here: they are stored encrypted and decrypted per request.
+ * @param {string} kind - 'proposal' or 'utilityBill'
+ * @returns {Function} - Express handler
+ * @private
+ */
+const downloadFile = (kind) => async (req, res) => {
+  try {
+    const document = await findAccessibleDocument(req, res, kind);
+    const label = kind === 'proposal' ? 'Proposal' : 'Utility bill';
+
+    if (document.fileDeletedAt) {
+      res.status(410);
+      throw new Error(`The original ${label.toLowerCase()} file was deleted after the retention period`);
+    }
+
+    const data = await documentStorageService.read(document);
+
+    logger.info(`Serving ${kind} file ${document._id} to user ${req.user._id}`);
+    res.attachment(document.originalFilename);
+    res.type(document.mimeType);
+    res.set({
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    res.send(data);
+  } catch (error) {
+    logger.error(`Download file error: ${error.message}`);
+    res.status(res.statusCode === 200 ? 500 : res.statusCode);
+    res.json({
+      message: error.message,
+      stack: process.env.NODE_ENV === 'production' ? null : error.stack,
+    });
+  }
+};
+
+/**
+ * Download the original proposal file
+ * @route GET /api/proposals/:id/file
+ * @access Private
+ */
+const downloadProposalFile = downloadFile('proposal');
+
+/**
+ * Download the original utility bill file
+ * @route GET /api/utility-bills/:id/file
+ * @access Private
+ */
+const downloadUtilityBillFile = downloadFile('utilityBill');
+
+module.exports = {
+  downloadProposalFile,
+  downloadUtilityBillFile,
+};
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const jobQueueService = require('../services/jobQueueService');
+const { logger } = require('../middleware/errorMiddleware');
+
+/**
+ * Get the status of a background job with per-stage progress
+ * @route GET /api/jobs/:id
+ * @access Private
+ */
+const getJobStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400);
+      throw new Error('A valid job ID is required');
+    }
+
+    const job = await jobQueueService.getJob(id);
+
+    if (!job) {
+      res.status(404);
+      throw new Error('Job not found');
+    }
+
+    // Check if the user is authorized to view this job
+    if (job.user.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+      res.status(403);
+      throw new Error('Not authorized to access this job');
+    }
+
+    res.json(jobQueueService.formatJobStatus(job));
+  } catch (error) {
+    logger.error(`Get job status error: ${error.message}`);
+    res.status(res.statusCode === 200 ? 500 : res.statusCode);
+    res.json({
+      message: error.message,
+      stack: process.env.NODE_ENV === 'production' ? null : error.stack,
+    });
+  }
+};
+
+module.exports = {
+  getJobStatus,
+};
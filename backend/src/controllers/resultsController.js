@@ -1,75 +1,23 @@
+const mongoose = require('mongoose');
 const analysisService = require('../services/analysisService');
+const Result = require('../models/resultModel');
+const { EXPORT_POLICY_TYPES, TRUE_UP_PERIODS } = require('../utils/exportCompensation');
+const { resolveBatteryParams, validateBatteryParams } = require('../utils/batteryModel');
 const { logger } = require('../middleware/errorMiddleware');
-const openAiService = require('../services/openAiService');
-const utilityBillParser = require('../utils/utilityBillParser');
 
 /**
- * Get environmental impact data
- * @route GET /api/results/environmental-impact
- * @access Public
+ * Get environmental impact data for a stored result
+ * @route GET /api/results/environmental-impact/:resultId
+ * @access Private
  */
 const getEnvironmentalImpact = async (req, res) => {
   try {
-    // For this demo, get the proposal analysis first to use its system size
-    const systemSizes = ['8.5 kW DC', '10.2 kW DC', '12.7 kW DC', '14.8 kW DC', '16.3 kW DC'];
-    const systemSize = systemSizes[Math.floor(Math.random() * systemSizes.length)];
-    const kW = parseFloat(systemSize.split(' ')[0]);
-    
-    // Calculate estimated production (around 1300-1600 kWh per kW per year)
-    const productionFactor = 1300 + Math.floor(Math.random() * 300);
-    const estimatedProduction = Math.round(kW * productionFactor);
-    
-    // Simulate proposal data for OpenAI analysis
-    const proposalData = {
-      systemSize: kW,
-      panelType: ['Monocrystalline', 'Polycrystalline', 'Thin Film'][Math.floor(Math.random() * 3)],
-      panelWattage: [350, 375, 400, 425][Math.floor(Math.random() * 4)],
-      panelQuantity: Math.round(kW * 1000 / 400), // Approximate panel count
-    };
-
-    // Try to calculate with OpenAI first
-    let environmentalImpact = null;
-    
-    try {
-      environmentalImpact = await openAiService.calculateEnvironmentalImpact(
-        proposalData,
-        kW,
-        estimatedProduction
-      );
-    } catch (openAiError) {
-      logger.error(`OpenAI environmental calculation failed: ${openAiError.message}`);
-      // Will use fallback calculation below
-    }
-    
-    if (!environmentalImpact) {
-      // Use fallback calculations
-      const carbonOffsetFactor = 680; // 680 kg/MWh is a common average
-      
-      // Calculate annual carbon offset (tons) - convert kWh to MWh and kg to tons
-      const carbonOffsetAnnual = (estimatedProduction / 1000) * (carbonOffsetFactor / 1000);
-      
-      // Standard conversion factors
-      const treesPerTonCO2 = 45; // Approximately 45 trees offset 1 ton of CO2 annually
-      const milesPerTonCO2 = 2500; // Approximately 2500 miles driven produces 1 ton of CO2
-      const lbsCoalPerKwh = 0.9; // About 0.9 lbs of coal to generate 1 kWh
-      
-      environmentalImpact = {
-        carbonOffsetAnnual: parseFloat(carbonOffsetAnnual.toFixed(2)),
-        carbonOffsetLifetime: parseFloat((carbonOffsetAnnual * 25).toFixed(2)), // 25-year lifespan
-        treesPlantedEquivalent: Math.round(carbonOffsetAnnual * treesPerTonCO2),
-        milesNotDrivenEquivalent: Math.round(carbonOffsetAnnual * milesPerTonCO2),
-        coalNotBurnedPounds: Math.round(estimatedProduction * lbsCoalPerKwh),
-        carbonOffsetFactorKgPerMwh: carbonOffsetFactor,
-        estimatedProduction,
-        dataSource: 'system-calculated',
-        carbonCalculationExplanation: `Calculated using standard industry factors with a carbon offset factor of ${carbonOffsetFactor} kg/MWh`
-      };
-    }
-
-    res.json(environmentalImpact);
+    const result = await findOwnedResult(req, res);
+    res.json(buildEnvironmentalImpact(result));
   } catch (error) {
     logger.error(`Get environmental impact error: ${error.message}`);
-    res.status(500).json({
+    res.status(res.statusCode === 200 ? 500 : res.statusCode);
+    res.json({
       message: error.message,
       stack: process.env.NODE_ENV === 'production' ? null : error.stack,
     });
@@ -77,17 +25,18 @@ const getEnvironmentalImpact = async (req, res) => {
 };
 
 /**
- * Get random proposal analysis data
- * @route GET /api/results/proposal-analysis
- * @access Public
+ * Get proposal analysis data for a stored result
+ * @route GET /api/results/proposal-analysis/:resultId
+ * @access Private
  */
 const getProposalAnalysis = async (req, res) => {
   try {
-    const proposalAnalysis = getProposalAnalysisData();
-    res.json(proposalAnalysis);
+    const result = await findOwnedResult(req, res);
+    res.json(buildProposalAnalysis(result));
   } catch (error) {
     logger.error(`Get proposal analysis error: ${error.message}`);
-    res.status(500).json({
+    res.status(res.statusCode === 200 ? 500 : res.statusCode);
+    res.json({
       message: error.message,
       stack: process.env.NODE_ENV === 'production' ? null : error.stack,
     });
@@ -143,9 +92,6 @@ const getResultById = async (req, res) => {
       throw new Error('Result ID is required');
     }
 
-    // Import the Result model directly to avoid circular dependencies
-    const Result = require('../models/resultModel');
-
     // Find the result with populated references
     const result = await Result.findById(resultId)
       .populate('proposal')
@@ -181,23 +127,42 @@ const getResultById = async (req, res) => {
  */
 const generateResults = async (req, res) => {
   try {
-    const { proposalId, utilityBillId, location } = req.body;
+    const {
+      proposalId,
+      utilityBillId,
+      location,
+      financialAssumptions,
+      tariffId,
+      exportCompensation,
+      loadShapeId,
+    } = req.body;
 
     if (!proposalId || !utilityBillId) {
       res.status(400);
       throw new Error('Proposal ID and Utility Bill ID are required');
     }
 
+    if (exportCompensation?.type && !EXPORT_POLICY_TYPES.includes(exportCompensation.type)) {
+      res.status(400);
+      throw new Error(`exportCompensation.type must be one of: ${EXPORT_POLICY_TYPES.join(', ')}`);
+    }
+
+    if (exportCompensation?.trueUp && !TRUE_UP_PERIODS.includes(exportCompensation.trueUp)) {
+      res.status(400);
+      throw new Error(`exportCompensation.trueUp must be one of: ${TRUE_UP_PERIODS.join(', ')}`);
+    }
+
     // Generate results
     const resultsResponse = await analysisService.generateResults(
       proposalId,
       utilityBillId,
       req.user._id,
-      location
+      location,
+      { financialAssumptions, tariffId, exportCompensation, loadShapeId }
     );
 
     if (!resultsResponse.success) {
-      res.status(500);
+      res.status(resultsResponse.needsReview ? 409 : 500);
       throw new Error(resultsResponse.error);
     }
 
@@ -230,9 +195,6 @@ const deleteResult = async (req, res) => {
       throw new Error('Result ID is required');
     }
 
-    // Import the Result model
-    const Result = require('../models/resultModel');
-
     // Find the result
     const result = await Result.findById(resultId);
 
@@ -263,8 +225,8 @@ const deleteResult = async (req, res) => {
 
 /**
  * Update only specific fields in proposal analysis
- * @route PUT /api/results/proposal-analysis/update-values
- * @access Public
+ * @route PUT /api/results/proposal-analysis/:resultId/update-values
+ * @access Private
  */
 const updateProposalAnalysisValues = async (req, res) => {
   try {
@@ -277,7 +239,8 @@ const updateProposalAnalysisValues = async (req, res) => {
     }
 
     // Get current values first (to maintain other values)
-    const currentAnalysis = await getProposalAnalysisData();
+    const result = await findOwnedResult(req, res);
+    const currentAnalysis = buildProposalAnalysis(result);
     
     // Format the values correctly
     const updatedAnalysis = {
@@ -300,94 +263,56 @@ const updateProposalAnalysisValues = async (req, res) => {
 };
 
 /**
- * Helper function to get proposal analysis data
- * This is extracted from getProposalAnalysis to reuse the logic
+ * Get utility bill analysis data for a stored result
+ * @route GET /api/results/utility-bill-analysis/:resultId
+ * @access Private
  */
-const getProposalAnalysisData = () => {
-  // Generate random proposal analysis data (same as in getProposalAnalysis)
-  const systemSizes = ['8.5 kW DC', '10.2 kW DC', '12.7 kW DC', '14.8 kW DC', '16.3 kW DC'];
-  const panelTypes = ['WSMD-400, 400W', 'LG Neon-R 360W', 'SunPower A-Series 425W', 'Canadian Solar 350W', 'Panasonic EVPV 340W'];
-  const systemSize = systemSizes[Math.floor(Math.random() * systemSizes.length)];
-  
-  // Extract the kW value from the system size string for calculations
-  const kW = parseFloat(systemSize.split(' ')[0]);
-  
-  // Calculate panel quantity based on system size and assumed panel wattage
-  const panelWattage = parseInt(panelTypes[Math.floor(Math.random() * panelTypes.length)].match(/\d+W/)[0]);
-  const panelQuantity = Math.round(kW * 1000 / panelWattage);
-  
-  // Calculate estimated production (around 1300-1600 kWh per kW per year)
-  const productionFactor = 1300 + Math.floor(Math.random() * 300);
-  const estimatedProduction = `${Math.round(kW * productionFactor).toLocaleString()} kWh`;
-  
-  // Generate random utility bill amounts
-  const oldMonthlyBill = 150 + Math.floor(Math.random() * 200); // $150-$350
-  const newMonthlyBill = oldMonthlyBill * (0.2 + Math.random() * 0.3); // 20-50% of old bill
-  const savings = oldMonthlyBill - newMonthlyBill;
-  
-  // For demonstration, randomly choose a data source
-  const dataSources = ['openai', 'pattern-extraction', 'fallback-generation'];
-  const dataSource = dataSources[Math.floor(Math.random() * dataSources.length)];
-  
-  return {
-    systemSize,
-    panelType: panelTypes[Math.floor(Math.random() * panelTypes.length)],
-    panelQuantity,
-    estimatedProduction,
-    oldUtilityBill: `$${oldMonthlyBill.toFixed(2)}/month`,
-    newUtilityBill: `$${newMonthlyBill.toFixed(2)}/month`,
-    savings: `$${savings.toFixed(2)}/month`,
-    dataSource,
-    generatedFromError: dataSource === 'fallback-generation'
-  };
+const getUtilityBillAnalysis = async (req, res) => {
+  try {
+    const result = await findOwnedResult(req, res);
+    res.json(buildUtilityBillAnalysis(result));
+  } catch (error) {
+    logger.error(`Get utility bill analysis error: ${error.message}`);
+    res.status(res.statusCode === 200 ? 500 : res.statusCode);
+    res.json({
+      message: error.message,
+      stack: process.env.NODE_ENV === 'production' ? null : error.stack,
+    });
+  }
 };
 
 /**
- * Get utility bill analysis data
- * @route GET /api/results/utility-bill-analysis
- * @access Public
+ * Get monthly breakdown data for a stored result
+ * @route GET /api/results/monthly-breakdown/:resultId
+ * @access Private
  */
-const getUtilityBillAnalysis = async (req, res) => {
+const getMonthlyBreakdown = async (req, res) => {
   try {
-    // Fixed energy usage - this will remain constant
-    const energyUsage = '1,542 kWh/month';
-    
-    // Generate random values for savings
-    // Average monthly utility bill between $150-$300
-    const avgMonthlyBill = (150 + Math.floor(Math.random() * 150)).toFixed(2);
-    
-    // Calculate monthlySavings as 40-60% of the avgMonthlyBill
-    const savingsPercentage = 0.4 + (Math.random() * 0.2);
-    const monthlySavings = (avgMonthlyBill * savingsPercentage).toFixed(2);
-    
-    // Calculate yearly savings (monthly * 12)
-    const yearlySavings = (parseFloat(monthlySavings) * 12).toFixed(2);
-    
-    // Calculate 20-year savings with 2.5% inflation per year
-    let twentyYearSavings = 0;
-    const annualSavings = parseFloat(yearlySavings);
-    const inflationRate = 0.025;
-    
-    for (let year = 0; year < 20; year++) {
-      twentyYearSavings += annualSavings * Math.pow(1 + inflationRate, year);
-    }
-    
-    // Format the 20-year savings with commas and no decimal places
-    const formattedTwentyYearSavings = Math.round(twentyYearSavings).toLocaleString();
-    
-    const utilityBillAnalysis = {
-      energyUsage, // This stays constant
-      savingsBreakdown: {
-        monthly: `$${monthlySavings}`,
-        yearly: `$${yearlySavings}`,
-        twentyYear: `$${formattedTwentyYearSavings}`,
-      }
-    };
+    const result = await findOwnedResult(req, res);
+    res.json(buildMonthlyBreakdown(result));
+  } catch (error) {
+    logger.error(`Get monthly breakdown error: ${error.message}`);
+    res.status(res.statusCode === 200 ? 500 : res.statusCode);
+    res.json({
+      message: error.message,
+      stack: process.env.NODE_ENV === 'production' ? null : error.stack,
+    });
+  }
+};
 
-    res.json(utilityBillAnalysis);
+/**
+ * Get cash, loan, lease and PPA comparisons for a stored result
+ * @route GET /api/results/financing/:resultId
+ * @access Private
+ */
+const getFinancingScenarios = async (req, res) => {
+  try {
+    const result = await findOwnedResult(req, res);
+    res.json(buildFinancingComparison(result));
   } catch (error) {
-    logger.error(`Get utility bill analysis error: ${error.message}`);
-    res.status(500).json({
+    logger.error(`Get financing scenarios error: ${error.message}`);
+    res.status(res.statusCode === 200 ? 500 : res.statusCode);
+    res.json({
       message: error.message,
       stack: process.env.NODE_ENV === 'production' ? null : error.stack,
     });
@@ -395,65 +320,261 @@ const getUtilityBillAnalysis = async (req, res) => {
 };
 
 /**
- * Get monthly breakdown data
- * @route GET /api/results/monthly-breakdown
- * @access Public
+ * Run the home battery add-on analysis for a stored result
+ * @route POST /api/results/battery/:resultId
+ * @access Private
  */
-const getMonthlyBreakdown = async (req, res) => {
+const analyzeBattery = async (req, res) => {
   try {
-    const months = [
-      'January', 'February', 'March', 'April', 'May', 'June',
-      'July', 'August', 'September', 'October', 'November', 'December'
-    ];
-    
-    // Generate a base production value that will be scaled for different months
-    const baseProduction = 1000 + Math.floor(Math.random() * 500);
-    
-    // Seasonal variations - summer has more production, winter less
-    const seasonalFactors = [
-      0.65, 0.70, 0.85, 0.95, 1.05, 1.15,
-      1.20, 1.15, 1.00, 0.85, 0.70, 0.65
-    ];
-    
-    // Randomize a bit for each month
-    const randomFactor = () => 0.95 + (Math.random() * 0.1);
-    
-    // Average electricity rate ($/kWh)
-    const electricityRate = 0.12 + (Math.random() * 0.04);
-    
-    const monthlyBreakdown = months.map((month, index) => {
-      // Calculate solar production with seasonal variations and some randomness
-      const solarProduction = Math.round(baseProduction * seasonalFactors[index] * randomFactor());
-      
-      // Grid usage is generally lower in summer, higher in winter
-      const gridUsageFactor = 1 - (seasonalFactors[index] * 0.5);
-      const gridUsage = Math.round(200 * gridUsageFactor * randomFactor());
-      
-      // Calculate savings based on production and electricity rate
-      const savings = Math.round(solarProduction * electricityRate);
-      
-      // Calculate new bill based on grid usage and electricity rate
-      const newBill = Math.round(gridUsage * electricityRate);
-      
-      return {
-        month,
-        solarProduction: `${solarProduction.toLocaleString()} kWh`,
-        gridUsage: `${gridUsage.toLocaleString()} kWh`,
-        savings: `$${savings.toLocaleString()}`,
-        newBill: `$${newBill.toLocaleString()}`
-      };
+    const battery = resolveBatteryParams(req.body || {});
+    const problem = validateBatteryParams(battery);
+
+    if (problem) {
+      res.status(400);
+      throw new Error(problem);
+    }
+
+    const result = await findOwnedResult(req, res);
+    const batteryResponse = await analysisService.analyzeBattery(result, battery);
+
+    if (!batteryResponse.success) {
+      res.status(500);
+      throw new Error(batteryResponse.error);
+    }
+
+    res.status(201).json(buildBatteryAnalysis(batteryResponse.batteryAnalysis));
+  } catch (error) {
+    logger.error(`Battery analysis error: ${error.message}`);
+    res.status(res.statusCode === 200 ? 500 : res.statusCode);
+    res.json({
+      message: error.message,
+      stack: process.env.NODE_ENV === 'production' ? null : error.stack,
     });
+  }
+};
+
+/**
+ * Get the last battery add-on analysis for a stored result
+ * @route GET /api/results/battery/:resultId
+ * @access Private
+ */
+const getBatteryAnalysis = async (req, res) => {
+  try {
+    const result = await findOwnedResult(req, res);
 
-    res.json(monthlyBreakdown);
+    if (!result.batteryAnalysis?.analyzedAt) {
+      res.status(404);
+      throw new Error('No battery analysis has been run for this result');
+    }
+
+    res.json(buildBatteryAnalysis(result.batteryAnalysis));
   } catch (error) {
-    logger.error(`Get monthly breakdown error: ${error.message}`);
-    res.status(500).json({
+    logger.error(`Get battery analysis error: ${error.message}`);
+    res.status(res.statusCode === 200 ? 500 : res.statusCode);
+    res.json({
       message: error.message,
       stack: process.env.NODE_ENV === 'production' ? null : error.stack,
     });
   }
 };
 
+/**
+ * Load a completed result with its proposal and utility bill, checking ownership
+ * Sets the response status before throwing so callers can reuse their error handling
+ * @param {Object} req - Express request with params.resultId and the authenticated user
+ * @param {Object} res - Express response
+ * @returns {Promise<Object>} - Result document with populated proposal and utilityBill
+ */
+const findOwnedResult = async (req, res) => {
+  const { resultId } = req.params;
+
+  if (!resultId || !mongoose.Types.ObjectId.isValid(resultId)) {
+    res.status(400);
+    throw new Error('A valid result ID is required');
+  }
+
+  const result = await Result.findById(resultId)
+    .populate('proposal')
+    .populate('utilityBill');
+
+  if (!result) {
+    res.status(404);
+    throw new Error('Result not found');
+  }
+
+  // Check if the user is authorized to view this result
+  if (result.user.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+    res.status(403);
+    throw new Error('Not authorized to access this result');
+  }
+
+  if (result.status !== 'completed') {
+    res.status(409);
+    throw new Error(`Result analysis is not available (status: ${result.status})`);
+  }
+
+  return result;
+};
+
+/**
+ * Format a dollar amount the way the results UI displays it
+ * @param {number} value - Amount in dollars
+ * @returns {string} - Formatted amount, e.g. "$123.45"
+ */
+const formatDollars = (value) => `$${(value || 0).toFixed(2)}`;
+
+/**
+ * Average a numeric field across the stored monthly breakdown
+ * @param {Array} monthlyBreakdown - Result monthly breakdown entries
+ * @param {string} field - Field to average
+ * @returns {number} - Monthly average
+ */
+const averageMonthly = (monthlyBreakdown, field) => {
+  if (!monthlyBreakdown || monthlyBreakdown.length === 0) return 0;
+  const total = monthlyBreakdown.reduce((sum, month) => sum + (month[field] || 0), 0);
+  return total / monthlyBreakdown.length;
+};
+
+/**
+ * Build the proposal analysis payload (ProposalAnalysis in src/lib/types.ts)
+ * @param {Object} result - Populated result document
+ * @returns {Object} - Proposal analysis data
+ */
+const buildProposalAnalysis = (result) => {
+  const proposalData = result.proposal?.extractedData || {};
+  const systemSize = proposalData.systemSize;
+  const estimatedProduction = proposalData.estimatedProduction || result.solarProduction?.annualProduction;
+
+  const oldMonthlyBill = averageMonthly(result.monthlyBreakdown, 'utilityBillWithoutSolar');
+  const newMonthlyBill = averageMonthly(result.monthlyBreakdown, 'utilityBillWithSolar');
+  const monthlySavings = result.solarSavings?.monthlySavings ?? oldMonthlyBill - newMonthlyBill;
+
+  const panelType = [
+    proposalData.panelType,
+    proposalData.panelWattage ? `${proposalData.panelWattage}W` : null,
+  ].filter(Boolean).join(', ');
+
+  return {
+    systemSize: systemSize ? `${systemSize} kW DC` : 'Unknown',
+    panelType: panelType || 'Unknown',
+    panelQuantity: proposalData.panelQuantity || 0,
+    estimatedProduction: estimatedProduction ? `${Math.round(estimatedProduction).toLocaleString()} kWh` : 'Unknown',
+    oldUtilityBill: `${formatDollars(oldMonthlyBill)}/month`,
+    newUtilityBill: `${formatDollars(newMonthlyBill)}/month`,
+    savings: `${formatDollars(monthlySavings)}/month`,
+    dataSource: proposalData.dataSource,
+    generatedFromError: Boolean(proposalData.generatedFromError),
+    auditFindings: (result.proposalAudit?.findings || []).map(finding => {
+      const { _id, ...data } = finding.toObject ? finding.toObject() : finding;
+      return data;
+    }),
+  };
+};
+
+/**
+ * Build the utility bill analysis payload (UtilityBillAnalysis in src/lib/types.ts)
+ * @param {Object} result - Populated result document
+ * @returns {Object} - Utility bill analysis data
+ */
+const buildUtilityBillAnalysis = (result) => {
+  const billData = result.utilityBill?.extractedData || {};
+  const solarSavings = result.solarSavings || {};
+  const billingPeriod = billData.billingPeriod || {};
+
+  return {
+    utilityCompany: billData.utilityCompany,
+    accountNumber: billData.accountNumber,
+    billingPeriod: billingPeriod.startDate && billingPeriod.endDate
+      ? {
+          startDate: billingPeriod.startDate.toISOString(),
+          endDate: billingPeriod.endDate.toISOString(),
+        }
+      : undefined,
+    energyUsage: billData.energyUsage ? `${Math.round(billData.energyUsage).toLocaleString()} kWh/month` : 'Unknown',
+    rate: billData.rate ? `$${billData.rate.toFixed(4)}/kWh` : undefined,
+    tariff: result.tariff?.name,
+    rateSource: result.tariff?.rateSource,
+    totalAmount: billData.totalAmount ? formatDollars(billData.totalAmount) : undefined,
+    dataSource: billData.dataSource,
+    usageHistory: result.energyFlows?.usageSource
+      ? {
+          source: result.energyFlows.usageSource,
+          measuredMonths: result.energyFlows.measuredUsageMonths || 0,
+        }
+      : undefined,
+    savingsBreakdown: {
+      monthly: formatDollars(solarSavings.monthlySavings),
+      yearly: formatDollars(solarSavings.annualSavings),
+      twentyYear: `$${Math.round(solarSavings.twentyYearSavings || 0).toLocaleString()}`,
+    },
+  };
+};
+
+/**
+ * Build the monthly breakdown payload (MonthlyBreakdownItem[] in src/lib/types.ts)
+ * @param {Object} result - Populated result document
+ * @returns {Array} - Monthly breakdown rows
+ */
+const buildMonthlyBreakdown = (result) => {
+  return (result.monthlyBreakdown || []).map(month => ({
+    month: month.month,
+    solarProduction: `${Math.round(month.solarProduction || 0).toLocaleString()} kWh`,
+    gridUsage: `${Math.round(month.gridConsumption || 0).toLocaleString()} kWh`,
+    savings: `$${Math.round(month.savings || 0).toLocaleString()}`,
+    newBill: `$${Math.round(month.utilityBillWithSolar || 0).toLocaleString()}`,
+    exported: `${Math.round(month.exportedEnergy || 0).toLocaleString()} kWh`,
+    creditCarriedForward: `$${Math.round(month.creditCarriedForward || 0).toLocaleString()}`,
+    creditForfeited: `$${Math.round(month.creditForfeited || 0).toLocaleString()}`,
+  }));
+};
+
+/**
+ * Build the financing comparison payload (FinancingScenario[] in src/lib/types.ts)
+ * @param {Object} result - Populated result document
+ * @returns {Array} - Financing scenarios
+ */
+const buildFinancingComparison = (result) => {
+  return (result.financingScenarios || []).map(scenario => {
+    const data = scenario.toObject ? scenario.toObject({ flattenMaps: true }) : scenario;
+    delete data._id;
+    return data;
+  });
+};
+
+/**
+ * Build the battery analysis payload (BatteryAnalysis in src/lib/types.ts)
+ * @param {Object} batteryAnalysis - Stored battery analysis
+ * @returns {Object} - Battery analysis data
+ */
+const buildBatteryAnalysis = (batteryAnalysis) => {
+  const data = batteryAnalysis.toObject ? batteryAnalysis.toObject() : { ...batteryAnalysis };
+  data.monthly = (data.monthly || []).map(({ _id, ...month }) => month);
+  return data;
+};
+
+/**
+ * Build the environmental impact payload (EnvironmentalImpactType in src/lib/types.ts)
+ * @param {Object} result - Populated result document
+ * @returns {Object} - Environmental impact data
+ */
+const buildEnvironmentalImpact = (result) => {
+  const impact = result.environmentalImpact?.toObject
+    ? result.environmentalImpact.toObject()
+    : { ...(result.environmentalImpact || {}) };
+
+  return {
+    carbonOffsetAnnual: impact.carbonOffsetAnnual || 0,
+    carbonOffsetLifetime: impact.carbonOffsetLifetime || 0,
+    treesPlantedEquivalent: impact.treesPlantedEquivalent || 0,
+    milesNotDrivenEquivalent: impact.milesNotDrivenEquivalent || 0,
+    coalNotBurnedPounds: impact.coalNotBurnedPounds || 0,
+    carbonOffsetFactorKgPerMwh: impact.carbonOffsetFactorKgPerMwh || 0,
+    carbonCalculationExplanation: impact.carbonCalculationExplanation,
+    estimatedProduction: impact.estimatedProduction || result.solarProduction?.annualProduction || 0,
+    dataSource: impact.dataSource,
+  };
+};
+
 module.exports = {
   getUserResults,
   getResultById,
@@ -464,4 +585,7 @@ module.exports = {
   updateProposalAnalysisValues,
   getUtilityBillAnalysis,
   getMonthlyBreakdown,
+  getFinancingScenarios,
+  analyzeBattery,
+  getBatteryAnalysis,
 }; 
\ No newline at end of file
@@ -0,0 +1,89 @@
+const extractionReviewService = require('../services/extractionReviewService');
+const { findAccessibleDocument } = require('../utils/documentAccess');
+const { logger } = require('../middleware/errorMiddleware');
+
+/**
+ * Build the GET handler returning a document's extracted fields for review
+ * @param {string} kind - 'proposal' or 'utilityBill'
+ * @returns {Function} - Express handler
+ * @private
+ */
+const getExtractedData = (kind) => async (req, res) => {
+  try {
+    const document = await findAccessibleDocument(req, res, kind);
+    res.json(extractionReviewService.getReview(document, kind));
+  } catch (error) {
+    logger.error(`Get extracted data error: ${error.message}`);
+    res.status(res.statusCode === 200 ? 500 : res.statusCode);
+    res.json({
+      message: error.message,
+      stack: process.env.NODE_ENV === 'production' ? null : error.stack,
+    });
+  }
+};
+
+/**
+ * Build the PATCH handler applying user corrections to a document's extracted fields
+ * @param {string} kind - 'proposal' or 'utilityBill'
+ * @returns {Function} - Express handler
+ * @private
+ */
+const correctExtractedData = (kind) => async (req, res) => {
+  try {
+    const document = await findAccessibleDocument(req, res, kind);
+    const { fields, reason } = req.body || {};
+
+    const { review, jobIds } = await extractionReviewService.applyCorrections(document, kind, fields, req.user, reason);
+
+    res.json({
+      message: jobIds.length > 0
+        ? 'Corrections saved; the analysis is being regenerated'
+        : 'Corrections saved',
+      review,
+      jobIds,
+    });
+  } catch (error) {
+    logger.error(`Correct extracted data error: ${error.message}`);
+    // Rejected corrections carry their own status (400 invalid value, 409 document not reviewable)
+    res.status(error.statusCode || (res.statusCode === 200 ? 500 : res.statusCode));
+    res.json({
+      message: error.message,
+      stack: process.env.NODE_ENV === 'production' ? null : error.stack,
+    });
+  }
+};
+
+/**
+ * Get a proposal's extracted fields with their source and confidence
+ * @route GET /api/proposals/:id/extracted
+ * @access Private
+ */
+const getProposalExtractedData = getExtractedData('proposal');
+
+/**
+ * Correct a proposal's extracted fields and regenerate dependent results
+ * @route PATCH /api/proposals/:id/extracted
+ * @access Private
+ */
+const correctProposalExtractedData = correctExtractedData('proposal');
+
+/**
+ * Get a utility bill's extracted fields with their source and confidence
+ * @route GET /api/utility-bills/:id/extracted
+ * @access Private
+ */
+const getUtilityBillExtractedData = getExtractedData('utilityBill');
+
+/**
+ * Correct a utility bill's extracted fields and regenerate dependent results
+ * @route PATCH /api/utility-bills/:id/extracted
+ * @access Private
+ */
+const correctUtilityBillExtractedData = correctExtractedData('utilityBill');
+
+module.exports = {
+  getProposalExtractedData,
+  correctProposalExtractedData,
+  getUtilityBillExtractedData,
+  correctUtilityBillExtractedData,
+};
@@ -17,6 +17,7 @@ const getSolarProduction = async (req, res) => {
       arrayType,
       moduleType,
       losses,
+      timeframe,
     } = req.query;
 
     // Validate required parameters
@@ -25,6 +26,11 @@ const getSolarProduction = async (req, res) => {
       throw new Error('System capacity, latitude, and longitude are required');
     }
 
+    if (timeframe && !['monthly', 'hourly'].includes(timeframe)) {
+      res.status(400);
+      throw new Error('Timeframe must be monthly or hourly');
+    }
+
     // Parse parameters
     const params = {
       systemCapacity: parseFloat(systemCapacity),
@@ -38,6 +44,7 @@ const getSolarProduction = async (req, res) => {
     if (arrayType) params.arrayType = parseInt(arrayType, 10);
     if (moduleType) params.moduleType = parseInt(moduleType, 10);
     if (losses) params.losses = parseFloat(losses);
+    if (timeframe) params.timeframe = timeframe;
 
     // Get solar production from PVWatts API
     const solarProductionResponse = await pvWattsService.getSolarProduction(params);
@@ -1,9 +1,13 @@
 const analysisService = require('../services/analysisService');
+const jobQueueService = require('../services/jobQueueService');
+const usageHistoryService = require('../services/usageHistoryService');
 const { logger } = require('../middleware/errorMiddleware');
 const { generateDocumentId } = require('../utils/pdfParser');
 
 /**
- * Upload proposal and utility bill files
+ * Upload a proposal and one or more utility bills and queue them for analysis
+ * Several bills from the same account are merged into a 12-month usage history; a Green
+ * Button export can be sent with or instead of the bills
  * @route POST /api/upload
  * @access Private
  */
@@ -18,7 +22,7 @@ const uploadFiles = async (req, res) => {
       throw new Error('No files were uploaded');
     }
 
-    const { proposalFile, utilityBillFile } = req.files;
+    const { proposalFile, utilityBillFile = [], greenButtonFile = [] } = req.files;
 
     // Validate required files
     if (!proposalFile) {
@@ -26,72 +30,42 @@ const uploadFiles = async (req, res) => {
       throw new Error('Sales proposal file is required');
     }
 
-    if (!utilityBillFile) {
+    if (utilityBillFile.length === 0 && greenButtonFile.length === 0) {
       res.status(400);
-      throw new Error('Utility bill file is required');
+      throw new Error('Utility bill or Green Button file is required');
     }
     
-    // Generate unique document IDs for tracking through processing pipeline
-    const proposalDocId = generateDocumentId('proposal');
-    const utilityBillDocId = generateDocumentId('utility');
-    
-    logger.info(`Processing proposal (${proposalDocId}): ${proposalFile[0].originalname}, size: ${(proposalFile[0].size / 1024).toFixed(2)}KB`);
-    logger.info(`Processing utility bill (${utilityBillDocId}): ${utilityBillFile[0].originalname}, size: ${(utilityBillFile[0].size / 1024).toFixed(2)}KB`);
-
-    // Process the proposal file with document ID
-    const proposalResult = await analysisService.processProposal(
-      proposalFile[0], 
-      req.user._id,
-      proposalDocId
-    );
-
-    // Process the utility bill file with document ID
-    const utilityBillResult = await analysisService.processUtilityBill(
-      utilityBillFile[0], 
-      req.user._id,
-      utilityBillDocId
-    );
+    logger.info(`Queueing proposal: ${proposalFile[0].originalname}, size: ${(proposalFile[0].size / 1024).toFixed(2)}KB`);
+    utilityBillFile.forEach(file => {
+      logger.info(`Queueing utility bill: ${file.originalname}, size: ${(file.size / 1024).toFixed(2)}KB`);
+    });
+    greenButtonFile.forEach(file => {
+      logger.info(`Queueing Green Button data: ${file.originalname}, size: ${(file.size / 1024).toFixed(2)}KB`);
+    });
 
-    // Check if both processes were successful
-    if (!proposalResult.success || !utilityBillResult.success) {
-      logger.warn(`Partial processing success: proposal=${proposalResult.success}, utilityBill=${utilityBillResult.success}`);
-      // Return partial success with error details
-      return res.status(207).json({
-        message: 'Files uploaded but processing had errors',
-        processingId,
-        proposalResult,
-        utilityBillResult,
-      });
-    }
+    // Parsing, OCR, AI extraction and the external lookups run in a background job
+    const job = await jobQueueService.enqueueAnalysis({
+      userId: req.user._id,
+      proposalFile: proposalFile[0],
+      utilityBillFiles: [...utilityBillFile, ...greenButtonFile],
+      location: req.body.location, // Optional location data from request
+    });
 
-    // Generate analysis results with document IDs
-    const analysisId = generateDocumentId('analysis');
-    logger.info(`Generating analysis results: ${analysisId}, proposal=${proposalDocId}, utilityBill=${utilityBillDocId}`);
-    
-    const analysisResult = await analysisService.generateResults(
-      proposalResult.proposal._id,
-      utilityBillResult.utilityBill._id,
-      req.user._id,
-      req.body.location, // Optional location data from request
-      analysisId
-    );
+    const proposalRef = job.documents.find(doc => doc.kind === 'proposal');
+    const utilityBillRefs = job.documents.filter(doc => doc.kind === 'utilityBill');
 
-    // Return success response with file IDs
-    res.status(200).json({
-      message: 'Files uploaded and processed successfully',
+    // Return accepted response with the job ID to poll
+    res.status(202).json({
+      message: 'Files uploaded and queued for processing',
       processingId,
-      proposalId: proposalResult.proposal._id,
-      utilityBillId: utilityBillResult.utilityBill._id,
-      resultId: analysisResult.success ? analysisResult.result._id : null,
-      analysisStatus: analysisResult.success ? 'completed' : 'pending',
-      documentIds: {
-        proposal: proposalDocId,
-        utilityBill: utilityBillDocId,
-        analysis: analysisId
-      }
+      jobId: job._id,
+      statusUrl: `/api/jobs/${job._id}`,
+      proposalId: proposalRef.documentId,
+      utilityBillId: utilityBillRefs[0].documentId,
+      utilityBillIds: utilityBillRefs.map(ref => ref.documentId),
     });
     
-    logger.info(`Document upload processing completed: ${processingId}`);
+    logger.info(`Document upload queued: ${processingId}, job=${job._id}`);
   } catch (error) {
     logger.error(`File upload error: ${error.message}`);
     res.status(res.statusCode === 200 ? 500 : res.statusCode);
@@ -134,9 +108,13 @@ const uploadProposal = async (req, res) => {
 
     // Return success response
     res.status(200).json({
-      message: 'Proposal uploaded and processed successfully',
+      message: proposalResult.needsReview
+        ? 'Proposal uploaded, but some required values were not found and need review'
+        : 'Proposal uploaded and processed successfully',
       proposalId: proposalResult.proposal._id,
       proposal: proposalResult.proposal,
+      needsReview: proposalResult.needsReview,
+      missingFields: proposalResult.proposal.extractedData.missingFields,
       documentId: proposalDocId
     });
     
@@ -181,11 +159,19 @@ const uploadUtilityBill = async (req, res) => {
       throw new Error(`Error processing utility bill: ${utilityBillResult.error}`);
     }
 
+    // Add the bill to its account's usage history alongside earlier uploads
+    const usageHistory = await usageHistoryService.mergeBills([utilityBillResult.utilityBill]);
+
     // Return success response
     res.status(200).json({
-      message: 'Utility bill uploaded and processed successfully',
+      message: utilityBillResult.needsReview
+        ? 'Utility bill uploaded, but some required values were not found and need review'
+        : 'Utility bill uploaded and processed successfully',
       utilityBillId: utilityBillResult.utilityBill._id,
       utilityBill: utilityBillResult.utilityBill,
+      needsReview: utilityBillResult.needsReview,
+      missingFields: utilityBillResult.utilityBill.extractedData.missingFields,
+      usageHistory,
       documentId: utilityBillDocId
     });
     
@@ -200,8 +186,58 @@ const uploadUtilityBill = async (req, res) => {
   }
 };
 
+/**
+ * Upload Green Button interval data (ESPI XML or CSV export)
+ * The readings are stored as a utility bill whose hourly load replaces the bill-based
+ * estimate in later analyses for the same account
+ * @route POST /api/upload/green-button
+ * @access Private
+ */
+const uploadGreenButton = async (req, res) => {
+  try {
+    if (!req.file) {
+      res.status(400);
+      throw new Error('No file was uploaded');
+    }
+
+    logger.info(`Processing Green Button upload: ${req.file.originalname}, size: ${(req.file.size / 1024).toFixed(2)}KB`);
+
+    const greenButtonResult = await analysisService.processUtilityBill(req.file, req.user._id);
+
+    if (!greenButtonResult.success) {
+      res.status(422);
+      throw new Error(`Error processing Green Button file: ${greenButtonResult.error}`);
+    }
+
+    const { utilityBill } = greenButtonResult;
+    const usageHistory = await usageHistoryService.mergeBills([utilityBill]);
+    const { hourlyLoad, ...intervalData } = utilityBill.extractedData.intervalData.toObject();
+
+    res.status(200).json({
+      message: 'Green Button data uploaded and processed successfully',
+      utilityBillId: utilityBill._id,
+      energyUsage: utilityBill.extractedData.energyUsage,
+      rate: utilityBill.extractedData.rate,
+      needsReview: greenButtonResult.needsReview,
+      missingFields: utilityBill.extractedData.missingFields,
+      intervalData,
+      usageHistory,
+    });
+
+    logger.info(`Green Button upload completed: ${utilityBill._id}, ${intervalData.readingCount} readings`);
+  } catch (error) {
+    logger.error(`Green Button upload error: ${error.message}`);
+    res.status(res.statusCode === 200 ? 500 : res.statusCode);
+    res.json({
+      message: error.message,
+      stack: process.env.NODE_ENV === 'production' ? null : error.stack,
+    });
+  }
+};
+
 module.exports = {
   uploadFiles,
   uploadProposal,
   uploadUtilityBill,
+  uploadGreenButton,
 }; 
\ No newline at end of file
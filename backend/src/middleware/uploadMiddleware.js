@@ -1,58 +1,18 @@
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const { logger } = require('./errorMiddleware');
+const { FileValidationError, validateUploadedFile } = require('../utils/fileValidation');
+const documentStorageService = require('../services/documentStorageService');
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, '../../uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
+// Keep uploads in memory: they are encrypted before anything is written (see services/documentStorageService.js)
+const storage = multer.memoryStorage();
 
-// Configure storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    // Define subdirectories for each file type
-    const fileType = file.fieldname === 'proposalFile' ? 'proposals' : 'utilityBills';
-    const dir = path.join(uploadsDir, fileType);
-    
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    
-    cb(null, dir);
-  },
-  filename: (req, file, cb) => {
-    // Create unique filename
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, file.fieldname + '-' + uniqueSuffix + ext);
-  }
-});
+// Only the expected fields are accepted here; file types are checked from the content by validateUploads,
+// since the MIME type and extension sent by the client can't be trusted
+const UPLOAD_FIELDS = ['proposalFile', 'utilityBillFile', 'greenButtonFile'];
 
-// File filter to validate file types
 const fileFilter = (req, file, cb) => {
-  // Check if file is PDF for proposal
-  if (file.fieldname === 'proposalFile') {
-    if (file.mimetype === 'application/pdf') {
-      cb(null, true);
-    } else {
-      cb(new Error('Proposal file must be a PDF'), false);
-    }
-  } 
-  // Check if file is PDF or image for utility bill
-  else if (file.fieldname === 'utilityBillFile') {
-    if (
-      file.mimetype === 'application/pdf' ||
-      file.mimetype === 'image/jpeg' ||
-      file.mimetype === 'image/png' ||
-      file.mimetype === 'image/jpg'
-    ) {
-      cb(null, true);
-    } else {
-      cb(new Error('Utility bill file must be a PDF or image (JPEG, PNG)'), false);
-    }
+  if (UPLOAD_FIELDS.includes(file.fieldname)) {
+    cb(null, true);
   } else {
     cb(new Error('Unexpected field'), false);
   }
@@ -86,4 +46,56 @@ const handleUploadErrors = (err, req, res, next) => {
   }
 };
 
-module.exports = { upload, handleUploadErrors }; 
\ No newline at end of file
+/**
+ * Strip directories and control characters from a client-supplied filename
+ * @param {string} filename - Filename sent by the client
+ * @returns {string} - Filename safe to store and send back in a download header
+ * @private
+ */
+const sanitizeFilename = (filename) => {
+  const name = String(filename || '').split(/[\\/]/).pop()
+    .replace(/[\u0000-\u001f\u007f"]/g, '')
+    .trim();
+  return name.slice(-200) || 'upload';
+};
+
+/**
+ * Validate the uploaded files by their content, quarantining any that fail
+ * Runs after multer; one rejected file rejects the whole request, so nothing of it is processed.
+ * Accepted files get the MIME type detected from their content.
+ */
+const validateUploads = async (req, res, next) => {
+  const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+
+  for (const file of files) {
+    try {
+      const { mimeType } = await validateUploadedFile(file);
+      file.mimetype = mimeType;
+      file.originalname = sanitizeFilename(file.originalname);
+    } catch (error) {
+      if (!(error instanceof FileValidationError)) {
+        return next(error);
+      }
+
+      let quarantineId = null;
+      try {
+        quarantineId = (await documentStorageService.quarantine(file, error, req.user._id))._id;
+      } catch (quarantineError) {
+        logger.error(`Could not quarantine rejected upload: ${quarantineError.message}`);
+      }
+
+      logger.error(`Rejected upload ${sanitizeFilename(file.originalname)} (${error.code}): ${error.message}`);
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.code,
+        field: file.fieldname,
+        filename: sanitizeFilename(file.originalname),
+        quarantineId,
+      });
+    }
+  }
+
+  next();
+};
+
+module.exports = { upload, handleUploadErrors, validateUploads }; 
\ No newline at end of file
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A cross-check between extracted fields that failed (see utils/extractionChecks.js)
+const consistencyCheckSchema = new mongoose.Schema(
+  {
+    check: {
+      type: String,
+      required: true,
+      description: 'Check identifier, e.g. system-size-panels or net-cost',
+    },
+    fields: {
+      type: [String],
+      description: 'Paths of the extracted fields the check compares',
+    },
+    message: {
+      type: String,
+      description: 'What does not add up, shown when the document is reviewed',
+    },
+    actual: {
+      type: Number,
+      description: 'Extracted value',
+    },
+    expected: {
+      type: Number,
+      description: 'Value implied by the other fields',
+    },
+  },
+  { _id: false }
+);
+
+module.exports = consistencyCheckSchema;
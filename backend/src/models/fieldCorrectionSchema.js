@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One user correction of an extracted field, kept as an audit trail
+const fieldCorrectionSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+      description: 'Corrected field path within extractedData (e.g. pricing.netCost)',
+    },
+    previousValue: {
+      type: mongoose.Schema.Types.Mixed,
+      description: 'Value before the correction (null when it was missing)',
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      description: 'Value entered by the user',
+    },
+    previousSource: {
+      type: String,
+      description: 'Provenance source of the previous value',
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reason: {
+      type: String,
+      description: 'Optional note explaining the correction',
+    },
+    correctedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+module.exports = fieldCorrectionSchema;
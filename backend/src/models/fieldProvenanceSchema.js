@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { PROVENANCE_SOURCES } = require('../utils/fieldProvenance');
+
+// Where an extracted field's value came from (see utils/fieldProvenance.js)
+const fieldProvenanceSchema = new mongoose.Schema(
+  {
+    source: {
+      type: String,
+      enum: PROVENANCE_SOURCES,
+      required: true,
+      description: 'How the value was obtained: OpenAI, text patterns, a bill template, a user correction, or a default estimate',
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+      description: 'Confidence in the value (0-1)',
+    },
+    snippet: {
+      type: String,
+      description: 'Document text around the value, shown when the field is reviewed',
+    },
+    page: {
+      type: Number,
+      min: 1,
+      description: 'PDF page the value was read from',
+    },
+  },
+  { _id: false }
+);
+
+module.exports = fieldProvenanceSchema;
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const jobStageSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      description: 'Stage identifier (e.g., proposal, utilityBill, analysis)',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'needs_review', 'completed', 'error'],
+      default: 'pending',
+    },
+    progress: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+      description: 'Stage progress in percent',
+    },
+    message: {
+      type: String,
+      description: 'Human readable description of the current step',
+    },
+    startedAt: Date,
+    completedAt: Date,
+    error: String,
+  },
+  { _id: false }
+);
+
+const jobDocumentSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ['proposal', 'utilityBill'],
+      required: true,
+    },
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      description: 'Proposal or UtilityBill document ID',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'needs_review', 'completed', 'error'],
+      default: 'pending',
+    },
+    missingFields: {
+      type: [String],
+      description: 'Required fields the extraction did not find (needs_review documents)',
+    },
+    error: String,
+  },
+  { _id: false }
+);
+
+const jobSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    // analysis: extract uploaded documents and analyze them; reanalysis: regenerate an existing
+    // result after its documents were corrected
+    type: {
+      type: String,
+      enum: ['analysis', 'reanalysis'],
+      default: 'analysis',
+    },
+    status: {
+      type: String,
+      // needs_review: paused until the missing extracted fields are filled in
+      enum: ['queued', 'running', 'needs_review', 'completed', 'error'],
+      default: 'queued',
+    },
+    // Job input (e.g., location data sent with the upload)
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    documents: [jobDocumentSchema],
+    stages: [jobStageSchema],
+    result: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Result',
+    },
+    // Queue bookkeeping
+    runAt: {
+      type: Date,
+      default: Date.now,
+      description: 'Earliest time a worker may pick up the job',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    lockedAt: {
+      type: Date,
+      description: 'Last heartbeat of the worker holding the job',
+    },
+    lockedBy: {
+      type: String,
+      description: 'ID of the worker holding the job',
+    },
+    processingErrors: [String],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
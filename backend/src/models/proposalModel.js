@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const fieldProvenanceSchema = require('./fieldProvenanceSchema');
+const fieldCorrectionSchema = require('./fieldCorrectionSchema');
+const consistencyCheckSchema = require('./consistencyCheckSchema');
 
 const proposalSchema = new mongoose.Schema(
   {
@@ -7,9 +10,23 @@ const proposalSchema = new mongoose.Schema(
       required: true,
       ref: 'User',
     },
+    // Encrypted original in document storage (see services/documentStorageService.js)
+    storageBackend: {
+      type: String,
+      description: 'Storage backend holding the original file',
+    },
+    storageKey: {
+      type: String,
+      description: 'Key of the encrypted original file in its storage backend',
+    },
     filePath: {
       type: String,
-      required: true,
+      description: 'Plain file of documents uploaded before encrypted storage',
+    },
+    fileDeletedAt: {
+      type: Date,
+      default: null,
+      description: 'When the original file was purged after the retention period',
     },
     originalFilename: {
       type: String,
@@ -86,13 +103,130 @@ const proposalSchema = new mongoose.Schema(
           description: 'Net cost after incentives',
         },
       },
+      // Financing options quoted in the proposal
+      financing: {
+        loan: {
+          apr: {
+            type: Number,
+            description: 'Loan APR in percent',
+          },
+          termYears: {
+            type: Number,
+            description: 'Loan term in years',
+          },
+          dealerFeePercent: {
+            type: Number,
+            description: 'Dealer fee as a percent of the financed amount',
+          },
+          loanAmount: {
+            type: Number,
+            description: 'Financed amount in dollars',
+          },
+          downPayment: {
+            type: Number,
+            description: 'Down payment in dollars',
+          },
+          monthlyPayment: {
+            type: Number,
+            description: 'Quoted monthly loan payment in dollars',
+          },
+        },
+        lease: {
+          monthlyPayment: {
+            type: Number,
+            description: 'First-year monthly lease payment in dollars',
+          },
+          escalatorPercent: {
+            type: Number,
+            description: 'Annual lease payment escalator in percent',
+          },
+          termYears: {
+            type: Number,
+            description: 'Lease term in years',
+          },
+          downPayment: {
+            type: Number,
+            description: 'Down payment in dollars',
+          },
+        },
+        ppa: {
+          ratePerKwh: {
+            type: Number,
+            description: 'First-year PPA price in $/kWh',
+          },
+          escalatorPercent: {
+            type: Number,
+            description: 'Annual PPA price escalator in percent',
+          },
+          termYears: {
+            type: Number,
+            description: 'PPA term in years',
+          },
+        },
+      },
+      // Bill savings claimed in the proposal
+      claimedSavings: {
+        firstYearSavings: {
+          type: Number,
+          description: 'Claimed first-year bill savings in dollars',
+        },
+        lifetimeSavings: {
+          type: Number,
+          description: 'Claimed lifetime bill savings in dollars',
+        },
+        lifetimeYears: {
+          type: Number,
+          description: 'Years covered by the claimed lifetime savings',
+        },
+      },
+      dataSource: {
+        type: String,
+        enum: ['openai', 'pattern-extraction', 'fallback-generation'],
+        description: 'How the extracted data was obtained',
+      },
+      pageCount: {
+        type: Number,
+        description: 'Number of pages in the proposal PDF',
+      },
+      relevantPages: {
+        type: [Number],
+        description: 'Pages scored as pricing, production or equipment pages and passed to the extractors',
+      },
+      ocrPages: {
+        type: [Number],
+        description: 'Scanned pages without a text layer whose text was read by OCR',
+      },
+      generatedFromError: {
+        type: Boolean,
+        description: 'Whether the data was generated after extraction failed (older documents)',
+      },
+      fieldProvenance: {
+        type: Map,
+        of: fieldProvenanceSchema,
+        description: 'Source and confidence of each extracted field, keyed by field name',
+      },
+      missingFields: {
+        type: [String],
+        description: 'Required fields that were not found; the proposal stays in needs_review until they are filled',
+      },
+      failedChecks: {
+        type: [consistencyCheckSchema],
+        description: 'Cross-checks between extracted fields that failed, e.g. values that don\'t add up',
+      },
+      // Older documents: fields that were filled with random values before extraction stopped inventing them
+      generatedFields: {
+        type: [String],
+        description: 'Fields filled with generated values because they were not found in the proposal',
+      },
     },
     status: {
       type: String,
-      enum: ['pending', 'processed', 'error'],
+      enum: ['pending', 'processed', 'needs_review', 'completed', 'error'],
       default: 'pending',
     },
     processingErrors: [String],
+    // User corrections of extracted fields, oldest first
+    corrections: [fieldCorrectionSchema],
   },
   {
     timestamps: true,
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// An upload rejected by the content checks (see utils/fileValidation.js), kept encrypted for inspection
+const quarantinedFileSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    field: {
+      type: String,
+      description: 'Upload field the file was sent in, e.g. proposalFile',
+    },
+    originalFilename: {
+      type: String,
+      description: 'Filename sent by the client',
+    },
+    declaredMimeType: {
+      type: String,
+      description: 'MIME type sent by the client',
+    },
+    fileSize: {
+      type: Number,
+      description: 'File size in bytes',
+    },
+    sha256: {
+      type: String,
+      description: 'SHA-256 of the file contents, to look the file up in malware databases',
+    },
+    code: {
+      type: String,
+      required: true,
+      description: 'Why the file was rejected, e.g. UNSUPPORTED_FILE_TYPE or PDF_JAVASCRIPT',
+    },
+    reason: {
+      type: String,
+      description: 'Rejection message sent to the client',
+    },
+    storageBackend: {
+      type: String,
+      description: 'Storage backend holding the encrypted file',
+    },
+    storageKey: {
+      type: String,
+      description: 'Key of the encrypted file in its storage backend',
+    },
+    fileDeletedAt: {
+      type: Date,
+      default: null,
+      description: 'When the file was purged after the retention period',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const QuarantinedFile = mongoose.model('QuarantinedFile', quarantinedFileSchema);
+
+module.exports = QuarantinedFile;
@@ -17,6 +17,107 @@ const resultSchema = new mongoose.Schema(
       required: true,
       ref: 'UtilityBill',
     },
+    // Utility tariff the bills were calculated with
+    tariff: {
+      id: {
+        type: String,
+        description: 'Tariff ID from the tariff files, or "flat" for the extracted rate',
+      },
+      name: {
+        type: String,
+        description: 'Tariff display name',
+      },
+      utility: {
+        type: String,
+        description: 'Utility the tariff belongs to',
+      },
+      rateSource: {
+        type: String,
+        enum: ['bill', 'tariff'],
+        description: 'Where the energy rates came from: the rate read from the bill, or the published tariff (also used when the bill states no rate, e.g. Green Button data)',
+      },
+    },
+    // How exported solar energy was credited
+    exportCompensation: {
+      type: {
+        type: String,
+        enum: ['nem-retail', 'net-billing', 'buy-all-sell-all'],
+        description: 'Export compensation policy',
+      },
+      trueUp: {
+        type: String,
+        enum: ['monthly', 'annual'],
+        description: 'When unused export credits are forfeited',
+      },
+      trueUpMonth: {
+        type: Number,
+        description: 'Month (1-12) that ends the annual true-up period',
+      },
+    },
+    // Location the analysis was run for
+    location: {
+      latitude: {
+        type: Number,
+        description: 'Latitude used for production estimates',
+      },
+      longitude: {
+        type: Number,
+        description: 'Longitude used for production estimates',
+      },
+      state: {
+        type: String,
+        description: 'US state code used for incentives',
+      },
+    },
+    // Annual energy flows from the hourly simulation
+    energyFlows: {
+      loadShape: {
+        type: String,
+        description: 'Load-shape template used to build the hourly load',
+      },
+      productionSource: {
+        type: String,
+        enum: ['pvwatts-hourly', 'monthly-estimate'],
+        description: 'Whether hourly production came from PVWatts or was estimated from monthly totals',
+      },
+      usageSource: {
+        type: String,
+        enum: ['interval-data', 'usage-history', 'single-bill-estimate'],
+        description: 'Whether usage came from Green Button interval data, the merged bill history, or an estimate from one bill',
+      },
+      measuredUsageMonths: {
+        type: Number,
+        description: 'Months of the usage history backed by bill readings',
+      },
+      annualUsage: {
+        type: Number,
+        description: 'Annual household usage in kWh',
+      },
+      annualProduction: {
+        type: Number,
+        description: 'Annual solar production in kWh',
+      },
+      gridConsumption: {
+        type: Number,
+        description: 'Annual energy imported from the grid in kWh',
+      },
+      selfConsumedEnergy: {
+        type: Number,
+        description: 'Annual solar energy used on site in kWh',
+      },
+      exportedEnergy: {
+        type: Number,
+        description: 'Annual solar energy exported to the grid in kWh',
+      },
+      selfConsumptionRate: {
+        type: Number,
+        description: 'Percentage of solar production used on site',
+      },
+      solarFraction: {
+        type: Number,
+        description: 'Percentage of household usage met directly by solar',
+      },
+    },
     // Analysis results
     solarSavings: {
       monthlySavings: {
@@ -35,7 +136,187 @@ const resultSchema = new mongoose.Schema(
         type: Number,
         description: 'Estimated payback period in years',
       },
+      discountedPaybackPeriod: {
+        type: Number,
+        description: 'Payback period in years using discounted cash flows',
+      },
+      npv: {
+        type: Number,
+        description: 'Net present value of the system over the analysis period in dollars',
+      },
+      irr: {
+        type: Number,
+        description: 'Internal rate of return (0.08 = 8%)',
+      },
+      lcoe: {
+        type: Number,
+        description: 'Levelized cost of energy in $/kWh',
+      },
+      lifetimeSavings: {
+        type: Number,
+        description: 'Net savings over the analysis period in dollars, before the upfront cost',
+      },
+    },
+    // Year-by-year cash-flow model behind the savings metrics
+    cashFlow: {
+      assumptions: {
+        analysisPeriodYears: Number,
+        panelDegradationRate: Number,
+        utilityEscalationRate: Number,
+        discountRate: Number,
+        omCostPerKwYear: Number,
+        omEscalationRate: Number,
+        inverterReplacementYear: Number,
+        inverterReplacementCostPerWatt: Number,
+      },
+      years: [{
+        year: {
+          type: Number,
+          required: true,
+        },
+        production: {
+          type: Number,
+          description: 'Solar production in kWh after degradation',
+        },
+        billSavings: {
+          type: Number,
+          description: 'Utility bill savings in dollars',
+        },
+        omCost: {
+          type: Number,
+          description: 'Operations & maintenance cost in dollars',
+        },
+        inverterCost: {
+          type: Number,
+          description: 'Inverter replacement cost in dollars',
+        },
+        netCashFlow: {
+          type: Number,
+          description: 'Savings minus costs for the year in dollars',
+        },
+        cumulativeCashFlow: {
+          type: Number,
+          description: 'Cumulative cash flow including the upfront cost in dollars',
+        },
+        discountedCashFlow: {
+          type: Number,
+          description: 'Net cash flow discounted to present value in dollars',
+        },
+        cumulativeDiscountedCashFlow: {
+          type: Number,
+          description: 'Cumulative discounted cash flow including the upfront cost in dollars',
+        },
+      }],
+    },
+    // Red flags found by checking the proposal's claims against independent estimates
+    proposalAudit: {
+      findings: [{
+        code: {
+          type: String,
+          description: 'Machine-readable finding identifier (e.g. production-overstated)',
+        },
+        category: {
+          type: String,
+          enum: ['production', 'pricing', 'system-size', 'savings', 'data'],
+          description: 'Which claim the finding is about',
+        },
+        severity: {
+          type: String,
+          enum: ['high', 'medium', 'low', 'info'],
+          description: 'How serious the finding is',
+        },
+        title: {
+          type: String,
+          description: 'Short summary of the finding',
+        },
+        message: {
+          type: String,
+          description: 'Explanation and suggested follow-up',
+        },
+        claimedValue: {
+          type: Number,
+          description: 'Value stated in the proposal',
+        },
+        expectedValue: {
+          type: Number,
+          description: 'Independent estimate the claim was compared with',
+        },
+        differencePercent: {
+          type: Number,
+          description: 'Claimed value relative to the estimate in percent',
+        },
+      }],
+      highestSeverity: {
+        type: String,
+        enum: ['high', 'medium', 'low', 'info'],
+        description: 'Most serious severity among the findings',
+      },
+      auditedAt: {
+        type: Date,
+        description: 'When the audit ran',
+      },
     },
+    // Cash, loan, lease and PPA options compared against the bill savings
+    financingScenarios: [{
+      type: {
+        type: String,
+        enum: ['cash', 'loan', 'lease', 'ppa'],
+        required: true,
+      },
+      terms: {
+        type: Map,
+        of: Number,
+        description: 'Financing terms used for the scenario',
+      },
+      upfrontCost: {
+        type: Number,
+        description: 'Amount paid at signing in dollars',
+      },
+      incentives: {
+        type: Number,
+        description: 'Tax credits and rebates credited to the owner in the first year in dollars',
+      },
+      ownershipCosts: {
+        type: Number,
+        description: 'O&M and inverter replacement paid by the owner over the evaluation period in dollars',
+      },
+      termYears: {
+        type: Number,
+        description: 'Years during which payments are made',
+      },
+      evaluationYears: {
+        type: Number,
+        description: 'Years over which savings are counted',
+      },
+      averageMonthlyPayment: {
+        type: Number,
+        description: 'Average first-year monthly payment in dollars',
+      },
+      averageMonthlyBillSavings: {
+        type: Number,
+        description: 'Average first-year monthly bill savings in dollars',
+      },
+      netMonthlySavings: {
+        type: Number,
+        description: 'Average first-year bill savings minus payment in dollars',
+      },
+      firstYearNetSavings: {
+        type: Number,
+        description: 'First-year bill savings and incentives minus payments and ownership costs in dollars',
+      },
+      lifetimeNetSavings: {
+        type: Number,
+        description: 'Bill savings and incentives minus payments, ownership costs and upfront cost over the evaluation period in dollars',
+      },
+      savesMoneyFirstYear: Boolean,
+      savesMoneyLifetime: Boolean,
+      monthlyComparison: [{
+        month: String,
+        payment: Number,
+        billSavings: Number,
+        netSavings: Number,
+      }],
+    }],
     // Monthly breakdown of savings, production, and consumption
     monthlyBreakdown: [{
       month: {
@@ -44,6 +325,10 @@ const resultSchema = new mongoose.Schema(
                'August', 'September', 'October', 'November', 'December'],
         required: true,
       },
+      energyUsage: {
+        type: Number,
+        description: 'Household energy usage for the month in kWh',
+      },
       solarProduction: {
         type: Number,
         description: 'Estimated solar production for the month in kWh',
@@ -52,6 +337,30 @@ const resultSchema = new mongoose.Schema(
         type: Number,
         description: 'Estimated grid consumption for the month in kWh',
       },
+      selfConsumedEnergy: {
+        type: Number,
+        description: 'Solar energy used on site as it was produced for the month in kWh',
+      },
+      exportedEnergy: {
+        type: Number,
+        description: 'Solar energy exported to the grid for the month in kWh',
+      },
+      exportCredit: {
+        type: Number,
+        description: 'Credit or payment earned by exports for the month in dollars',
+      },
+      creditApplied: {
+        type: Number,
+        description: 'Export credits used against the bill for the month in dollars',
+      },
+      creditCarriedForward: {
+        type: Number,
+        description: 'Unused export credits carried into the next month in dollars',
+      },
+      creditForfeited: {
+        type: Number,
+        description: 'Export credits forfeited at the true-up in dollars',
+      },
       utilityBillWithSolar: {
         type: Number,
         description: 'Estimated utility bill with solar in dollars',
@@ -65,6 +374,122 @@ const resultSchema = new mongoose.Schema(
         description: 'Estimated savings for the month in dollars',
       },
     }],
+    // Optional home battery add-on analysis
+    batteryAnalysis: {
+      inputs: {
+        capacityKwh: {
+          type: Number,
+          description: 'Usable battery capacity in kWh',
+        },
+        powerKw: {
+          type: Number,
+          description: 'Continuous charge/discharge power in kW',
+        },
+        roundTripEfficiency: {
+          type: Number,
+          description: 'Round-trip efficiency (0.9 = 90%)',
+        },
+        reservePercent: {
+          type: Number,
+          description: 'Percent of capacity held back for outages',
+        },
+        strategy: {
+          type: String,
+          enum: ['self-consumption', 'tou-arbitrage'],
+          description: 'Dispatch strategy',
+        },
+        allowGridCharging: {
+          type: Boolean,
+          description: 'Whether TOU arbitrage may charge from the grid',
+        },
+        criticalLoadKw: {
+          type: Number,
+          description: 'Critical-load panel draw in kW',
+        },
+        cost: {
+          type: Number,
+          description: 'Installed battery cost in dollars',
+        },
+      },
+      annualBillWithSolar: {
+        type: Number,
+        description: 'Annual utility bill with solar only in dollars',
+      },
+      annualBillWithBattery: {
+        type: Number,
+        description: 'Annual utility bill with solar and the battery in dollars',
+      },
+      addedAnnualSavings: {
+        type: Number,
+        description: 'First-year bill savings added by the battery in dollars',
+      },
+      energyCharged: {
+        type: Number,
+        description: 'Energy charged into the battery per year in kWh',
+      },
+      energyDischarged: {
+        type: Number,
+        description: 'Energy discharged from the battery per year in kWh',
+      },
+      equivalentCycles: {
+        type: Number,
+        description: 'Full charge/discharge cycles per year',
+      },
+      selfConsumptionRate: {
+        type: Number,
+        description: 'Percentage of solar production used on site with the battery',
+      },
+      backupHours: {
+        type: Number,
+        description: 'Hours a full battery can run the critical-load panel',
+      },
+      backupHoursAtReserve: {
+        type: Number,
+        description: 'Hours the outage reserve can run the critical-load panel',
+      },
+      cost: {
+        type: Number,
+        description: 'Installed battery cost in dollars',
+      },
+      rebate: {
+        type: Number,
+        description: 'State storage rebate in dollars',
+      },
+      taxCredit: {
+        type: Number,
+        description: 'Federal tax credit in dollars',
+      },
+      netCost: {
+        type: Number,
+        description: 'Battery cost after incentives in dollars',
+      },
+      lifetimeYears: {
+        type: Number,
+        description: 'Years of savings counted for the payback',
+      },
+      lifetimeSavings: {
+        type: Number,
+        description: 'Bill savings over the battery lifetime in dollars',
+      },
+      npv: {
+        type: Number,
+        description: 'Net present value of the battery alone in dollars',
+      },
+      paybackPeriod: {
+        type: Number,
+        description: 'Payback period of the battery alone in years',
+      },
+      monthly: [{
+        month: String,
+        billWithSolar: Number,
+        billWithBattery: Number,
+        addedSavings: Number,
+      }],
+      analyzedAt: {
+        type: Date,
+        description: 'When the battery analysis was run',
+      },
+    },
     // Environmental impact data
     environmentalImpact: {
       carbonOffsetAnnual: {
@@ -140,6 +565,11 @@ const resultSchema = new mongoose.Schema(
         type: Number,
         description: 'System capacity factor',
       },
+      source: {
+        type: String,
+        enum: ['pvwatts', 'estimate'],
+        description: 'Whether production came from PVWatts at the location or the generic per-kW estimate',
+      },
     },
     // SREC incentives data
     srecIncentives: {
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const usageMonthSchema = new mongoose.Schema(
+  {
+    month: {
+      type: String,
+      required: true,
+      description: 'Calendar month (YYYY-MM)',
+    },
+    kwh: {
+      type: Number,
+      description: 'Energy usage in kWh',
+    },
+    source: {
+      type: String,
+      enum: ['measured', 'interpolated'],
+      description: 'Whether the month came from bill readings or was interpolated from neighbouring months',
+    },
+    coverage: {
+      type: Number,
+      description: 'Share of the month covered by bill readings (0-1)',
+    },
+  },
+  { _id: false }
+);
+
+const usageHistorySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    // Normalized account number, or the bill ID for bills without one
+    accountKey: {
+      type: String,
+      required: true,
+    },
+    accountNumber: {
+      type: String,
+      description: 'Utility account number as printed on the bills',
+    },
+    utilityCompany: {
+      type: String,
+      description: 'Utility company name',
+    },
+    utilityBills: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'UtilityBill',
+    }],
+    // Most recent 12 months, oldest first
+    months: [usageMonthSchema],
+    measuredMonths: {
+      type: Number,
+      description: 'Number of months backed by bill readings',
+    },
+    readingCount: {
+      type: Number,
+      description: 'Billing periods and usage history bars merged into the series',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+usageHistorySchema.index({ user: 1, accountKey: 1 }, { unique: true });
+usageHistorySchema.index({ utilityBills: 1 });
+
+const UsageHistory = mongoose.model('UsageHistory', usageHistorySchema);
+
+module.exports = UsageHistory;
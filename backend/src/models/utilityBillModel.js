@@ -1,4 +1,22 @@
 const mongoose = require('mongoose');
+const fieldProvenanceSchema = require('./fieldProvenanceSchema');
+const fieldCorrectionSchema = require('./fieldCorrectionSchema');
+const consistencyCheckSchema = require('./consistencyCheckSchema');
+
+const usageHistoryEntrySchema = new mongoose.Schema(
+  {
+    kwh: {
+      type: Number,
+      description: 'Energy usage in kWh',
+    },
+    source: {
+      type: String,
+      enum: ['openai', 'pdf-text', 'ocr-text', 'green-button'],
+      description: 'How the value was read: OpenAI extraction, pattern matching on PDF text or OCR output, or Green Button interval data',
+    },
+  },
+  { _id: false }
+);
 
 const utilityBillSchema = new mongoose.Schema(
   {
@@ -7,9 +25,23 @@ const utilityBillSchema = new mongoose.Schema(
       required: true,
       ref: 'User',
     },
+    // Encrypted original in document storage (see services/documentStorageService.js)
+    storageBackend: {
+      type: String,
+      description: 'Storage backend holding the original file',
+    },
+    storageKey: {
+      type: String,
+      description: 'Key of the encrypted original file in its storage backend',
+    },
     filePath: {
       type: String,
-      required: true,
+      description: 'Plain file of documents uploaded before encrypted storage',
+    },
+    fileDeletedAt: {
+      type: Date,
+      default: null,
+      description: 'When the original file was purged after the retention period',
     },
     originalFilename: {
       type: String,
@@ -23,10 +55,10 @@ const utilityBillSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
-    // File type (PDF or Image)
+    // File type (PDF, image, or Green Button interval data export)
     fileType: {
       type: String,
-      enum: ['pdf', 'image'],
+      enum: ['pdf', 'image', 'green-button'],
       required: true,
     },
     // Extracted data from utility bill
@@ -59,8 +91,8 @@ const utilityBillSchema = new mongoose.Schema(
       },
       energyUsageMonthly: {
         type: Map,
-        of: Number,
-        description: 'Monthly breakdown of energy usage',
+        of: usageHistoryEntrySchema,
+        description: 'Usage history shown on the bill, keyed by calendar month (YYYY-MM)',
       },
       rate: {
         type: Number,
@@ -78,13 +110,84 @@ const utilityBillSchema = new mongoose.Schema(
         type: Number,
         description: 'Additional fees',
       },
+      dataSource: {
+        type: String,
+        enum: ['openai', 'pattern-extraction', 'fallback-generation', 'green-button', 'template'],
+        description: 'How the extracted data was obtained',
+      },
+      templateId: {
+        type: String,
+        description: 'Utility bill template whose anchors were matched (see src/data/billTemplates)',
+      },
+      ocrPages: {
+        type: [Number],
+        description: 'Scanned PDF pages without a text layer whose text was read by OCR',
+      },
+      generatedFromError: {
+        type: Boolean,
+        description: 'Whether the data was generated after extraction failed (older documents)',
+      },
+      fieldProvenance: {
+        type: Map,
+        of: fieldProvenanceSchema,
+        description: 'Source and confidence of each extracted field, keyed by field name',
+      },
+      missingFields: {
+        type: [String],
+        description: 'Required fields that were not found; the bill stays in needs_review until they are filled',
+      },
+      failedChecks: {
+        type: [consistencyCheckSchema],
+        description: 'Cross-checks between extracted fields that failed, e.g. values that don\'t add up',
+      },
+      // Older documents: fields that were filled with random values before extraction stopped inventing them
+      generatedFields: {
+        type: [String],
+        description: 'Fields filled with generated values because they were not found on the bill',
+      },
+      // Interval readings from a Green Button export
+      intervalData: {
+        format: {
+          type: String,
+          enum: ['espi-xml', 'csv'],
+          description: 'Green Button export format',
+        },
+        intervalMinutes: {
+          type: Number,
+          description: 'Shortest interval length in minutes',
+        },
+        readingCount: {
+          type: Number,
+          description: 'Number of interval readings imported',
+        },
+        startDate: {
+          type: Date,
+          description: 'Start of the first reading',
+        },
+        endDate: {
+          type: Date,
+          description: 'End of the last reading',
+        },
+        measuredHours: {
+          type: Number,
+          description: 'Hours of the most recent year with readings',
+        },
+        // Large, so only loaded when the analysis asks for it
+        hourlyLoad: {
+          type: [Number],
+          select: false,
+          description: 'Measured load in kWh for each hour of the reference year (null where there is no reading)',
+        },
+      },
     },
     status: {
       type: String,
-      enum: ['pending', 'processed', 'error'],
+      enum: ['pending', 'processed', 'needs_review', 'completed', 'error'],
       default: 'pending',
     },
     processingErrors: [String],
+    // User corrections of extracted fields, oldest first
+    corrections: [fieldCorrectionSchema],
   },
   {
     timestamps: true,
@@ -0,0 +1,13 @@
+const express = require('express');
+const { getJobStatus } = require('../controllers/jobController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Protected routes - job status is only visible to its owner (or an admin)
+router.use(protect);
+
+// Poll the status of a background job
+router.get('/:id', getJobStatus);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+  getProposalExtractedData,
+  correctProposalExtractedData,
+} = require('../controllers/reviewController');
+const { downloadProposalFile } = require('../controllers/documentController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Protected routes - proposals are only visible to their owner (or an admin)
+router.use(protect);
+
+// Review and correct the extracted proposal fields
+router.get('/:id/extracted', getProposalExtractedData);
+router.patch('/:id/extracted', correctProposalExtractedData);
+
+// Download the original file (decrypted from document storage)
+router.get('/:id/file', downloadProposalFile);
+
+module.exports = router;
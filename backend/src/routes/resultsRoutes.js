@@ -8,22 +8,28 @@ const {
   getEnvironmentalImpact,
   updateProposalAnalysisValues,
   getUtilityBillAnalysis,
-  getMonthlyBreakdown
+  getMonthlyBreakdown,
+  getFinancingScenarios,
+  analyzeBattery,
+  getBatteryAnalysis
 } = require('../controllers/resultsController');
 const { protect, admin } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
-// Public routes that don't require authentication
-router.get('/proposal-analysis', getProposalAnalysis);
-router.put('/proposal-analysis/update-values', updateProposalAnalysisValues);
-router.get('/environmental-impact', getEnvironmentalImpact);
-router.get('/utility-bill-analysis', getUtilityBillAnalysis);
-router.get('/monthly-breakdown', getMonthlyBreakdown);
-
 // Protected routes - all results routes require authentication
 router.use(protect);
 
+// Result sections derived from a stored analysis (owner or admin only)
+router.get('/proposal-analysis/:resultId', getProposalAnalysis);
+router.put('/proposal-analysis/:resultId/update-values', updateProposalAnalysisValues);
+router.get('/environmental-impact/:resultId', getEnvironmentalImpact);
+router.get('/utility-bill-analysis/:resultId', getUtilityBillAnalysis);
+router.get('/monthly-breakdown/:resultId', getMonthlyBreakdown);
+router.get('/financing/:resultId', getFinancingScenarios);
+router.get('/battery/:resultId', getBatteryAnalysis);
+router.post('/battery/:resultId', analyzeBattery);
+
 // Get user's own results
 router.get('/', getUserResults);
 
@@ -3,23 +3,26 @@ const {
   uploadFiles,
   uploadProposal,
   uploadUtilityBill,
+  uploadGreenButton,
 } = require('../controllers/uploadController');
 const { protect } = require('../middleware/authMiddleware');
-const { upload, handleUploadErrors } = require('../middleware/uploadMiddleware');
+const { upload, handleUploadErrors, validateUploads } = require('../middleware/uploadMiddleware');
 
 const router = express.Router();
 
 // Protected routes - all upload routes require authentication
 router.use(protect);
 
-// Upload both proposal and utility bill files at once
+// Upload a proposal and up to 12 utility bills (and/or a Green Button export) at once
 router.post(
   '/',
   upload.fields([
     { name: 'proposalFile', maxCount: 1 },
-    { name: 'utilityBillFile', maxCount: 1 },
+    { name: 'utilityBillFile', maxCount: 12 },
+    { name: 'greenButtonFile', maxCount: 1 },
   ]),
   handleUploadErrors,
+  validateUploads,
   uploadFiles
 );
 
@@ -28,6 +31,7 @@ router.post(
   '/proposal',
   upload.single('proposalFile'),
   handleUploadErrors,
+  validateUploads,
   uploadProposal
 );
 
@@ -36,7 +40,17 @@ router.post(
   '/utility-bill',
   upload.single('utilityBillFile'),
   handleUploadErrors,
+  validateUploads,
   uploadUtilityBill
 );
 
+// Upload Green Button interval data (ESPI XML or CSV)
+router.post(
+  '/green-button',
+  upload.single('greenButtonFile'),
+  handleUploadErrors,
+  validateUploads,
+  uploadGreenButton
+);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+  getUtilityBillExtractedData,
+  correctUtilityBillExtractedData,
+} = require('../controllers/reviewController');
+const { downloadUtilityBillFile } = require('../controllers/documentController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Protected routes - utility bills are only visible to their owner (or an admin)
+router.use(protect);
+
+// Review and correct the extracted bill fields
+router.get('/:id/extracted', getUtilityBillExtractedData);
+router.patch('/:id/extracted', correctUtilityBillExtractedData);
+
+// Download the original file (decrypted from document storage)
+router.get('/:id/file', downloadUtilityBillFile);
+
+module.exports = router;
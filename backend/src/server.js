@@ -3,9 +3,11 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const morgan = require('morgan');
 const dotenv = require('dotenv');
-const path = require('path');
 const rateLimit = require('express-rate-limit');
 
+// Load environment variables before the routes read their configuration
+dotenv.config();
+
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
@@ -14,12 +16,16 @@ const solarPotentialRoutes = require('./routes/solarPotentialRoutes');
 const solarProductionRoutes = require('./routes/solarProductionRoutes');
 const srecIncentivesRoutes = require('./routes/srecIncentivesRoutes');
 const environmentalRoutes = require('./routes/environmentalRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const proposalRoutes = require('./routes/proposalRoutes');
+const utilityBillRoutes = require('./routes/utilityBillRoutes');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorMiddleware');
 
-// Load environment variables
-dotenv.config();
+// Import services
+const jobQueueService = require('./services/jobQueueService');
+const documentStorageService = require('./services/documentStorageService');
 
 // Initialize Express app
 const app = express();
@@ -28,7 +34,9 @@ const app = express();
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again after 15 minutes'
+  message: 'Too many requests from this IP, please try again after 15 minutes',
+  // Job status polling would otherwise exhaust the limit during a single upload
+  skip: (req) => req.method === 'GET' && req.path.startsWith('/jobs/'),
 });
 
 // Middleware
@@ -38,9 +46,6 @@ app.use(express.urlencoded({ extended: true }));
 app.use(morgan('dev')); // HTTP request logger
 app.use('/api', limiter); // Apply rate limiting to API endpoints
 
-// Static folder for uploaded files (if needed)
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/upload', uploadRoutes);
@@ -49,6 +54,9 @@ app.use('/api/solar-potential', solarPotentialRoutes);
 app.use('/api/solar-production', solarProductionRoutes);
 app.use('/api/srec-incentives', srecIncentivesRoutes);
 app.use('/api/environmental-impact', environmentalRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/proposals', proposalRoutes);
+app.use('/api/utility-bills', utilityBillRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -67,6 +75,12 @@ mongoose
   .then(() => {
     console.log('MongoDB connected successfully');
     
+    // Start the background job worker
+    jobQueueService.start();
+    
+    // Purge uploaded originals and extracted-text logs past the retention period
+    documentStorageService.startRetentionSweep();
+    
     // Start the server
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
@@ -1,15 +1,34 @@
 const { parseProposalPdf } = require('../utils/pdfParser');
 const { parseUtilityBillPdf } = require('../utils/utilityBillParser');
 const { parseUtilityBillImage } = require('../utils/imageProcessor');
-const { 
-  estimateMonthlyEnergyUsage,
-  calculateUtilityBill,
-  calculateUtilityBillWithSolar,
-  calculateSavings
-} = require('../utils/utilityBillParser');
+const { parseGreenButtonFile } = require('../utils/greenButtonParser');
+const { calculateSavings } = require('../utils/utilityBillParser');
+const { buildCashFlowModel } = require('../utils/cashFlowModel');
+const { buildFinancingScenarios } = require('../utils/financingModel');
+const { resolveTariff, calculateBill } = require('../utils/tariffEngine');
+const {
+  simulateBatteryDispatch,
+  calculateBackupHours,
+  calculateBatteryEconomics,
+} = require('../utils/batteryModel');
+const { resolveExportPolicy, calculateBillsWithExportCredits } = require('../utils/exportCompensation');
+const { auditProposal } = require('../utils/proposalAuditor');
+const {
+  MONTH_NAMES,
+  getLoadShape,
+  selectLoadShape,
+  synthesizeHourlyLoad,
+  overlayMeasuredLoad,
+  synthesizeHourlyProduction,
+  splitByMonth,
+} = require('../utils/loadProfile');
+const { toMonthlyUsage } = require('../utils/usageHistory');
+const { REQUIRED_FIELDS, findMissingFields } = require('../utils/fieldProvenance');
 const googleSunroofService = require('./googleSunroofService');
 const pvWattsService = require('./pvWattsService');
 const srecTradeService = require('./srecTradeService');
+const usageHistoryService = require('./usageHistoryService');
+const documentStorageService = require('./documentStorageService');
 const { logger } = require('../middleware/errorMiddleware');
 
 // Models
@@ -25,41 +44,59 @@ class AnalysisService {
    * Process a sales proposal file
    * @param {Object} proposalFile - File object from multer
    * @param {string} userId - User ID
+   * @param {string} [documentId] - Optional document ID to track through processing
    * @returns {Promise<Object>} - Processed proposal data
    */
-  async processProposal(proposalFile, userId) {
+  async processProposal(proposalFile, userId, documentId = null) {
+    const proposal = await this.createPendingProposal(proposalFile, userId);
+    return this.extractProposal(proposal, documentId);
+  }
+
+  /**
+   * Store an uploaded proposal file, encrypted, without parsing it yet
+   * @param {Object} proposalFile - File object from multer
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Proposal document with pending status
+   */
+  async createPendingProposal(proposalFile, userId) {
+    const storedFile = await documentStorageService.store(proposalFile.buffer, 'proposals');
+    return Proposal.create({
+      user: userId,
+      ...storedFile,
+      originalFilename: proposalFile.originalname,
+      fileSize: proposalFile.size,
+      mimeType: proposalFile.mimetype,
+      status: 'pending',
+    });
+  }
+
+  /**
+   * Parse a stored proposal and save the extracted data
+   * @param {Object} proposal - Proposal document
+   * @param {string} [documentId] - Optional document ID to track through processing
+   * @returns {Promise<Object>} - Processed proposal data, with needsReview set when required fields are missing
+   */
+  async extractProposal(proposal, documentId = null) {
     try {
-      // Parse the proposal PDF
-      const extractedData = await parseProposalPdf(proposalFile.path);
-      
-      // Create proposal record in database
-      const proposal = await Proposal.create({
-        user: userId,
-        filePath: proposalFile.path,
-        originalFilename: proposalFile.originalname,
-        fileSize: proposalFile.size,
-        mimeType: proposalFile.mimetype,
-        extractedData,
-        status: 'processed',
-      });
+      // Parse the proposal PDF; proposals missing required fields wait for review
+      proposal.extractedData = await documentStorageService.withDecryptedFile(proposal,
+        filePath => parseProposalPdf(filePath, documentId));
+      const needsReview = proposal.extractedData.missingFields.length > 0;
+      proposal.status = needsReview ? 'needs_review' : 'processed';
+      await proposal.save();
 
       return {
         success: true,
+        needsReview,
         proposal,
       };
     } catch (error) {
       logger.error(`Proposal processing error: ${error.message}`);
       
-      // Create proposal record with error status
-      const proposal = await Proposal.create({
-        user: userId,
-        filePath: proposalFile.path,
-        originalFilename: proposalFile.originalname,
-        fileSize: proposalFile.size,
-        mimeType: proposalFile.mimetype,
-        status: 'error',
-        processingErrors: [error.message],
-      });
+      // Keep the proposal record with error status
+      proposal.status = 'error';
+      proposal.processingErrors.push(error.message);
+      await proposal.save();
 
       return {
         success: false,
@@ -76,47 +113,73 @@ class AnalysisService {
    * @returns {Promise<Object>} - Processed utility bill data
    */
   async processUtilityBill(utilityBillFile, userId) {
+    const utilityBill = await this.createPendingUtilityBill(utilityBillFile, userId);
+    return this.extractUtilityBill(utilityBill);
+  }
+
+  /**
+   * Store an uploaded utility bill file, encrypted, without parsing it yet
+   * @param {Object} utilityBillFile - File object from multer
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Utility bill document with pending status
+   */
+  async createPendingUtilityBill(utilityBillFile, userId) {
+    const storedFile = await documentStorageService.store(utilityBillFile.buffer, 'utilityBills');
+    return UtilityBill.create({
+      user: userId,
+      ...storedFile,
+      originalFilename: utilityBillFile.originalname,
+      fileSize: utilityBillFile.size,
+      mimeType: utilityBillFile.mimetype,
+      fileType: this._utilityBillFileType(utilityBillFile),
+      status: 'pending',
+    });
+  }
+
+  /**
+   * Work out how an uploaded utility bill file should be parsed
+   * @param {Object} utilityBillFile - File object from multer
+   * @returns {string} - 'green-button', 'pdf' or 'image'
+   * @private
+   */
+  _utilityBillFileType(utilityBillFile) {
+    if (utilityBillFile.fieldname === 'greenButtonFile') return 'green-button';
+    return utilityBillFile.mimetype === 'application/pdf' ? 'pdf' : 'image';
+  }
+
+  /**
+   * Parse a stored utility bill and save the extracted data
+   * @param {Object} utilityBill - Utility bill document
+   * @returns {Promise<Object>} - Processed utility bill data, with needsReview set when required fields are missing
+   */
+  async extractUtilityBill(utilityBill) {
     try {
-      let extractedData;
-      const fileType = utilityBillFile.mimetype === 'application/pdf' ? 'pdf' : 'image';
-      
       // Parse the utility bill based on file type
-      if (fileType === 'pdf') {
-        extractedData = await parseUtilityBillPdf(utilityBillFile.path);
-      } else {
-        extractedData = await parseUtilityBillImage(utilityBillFile.path);
-      }
-      
-      // Create utility bill record in database
-      const utilityBill = await UtilityBill.create({
-        user: userId,
-        filePath: utilityBillFile.path,
-        originalFilename: utilityBillFile.originalname,
-        fileSize: utilityBillFile.size,
-        mimeType: utilityBillFile.mimetype,
-        fileType,
-        extractedData,
-        status: 'processed',
+      utilityBill.extractedData = await documentStorageService.withDecryptedFile(utilityBill, (filePath) => {
+        if (utilityBill.fileType === 'green-button') {
+          return parseGreenButtonFile(filePath);
+        } else if (utilityBill.fileType === 'pdf') {
+          return parseUtilityBillPdf(filePath);
+        }
+        return parseUtilityBillImage(filePath);
       });
+      // Bills missing required fields wait for review
+      const needsReview = utilityBill.extractedData.missingFields.length > 0;
+      utilityBill.status = needsReview ? 'needs_review' : 'processed';
+      await utilityBill.save();
 
       return {
         success: true,
+        needsReview,
         utilityBill,
       };
     } catch (error) {
       logger.error(`Utility bill processing error: ${error.message}`);
       
-      // Create utility bill record with error status
-      const utilityBill = await UtilityBill.create({
-        user: userId,
-        filePath: utilityBillFile.path,
-        originalFilename: utilityBillFile.originalname,
-        fileSize: utilityBillFile.size,
-        mimeType: utilityBillFile.mimetype,
-        fileType: utilityBillFile.mimetype === 'application/pdf' ? 'pdf' : 'image',
-        status: 'error',
-        processingErrors: [error.message],
-      });
+      // Keep the utility bill record with error status
+      utilityBill.status = 'error';
+      utilityBill.processingErrors.push(error.message);
+      await utilityBill.save();
 
       return {
         success: false,
@@ -133,9 +196,22 @@ class AnalysisService {
    * @param {string} utilityBillId - Utility bill document ID
    * @param {string} userId - User ID
    * @param {Object} locationData - User location data (optional)
-   * @returns {Promise<Object>} - Analysis results
+   * @param {Object} [options] - Additional options
+   * @param {Function} [options.onProgress] - Called with (percent, message) as each step finishes
+   * @param {Object} [options.financialAssumptions] - Overrides for the cash-flow model assumptions
+   * @param {string} [options.tariffId] - Tariff to bill against instead of the one matched from the bill
+   * @param {Object} [options.exportCompensation] - Overrides for the tariff's export compensation policy
+   * @param {string} [options.loadShapeId] - Load-shape template instead of the one picked from the usage pattern
+   * @param {string} [options.resultId] - Existing result to regenerate in place instead of creating a new one
+   * @returns {Promise<Object>} - Analysis results, or needsReview when a document is missing required fields
    */
-  async generateResults(proposalId, utilityBillId, userId, locationData = null) {
+  async generateResults(proposalId, utilityBillId, userId, locationData = null, options = {}) {
+    const reportProgress = async (percent, message) => {
+      if (options.onProgress) {
+        await options.onProgress(percent, message);
+      }
+    };
+
     try {
       // Get proposal and utility bill data
       const proposal = await Proposal.findById(proposalId);
@@ -145,21 +221,53 @@ class AnalysisService {
         throw new Error('Proposal or utility bill not found');
       }
 
-      // Create a new result document with pending status
-      const result = await Result.create({
-        user: userId,
-        proposal: proposalId,
-        utilityBill: utilityBillId,
-        status: 'pending',
+      // Bill against the utility's TOU/tiered tariff when one is available, otherwise the flat extracted rate
+      const electricityRate = utilityBill.extractedData.rate;
+      const tariff = resolveTariff({
+        tariffId: options.tariffId,
+        utilityCompany: utilityBill.extractedData.utilityCompany,
+        rate: electricityRate,
       });
 
+      // Never analyze with required values the extraction couldn't find. A bill without a rate
+      // (e.g. Green Button data without costs) is only usable when a published tariff bills it
+      const billFields = REQUIRED_FIELDS[utilityBill.fileType === 'green-button' ? 'greenButton' : 'utilityBill'];
+      const unreviewed = await this._holdForReview([
+        ['Proposal', proposal, REQUIRED_FIELDS.proposal],
+        ['Utility bill', utilityBill, tariff.id === 'flat' ? [...new Set([...billFields, 'rate'])] : billFields],
+      ]);
+      if (unreviewed.length > 0) {
+        return {
+          success: false,
+          needsReview: true,
+          error: unreviewed
+            .map(([label, document]) => `${label} needs review (missing ${document.extractedData.missingFields.join(', ')})`)
+            .join('; '),
+        };
+      }
+
+      // Create a new result document with pending status, or reset the one being regenerated
+      const result = options.resultId
+        ? await Result.findByIdAndUpdate(options.resultId, { status: 'pending' }, { new: true })
+        : await Result.create({
+          user: userId,
+          proposal: proposalId,
+          utilityBill: utilityBillId,
+          status: 'pending',
+        });
+
+      if (!result) {
+        throw new Error('Result to regenerate not found');
+      }
+
       // Extract necessary data for analysis
-      const systemSize = proposal.extractedData.systemSize || 10; // Default to 10kW if not found
+      const systemSize = proposal.extractedData.systemSize;
       const estimatedProduction = proposal.extractedData.estimatedProduction;
-      const energyUsage = utilityBill.extractedData.energyUsage || 1000; // Default to 1000 kWh if not found
-      const electricityRate = utilityBill.extractedData.rate || 0.15; // Default to $0.15/kWh if not found
+      const energyUsage = utilityBill.extractedData.energyUsage;
+      const exportPolicy = resolveExportPolicy(tariff, options.exportCompensation);
 
-      // Generate location data if not provided
+      // Use the location given with the upload, or the one in the user's profile. Without either
+      // no location is assumed: production falls back to a generic estimate
       let coordinates = null;
       let state = null;
 
@@ -167,58 +275,120 @@ class AnalysisService {
         coordinates = locationData.coordinates;
         state = locationData.state;
       } else {
-        // Try to get from user profile or generate random coordinates for NYC area as fallback
         const User = require('../models/userModel');
         const user = await User.findById(userId);
         if (user && user.location) {
           coordinates = user.location.coordinates;
           state = user.location.state;
-        } else {
-          // Random coordinates for NYC area as default
-          coordinates = {
-            latitude: 40.7128 + (Math.random() * 0.1 - 0.05),
-            longitude: -74.0060 + (Math.random() * 0.1 - 0.05)
-          };
-          state = 'NY';
         }
       }
 
       // Generate solar potential data
+      await reportProgress(10, 'Checking roof solar potential');
       let solarPotential = await this._generateSolarPotentialData(systemSize, coordinates);
 
-      // Generate solar production data
-      let solarProduction = await this._generateSolarProductionData(systemSize, coordinates);
+      // Generate solar production data (hourly PVWatts output is kept out of the stored summary);
+      // without PVWatts output it is a generic estimate, never missing
+      await reportProgress(30, 'Estimating solar production');
+      const { hourlyProduction, ...solarProduction } = await this._generateSolarProductionData(systemSize, coordinates);
 
       // Generate SREC incentives data
+      await reportProgress(50, 'Looking up SREC incentives');
       let srecIncentives = await this._generateSrecIncentivesData(state, systemSize, 
-        estimatedProduction || (solarProduction ? solarProduction.annualProduction : systemSize * 1400));
+        estimatedProduction || solarProduction.annualProduction);
         
       // Generate environmental impact data
+      await reportProgress(70, 'Calculating environmental impact');
       let environmentalImpact = await this._generateEnvironmentalImpactData(
         proposal.extractedData,
         systemSize,
-        estimatedProduction || (solarProduction ? solarProduction.annualProduction : systemSize * 1400),
+        estimatedProduction || solarProduction.annualProduction,
         coordinates
       );
 
-      // Calculate monthly breakdown
-      const monthlyBreakdown = this._generateMonthlyBreakdown(
-        solarProduction,
-        utilityBill.extractedData.monthlyUsage || this._generateMonthlyUsage(energyUsage * 12),
-        electricityRate
-      );
+      await reportProgress(90, 'Calculating savings');
 
-      // Calculate solar savings
-      const solarSavings = this._calculateSolarSavings(
+      // Simulate the year hour by hour: load from the account's 12-month usage history (or a
+      // seasonal estimate from this bill) and a residential load-shape template, with measured
+      // Green Button hours in place of the template where available; production from PVWatts
+      // hourly output when available
+      const usageHistory = await usageHistoryService.getForBill(utilityBill);
+      const monthlyUsage = usageHistory
+        ? toMonthlyUsage(usageHistory.months)
+        : this._generateMonthlyUsage(energyUsage * 12);
+      const loadShape = selectLoadShape(monthlyUsage, options.loadShapeId);
+      const intervalLoad = await usageHistoryService.getIntervalLoad(utilityBill, usageHistory);
+      const templateLoad = synthesizeHourlyLoad(monthlyUsage, loadShape);
+      const hourlyLoad = intervalLoad ? overlayMeasuredLoad(templateLoad, intervalLoad) : templateLoad;
+      const hourlySolar = hourlyProduction || synthesizeHourlyProduction(solarProduction.monthlyProduction);
+      const productionSource = hourlyProduction && solarProduction.source === 'pvwatts' ? 'pvwatts-hourly' : 'monthly-estimate';
+
+      // Calculate monthly breakdown from the hourly net load
+      const monthlyBreakdown = this._generateMonthlyBreakdown(hourlyLoad, hourlySolar, tariff, exportPolicy);
+      const energyFlows = this._summarizeEnergyFlows(monthlyBreakdown, {
+        loadShape: loadShape?.id,
+        productionSource,
+        usageSource: intervalLoad ? 'interval-data' : usageHistory ? 'usage-history' : 'single-bill-estimate',
+        measuredUsageMonths: usageHistory?.measuredMonths || 0,
+      });
+
+      // Calculate solar savings over the system lifetime
+      const { solarSavings, cashFlow } = this._calculateSolarSavings(
         monthlyBreakdown,
-        proposal.extractedData.pricing ? proposal.extractedData.pricing.netCost : systemSize * 3000
+        proposal.extractedData.pricing.netCost,
+        systemSize,
+        options.financialAssumptions
       );
 
+      // Compare cash, loan, lease and PPA offers against the monthly bill savings
+      const financingScenarios = buildFinancingScenarios({
+        financing: proposal.extractedData.financing,
+        pricing: proposal.extractedData.pricing,
+        systemSize,
+        monthlyBreakdown,
+        assumptions: options.financialAssumptions,
+      });
+
+      // Check the installer's claims against PVWatts, regional prices and the tariff model
+      const proposalAudit = auditProposal({
+        proposalData: proposal.toObject().extractedData || {},
+        state,
+        productionEstimate: {
+          annualProduction: solarProduction.annualProduction,
+          source: solarProduction.source,
+        },
+        monthlyBreakdown,
+        cashFlowYears: cashFlow.years,
+      });
+
       // Update the result document with calculated data
       const updatedResult = await Result.findByIdAndUpdate(
         result._id,
         {
+          tariff: {
+            id: tariff.id,
+            name: tariff.name,
+            utility: tariff.utility,
+            rateSource: tariff.id === 'flat' ? 'bill' : 'tariff',
+          },
+          exportCompensation: {
+            type: exportPolicy.type,
+            trueUp: exportPolicy.trueUp,
+            trueUpMonth: exportPolicy.trueUpMonth,
+          },
+          location: {
+            latitude: coordinates?.latitude,
+            longitude: coordinates?.longitude,
+            state,
+          },
+          energyFlows,
           solarSavings,
+          cashFlow,
+          financingScenarios,
+          proposalAudit: {
+            ...proposalAudit,
+            auditedAt: new Date(),
+          },
           monthlyBreakdown,
           solarPotential,
           solarProduction,
@@ -229,6 +399,8 @@ class AnalysisService {
         { new: true }
       );
 
+      await reportProgress(100, 'Analysis complete');
+
       return {
         success: true,
         result: updatedResult,
@@ -242,6 +414,34 @@ class AnalysisService {
     }
   }
 
+  /**
+   * Find the documents an analysis must wait on and put them in review
+   * A document already in needs_review waits as it is; one that is missing a value required for
+   * this analysis (e.g. a rate no tariff can stand in for) is moved to needs_review, so the
+   * correction that fills it resumes the job.
+   * @param {Array} entries - [label, document, required field paths] per document
+   * @returns {Promise<Array>} - [label, document] of the documents waiting for review
+   * @private
+   */
+  async _holdForReview(entries) {
+    const held = [];
+
+    for (const [label, document, requiredFields] of entries) {
+      if (document.status !== 'needs_review') {
+        const missingFields = findMissingFields(document.toObject().extractedData || {}, requiredFields);
+        if (missingFields.length === 0) continue;
+
+        document.status = 'needs_review';
+        document.extractedData.missingFields = missingFields;
+        await document.save();
+        logger.warn(`${label} ${document._id} needs review before analysis: missing ${missingFields.join(', ')}`);
+      }
+      held.push([label, document]);
+    }
+
+    return held;
+  }
+
   /**
    * Generate solar potential data
    * @param {number} systemSize - System size in kW
@@ -294,7 +494,7 @@ class AnalysisService {
    * Generate solar production data
    * @param {number} systemSize - System size in kW
    * @param {Object} coordinates - Latitude and longitude
-   * @returns {Promise<Object>} - Solar production data
+   * @returns {Promise<Object>} - Solar production data; source is 'pvwatts' only for real PVWatts output
    * @private
    */
   async _generateSolarProductionData(systemSize, coordinates) {
@@ -305,10 +505,12 @@ class AnalysisService {
           systemCapacity: systemSize,
           latitude: coordinates.latitude,
           longitude: coordinates.longitude,
+          timeframe: 'hourly',
         });
         
-        if (pvWattsResult.success) {
-          return pvWattsService.formatSolarProduction(pvWattsResult.data);
+        // PVWatts' mock output is the same generic estimate as below, not a modeled location
+        if (pvWattsResult.success && !pvWattsResult.mock) {
+          return { ...pvWattsService.formatSolarProduction(pvWattsResult.data), source: 'pvwatts' };
         }
       }
       
@@ -333,6 +535,7 @@ class AnalysisService {
         annualProduction,
         monthlyProduction,
         capacityFactor: parseFloat((annualProduction / (systemSize * 8760)).toFixed(3)),
+        source: 'estimate',
       };
     } catch (error) {
       logger.error(`Solar production data generation error: ${error.message}`);
@@ -357,6 +560,7 @@ class AnalysisService {
           December: Math.round(annualProduction * 0.057),
         },
         capacityFactor: 0.16,
+        source: 'estimate',
       };
     }
   }
@@ -498,37 +702,50 @@ class AnalysisService {
   }
 
   /**
-   * Generate monthly breakdown of energy usage, production, and savings
-   * @param {Object} solarProduction - Solar production data
-   * @param {Object} monthlyUsage - Monthly energy usage data
-   * @param {number} electricityRate - Electricity rate in $/kWh
+   * Generate monthly breakdown of energy usage, production, and savings from hourly series
+   * Bills with solar follow the export compensation policy, carrying credits between months
+   * @param {Array} hourlyLoad - 8760 hourly household loads in kWh
+   * @param {Array} hourlyProduction - 8760 hourly solar production values in kWh
+   * @param {Object} tariff - Tariff from tariffEngine.resolveTariff
+   * @param {Object} exportPolicy - Policy from exportCompensation.resolveExportPolicy
    * @returns {Array} - Monthly breakdown data
    * @private
    */
-  _generateMonthlyBreakdown(solarProduction, monthlyUsage, electricityRate) {
-    const monthNames = [
-      'January', 'February', 'March', 'April', 'May', 'June',
-      'July', 'August', 'September', 'October', 'November', 'December'
-    ];
+  _generateMonthlyBreakdown(hourlyLoad, hourlyProduction, tariff, exportPolicy) {
+    const loadByMonth = splitByMonth(hourlyLoad);
+    const productionByMonth = splitByMonth(hourlyProduction);
     
-    return monthNames.map(month => {
-      const usage = monthlyUsage[month] || 0;
-      const production = solarProduction?.monthlyProduction?.[month] || 0;
-      
-      // Calculate grid consumption after solar
-      const gridConsumption = Math.max(0, usage - production);
+    const months = MONTH_NAMES.map((month, monthIndex) => ({
+      monthIndex,
+      usage: loadByMonth[monthIndex],
+      production: productionByMonth[monthIndex],
+    }));
+    
+    // Bills with solar, with export credits carried forward to the true-up
+    const settlements = calculateBillsWithExportCredits({ tariff, policy: exportPolicy, months });
+    
+    return months.map(({ monthIndex, usage, production }) => {
+      const settlement = settlements[monthIndex];
+      const sum = (intervals) => intervals.reduce((total, interval) => total + interval.kwh, 0);
       
-      // Calculate utility bills with and without solar
-      const utilityBillWithoutSolar = parseFloat((usage * electricityRate).toFixed(2));
-      const utilityBillWithSolar = parseFloat((gridConsumption * electricityRate).toFixed(2));
+      // Calculate utility bills with and without solar under the tariff
+      const utilityBillWithoutSolar = calculateBill(tariff, monthIndex, usage).total;
+      const utilityBillWithSolar = settlement.billWithSolar;
       
       // Calculate savings
-      const savings = parseFloat((utilityBillWithoutSolar - utilityBillWithSolar).toFixed(2));
+      const savings = calculateSavings(utilityBillWithoutSolar, utilityBillWithSolar) || 0;
       
       return {
-        month,
-        solarProduction: production,
-        gridConsumption,
+        month: MONTH_NAMES[monthIndex],
+        energyUsage: Math.round(sum(usage)),
+        solarProduction: Math.round(sum(production)),
+        gridConsumption: settlement.importedEnergy,
+        selfConsumedEnergy: settlement.selfConsumedEnergy,
+        exportedEnergy: settlement.exportedEnergy,
+        exportCredit: settlement.exportCredit,
+        creditApplied: settlement.creditApplied,
+        creditCarriedForward: settlement.creditCarriedForward,
+        creditForfeited: settlement.creditForfeited,
         utilityBillWithSolar,
         utilityBillWithoutSolar,
         savings,
@@ -537,40 +754,215 @@ class AnalysisService {
   }
 
   /**
-   * Calculate solar savings metrics
+   * Summarize annual energy flows from the monthly breakdown
+   * @param {Array} monthlyBreakdown - Monthly breakdown data
+   * @param {Object} sources - Where the hourly series came from
+   * @param {string} [sources.loadShape] - Load-shape template ID
+   * @param {string} sources.productionSource - 'pvwatts-hourly' or 'monthly-estimate'
+   * @param {string} [sources.usageSource] - 'interval-data', 'usage-history' or 'single-bill-estimate'
+   * @param {number} [sources.measuredUsageMonths] - Months of the usage history backed by bill readings
+   * @returns {Object} - Annual energy flows
+   * @private
+   */
+  _summarizeEnergyFlows(monthlyBreakdown, { loadShape, productionSource, usageSource, measuredUsageMonths }) {
+    const total = (field) => monthlyBreakdown.reduce((sum, month) => sum + (month[field] || 0), 0);
+    
+    const annualUsage = total('energyUsage');
+    const annualProduction = total('solarProduction');
+    const selfConsumedEnergy = total('selfConsumedEnergy');
+    
+    return {
+      loadShape,
+      productionSource,
+      usageSource,
+      measuredUsageMonths,
+      annualUsage,
+      annualProduction,
+      gridConsumption: total('gridConsumption'),
+      selfConsumedEnergy,
+      exportedEnergy: total('exportedEnergy'),
+      // Share of production used on site, and share of usage covered by solar
+      selfConsumptionRate: annualProduction > 0 ? parseFloat((selfConsumedEnergy / annualProduction * 100).toFixed(1)) : 0,
+      solarFraction: annualUsage > 0 ? parseFloat((selfConsumedEnergy / annualUsage * 100).toFixed(1)) : 0,
+    };
+  }
+
+  /**
+   * Calculate solar savings metrics from a lifetime cash-flow model
    * @param {Array} monthlyBreakdown - Monthly breakdown data
    * @param {number} systemCost - Net cost of the solar system
-   * @returns {Object} - Solar savings metrics
+   * @param {number} systemSize - System size in kW DC
+   * @param {Object} [financialAssumptions] - Overrides for the configured financial assumptions
+   * @returns {Object} - Solar savings metrics and the yearly cash-flow series
    * @private
    */
-  _calculateSolarSavings(monthlyBreakdown, systemCost) {
-    // Calculate annual savings from monthly breakdown
-    const annualSavings = monthlyBreakdown.reduce((total, month) => total + month.savings, 0);
+  _calculateSolarSavings(monthlyBreakdown, systemCost, systemSize, financialAssumptions = {}) {
+    // Calculate first-year savings and production from monthly breakdown
+    const annualSavings = parseFloat(monthlyBreakdown.reduce((total, month) => total + month.savings, 0).toFixed(2));
+    const annualProduction = monthlyBreakdown.reduce((total, month) => total + month.solarProduction, 0);
     
     // Calculate monthly average savings
     const monthlySavings = parseFloat((annualSavings / 12).toFixed(2));
     
-    // Assume 2.5% electricity price inflation per year
-    const inflationRate = 0.025;
-    
-    // Calculate 20-year savings with inflation
-    let twentyYearSavings = 0;
-    for (let year = 0; year < 20; year++) {
-      twentyYearSavings += annualSavings * Math.pow(1 + inflationRate, year);
-    }
-    twentyYearSavings = Math.round(twentyYearSavings);
+    // Project savings and costs year by year with degradation, escalation, O&M and inverter replacement
+    const cashFlowModel = buildCashFlowModel({
+      systemCost,
+      systemSize,
+      firstYearSavings: annualSavings,
+      firstYearProduction: annualProduction,
+      assumptions: financialAssumptions,
+    });
     
-    // Calculate payback period in years
-    const paybackPeriod = parseFloat((systemCost / annualSavings).toFixed(1));
+    // Bill savings over the first 20 years
+    const twentyYearSavings = Math.round(
+      cashFlowModel.years.slice(0, 20).reduce((total, year) => total + year.billSavings, 0)
+    );
     
     return {
-      monthlySavings,
-      annualSavings,
-      twentyYearSavings,
-      paybackPeriod,
+      solarSavings: {
+        monthlySavings,
+        annualSavings,
+        twentyYearSavings,
+        paybackPeriod: cashFlowModel.paybackPeriod,
+        discountedPaybackPeriod: cashFlowModel.discountedPaybackPeriod,
+        npv: cashFlowModel.npv,
+        irr: cashFlowModel.irr,
+        lcoe: cashFlowModel.lcoe,
+        lifetimeSavings: cashFlowModel.lifetimeSavings,
+      },
+      cashFlow: {
+        assumptions: cashFlowModel.assumptions,
+        years: cashFlowModel.years,
+      },
     };
   }
 
+  /**
+   * Simulate a home battery added to the solar system of a stored result
+   * Rebuilds the hourly load and production for the result, dispatches the battery
+   * against them and compares bills with and without it under the same tariff
+   * @param {Object} result - Completed result populated with proposal and utility bill
+   * @param {Object} battery - Parameters from batteryModel.resolveBatteryParams
+   * @returns {Promise<Object>} - Battery analysis stored on the result
+   */
+  async analyzeBattery(result, battery) {
+    try {
+      const billData = result.utilityBill?.extractedData || {};
+      const systemSize = result.proposal?.extractedData?.systemSize;
+
+      // Same tariff and export policy as the original analysis
+      const tariff = resolveTariff({
+        tariffId: result.tariff?.id !== 'flat' ? result.tariff?.id : undefined,
+        utilityCompany: billData.utilityCompany,
+        rate: billData.rate,
+      });
+      const exportPolicy = resolveExportPolicy(tariff, result.exportCompensation?.type
+        ? {
+            type: result.exportCompensation.type,
+            trueUp: result.exportCompensation.trueUp,
+            trueUpMonth: result.exportCompensation.trueUpMonth,
+          }
+        : {});
+
+      // Hourly load from the stored monthly usage
+      const monthlyUsage = {};
+      (result.monthlyBreakdown || []).forEach(month => {
+        monthlyUsage[month.month] = month.energyUsage;
+      });
+      if (!Object.values(monthlyUsage).some(Boolean)) {
+        Object.assign(monthlyUsage, this._generateMonthlyUsage(billData.energyUsage * 12));
+      }
+      const loadShape = getLoadShape(result.energyFlows?.loadShape) || selectLoadShape(monthlyUsage);
+      let hourlyLoad = synthesizeHourlyLoad(monthlyUsage, loadShape);
+      if (result.energyFlows?.usageSource === 'interval-data') {
+        const usageHistory = await usageHistoryService.getForBill(result.utilityBill);
+        const intervalLoad = await usageHistoryService.getIntervalLoad(result.utilityBill, usageHistory);
+        if (intervalLoad) {
+          hourlyLoad = overlayMeasuredLoad(hourlyLoad, intervalLoad);
+        }
+      }
+
+      // Hourly production from PVWatts when the location is known
+      let hourlySolar = null;
+      if (result.location?.latitude && result.location?.longitude) {
+        const solarProduction = await this._generateSolarProductionData(systemSize, result.location);
+        hourlySolar = solarProduction?.hourlyProduction;
+      }
+      if (!hourlySolar) {
+        const monthlyProduction = {};
+        (result.monthlyBreakdown || []).forEach(month => {
+          monthlyProduction[month.month] = month.solarProduction;
+        });
+        hourlySolar = synthesizeHourlyProduction(monthlyProduction);
+      }
+
+      // Bills with solar only, and with solar plus the battery
+      const solarOnly = this._generateMonthlyBreakdown(hourlyLoad, hourlySolar, tariff, exportPolicy);
+      const dispatch = simulateBatteryDispatch({ hourlyLoad, hourlyProduction: hourlySolar, tariff, battery });
+      const withBattery = this._generateMonthlyBreakdown(
+        dispatch.gridNet.map(net => Math.max(0, net)),
+        dispatch.gridNet.map(net => Math.max(0, -net)),
+        tariff,
+        exportPolicy
+      );
+
+      const monthly = MONTH_NAMES.map((month, monthIndex) => {
+        const billWithSolar = solarOnly[monthIndex].utilityBillWithSolar;
+        const billWithBattery = withBattery[monthIndex].utilityBillWithSolar;
+        return {
+          month,
+          billWithSolar,
+          billWithBattery,
+          addedSavings: parseFloat((billWithSolar - billWithBattery).toFixed(2)),
+        };
+      });
+
+      const total = (rows, field) => rows.reduce((sum, row) => sum + row[field], 0);
+      const annualBillWithSolar = parseFloat(total(monthly, 'billWithSolar').toFixed(2));
+      const annualBillWithBattery = parseFloat(total(monthly, 'billWithBattery').toFixed(2));
+      const addedAnnualSavings = parseFloat((annualBillWithSolar - annualBillWithBattery).toFixed(2));
+
+      // The battery breakdown is built from grid flows, so its "production" is what is still exported
+      const annualProduction = total(solarOnly, 'solarProduction');
+      const exportedWithBattery = total(withBattery, 'solarProduction');
+
+      const batteryAnalysis = {
+        inputs: battery,
+        annualBillWithSolar,
+        annualBillWithBattery,
+        addedAnnualSavings,
+        energyCharged: dispatch.energyCharged,
+        energyDischarged: dispatch.energyDischarged,
+        equivalentCycles: dispatch.equivalentCycles,
+        selfConsumptionRate: annualProduction > 0
+          ? parseFloat((Math.max(0, annualProduction - exportedWithBattery) / annualProduction * 100).toFixed(1))
+          : 0,
+        ...calculateBackupHours(battery),
+        ...calculateBatteryEconomics({
+          battery,
+          firstYearSavings: addedAnnualSavings,
+          state: result.location?.state,
+          financialAssumptions: result.cashFlow?.assumptions,
+        }),
+        monthly,
+        analyzedAt: new Date(),
+      };
+
+      const updatedResult = await Result.findByIdAndUpdate(result._id, { batteryAnalysis }, { new: true });
+
+      return {
+        success: true,
+        batteryAnalysis: updatedResult.batteryAnalysis,
+      };
+    } catch (error) {
+      logger.error(`Battery analysis error: ${error.message}`);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
   /**
    * Get analysis results for a user
    * @param {string} userId - User ID
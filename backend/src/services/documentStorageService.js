@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const storageConfig = require('../config/storageConfig');
+const { getStorageBackend } = require('./storageBackends');
+const { decodeKey, encryptFile, decryptFile } = require('../utils/fileEncryption');
+const { logger } = require('../middleware/errorMiddleware');
+
+// Models
+const Proposal = require('../models/proposalModel');
+const UtilityBill = require('../models/utilityBillModel');
+const QuarantinedFile = require('../models/quarantinedFileModel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Extensions of the decrypted copies handed to the parsers, by stored MIME type
+const EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'application/xml': '.xml',
+  'text/csv': '.csv',
+};
+
+/**
+ * Service storing uploaded documents encrypted at rest
+ * Originals are encrypted with AES-256-GCM before they reach the configured backend (local disk
+ * or an S3-compatible bucket), are only handed out through the authorized download routes, and
+ * are purged with the extracted-text logs once the retention period has passed.
+ */
+class DocumentStorageService {
+  constructor() {
+    this.key = null;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Encrypt and store an uploaded file
+   * @param {Buffer} data - File contents
+   * @param {string} folder - Folder of the document kind, e.g. proposals or utilityBills
+   * @returns {Promise<Object>} - { storageBackend, storageKey } to save on the document
+   */
+  async store(data, folder) {
+    const backend = getStorageBackend(storageConfig.backend);
+    const storageKey = `${folder}/${crypto.randomUUID()}`;
+
+    await backend.put(storageKey, encryptFile(data, this._getKey(), storageKey));
+    logger.info(`Stored ${folder} document ${storageKey} (${data.length} bytes) in ${backend.name} storage`);
+
+    return { storageBackend: backend.name, storageKey };
+  }
+
+  /**
+   * Read and decrypt a document's original file
+   * Documents uploaded before encrypted storage keep their plain file at filePath.
+   * @param {Object} document - Proposal, UtilityBill or QuarantinedFile document
+   * @returns {Promise<Buffer>} - File contents
+   */
+  async read(document) {
+    if (document.fileDeletedAt) {
+      throw new Error('The original file was deleted after the retention period');
+    }
+    if (!document.storageKey) {
+      return fs.promises.readFile(document.filePath);
+    }
+
+    const encrypted = await getStorageBackend(document.storageBackend).get(document.storageKey);
+    return decryptFile(encrypted, this._getKey(), document.storageKey);
+  }
+
+  /**
+   * Run a parser on a decrypted copy of a document's original file
+   * The parsers read files by path, so the copy lives in a private temporary directory that is
+   * removed as soon as the callback finishes.
+   * @param {Object} document - Proposal or UtilityBill document
+   * @param {Function} callback - Called with the temporary file path; its result is returned
+   * @returns {Promise<*>} - Result of the callback
+   */
+  async withDecryptedFile(document, callback) {
+    const data = await this.read(document);
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'solar-insight-'));
+    // Name the copy after the type detected at upload, never after the user's filename
+    const extension = EXTENSIONS[document.mimeType] || path.extname(document.originalFilename || '').toLowerCase();
+    const filePath = path.join(directory, `document${extension}`);
+
+    try {
+      await fs.promises.writeFile(filePath, data, { mode: 0o600 });
+      return await callback(filePath);
+    } finally {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Keep a rejected upload, encrypted, for inspection instead of processing it
+   * @param {Object} file - File object from multer (memory storage)
+   * @param {Object} error - FileValidationError the file was rejected with
+   * @param {string} userId - ID of the uploading user
+   * @returns {Promise<Object>} - QuarantinedFile document
+   */
+  async quarantine(file, error, userId) {
+    const storedFile = await this.store(file.buffer, 'quarantine');
+    const quarantinedFile = await QuarantinedFile.create({
+      user: userId,
+      field: file.fieldname,
+      originalFilename: file.originalname,
+      declaredMimeType: file.mimetype,
+      fileSize: file.size,
+      sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      code: error.code,
+      reason: error.message,
+      ...storedFile,
+    });
+
+    logger.warn(`Quarantined upload ${quarantinedFile._id} from user ${userId} (${error.code}): ${error.message}`);
+    return quarantinedFile;
+  }
+
+  /**
+   * Delete a document's original file and mark it deleted
+   * @param {Object} document - Proposal, UtilityBill or QuarantinedFile document (saved by this method)
+   * @returns {Promise<void>}
+   */
+  async deleteOriginal(document) {
+    if (document.storageKey) {
+      await getStorageBackend(document.storageBackend).remove(document.storageKey);
+    } else if (document.filePath) {
+      await fs.promises.rm(document.filePath, { force: true });
+    }
+
+    document.fileDeletedAt = new Date();
+    await document.save();
+  }
+
+  /**
+   * Delete originals, quarantined files and extracted-text logs older than the retention period
+   * Extracted data and results are kept; only the uploaded files and the logs holding their text go.
+   * @returns {Promise<Object>} - { documents, logFiles } counts of what was deleted
+   */
+  async purgeExpired() {
+    const { days, logDirectories } = storageConfig.retention;
+    if (!(days > 0)) return { documents: 0, logFiles: 0 };
+
+    const cutoff = new Date(Date.now() - days * DAY_MS);
+    let documents = 0;
+
+    for (const Model of [Proposal, UtilityBill, QuarantinedFile]) {
+      const expired = await Model.find({ createdAt: { $lt: cutoff }, fileDeletedAt: null });
+      for (const document of expired) {
+        try {
+          await this.deleteOriginal(document);
+          documents += 1;
+        } catch (error) {
+          logger.error(`Could not purge the original of ${Model.modelName} ${document._id}: ${error.message}`);
+        }
+      }
+    }
+
+    let logFiles = 0;
+    for (const directory of logDirectories) {
+      const entries = await fs.promises.readdir(directory, { withFileTypes: true }).catch(() => []);
+      for (const entry of entries.filter(item => item.isFile())) {
+        const filePath = path.join(directory, entry.name);
+        const { mtime } = await fs.promises.stat(filePath);
+        if (mtime < cutoff) {
+          await fs.promises.rm(filePath, { force: true });
+          logFiles += 1;
+        }
+      }
+    }
+
+    if (documents > 0 || logFiles > 0) {
+      logger.info(`Retention purge deleted ${documents} original or quarantined files and ${logFiles} log files older than ${days} days`);
+    }
+    return { documents, logFiles };
+  }
+
+  /**
+   * Start purging expired documents at the configured interval
+   */
+  startRetentionSweep() {
+    const { days, sweepIntervalMs } = storageConfig.retention;
+    if (this.sweepTimer || !(days > 0)) return;
+
+    const sweep = () => this.purgeExpired().catch(error => logger.error(`Retention purge error: ${error.message}`));
+    this.sweepTimer = setInterval(sweep, sweepIntervalMs);
+    this.sweepTimer.unref();
+    setImmediate(sweep);
+    logger.info(`Document retention sweep started (retention: ${days} days, interval: ${sweepIntervalMs}ms)`);
+  }
+
+  /**
+   * Stop the retention sweep
+   */
+  stopRetentionSweep() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  /**
+   * Get the encryption key, generating a development key file when none is configured
+   * @returns {Buffer} - 32-byte key
+   * @private
+   */
+  _getKey() {
+    if (this.key) return this.key;
+
+    if (storageConfig.encryptionKey) {
+      this.key = decodeKey(storageConfig.encryptionKey);
+    } else if (process.env.NODE_ENV === 'production') {
+      throw new Error('DOCUMENT_ENCRYPTION_KEY must be set to store documents in production');
+    } else {
+      if (!fs.existsSync(storageConfig.keyFile)) {
+        fs.writeFileSync(storageConfig.keyFile, crypto.randomBytes(32).toString('base64'), { mode: 0o600 });
+        logger.warn(`DOCUMENT_ENCRYPTION_KEY is not set; generated a development key in ${storageConfig.keyFile}`);
+      }
+      this.key = decodeKey(fs.readFileSync(storageConfig.keyFile, 'utf8'));
+    }
+    return this.key;
+  }
+}
+
+module.exports = new DocumentStorageService();
@@ -0,0 +1,274 @@
+const jobQueueService = require('./jobQueueService');
+const usageHistoryService = require('./usageHistoryService');
+const { logger } = require('../middleware/errorMiddleware');
+const {
+  REQUIRED_FIELDS,
+  SOURCE_CONFIDENCE,
+  getPath,
+  findMissingFields,
+} = require('../utils/fieldProvenance');
+const { checkProposalConsistency, checkUtilityBillConsistency } = require('../utils/extractionChecks');
+
+// Models
+const Result = require('../models/resultModel');
+const UsageHistory = require('../models/usageHistoryModel');
+
+// Extracted fields shown on the review screen, by document kind
+const EDITABLE_FIELDS = {
+  proposal: {
+    systemSize: { label: 'System size (kW DC)', type: 'number' },
+    panelType: { label: 'Panel type', type: 'string' },
+    panelWattage: { label: 'Panel wattage (W)', type: 'number' },
+    panelQuantity: { label: 'Panel quantity', type: 'number' },
+    estimatedProduction: { label: 'Estimated annual production (kWh)', type: 'number' },
+    'pricing.totalCost': { label: 'Total cost ($)', type: 'number' },
+    'pricing.federalTaxCredit': { label: 'Federal tax credit ($)', type: 'number' },
+    'pricing.stateRebates': { label: 'State rebates ($)', type: 'number' },
+    'pricing.otherIncentives': { label: 'Other incentives ($)', type: 'number' },
+    'pricing.netCost': { label: 'Net cost ($)', type: 'number' },
+    'inverterDetails.type': { label: 'Inverter type', type: 'string' },
+    'inverterDetails.model': { label: 'Inverter model', type: 'string' },
+    'inverterDetails.quantity': { label: 'Inverter quantity', type: 'number' },
+    'claimedSavings.firstYearSavings': { label: 'Claimed first-year savings ($)', type: 'number' },
+    'claimedSavings.lifetimeSavings': { label: 'Claimed lifetime savings ($)', type: 'number' },
+    'claimedSavings.lifetimeYears': { label: 'Claimed savings period (years)', type: 'number' },
+  },
+  utilityBill: {
+    utilityCompany: { label: 'Utility company', type: 'string' },
+    accountNumber: { label: 'Account number', type: 'string' },
+    'billingPeriod.startDate': { label: 'Billing period start', type: 'date' },
+    'billingPeriod.endDate': { label: 'Billing period end', type: 'date' },
+    totalAmount: { label: 'Total amount ($)', type: 'number' },
+    energyUsage: { label: 'Energy usage (kWh)', type: 'number' },
+    rate: { label: 'Rate ($/kWh)', type: 'number' },
+  },
+};
+
+/**
+ * Error raised for corrections that can't be applied, carrying the HTTP status to respond with
+ * @private
+ */
+class ReviewError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Service for reviewing extracted document fields and applying user corrections
+ * Corrections are kept as an audit trail on the document and trigger regeneration of
+ * every result that depends on it.
+ */
+class ExtractionReviewService {
+  /**
+   * Build the review of a document's extracted fields
+   * @param {Object} document - Proposal or UtilityBill document
+   * @param {string} kind - 'proposal' or 'utilityBill'
+   * @returns {Object} - Fields with value, provenance and snippet, plus the correction history
+   */
+  getReview(document, kind) {
+    const extractedData = document.extractedData || {};
+    const provenance = this._provenanceOf(extractedData);
+    const missingFields = extractedData.missingFields || [];
+    const failedChecks = extractedData.failedChecks || [];
+
+    const fields = Object.entries(EDITABLE_FIELDS[kind]).map(([path, { label, type }]) => {
+      const topLevel = path.split('.')[0];
+      const record = provenance[topLevel];
+      // Provenance is kept per top-level field; a correction of a nested value is more specific
+      const corrected = (document.corrections || []).some(correction => correction.field === path);
+      const value = getPath(extractedData, path);
+
+      return {
+        path,
+        label,
+        type,
+        value: value === undefined ? null : value,
+        source: corrected ? 'user' : record?.source || null,
+        confidence: corrected ? SOURCE_CONFIDENCE.user : record?.confidence ?? null,
+        snippet: record?.snippet || null,
+        page: record?.page || null,
+        missing: missingFields.includes(path),
+        // Whether a failed cross-check involves the field (checks may name a whole object, e.g. billingPeriod)
+        checkFailed: failedChecks.some(({ fields: checkFields }) =>
+          checkFields.some(checkField => path === checkField || path.startsWith(`${checkField}.`))),
+      };
+    });
+
+    return {
+      id: document._id,
+      kind,
+      originalFilename: document.originalFilename,
+      pageCount: extractedData.pageCount || null,
+      status: document.status,
+      missingFields,
+      failedChecks,
+      fields,
+      corrections: document.corrections || [],
+    };
+  }
+
+  /**
+   * Apply user corrections to a document's extracted fields
+   * Corrected values get 'user' provenance; the document leaves needs_review once every
+   * required field has a value, and any job or result waiting on it is run again. A correction
+   * clearing a required field puts the document back in needs_review.
+   * @param {Object} document - Proposal or UtilityBill document
+   * @param {string} kind - 'proposal' or 'utilityBill'
+   * @param {Object} fields - New values keyed by field path (e.g. { 'pricing.netCost': 21000 })
+   * @param {Object} user - User making the correction
+   * @param {string} [reason] - Optional note stored with each correction
+   * @returns {Promise<Object>} - Updated review and the IDs of the queued reanalysis jobs
+   */
+  async applyCorrections(document, kind, fields, user, reason) {
+    if (['pending', 'error'].includes(document.status)) {
+      throw new ReviewError(`Document can't be corrected while its status is ${document.status}`, 409);
+    }
+
+    const values = this._validateFields(kind, fields);
+    const provenance = document.extractedData.fieldProvenance;
+
+    values.forEach(([path, value]) => {
+      const topLevel = path.split('.')[0];
+      const previous = provenance?.get(topLevel);
+
+      document.corrections.push({
+        field: path,
+        previousValue: getPath(document.extractedData, path) ?? null,
+        value,
+        previousSource: previous?.source,
+        user: user._id,
+        reason,
+      });
+      document.set(`extractedData.${path}`, value);
+
+      // A nested correction only takes over the field's provenance when the rest of it wasn't read
+      // from the document either; otherwise the per-path correction in the audit trail says so
+      if (path === topLevel || !previous || previous.source === 'default') {
+        document.set(`extractedData.fieldProvenance.${topLevel}`, {
+          source: 'user',
+          confidence: SOURCE_CONFIDENCE.user,
+          snippet: previous?.snippet,
+          page: previous?.page,
+        });
+      }
+    });
+
+    const requiredFields = kind === 'proposal'
+      ? REQUIRED_FIELDS.proposal
+      : REQUIRED_FIELDS[document.fileType === 'green-button' ? 'greenButton' : 'utilityBill'];
+    const extractedData = document.toObject().extractedData;
+    const missingFields = findMissingFields(extractedData, requiredFields);
+    document.extractedData.missingFields = missingFields;
+    // Corrections may resolve a failed cross-check or break one, so the checks are run again
+    document.extractedData.failedChecks = kind === 'proposal'
+      ? checkProposalConsistency(extractedData)
+      : checkUtilityBillConsistency(extractedData);
+    // Clearing a required value sends a processed document back to review, so no analysis runs on it
+    if (missingFields.length > 0) {
+      document.status = 'needs_review';
+    } else if (document.status === 'needs_review') {
+      document.status = 'processed';
+    }
+
+    await document.save();
+    logger.info(`Applied ${values.length} corrections to ${kind} ${document._id} (status ${document.status})`);
+
+    if (kind === 'utilityBill') {
+      await usageHistoryService.mergeBills([document]);
+    }
+
+    const jobIds = [];
+    if (missingFields.length === 0) {
+      const resumed = await jobQueueService.resumeAfterReview(document._id);
+      jobIds.push(...resumed.map(job => job._id));
+
+      const results = await this._dependentResults(document, kind);
+      for (const result of results) {
+        const job = await jobQueueService.enqueueReanalysis(result);
+        jobIds.push(job._id);
+      }
+    }
+
+    return {
+      review: this.getReview(document, kind),
+      jobIds,
+    };
+  }
+
+  /**
+   * Check correction paths and convert values to the field's type
+   * @param {string} kind - 'proposal' or 'utilityBill'
+   * @param {Object} fields - New values keyed by field path
+   * @returns {Array} - [path, value] pairs
+   * @private
+   */
+  _validateFields(kind, fields) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+      throw new ReviewError('At least one corrected field is required');
+    }
+
+    return Object.entries(fields).map(([path, rawValue]) => {
+      const definition = EDITABLE_FIELDS[kind][path];
+      if (!definition) {
+        throw new ReviewError(`Field ${path} can't be corrected`);
+      }
+
+      if (rawValue === null || rawValue === '') {
+        return [path, null];
+      }
+
+      if (definition.type === 'number') {
+        const value = typeof rawValue === 'number' ? rawValue : parseFloat(String(rawValue).replace(/[$,]/g, ''));
+        if (!Number.isFinite(value) || value < 0) {
+          throw new ReviewError(`${definition.label} must be a non-negative number`);
+        }
+        return [path, value];
+      }
+
+      if (definition.type === 'date') {
+        const value = new Date(rawValue);
+        if (Number.isNaN(value.getTime())) {
+          throw new ReviewError(`${definition.label} must be a valid date`);
+        }
+        return [path, value];
+      }
+
+      return [path, String(rawValue).trim()];
+    });
+  }
+
+  /**
+   * Convert stored provenance (a Mongoose Map) into a plain object
+   * @param {Object} extractedData - Document's extracted data
+   * @returns {Object} - Provenance keyed by top-level field name
+   * @private
+   */
+  _provenanceOf(extractedData) {
+    const provenance = extractedData.fieldProvenance;
+    if (!provenance) return {};
+    if (provenance instanceof Map) return Object.fromEntries(provenance);
+    return provenance;
+  }
+
+  /**
+   * Find the results computed from a document
+   * A bill also feeds every result whose bill shares its usage history.
+   * @param {Object} document - Proposal or UtilityBill document
+   * @param {string} kind - 'proposal' or 'utilityBill'
+   * @returns {Promise<Array>} - Results to regenerate
+   * @private
+   */
+  async _dependentResults(document, kind) {
+    if (kind === 'proposal') {
+      return Result.find({ proposal: document._id });
+    }
+
+    const histories = await UsageHistory.find({ utilityBills: document._id }).select('utilityBills');
+    const billIds = [document._id, ...histories.flatMap(history => history.utilityBills)];
+    return Result.find({ utilityBill: { $in: billIds } });
+  }
+}
+
+module.exports = new ExtractionReviewService();
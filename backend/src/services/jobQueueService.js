@@ -0,0 +1,625 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const analysisService = require('./analysisService');
+const usageHistoryService = require('./usageHistoryService');
+const { logger } = require('../middleware/errorMiddleware');
+const { generateDocumentId } = require('../utils/pdfParser');
+
+// Models
+const Job = require('../models/jobModel');
+const Proposal = require('../models/proposalModel');
+const UtilityBill = require('../models/utilityBillModel');
+const Result = require('../models/resultModel');
+
+// Stages every analysis job moves through, in order
+const ANALYSIS_STAGES = ['proposal', 'utilityBill', 'analysis'];
+
+/**
+ * Persistent job queue backed by MongoDB
+ * Uploads enqueue a job and return immediately; workers in this process poll
+ * the jobs collection and claim work with an atomic findOneAndUpdate, so the
+ * queue survives restarts and needs nothing beyond the existing database.
+ */
+class JobQueueService {
+  constructor() {
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+    // A running job whose worker has not sent a heartbeat within this window is picked up again
+    this.lockTimeoutMs = parseInt(process.env.JOB_LOCK_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+    // How often a running job's heartbeat is sent, so one slow extraction or LLM call doesn't look stale
+    this.heartbeatIntervalMs = parseInt(process.env.JOB_HEARTBEAT_INTERVAL_MS, 10) || Math.floor(this.lockTimeoutMs / 4);
+    this.workerId = `${os.hostname()}_${process.pid}_${generateDocumentId('worker')}`;
+    this.activeJobs = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Enqueue an analysis job for an uploaded proposal and one or more utility bills
+   * The files are stored as pending documents so the upload can return right away
+   * @param {Object} params - Job parameters
+   * @param {string} params.userId - User ID
+   * @param {Object} params.proposalFile - Proposal file object from multer
+   * @param {Array} params.utilityBillFiles - Utility bill file objects from multer, one per billing period
+   * @param {Object} [params.location] - Optional location data from the request
+   * @returns {Promise<Object>} - Queued job document
+   */
+  async enqueueAnalysis({ userId, proposalFile, utilityBillFiles, location = null }) {
+    const proposal = await analysisService.createPendingProposal(proposalFile, userId);
+    const utilityBills = [];
+    for (const utilityBillFile of utilityBillFiles) {
+      utilityBills.push(await analysisService.createPendingUtilityBill(utilityBillFile, userId));
+    }
+
+    const job = await Job.create({
+      user: userId,
+      type: 'analysis',
+      payload: { location },
+      documents: [
+        { kind: 'proposal', documentId: proposal._id },
+        ...utilityBills.map(utilityBill => ({ kind: 'utilityBill', documentId: utilityBill._id })),
+      ],
+      stages: ANALYSIS_STAGES.map(name => ({ name })),
+    });
+
+    logger.info(`Queued analysis job ${job._id}: proposal=${proposal._id}, utilityBills=${utilityBills.map(bill => bill._id).join(',')}`);
+
+    // Pick the job up without waiting for the next poll if a worker slot is free
+    setImmediate(() => this._poll());
+
+    return job;
+  }
+
+  /**
+   * Enqueue regeneration of an existing result, e.g. after one of its documents was corrected
+   * A reanalysis already waiting for the same result is reused.
+   * @param {Object} result - Result document
+   * @returns {Promise<Object>} - Queued job document
+   */
+  async enqueueReanalysis(result) {
+    const waiting = await Job.findOne({ type: 'reanalysis', result: result._id, status: 'queued' });
+    if (waiting) return waiting;
+
+    const { latitude, longitude, state } = result.location || {};
+    const job = await Job.create({
+      user: result.user,
+      type: 'reanalysis',
+      payload: {
+        location: latitude !== undefined && longitude !== undefined
+          ? { coordinates: { latitude, longitude }, state }
+          : null,
+      },
+      documents: [
+        { kind: 'proposal', documentId: result.proposal, status: 'processed' },
+        { kind: 'utilityBill', documentId: result.utilityBill, status: 'processed' },
+      ],
+      stages: [{ name: 'analysis' }],
+      result: result._id,
+    });
+
+    logger.info(`Queued reanalysis job ${job._id} for result ${result._id}`);
+    setImmediate(() => this._poll());
+
+    return job;
+  }
+
+  /**
+   * Requeue jobs that were waiting for review of a document
+   * Each job's document entries are refreshed from the stored documents; a job runs again once
+   * its proposal and at least one utility bill have every required value.
+   * @param {string} documentId - Proposal or utility bill ID that was corrected
+   * @returns {Promise<Array>} - Jobs put back in the queue
+   */
+  async resumeAfterReview(documentId) {
+    const jobs = await Job.find({ status: 'needs_review', 'documents.documentId': documentId });
+    const resumed = [];
+
+    for (const job of jobs) {
+      await this._refreshDocumentRefs(job);
+
+      const isReady = (kind) => job.documents.some(doc => doc.kind === kind && ['processed', 'completed'].includes(doc.status));
+      if (!isReady('proposal') || !isReady('utilityBill')) {
+        await job.save();
+        continue;
+      }
+
+      // A reviewed job starts a fresh run rather than counting against its earlier attempts
+      job.status = 'queued';
+      job.runAt = new Date();
+      job.attempts = 0;
+      await job.save();
+      resumed.push(job);
+      logger.info(`Job ${job._id} requeued after review of document ${documentId}`);
+    }
+
+    if (resumed.length > 0) {
+      setImmediate(() => this._poll());
+    }
+    return resumed;
+  }
+
+  /**
+   * Copy the current status and missing fields of a job's documents onto its document entries
+   * @param {Object} job - Job document (not saved)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _refreshDocumentRefs(job) {
+    for (const documentRef of job.documents) {
+      const Model = documentRef.kind === 'proposal' ? Proposal : UtilityBill;
+      const document = await Model.findById(documentRef.documentId).select('status extractedData.missingFields');
+      if (!document || document.status === 'pending') continue;
+
+      documentRef.status = document.status;
+      documentRef.missingFields = document.extractedData?.missingFields || [];
+      documentRef.error = document.status === 'needs_review'
+        ? `Missing ${documentRef.missingFields.join(', ')}`
+        : undefined;
+    }
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} - Job document or null if not found
+   */
+  async getJob(jobId) {
+    return Job.findById(jobId);
+  }
+
+  /**
+   * Format a job for the status endpoint
+   * @param {Object} job - Job document
+   * @returns {Object} - Job status with per-stage progress
+   */
+  formatJobStatus(job) {
+    const stages = job.stages.map(stage => ({
+      name: stage.name,
+      status: stage.status,
+      progress: stage.progress,
+      message: stage.message,
+      error: stage.error,
+    }));
+
+    const progress = stages.length > 0
+      ? Math.round(stages.reduce((total, stage) => total + stage.progress, 0) / stages.length)
+      : 0;
+
+    return {
+      jobId: job._id,
+      type: job.type,
+      status: job.status,
+      progress,
+      stages,
+      documents: job.documents.map(doc => ({
+        kind: doc.kind,
+        documentId: doc.documentId,
+        status: doc.status,
+        missingFields: doc.missingFields,
+        error: doc.error,
+      })),
+      resultId: job.result || null,
+      attempts: job.attempts,
+      processingErrors: job.processingErrors,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+    };
+  }
+
+  /**
+   * Start polling for queued jobs
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this._poll(), this.pollIntervalMs);
+    this.timer.unref();
+    logger.info(`Job queue worker ${this.workerId} started (concurrency: ${this.concurrency}, poll interval: ${this.pollIntervalMs}ms)`);
+  }
+
+  /**
+   * Stop polling for queued jobs; jobs already running are allowed to finish
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Claim and run jobs until all worker slots are busy or the queue is empty
+   * @private
+   */
+  async _poll() {
+    if (!this.timer) return;
+
+    while (this.activeJobs < this.concurrency) {
+      // Reserve the slot before the async claim so concurrent polls can't overshoot
+      this.activeJobs += 1;
+
+      let job;
+      try {
+        job = await this._claimNextJob();
+      } catch (error) {
+        logger.error(`Job queue poll error: ${error.message}`);
+      }
+
+      if (!job) {
+        this.activeJobs -= 1;
+        return;
+      }
+
+      this._runJob(job).finally(() => {
+        this.activeJobs -= 1;
+      });
+    }
+  }
+
+  /**
+   * Atomically claim the next runnable job
+   * Also reclaims running jobs whose worker stopped sending heartbeats, unless that was their
+   * last attempt: a job that keeps crashing or hanging its worker (e.g. a PDF that breaks OCR)
+   * is failed instead of being run forever.
+   * @returns {Promise<Object|null>} - Claimed job or null if none are waiting
+   * @private
+   */
+  async _claimNextJob() {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - this.lockTimeoutMs);
+
+    await this._failExhaustedStaleJobs(staleBefore);
+
+    return Job.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedAt: { $lt: staleBefore }, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+        ],
+      },
+      {
+        $set: { status: 'running', lockedAt: now, lockedBy: this.workerId },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Fail the running jobs whose worker stopped sending heartbeats during their last attempt
+   * @param {Date} staleBefore - Heartbeats older than this are stale
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _failExhaustedStaleJobs(staleBefore) {
+    const message = 'The worker stopped responding on the last attempt';
+    const { modifiedCount } = await Job.updateMany(
+      { status: 'running', lockedAt: { $lt: staleBefore }, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+      {
+        $set: {
+          status: 'error',
+          lockedAt: null,
+          lockedBy: null,
+          'stages.$[stage].status': 'error',
+          'stages.$[stage].error': message,
+        },
+        $push: { processingErrors: message },
+      },
+      { arrayFilters: [{ 'stage.status': 'running' }] }
+    );
+
+    if (modifiedCount > 0) {
+      logger.error(`Failed ${modifiedCount} stale jobs that had used all their attempts`);
+    }
+  }
+
+  /**
+   * Run a claimed job, retrying with backoff on unexpected errors
+   * A heartbeat keeps the lock fresh for as long as the job runs, and every save of the job only
+   * applies while this worker still holds the lock: a worker whose job was reclaimed stops at
+   * its next save instead of overwriting the new worker's progress.
+   * @param {Object} job - Claimed job document
+   * @private
+   */
+  async _runJob(job) {
+    logger.info(`Worker ${this.workerId} running job ${job._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    job.$where = { lockedBy: this.workerId };
+    let finished = false;
+    const heartbeat = setInterval(async () => {
+      const locked = await this._sendHeartbeat(job);
+      if (!locked && !finished) {
+        logger.warn(`Worker ${this.workerId} no longer holds the lock on job ${job._id}`);
+      }
+    }, this.heartbeatIntervalMs);
+    heartbeat.unref();
+
+    try {
+      if (job.type === 'reanalysis') {
+        await this._runReanalysisJob(job);
+      } else {
+        await this._runAnalysisJob(job);
+      }
+    } catch (error) {
+      if (error instanceof mongoose.Error.DocumentNotFoundError) {
+        logger.warn(`Worker ${this.workerId} lost the lock on job ${job._id}; leaving it to the worker that reclaimed it`);
+        return;
+      }
+
+      logger.error(`Job ${job._id} failed: ${error.message}`);
+      job.processingErrors.push(error.message);
+
+      if (job.attempts < job.maxAttempts) {
+        // Exponential backoff: 30s, 60s, 120s...
+        const delayMs = 30 * 1000 * Math.pow(2, job.attempts - 1);
+        job.status = 'queued';
+        job.runAt = new Date(Date.now() + delayMs);
+      } else {
+        job.status = 'error';
+      }
+
+      job.lockedAt = null;
+      job.lockedBy = null;
+      await job.save().catch(saveError => {
+        logger.error(`Could not save failed job ${job._id}: ${saveError.message}`);
+      });
+    } finally {
+      finished = true;
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Refresh the lock of a running job this worker holds
+   * @param {Object} job - Job document
+   * @returns {Promise<boolean>} - False when the job is no longer locked by this worker
+   * @private
+   */
+  async _sendHeartbeat(job) {
+    try {
+      const { matchedCount } = await Job.updateOne(
+        { _id: job._id, status: 'running', lockedBy: this.workerId },
+        { $set: { lockedAt: new Date() } }
+      );
+      return matchedCount > 0;
+    } catch (error) {
+      // A missed heartbeat is retried on the next tick; the lock only expires after lockTimeoutMs
+      logger.error(`Heartbeat for job ${job._id} failed: ${error.message}`);
+      return true;
+    }
+  }
+
+  /**
+   * Move the proposal and utility bills through pending → processed → completed
+   * Stages already completed on a previous attempt are skipped
+   * @param {Object} job - Claimed job document
+   * @private
+   */
+  async _runAnalysisJob(job) {
+    const proposalRef = job.documents.find(doc => doc.kind === 'proposal');
+    const utilityBillRefs = job.documents.filter(doc => doc.kind === 'utilityBill');
+
+    const proposal = await Proposal.findById(proposalRef.documentId);
+    const utilityBills = await Promise.all(utilityBillRefs.map(ref => UtilityBill.findById(ref.documentId)));
+
+    if (!proposal || utilityBills.length === 0 || utilityBills.some(bill => !bill)) {
+      throw new Error('Proposal or utility bill for job not found');
+    }
+
+    // Stage 1: proposal extraction
+    if (proposal.status === 'pending') {
+      await this._updateStage(job, 'proposal', { status: 'running', progress: 10, message: 'Extracting proposal data', startedAt: new Date() });
+      const proposalResult = await analysisService.extractProposal(proposal, generateDocumentId('proposal'));
+      this._recordExtraction(proposalRef, proposalResult, proposalResult.proposal);
+    }
+    await this._finishDocumentStage(job, 'proposal', proposalRef);
+
+    // Stage 2: utility bill extraction, one bill per billing period
+    for (const [index, utilityBill] of utilityBills.entries()) {
+      if (utilityBill.status !== 'pending') continue;
+      await this._updateStage(job, 'utilityBill', {
+        status: 'running',
+        progress: Math.round(10 + 80 * index / utilityBills.length),
+        message: utilityBills.length > 1
+          ? `Extracting utility bill ${index + 1} of ${utilityBills.length}`
+          : 'Extracting utility bill data',
+        startedAt: new Date(),
+      });
+      const utilityBillResult = await analysisService.extractUtilityBill(utilityBill);
+      this._recordExtraction(utilityBillRefs[index], utilityBillResult, utilityBillResult.utilityBill);
+    }
+
+    // One unreadable or incomplete bill only leaves a gap in the usage history; the stage
+    // waits for review when no bill is complete, and fails when none could be read at all
+    const processedBills = utilityBills.filter(bill => ['processed', 'completed'].includes(bill.status));
+    const reviewIndex = utilityBills.findIndex(bill => bill.status === 'needs_review');
+    let utilityBillStage = { status: 'processed' };
+    if (processedBills.length === 0) {
+      utilityBillStage = reviewIndex >= 0
+        ? { status: 'needs_review', error: utilityBillRefs[reviewIndex].error }
+        : { status: 'error', error: utilityBillRefs[0].error };
+    }
+    await this._finishDocumentStage(job, 'utilityBill', utilityBillStage);
+
+    // Extraction errors are not retried; they mirror the old 207 partial-success response
+    if (proposalRef.status === 'error' || utilityBillStage.status === 'error') {
+      logger.warn(`Job ${job._id} finished with document errors: proposal=${proposalRef.status}, utilityBill=${utilityBillStage.status}`);
+      await this._updateStage(job, 'analysis', { status: 'error', error: 'Skipped because document processing had errors' });
+      job.status = 'error';
+      job.processingErrors.push('Files uploaded but processing had errors');
+      job.lockedAt = null;
+      job.lockedBy = null;
+      await job.save();
+      return;
+    }
+
+    // Missing required values are never filled with guesses; the job waits until they are reviewed
+    if (proposalRef.status === 'needs_review' || utilityBillStage.status === 'needs_review') {
+      logger.warn(`Job ${job._id} needs review: proposal=${proposalRef.status}, utilityBill=${utilityBillStage.status}`);
+      await this._updateStage(job, 'analysis', { status: 'pending', message: 'Waiting for review of the extracted data' });
+      job.status = 'needs_review';
+      job.lockedAt = null;
+      job.lockedBy = null;
+      await job.save();
+      return;
+    }
+
+    // Merge the bills into the account's 12-month usage history; the most recent printed
+    // bill supplies the rate and utility for the analysis
+    await usageHistoryService.mergeBills(processedBills);
+    const utilityBill = this._latestBill(processedBills);
+
+    // Stage 3: external lookups and savings analysis
+    await this._updateStage(job, 'analysis', { status: 'running', progress: 0, message: 'Starting analysis', startedAt: new Date() });
+    const analysisResult = await analysisService.generateResults(
+      proposal._id,
+      utilityBill._id,
+      job.user,
+      job.payload?.location || null,
+      {
+        onProgress: (progress, message) => this._updateStage(job, 'analysis', { progress, message }),
+      }
+    );
+
+    // The analysis can still need a value the extraction stage didn't require, e.g. the rate of
+    // Green Button data that no published tariff covers
+    if (analysisResult.needsReview) {
+      logger.warn(`Job ${job._id} needs review: ${analysisResult.error}`);
+      await this._refreshDocumentRefs(job);
+      await this._updateStage(job, 'analysis', { status: 'pending', message: 'Waiting for review of the extracted data' });
+      job.status = 'needs_review';
+      job.lockedAt = null;
+      job.lockedBy = null;
+      await job.save();
+      return;
+    }
+    if (!analysisResult.success) {
+      throw new Error(`Analysis failed: ${analysisResult.error}`);
+    }
+
+    await Proposal.updateOne({ _id: proposal._id }, { status: 'completed' });
+    await UtilityBill.updateMany({ _id: { $in: processedBills.map(bill => bill._id) } }, { status: 'completed' });
+    proposalRef.status = 'completed';
+    utilityBillRefs
+      .filter(ref => ref.status === 'processed')
+      .forEach(ref => { ref.status = 'completed'; });
+
+    await this._updateStage(job, 'analysis', { status: 'completed', progress: 100, completedAt: new Date() });
+    job.result = analysisResult.result._id;
+    job.status = 'completed';
+    job.lockedAt = null;
+    job.lockedBy = null;
+    await job.save();
+
+    logger.info(`Job ${job._id} completed: result=${job.result}`);
+  }
+
+  /**
+   * Regenerate an existing result from its (corrected) proposal and utility bill
+   * @param {Object} job - Claimed reanalysis job
+   * @private
+   */
+  async _runReanalysisJob(job) {
+    const result = await Result.findById(job.result);
+    if (!result) {
+      throw new Error('Result for job not found');
+    }
+
+    await this._updateStage(job, 'analysis', { status: 'running', progress: 0, message: 'Regenerating analysis with corrected values', startedAt: new Date() });
+    const analysisResult = await analysisService.generateResults(
+      result.proposal,
+      result.utilityBill,
+      job.user,
+      job.payload?.location || null,
+      {
+        resultId: result._id,
+        onProgress: (progress, message) => this._updateStage(job, 'analysis', { progress, message }),
+      }
+    );
+
+    if (analysisResult.needsReview) {
+      logger.warn(`Reanalysis job ${job._id} needs review: ${analysisResult.error}`);
+      await this._updateStage(job, 'analysis', { status: 'pending', message: 'Waiting for review of the extracted data' });
+      job.status = 'needs_review';
+    } else if (!analysisResult.success) {
+      throw new Error(`Analysis failed: ${analysisResult.error}`);
+    } else {
+      await this._updateStage(job, 'analysis', { status: 'completed', progress: 100, completedAt: new Date() });
+      job.status = 'completed';
+      logger.info(`Reanalysis job ${job._id} completed: result=${job.result}`);
+    }
+
+    job.lockedAt = null;
+    job.lockedBy = null;
+    await job.save();
+  }
+
+  /**
+   * Pick the bill with the most recent billing period
+   * Printed bills are preferred over Green Button imports, which carry no utility name
+   * and often no rate.
+   * @param {Array} utilityBills - Processed utility bill documents
+   * @returns {Object} - Most recent bill (the first one when none have dates)
+   * @private
+   */
+  _latestBill(utilityBills) {
+    const printedBills = utilityBills.filter(bill => bill.fileType !== 'green-button');
+    const candidates = printedBills.length > 0 ? printedBills : utilityBills;
+    const endTime = (bill) => new Date(bill.extractedData?.billingPeriod?.endDate || 0).getTime() || 0;
+    return candidates.reduce((latest, bill) => (endTime(bill) > endTime(latest) ? bill : latest));
+  }
+
+  /**
+   * Copy an extraction outcome onto the job's document entry
+   * @param {Object} documentRef - Job document entry
+   * @param {Object} extractionResult - Result of extractProposal or extractUtilityBill
+   * @param {Object} document - Proposal or utility bill document
+   * @private
+   */
+  _recordExtraction(documentRef, extractionResult, document) {
+    if (!extractionResult.success) {
+      documentRef.status = 'error';
+      documentRef.error = extractionResult.error;
+    } else if (extractionResult.needsReview) {
+      documentRef.status = 'needs_review';
+      documentRef.missingFields = document.extractedData.missingFields;
+      documentRef.error = `Missing ${document.extractedData.missingFields.join(', ')}`;
+    } else {
+      documentRef.status = 'processed';
+    }
+  }
+
+  /**
+   * Mark a document extraction stage as finished based on the document's status
+   * @param {Object} job - Job document
+   * @param {string} stageName - Stage name
+   * @param {Object} documentRef - Job document entry, or the combined status of a multi-document stage
+   * @private
+   */
+  async _finishDocumentStage(job, stageName, documentRef) {
+    if (documentRef.status === 'error') {
+      await this._updateStage(job, stageName, { status: 'error', error: documentRef.error, completedAt: new Date() });
+    } else if (documentRef.status === 'needs_review') {
+      await this._updateStage(job, stageName, { status: 'needs_review', progress: 100, message: 'Some required values were not found', error: documentRef.error });
+    } else {
+      await this._updateStage(job, stageName, { status: 'completed', progress: 100, message: undefined, error: undefined, completedAt: new Date() });
+    }
+  }
+
+  /**
+   * Update a stage and refresh the job's heartbeat
+   * @param {Object} job - Job document
+   * @param {string} stageName - Stage name
+   * @param {Object} fields - Stage fields to set
+   * @private
+   */
+  async _updateStage(job, stageName, fields) {
+    const stage = job.stages.find(s => s.name === stageName);
+    if (stage) {
+      Object.assign(stage, fields);
+    }
+    job.lockedAt = new Date();
+    await job.save();
+  }
+}
+
+module.exports = new JobQueueService();
@@ -0,0 +1,58 @@
+const apiConfig = require('../../config/apiConfig');
+const OpenAiProvider = require('./openAiProvider');
+const OpenAiCompatibleProvider = require('./openAiCompatibleProvider');
+const StubProvider = require('./stubProvider');
+
+// Provider implementations by the type set in apiConfig.llm.providers
+const PROVIDER_TYPES = {
+  openai: OpenAiProvider,
+  'openai-compatible': OpenAiCompatibleProvider,
+  stub: StubProvider,
+};
+
+// Providers created so far, by name
+const providers = new Map();
+
+/**
+ * Get a configured language model provider
+ * Every provider has a name, a defaultModel, an isConfigured flag and
+ * complete({ task, model, messages, temperature, json }) resolving to { content, model, usage }.
+ * @param {string} name - Provider name from apiConfig.llm.providers
+ * @returns {Object} - Provider instance
+ */
+const getProvider = (name) => {
+  if (providers.has(name)) return providers.get(name);
+
+  const config = apiConfig.llm.providers[name];
+  if (!config) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  const Provider = PROVIDER_TYPES[config.type];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider type ${config.type} for provider ${name}`);
+  }
+
+  const provider = new Provider(name, config, getProvider);
+  providers.set(name, provider);
+  return provider;
+};
+
+/**
+ * Get the provider and model configured for a task
+ * @param {string} task - Task name from apiConfig.llm.tasks (e.g. proposalExtraction)
+ * @returns {Object} - { provider, model }
+ */
+const getTaskModel = (task) => {
+  const taskConfig = apiConfig.llm.tasks[task];
+  if (!taskConfig) {
+    throw new Error(`Unknown LLM task: ${task}`);
+  }
+
+  const provider = getProvider(taskConfig.provider);
+  return { provider, model: taskConfig.model || provider.defaultModel };
+};
+
+module.exports = {
+  getProvider,
+  getTaskModel,
+};
@@ -0,0 +1,74 @@
+const { OpenAI } = require('openai');
+
+/**
+ * Provider for any server implementing the OpenAI chat completions API,
+ * e.g. Ollama or the llama.cpp server
+ */
+class OpenAiCompatibleProvider {
+  /**
+   * @param {string} name - Provider name from apiConfig.llm.providers
+   * @param {Object} config - Provider configuration ({ baseUrl, apiKey, defaultModel, timeoutMs })
+   */
+  constructor(name, config) {
+    this.name = name;
+    this.defaultModel = config.defaultModel;
+    this.isConfigured = this._isConfigured(config);
+
+    if (this.isConfigured) {
+      this.client = new OpenAI({
+        baseURL: config.baseUrl || undefined,
+        // Local servers ignore the key, but the SDK requires one
+        apiKey: config.apiKey || 'not-needed',
+        ...(config.timeoutMs ? { timeout: config.timeoutMs } : {}),
+      });
+    }
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - { task, model, messages, temperature, json }
+   * @returns {Promise<Object>} - { content, model, usage: { promptTokens, completionTokens, totalTokens } }
+   */
+  async complete({ model, messages, temperature, json }) {
+    const response = await this.client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      ...(json ? { response_format: { type: 'json_object' } } : {}),
+    });
+
+    const content = response.choices[0]?.message?.content || '';
+    return {
+      content: json ? stripCodeFence(content) : content,
+      model: response.model || model,
+      usage: {
+        promptTokens: response.usage?.prompt_tokens,
+        completionTokens: response.usage?.completion_tokens,
+        totalTokens: response.usage?.total_tokens,
+      },
+    };
+  }
+
+  /**
+   * Whether the configuration is enough to call the server
+   * @param {Object} config - Provider configuration
+   * @returns {boolean}
+   * @private
+   */
+  _isConfigured(config) {
+    return Boolean(config.baseUrl);
+  }
+}
+
+/**
+ * Remove the markdown code fence some local models wrap JSON answers in
+ * @param {string} content - Completion text
+ * @returns {string} - Text inside the fence, or the text unchanged
+ * @private
+ */
+const stripCodeFence = (content) => {
+  const fenced = content.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  return fenced ? fenced[1] : content;
+};
+
+module.exports = OpenAiCompatibleProvider;
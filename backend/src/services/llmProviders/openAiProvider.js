@@ -0,0 +1,18 @@
+const OpenAiCompatibleProvider = require('./openAiCompatibleProvider');
+
+/**
+ * Provider for the OpenAI API
+ */
+class OpenAiProvider extends OpenAiCompatibleProvider {
+  /**
+   * OpenAI needs a real API key; the base URL is optional (e.g. for a proxy)
+   * @param {Object} config - Provider configuration
+   * @returns {boolean}
+   * @private
+   */
+  _isConfigured(config) {
+    return Boolean(config.apiKey) && config.apiKey !== 'your_openai_api_key';
+  }
+}
+
+module.exports = OpenAiProvider;
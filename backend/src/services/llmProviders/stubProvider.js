@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../../middleware/errorMiddleware');
+
+/**
+ * Provider replaying recorded responses, so tests and offline runs are deterministic
+ * Recordings are JSON files at <recordingsDirectory>/<task>/<request key>.json, the key being
+ * a hash of the request messages. A request without its own recording fails rather than getting
+ * a canned answer, unless recordWith is set: then it is sent to that provider and its response
+ * is recorded.
+ */
+class StubProvider {
+  /**
+   * @param {string} name - Provider name from apiConfig.llm.providers
+   * @param {Object} config - Provider configuration ({ recordingsDirectory, recordWith, defaultModel })
+   * @param {Function} getProvider - Resolves another configured provider by name
+   */
+  constructor(name, config, getProvider) {
+    this.name = name;
+    this.defaultModel = config.defaultModel;
+    this.recordingsDirectory = config.recordingsDirectory;
+    this.recordWith = config.recordWith;
+    this.getProvider = getProvider;
+    this.isConfigured = true;
+    // Requests answered neither by a recording nor by recordWith
+    this.unmatchedRequests = 0;
+  }
+
+  /**
+   * Replay the recorded response for a request
+   * @param {Object} request - { task, model, messages, temperature, json }
+   * @returns {Promise<Object>} - { content, model, usage }
+   */
+  async complete(request) {
+    const key = requestKey(request.messages);
+    const taskDirectory = path.join(this.recordingsDirectory, request.task);
+    const recordingPath = path.join(taskDirectory, `${key}.json`);
+
+    if (fs.existsSync(recordingPath)) {
+      const recording = JSON.parse(fs.readFileSync(recordingPath, 'utf8'));
+      return {
+        content: recording.response.content,
+        model: recording.response.model || request.model,
+        usage: recording.response.usage || {},
+      };
+    }
+
+    if (!this.recordWith) {
+      this.unmatchedRequests += 1;
+      throw new Error(`No recorded ${request.task} response for request ${key} in ${taskDirectory}`);
+    }
+
+    const recorder = this.getProvider(this.recordWith);
+    if (!recorder.isConfigured) {
+      throw new Error(`Provider ${this.recordWith} used for recording is not configured`);
+    }
+
+    const model = request.model === this.defaultModel ? recorder.defaultModel : request.model;
+    const response = await recorder.complete({ ...request, model });
+
+    fs.mkdirSync(taskDirectory, { recursive: true });
+    fs.writeFileSync(recordingPath, JSON.stringify({
+      task: request.task,
+      provider: recorder.name,
+      recordedAt: new Date().toISOString(),
+      response,
+    }, null, 2));
+    logger.info(`Recorded ${request.task} response ${key} from ${recorder.name}`);
+
+    return response;
+  }
+}
+
+/**
+ * Key identifying a request by its messages, independent of the provider and model
+ * @param {Array} messages - Chat messages
+ * @returns {string} - Hex digest
+ * @private
+ */
+const requestKey = (messages) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(messages.map(({ role, content }) => [role, content])))
+  .digest('hex')
+  .substring(0, 16);
+
+module.exports = StubProvider;
@@ -0,0 +1,160 @@
+const { createScheduler, createWorker, OEM } = require('tesseract.js');
+const analysisConfig = require('../config/analysisConfig');
+const { logger } = require('../middleware/errorMiddleware');
+
+// Time after a failed pool start during which OCR fails fast instead of starting more workers
+const START_RETRY_DELAY_MS = 60 * 1000;
+
+/**
+ * Service running OCR on a pool of persistent tesseract workers
+ * Starting a worker loads the language data, which takes longer than recognizing a page,
+ * so workers are started on first use and kept until the pool has been idle for a while.
+ */
+class OcrService {
+  constructor() {
+    this.scheduler = null;
+    // Resolves to the scheduler while the workers start, so concurrent callers share one pool
+    this.starting = null;
+    this.idleTimer = null;
+    this.activeJobs = 0;
+    // Last failed pool start, as { error, failedAt }
+    this.startFailure = null;
+  }
+
+  /**
+   * Recognize the text in an image
+   * @param {string|Buffer} image - Image file path or image data
+   * @returns {Promise<string>} - Recognized text
+   */
+  async recognize(image) {
+    const scheduler = await this._getScheduler();
+    this._clearIdleTimer();
+    this.activeJobs += 1;
+
+    try {
+      const { data: { text } } = await scheduler.addJob('recognize', image);
+      return text;
+    } finally {
+      this.activeJobs -= 1;
+      this._scheduleIdleShutdown();
+    }
+  }
+
+  /**
+   * Stop the workers; the next recognize call starts a new pool
+   * @returns {Promise<void>}
+   */
+  async terminate() {
+    this._clearIdleTimer();
+    const starting = this.starting;
+    this.scheduler = null;
+    this.starting = null;
+
+    if (starting) {
+      const scheduler = await starting.catch(() => null);
+      if (scheduler) {
+        await scheduler.terminate();
+        logger.info('OCR worker pool stopped');
+      }
+    }
+  }
+
+  /**
+   * Get the running scheduler, starting the worker pool if needed
+   * @returns {Promise<Object>} - Tesseract scheduler
+   * @private
+   */
+  async _getScheduler() {
+    if (this.scheduler) return this.scheduler;
+
+    if (this.startFailure && Date.now() - this.startFailure.failedAt < START_RETRY_DELAY_MS) {
+      throw this.startFailure.error;
+    }
+
+    if (!this.starting) {
+      this.starting = this._startPool().catch(error => {
+        this.starting = null;
+        this.startFailure = { error, failedAt: Date.now() };
+        throw error;
+      });
+    }
+
+    this.scheduler = await this.starting;
+    return this.scheduler;
+  }
+
+  /**
+   * Start the configured number of tesseract workers
+   * @returns {Promise<Object>} - Tesseract scheduler with the workers added
+   * @private
+   */
+  async _startPool() {
+    const { language, workerCount } = analysisConfig.ocr;
+    const count = Math.max(1, Math.round(workerCount));
+    const startTime = Date.now();
+
+    const started = await Promise.allSettled(Array.from({ length: count }, () => this._startWorker(language)));
+    const workers = started.filter(({ status }) => status === 'fulfilled').map(({ value }) => value);
+    const failure = started.find(({ status }) => status === 'rejected');
+    if (failure) {
+      await Promise.all(workers.map(worker => worker.terminate().catch(() => {})));
+      throw failure.reason;
+    }
+
+    const scheduler = createScheduler();
+    workers.forEach(worker => scheduler.addWorker(worker));
+
+    this.startFailure = null;
+    logger.info(`OCR worker pool started with ${count} ${language} workers in ${Date.now() - startTime}ms`);
+    return scheduler;
+  }
+
+  /**
+   * Start one tesseract worker
+   * Without an error handler tesseract rethrows worker errors outside any promise, which would
+   * take the server down; and a failed language download never settles createWorker, so the
+   * first error is also used to reject the start.
+   * @param {string} language - Tesseract language code
+   * @returns {Promise<Object>} - Ready worker
+   * @private
+   */
+  _startWorker(language) {
+    return new Promise((resolve, reject) => {
+      createWorker(language, OEM.LSTM_ONLY, {
+        errorHandler: (error) => {
+          logger.error(`OCR worker error: ${error}`);
+          reject(new Error(`OCR worker error: ${error}`));
+        },
+      }).then(resolve, reject);
+    });
+  }
+
+  /**
+   * Shut the pool down once no recognition has run for the configured idle time
+   * @private
+   */
+  _scheduleIdleShutdown() {
+    const { idleTimeoutMs } = analysisConfig.ocr;
+    if (idleTimeoutMs <= 0 || !this.scheduler || this.activeJobs > 0) return;
+
+    this._clearIdleTimer();
+    this.idleTimer = setTimeout(() => {
+      this.terminate().catch(error => logger.error(`OCR worker pool shutdown error: ${error.message}`));
+    }, idleTimeoutMs);
+    // An idle pool must not keep the process alive
+    this.idleTimer.unref();
+  }
+
+  /**
+   * Cancel a pending idle shutdown
+   * @private
+   */
+  _clearIdleTimer() {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+}
+
+module.exports = new OcrService();
@@ -1,15 +1,29 @@
-const { OpenAI } = require('openai');
 const { logger } = require('../middleware/errorMiddleware');
 const fs = require('fs');
 const path = require('path');
+const apiConfig = require('../config/apiConfig');
+const { getTaskModel } = require('./llmProviders');
+const {
+  PROPOSAL_SCHEMA,
+  UTILITY_BILL_SCHEMA,
+  ENVIRONMENTAL_IMPACT_SCHEMA,
+  parseJsonResponse,
+  pruneToSchema,
+  formatValidationErrors,
+} = require('../utils/extractionSchemas');
+const { redactPii, restorePii, countRedactions } = require('../utils/piiRedaction');
+
+// Told to the model when the document text it gets has placeholders for personal details
+const REDACTION_NOTE = 'Personal details in the text are replaced by placeholders such as [ACCOUNT_1]. '
+  + 'When a requested value is a placeholder, return the placeholder exactly as written.';
 
 /**
- * Service for interacting with OpenAI API for document processing
+ * Service running the language model tasks of document processing
+ * Each task uses the provider and model set in apiConfig.llm.tasks: OpenAI, a local
+ * OpenAI-compatible server, or the stub provider replaying recorded responses.
  */
 class OpenAiService {
   constructor() {
-    const apiKey = process.env.OPENAI_API_KEY;
-    
     // Create logs directory if it doesn't exist
     const logsDir = path.join(__dirname, '../../logs');
     if (!fs.existsSync(logsDir)) {
@@ -21,16 +35,6 @@ class OpenAiService {
     if (!fs.existsSync(this.aiExtractionsDir)) {
       fs.mkdirSync(this.aiExtractionsDir, { recursive: true });
     }
-    
-    if (!apiKey || apiKey === 'your_openai_api_key') {
-      this.isConfigured = false;
-      logger.warn('OpenAI API key is not configured or is using the default value');
-    } else {
-      this.isConfigured = true;
-      this.openai = new OpenAI({
-        apiKey: apiKey,
-      });
-    }
   }
 
   /**
@@ -63,31 +67,36 @@ class OpenAiService {
   }
 
   /**
-   * Extract data from solar proposal using OpenAI
+   * Extract data from solar proposal using the language model configured for the task
    * @param {string} pdfText - Text extracted from solar proposal PDF
    * @param {string} [documentId] - Optional document ID for logging
    * @returns {Promise<Object|null>} - Extracted data or null if failed
    */
   async extractProposalData(pdfText, documentId = null) {
     try {
-      if (!this.isConfigured) {
-        logger.info('OpenAI not configured, skipping proposal data extraction');
+      const llm = getTaskModel('proposalExtraction');
+      if (!llm.provider.isConfigured) {
+        logger.info(`LLM provider ${llm.provider.name} not configured, skipping proposal data extraction`);
         return null;
       }
 
       // Generate document ID if not provided
       const docId = documentId || `prop_${Math.random().toString(36).substring(2, 10)}`;
       
-      // Log the raw text extracted from the PDF
+      // Names, addresses, account and phone numbers never leave the server or reach the logs
+      const redaction = this._redactDocumentText(pdfText, docId);
+      
+      // Log the redacted text extracted from the PDF
       this.logExtraction('proposal', 'raw_text', {
         textLength: pdfText.length,
-        textSample: pdfText.substring(0, 500) + (pdfText.length > 500 ? '...' : '')
+        redactions: countRedactions(redaction.replacements),
+        textSample: redaction.text.substring(0, 500) + (redaction.text.length > 500 ? '...' : '')
       }, docId);
       
       logger.info(`Processing proposal document ${docId}, text length: ${pdfText.length} characters`);
 
       // Limit text length for API call
-      const limitedText = pdfText.substring(0, 12000);
+      const limitedText = redaction.text.substring(0, 12000);
       
       const prompt = `
         You are an expert at analyzing solar proposals.
@@ -100,6 +109,9 @@ class OpenAiService {
         - Federal tax credit amount
         - State rebates or incentives amount
         - Net cost after incentives
+        - Financing options, if quoted: loan (APR, term, dealer fee, loan amount, monthly payment),
+          lease (monthly payment, annual escalator, term) and PPA (price per kWh, annual escalator, term)
+        - Bill savings the proposal claims: first-year savings and lifetime savings with the number of years
         
         Format your response as JSON with these fields:
         {
@@ -113,61 +125,89 @@ class OpenAiService {
             "federalTaxCredit": (number in dollars),
             "stateRebates": (number in dollars),
             "netCost": (number in dollars)
+          },
+          "financing": {
+            "loan": {
+              "apr": (number in percent, e.g. 5.99),
+              "termYears": (number of years),
+              "dealerFeePercent": (number in percent),
+              "loanAmount": (number in dollars),
+              "downPayment": (number in dollars),
+              "monthlyPayment": (number in dollars)
+            },
+            "lease": {
+              "monthlyPayment": (number in dollars),
+              "escalatorPercent": (number in percent per year),
+              "termYears": (number of years),
+              "downPayment": (number in dollars)
+            },
+            "ppa": {
+              "ratePerKwh": (number in dollars per kWh),
+              "escalatorPercent": (number in percent per year),
+              "termYears": (number of years)
+            }
+          },
+          "claimedSavings": {
+            "firstYearSavings": (number in dollars),
+            "lifetimeSavings": (number in dollars),
+            "lifetimeYears": (number of years the lifetime savings cover)
           }
         }
         
         If you can't find a specific piece of information, use null for that field.
+        If a financing option is not offered, use null for that option.
         Do not include any explanations, just the JSON object.
       `;
 
-      logger.info(`Sending proposal to OpenAI for extraction: document ${docId}, using model: gpt-3.5-turbo`);
-      const startTime = Date.now();
+      logger.info(`Sending proposal for extraction: document ${docId}, using ${llm.provider.name} model: ${llm.model}`);
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo", // You can upgrade to gpt-4 for better accuracy
+      const { data: extractedData, response, attempts, errors, processingTime } = await this._completeValidated(llm, {
+        task: 'proposalExtraction',
         messages: [
           {role: "system", content: "You are a solar proposal analysis assistant that extracts structured data."},
-          {role: "user", content: prompt + "\n\nHere is the proposal text:\n" + limitedText}
+          {role: "user", content: prompt + redaction.note + "\n\nHere is the proposal text:\n" + limitedText}
         ],
         temperature: 0.3,
-        response_format: { type: "json_object" }
+        schema: PROPOSAL_SCHEMA,
+        documentType: 'proposal',
+        documentId: docId,
       });
 
-      const processingTime = Date.now() - startTime;
-      logger.info(`OpenAI proposal extraction completed in ${processingTime}ms for document ${docId}`);
+      logger.info(`${llm.provider.name} proposal extraction completed in ${processingTime}ms (${attempts} attempts) for document ${docId}`);
 
-      try {
-        // Parse the JSON response
-        const responseContent = response.choices[0].message.content;
-        const extractedData = JSON.parse(responseContent);
-        
-        // Log the extraction results
-        this.logExtraction('proposal', 'extracted_data', {
-          processingTime,
-          model: "gpt-3.5-turbo",
-          promptTokens: response.usage?.prompt_tokens,
-          completionTokens: response.usage?.completion_tokens,
-          totalTokens: response.usage?.total_tokens,
-          extractedData
-        }, docId);
-        
-        logger.info(`Successfully extracted proposal data with OpenAI: document ${docId}, system size: ${extractedData.systemSize}, production: ${extractedData.estimatedProduction}`);
-        return extractedData;
-      } catch (parseError) {
-        logger.error(`Failed to parse OpenAI response for document ${docId}: ${parseError.message}`);
-        
+      if (!extractedData) {
         // Log the failed extraction
         this.logExtraction('proposal', 'extraction_error', {
           processingTime,
-          error: parseError.message,
-          rawResponse: response.choices[0].message.content
+          attempts,
+          errors,
+          rawResponse: response.content
         }, docId);
         
         return null;
       }
+      
+      // Log the extraction results
+      this.logExtraction('proposal', 'extracted_data', {
+        processingTime,
+        attempts,
+        provider: llm.provider.name,
+        model: response.model,
+        promptTokens: response.usage.promptTokens,
+        completionTokens: response.usage.completionTokens,
+        totalTokens: response.usage.totalTokens,
+        droppedFields: errors.map(({ path }) => path),
+        extractedData
+      }, docId);
+      
+      // Only the returned data carries the personal details the model saw as placeholders
+      const restoredData = restorePii(extractedData, redaction.replacements);
+      
+      logger.info(`Successfully extracted proposal data with ${llm.provider.name}: document ${docId}, system size: ${restoredData.systemSize}, production: ${restoredData.estimatedProduction}`);
+      return restoredData;
     } catch (error) {
       const docId = documentId || 'unknown';
-      logger.error(`OpenAI proposal extraction error for document ${docId}: ${error.message}`);
+      logger.error(`LLM proposal extraction error for document ${docId}: ${error.message}`);
       
       // Log the API error
       this.logExtraction('proposal', 'api_error', {
@@ -180,31 +220,36 @@ class OpenAiService {
   }
 
   /**
-   * Extract data from utility bill using OpenAI
+   * Extract data from utility bill using the language model configured for the task
    * @param {string} pdfText - Text extracted from utility bill PDF
    * @param {string} [documentId] - Optional document ID for logging
    * @returns {Promise<Object|null>} - Extracted data or null if failed
    */
   async extractUtilityBillData(pdfText, documentId = null) {
     try {
-      if (!this.isConfigured) {
-        logger.info('OpenAI not configured, skipping utility bill data extraction');
+      const llm = getTaskModel('utilityBillExtraction');
+      if (!llm.provider.isConfigured) {
+        logger.info(`LLM provider ${llm.provider.name} not configured, skipping utility bill data extraction`);
         return null;
       }
 
       // Generate document ID if not provided
       const docId = documentId || `bill_${Math.random().toString(36).substring(2, 10)}`;
       
-      // Log the raw text extracted from the PDF
+      // Names, addresses, account and phone numbers never leave the server or reach the logs
+      const redaction = this._redactDocumentText(pdfText, docId);
+      
+      // Log the redacted text extracted from the PDF
       this.logExtraction('utilityBill', 'raw_text', {
         textLength: pdfText.length,
-        textSample: pdfText.substring(0, 500) + (pdfText.length > 500 ? '...' : '')
+        redactions: countRedactions(redaction.replacements),
+        textSample: redaction.text.substring(0, 500) + (redaction.text.length > 500 ? '...' : '')
       }, docId);
       
       logger.info(`Processing utility bill document ${docId}, text length: ${pdfText.length} characters`);
 
       // Limit text length for API call
-      const limitedText = pdfText.substring(0, 12000);
+      const limitedText = redaction.text.substring(0, 12000);
       
       const prompt = `
         You are an expert at analyzing utility bills.
@@ -215,6 +260,7 @@ class OpenAiService {
         - Total amount due
         - Energy usage in kWh
         - Electricity rate ($/kWh)
+        - Monthly usage history from the bill's usage chart or table, if shown
         
         Format your response as JSON with these fields:
         {
@@ -226,71 +272,77 @@ class OpenAiService {
           },
           "totalAmount": (number in dollars),
           "energyUsage": (number in kWh),
-          "rate": (number in $/kWh)
+          "rate": (number in $/kWh),
+          "usageHistory": [
+            { "month": (calendar month in YYYY-MM format), "kwh": (number) }
+          ]
         }
         
         If you can't find a specific piece of information, use null for that field.
+        usageHistory lists every month in the bill's usage history table or chart (often 13 months), not just the current period.
+        If the bill has no usage history, use an empty array for usageHistory.
         Do not include any explanations, just the JSON object.
       `;
 
-      logger.info(`Sending utility bill to OpenAI for extraction: document ${docId}, using model: gpt-3.5-turbo`);
-      const startTime = Date.now();
+      logger.info(`Sending utility bill for extraction: document ${docId}, using ${llm.provider.name} model: ${llm.model}`);
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo", // You can upgrade to gpt-4 for better accuracy
+      const { data: extractedData, response, attempts, errors, processingTime } = await this._completeValidated(llm, {
+        task: 'utilityBillExtraction',
         messages: [
           {role: "system", content: "You are a utility bill analysis assistant that extracts structured data."},
-          {role: "user", content: prompt + "\n\nHere is the utility bill text:\n" + limitedText}
+          {role: "user", content: prompt + redaction.note + "\n\nHere is the utility bill text:\n" + limitedText}
         ],
         temperature: 0.3,
-        response_format: { type: "json_object" }
+        schema: UTILITY_BILL_SCHEMA,
+        documentType: 'utilityBill',
+        documentId: docId,
       });
 
-      const processingTime = Date.now() - startTime;
-      logger.info(`OpenAI utility bill extraction completed in ${processingTime}ms for document ${docId}`);
+      logger.info(`${llm.provider.name} utility bill extraction completed in ${processingTime}ms (${attempts} attempts) for document ${docId}`);
 
-      try {
-        // Parse the JSON response
-        const responseContent = response.choices[0].message.content;
-        const extractedData = JSON.parse(responseContent);
-        
-        // Convert date strings to Date objects
-        if (extractedData.billingPeriod) {
-          if (extractedData.billingPeriod.startDate) {
-            extractedData.billingPeriod.startDate = new Date(extractedData.billingPeriod.startDate);
-          }
-          if (extractedData.billingPeriod.endDate) {
-            extractedData.billingPeriod.endDate = new Date(extractedData.billingPeriod.endDate);
-          }
-        }
-        
-        // Log the extraction results
-        this.logExtraction('utilityBill', 'extracted_data', {
-          processingTime,
-          model: "gpt-3.5-turbo",
-          promptTokens: response.usage?.prompt_tokens,
-          completionTokens: response.usage?.completion_tokens,
-          totalTokens: response.usage?.total_tokens,
-          extractedData
-        }, docId);
-        
-        logger.info(`Successfully extracted utility bill data with OpenAI: document ${docId}, company: ${extractedData.utilityCompany}, usage: ${extractedData.energyUsage}`);
-        return extractedData;
-      } catch (parseError) {
-        logger.error(`Failed to parse OpenAI response for document ${docId}: ${parseError.message}`);
-        
+      if (!extractedData) {
         // Log the failed extraction
         this.logExtraction('utilityBill', 'extraction_error', {
           processingTime,
-          error: parseError.message,
-          rawResponse: response.choices[0].message.content
+          attempts,
+          errors,
+          rawResponse: response.content
         }, docId);
         
         return null;
       }
+      
+      // Convert date strings to Date objects
+      if (extractedData.billingPeriod) {
+        if (extractedData.billingPeriod.startDate) {
+          extractedData.billingPeriod.startDate = new Date(extractedData.billingPeriod.startDate);
+        }
+        if (extractedData.billingPeriod.endDate) {
+          extractedData.billingPeriod.endDate = new Date(extractedData.billingPeriod.endDate);
+        }
+      }
+      
+      // Log the extraction results
+      this.logExtraction('utilityBill', 'extracted_data', {
+        processingTime,
+        attempts,
+        provider: llm.provider.name,
+        model: response.model,
+        promptTokens: response.usage.promptTokens,
+        completionTokens: response.usage.completionTokens,
+        totalTokens: response.usage.totalTokens,
+        droppedFields: errors.map(({ path }) => path),
+        extractedData
+      }, docId);
+      
+      // Only the returned data carries the personal details the model saw as placeholders
+      const restoredData = restorePii(extractedData, redaction.replacements);
+      
+      logger.info(`Successfully extracted utility bill data with ${llm.provider.name}: document ${docId}, company: ${restoredData.utilityCompany}, usage: ${restoredData.energyUsage}`);
+      return restoredData;
     } catch (error) {
       const docId = documentId || 'unknown';
-      logger.error(`OpenAI utility bill extraction error for document ${docId}: ${error.message}`);
+      logger.error(`LLM utility bill extraction error for document ${docId}: ${error.message}`);
       
       // Log the API error
       this.logExtraction('utilityBill', 'api_error', {
@@ -311,15 +363,16 @@ class OpenAiService {
    */
   async calculateEnvironmentalImpact(proposalData, systemSize, estimatedProduction) {
     try {
-      if (!this.isConfigured) {
-        logger.info('OpenAI not configured, skipping environmental impact calculation');
+      const llm = getTaskModel('environmentalImpact');
+      if (!llm.provider.isConfigured) {
+        logger.info(`LLM provider ${llm.provider.name} not configured, skipping environmental impact calculation`);
         return null;
       }
       
       const calcId = `env_${Math.random().toString(36).substring(2, 10)}`;
       logger.info(`Calculating environmental impact ${calcId}, system size: ${systemSize}kW, production: ${estimatedProduction}kWh`);
       
-      // Create input for OpenAI based on available data
+      // Create input for the model based on available data
       const prompt = `
         You are an environmental impact analysis expert for solar energy systems.
         Calculate the environmental benefits of the following solar system:
@@ -351,58 +404,56 @@ class OpenAiService {
         Do not include any explanations outside of the JSON, just return the JSON object.
       `;
 
-      logger.info(`Sending environmental calculation request to OpenAI: calculation ${calcId}`);
-      const startTime = Date.now();
+      logger.info(`Sending environmental calculation request: calculation ${calcId}, using ${llm.provider.name} model: ${llm.model}`);
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
+      const { data: environmentalData, response, attempts, errors, processingTime } = await this._completeValidated(llm, {
+        task: 'environmentalImpact',
         messages: [
           {role: "system", content: "You are an environmental impact calculation assistant for solar energy."},
           {role: "user", content: prompt}
         ],
         temperature: 0.2,
-        response_format: { type: "json_object" }
+        schema: ENVIRONMENTAL_IMPACT_SCHEMA,
+        documentType: 'environmental',
+        documentId: calcId,
       });
 
-      const processingTime = Date.now() - startTime;
-      logger.info(`OpenAI environmental calculation completed in ${processingTime}ms for ${calcId}`);
+      logger.info(`${llm.provider.name} environmental calculation completed in ${processingTime}ms (${attempts} attempts) for ${calcId}`);
 
-      try {
-        // Parse the JSON response
-        const responseContent = response.choices[0].message.content;
-        const environmentalData = JSON.parse(responseContent);
-        
-        // Log the calculation results
-        this.logExtraction('environmental', 'calculation', {
-          processingTime,
-          model: "gpt-3.5-turbo",
-          promptTokens: response.usage?.prompt_tokens,
-          completionTokens: response.usage?.completion_tokens,
-          totalTokens: response.usage?.total_tokens,
-          systemSize,
-          estimatedProduction,
-          environmentalData
-        }, calcId);
-        
-        logger.info(`Successfully calculated environmental impact with OpenAI: ${calcId}, annual offset: ${environmentalData.carbonOffsetAnnual} tons CO2`);
-        return {
-          ...environmentalData,
-          dataSource: 'openai'
-        };
-      } catch (parseError) {
-        logger.error(`Failed to parse OpenAI environmental calculation for ${calcId}: ${parseError.message}`);
-        
+      // Unlike extracted documents, the calculation is only used when every value is valid
+      if (!environmentalData || errors.length > 0) {
         // Log the failed calculation
         this.logExtraction('environmental', 'calculation_error', {
           processingTime,
-          error: parseError.message,
-          rawResponse: response.choices[0].message.content
+          attempts,
+          errors,
+          rawResponse: response.content
         }, calcId);
         
         return null;
       }
+      
+      // Log the calculation results
+      this.logExtraction('environmental', 'calculation', {
+        processingTime,
+        attempts,
+        provider: llm.provider.name,
+        model: response.model,
+        promptTokens: response.usage.promptTokens,
+        completionTokens: response.usage.completionTokens,
+        totalTokens: response.usage.totalTokens,
+        systemSize,
+        estimatedProduction,
+        environmentalData
+      }, calcId);
+      
+      logger.info(`Successfully calculated environmental impact with ${llm.provider.name}: ${calcId}, annual offset: ${environmentalData.carbonOffsetAnnual} tons CO2`);
+      return {
+        ...environmentalData,
+        dataSource: 'openai'
+      };
     } catch (error) {
-      logger.error(`OpenAI environmental calculation error: ${error.message}`);
+      logger.error(`LLM environmental calculation error: ${error.message}`);
       
       // Log the API error
       this.logExtraction('environmental', 'api_error', {
@@ -415,6 +466,77 @@ class OpenAiService {
       return null;
     }
   }
+
+  /**
+   * Replace the personal details in a document's text with placeholders
+   * @param {string} text - Document text
+   * @param {string} documentId - Document ID for logging
+   * @returns {Object} - { text, replacements, note }; note is the prompt line explaining the
+   *   placeholders, empty when nothing was redacted
+   * @private
+   */
+  _redactDocumentText(text, documentId) {
+    const { text: redactedText, replacements } = redactPii(text);
+    const redactions = countRedactions(replacements);
+
+    if (Object.keys(redactions).length === 0) {
+      return { text: redactedText, replacements, note: '' };
+    }
+
+    logger.info(`Redacted personal details from document ${documentId}: ${JSON.stringify(redactions)}`);
+    return { text: redactedText, replacements, note: `\n${REDACTION_NOTE}` };
+  }
+
+  /**
+   * Request a JSON object from a task's model and validate it against the task's schema
+   * Malformed JSON and values that break the schema are sent back to the model with the
+   * validation errors, up to apiConfig.llm.maxAttempts requests. If the last response still
+   * breaks the schema, the values that do match it are kept and the others dropped.
+   * @param {Object} llm - Provider and model from getTaskModel
+   * @param {Object} request - { task, messages, temperature, schema, documentType, documentId }
+   * @returns {Promise<Object>} - { data, response, attempts, errors, processingTime }; data is null when
+   *   no response was a JSON object, errors lists the validation errors of the last response
+   * @private
+   */
+  async _completeValidated(llm, { task, messages, temperature, schema, documentType, documentId }) {
+    const { maxAttempts } = apiConfig.llm;
+    const conversation = [...messages];
+    const startTime = Date.now();
+    let response;
+    let result;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      response = await llm.provider.complete({ task, model: llm.model, messages: conversation, temperature, json: true });
+      result = parseJsonResponse(response.content, schema);
+
+      if (result.errors.length === 0) {
+        return { data: result.data, response, attempts: attempt, errors: [], processingTime: Date.now() - startTime };
+      }
+
+      const errorList = formatValidationErrors(result.errors);
+      logger.warn(`Invalid ${documentType} response from ${llm.provider.name} for ${documentId} (attempt ${attempt} of ${maxAttempts}):\n${errorList}`);
+      this.logExtraction(documentType, 'validation_error', {
+        attempt,
+        errors: result.errors,
+        rawResponse: response.content
+      }, documentId);
+
+      conversation.push(
+        {role: "assistant", content: response.content},
+        {role: "user", content: `Your response does not match the requested format:\n${errorList}\n\n`
+          + 'Return the corrected JSON object only. Use plain numbers in the requested units, and null for values the document does not state.'}
+      );
+    }
+
+    const isObject = result.data !== null && typeof result.data === 'object' && !Array.isArray(result.data);
+    return {
+      data: isObject ? pruneToSchema(result.data, schema) : null,
+      response,
+      attempts: maxAttempts,
+      errors: result.errors,
+      processingTime: Date.now() - startTime,
+    };
+  }
 }
 
 module.exports = new OpenAiService(); 
\ No newline at end of file
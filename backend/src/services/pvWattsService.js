@@ -1,6 +1,7 @@
 const axios = require('axios');
 const apiConfig = require('../config/apiConfig');
 const { logger } = require('../middleware/errorMiddleware');
+const { HOURS_IN_YEAR, MONTH_NAMES, synthesizeHourlyProduction } = require('../utils/loadProfile');
 
 /**
  * Service for interacting with PVWatts API to calculate solar production
@@ -27,7 +28,8 @@ class PVWattsService {
    * @param {number} params.arrayType - Array type (0=fixed open rack, 1=fixed roof mount, etc.) (optional, default: 1)
    * @param {number} params.moduleType - Module type (0=standard, 1=premium, 2=thin film) (optional, default: 0)
    * @param {number} params.losses - System losses percentage (optional, default: 14.08)
-   * @returns {Promise<Object>} - Solar production data
+   * @param {string} params.timeframe - 'monthly' or 'hourly'; hourly adds 8760 values in outputs.ac (optional, default: monthly)
+   * @returns {Promise<Object>} - Solar production data; mock is true when it is the generic estimate used without an API key or after an API error
    */
   async getSolarProduction({
     systemCapacity,
@@ -38,18 +40,24 @@ class PVWattsService {
     arrayType = 1,
     moduleType = 0,
     losses = 14.08,
+    timeframe = 'monthly',
   }) {
     try {
       if (!systemCapacity || !latitude || !longitude) {
         throw new Error('System capacity, latitude, and longitude are required');
       }
 
+      if (!['monthly', 'hourly'].includes(timeframe)) {
+        throw new Error(`Unsupported timeframe: ${timeframe}`);
+      }
+
       // Check if API key is configured - use mock data if not
       if (!this.apiKey || this.apiKey === 'your_pvwatts_api_key') {
         logger.info('Using mock PVWatts solar production data because API key is not configured');
         return {
           success: true,
-          data: this._getMockSolarProduction(systemCapacity),
+          mock: true,
+          data: this._getMockSolarProduction(systemCapacity, timeframe),
         };
       }
 
@@ -64,7 +72,7 @@ class PVWattsService {
         array_type: arrayType,
         module_type: moduleType,
         losses,
-        timeframe: 'monthly', // Get monthly data
+        timeframe, // Monthly totals, or hourly AC output for all 8760 hours
         dataset: 'tmy3', // Typical Meteorological Year data
         format: 'json',
       };
@@ -75,6 +83,7 @@ class PVWattsService {
       // Return the solar production data
       return {
         success: true,
+        mock: false,
         data: response.data,
       };
     } catch (error) {
@@ -83,7 +92,8 @@ class PVWattsService {
       // Use mock data as fallback
       return {
         success: true, // Return success: true so frontend doesn't show error
-        data: this._getMockSolarProduction(systemCapacity),
+        mock: true,
+        data: this._getMockSolarProduction(systemCapacity, timeframe),
       };
     }
   }
@@ -113,7 +123,7 @@ class PVWattsService {
       });
     }
 
-    return {
+    const formatted = {
       systemCapacity: inputs.system_capacity,
       annualProduction: Math.round(outputs.ac_annual),
       monthlyProduction,
@@ -121,15 +131,23 @@ class PVWattsService {
       solradAnnual: outputs.solrad_annual,
       annualSavings: Math.round(outputs.ac_annual * 0.12), // Rough estimate using $0.12/kWh
     };
+
+    // Hourly AC output is reported in Wh
+    if (Array.isArray(outputs.ac) && outputs.ac.length === HOURS_IN_YEAR) {
+      formatted.hourlyProduction = outputs.ac.map(wh => parseFloat((wh / 1000).toFixed(3)));
+    }
+
+    return formatted;
   }
 
   /**
    * Mock implementation for solar production (used when API is not available)
    * @param {number} systemCapacity - System capacity in kW DC
+   * @param {string} [timeframe] - 'monthly' or 'hourly'
    * @returns {Object} - Mock solar production data
    * @private
    */
-  _getMockSolarProduction(systemCapacity) {
+  _getMockSolarProduction(systemCapacity, timeframe = 'monthly') {
     // Generate realistic production data based on system capacity
     const baseAnnualProduction = 1400; // Average production per kW in kWh
     const acAnnual = Math.round(systemCapacity * baseAnnualProduction);
@@ -145,6 +163,22 @@ class PVWattsService {
       Math.round(acAnnual * factor)
     );
 
+    const outputs = {
+      ac_annual: acAnnual,
+      ac_monthly: acMonthly,
+      capacity_factor: 16.0,
+      solrad_annual: 4.5,
+      solrad_monthly: [2.9, 3.5, 4.3, 5.1, 5.6, 5.8, 5.9, 5.6, 4.9, 3.8, 2.9, 2.6],
+    };
+
+    if (timeframe === 'hourly') {
+      const monthlyProduction = {};
+      acMonthly.forEach((value, index) => {
+        monthlyProduction[MONTH_NAMES[index]] = value;
+      });
+      outputs.ac = synthesizeHourlyProduction(monthlyProduction).map(kwh => Math.round(kwh * 1000));
+    }
+
     return {
       version: '1.0.0',
       inputs: {
@@ -156,14 +190,9 @@ class PVWattsService {
         array_type: 1,
         module_type: 0,
         losses: 14.08,
+        timeframe,
       },
-      outputs: {
-        ac_annual: acAnnual,
-        ac_monthly: acMonthly,
-        capacity_factor: 16.0,
-        solrad_annual: 4.5,
-        solrad_monthly: [2.9, 3.5, 4.3, 5.1, 5.6, 5.8, 5.9, 5.6, 4.9, 3.8, 2.9, 2.6],
-      },
+      outputs,
     };
   }
 }
@@ -0,0 +1,39 @@
+const storageConfig = require('../../config/storageConfig');
+const LocalDiskBackend = require('./localDiskBackend');
+const S3Backend = require('./s3Backend');
+
+// Backend implementations by the type set in storageConfig.backends
+const BACKEND_TYPES = {
+  local: LocalDiskBackend,
+  s3: S3Backend,
+};
+
+// Backends created so far, by name
+const backends = new Map();
+
+/**
+ * Get a configured storage backend
+ * Every backend has a name and put(key, data), get(key) and remove(key) methods working on Buffers.
+ * @param {string} name - Backend name from storageConfig.backends
+ * @returns {Object} - Backend instance
+ */
+const getStorageBackend = (name) => {
+  if (backends.has(name)) return backends.get(name);
+
+  const config = storageConfig.backends[name];
+  if (!config) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+  const Backend = BACKEND_TYPES[config.type];
+  if (!Backend) {
+    throw new Error(`Unknown storage backend type ${config.type} for backend ${name}`);
+  }
+
+  const backend = new Backend(name, config);
+  backends.set(name, backend);
+  return backend;
+};
+
+module.exports = {
+  getStorageBackend,
+};
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage backend keeping documents as files in a local directory
+ */
+class LocalDiskBackend {
+  /**
+   * @param {string} name - Backend name from storageConfig.backends
+   * @param {Object} config - Backend configuration ({ directory })
+   */
+  constructor(name, config) {
+    this.name = name;
+    this.directory = path.resolve(config.directory);
+  }
+
+  /**
+   * Store data under a key, replacing what was there
+   * @param {string} key - Storage key, e.g. proposals/<id>
+   * @param {Buffer} data - Data to store
+   * @returns {Promise<void>}
+   */
+  async put(key, data) {
+    const filePath = this._resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+
+    // Write to a temporary file first so a crash never leaves a truncated document behind
+    const temporaryPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporaryPath, data, { mode: 0o600 });
+    await fs.promises.rename(temporaryPath, filePath);
+  }
+
+  /**
+   * Read the data stored under a key
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer>} - Stored data
+   */
+  async get(key) {
+    return fs.promises.readFile(this._resolve(key));
+  }
+
+  /**
+   * Delete the data stored under a key; keys with nothing stored are ignored
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await fs.promises.rm(this._resolve(key), { force: true });
+  }
+
+  /**
+   * Map a storage key to a path inside the storage directory
+   * @param {string} key - Storage key
+   * @returns {string} - Absolute file path
+   * @private
+   */
+  _resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+}
+
+module.exports = LocalDiskBackend;
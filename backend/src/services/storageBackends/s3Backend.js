@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Encode a key path for the request URL and the signature (RFC 3986, slashes kept)
+ * @param {string} keyPath - Bucket and/or object key
+ * @returns {string} - Encoded path
+ * @private
+ */
+const encodePath = (keyPath) => keyPath.split('/')
+  .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`))
+  .join('/');
+
+/**
+ * Storage backend keeping documents as objects in an S3-compatible bucket
+ * Requests are signed with AWS Signature Version 4, so it works with AWS S3 as well as
+ * MinIO or any other stand-in at a custom endpoint.
+ */
+class S3Backend {
+  /**
+   * @param {string} name - Backend name from storageConfig.backends
+   * @param {Object} config - Backend configuration
+   *   ({ endpoint, region, bucket, accessKeyId, secretAccessKey, prefix, forcePathStyle, timeoutMs })
+   */
+  constructor(name, config) {
+    this.name = name;
+    this.config = config;
+    this.endpoint = new URL(config.endpoint || `https://s3.${config.region}.amazonaws.com`);
+    this.isConfigured = Boolean(config.bucket && config.accessKeyId && config.secretAccessKey);
+  }
+
+  /**
+   * Store data under a key, replacing what was there
+   * @param {string} key - Storage key, e.g. proposals/<id>
+   * @param {Buffer} data - Data to store
+   * @returns {Promise<void>}
+   */
+  async put(key, data) {
+    await this._request('PUT', key, data);
+  }
+
+  /**
+   * Read the data stored under a key
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer>} - Stored data
+   */
+  async get(key) {
+    const response = await this._request('GET', key);
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Delete the data stored under a key; keys with nothing stored are ignored
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await this._request('DELETE', key);
+  }
+
+  /**
+   * Send a signed object request
+   * @param {string} method - HTTP method
+   * @param {string} key - Storage key
+   * @param {Buffer} [body] - Request body
+   * @returns {Promise<Object>} - Axios response
+   * @private
+   */
+  async _request(method, key, body = Buffer.alloc(0)) {
+    if (!this.isConfigured) {
+      throw new Error(`Storage backend ${this.name} needs a bucket and access keys (S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY)`);
+    }
+
+    const url = this._objectUrl(key);
+    const headers = this._sign(method, url, {}, sha256(body), new Date());
+
+    try {
+      return await axios({
+        method,
+        url: url.toString(),
+        headers,
+        data: method === 'PUT' ? body : undefined,
+        responseType: 'arraybuffer',
+        timeout: this.config.timeoutMs,
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        // Stored files are binary; keep axios from serializing or parsing them
+        transformRequest: [(data) => data],
+      });
+    } catch (error) {
+      const status = error.response?.status;
+      const detail = error.response ? Buffer.from(error.response.data || '').toString().match(/<Code>(.*?)<\/Code>/)?.[1] : error.message;
+      throw new Error(`S3 ${method} ${key} failed${status ? ` with status ${status}` : ''}: ${detail || 'no details'}`);
+    }
+  }
+
+  /**
+   * Build the URL of an object
+   * @param {string} key - Storage key
+   * @returns {URL} - Object URL
+   * @private
+   */
+  _objectUrl(key) {
+    const objectKey = `${this.config.prefix}${key}`;
+    const url = new URL(this.endpoint.toString());
+    const basePath = url.pathname.replace(/\/$/, '');
+
+    if (this.config.forcePathStyle) {
+      url.pathname = `${basePath}/${encodePath(`${this.config.bucket}/${objectKey}`)}`;
+    } else {
+      url.host = `${this.config.bucket}.${url.host}`;
+      url.pathname = `${basePath}/${encodePath(objectKey)}`;
+    }
+    return url;
+  }
+
+  /**
+   * Sign a request with AWS Signature Version 4
+   * @param {string} method - HTTP method
+   * @param {URL} url - Request URL (without query parameters)
+   * @param {Object} extraHeaders - Headers to sign besides host and the x-amz ones
+   * @param {string} payloadHash - Hex SHA-256 of the request body
+   * @param {Date} date - Request time
+   * @returns {Object} - Headers to send, including Authorization
+   * @private
+   */
+  _sign(method, url, extraHeaders, payloadHash, date) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${this.config.region}/s3/aws4_request`;
+
+    const headers = {
+      ...Object.fromEntries(Object.entries(extraHeaders).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+    };
+    const headerNames = Object.keys(headers).sort();
+    const signedHeaders = headerNames.join(';');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      ...headerNames.map(name => `${name}:${headers[name]}`),
+      '',
+      signedHeaders,
+      payloadHash,
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.config.secretAccessKey}`, dateStamp), this.config.region),
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    // The host header is set by the HTTP client from the URL
+    const { host, ...requestHeaders } = headers;
+    return {
+      ...requestHeaders,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    };
+  }
+}
+
+module.exports = S3Backend;
@@ -0,0 +1,125 @@
+const { buildUsageHistory } = require('../utils/usageHistory');
+const { logger } = require('../middleware/errorMiddleware');
+
+// Models
+const UsageHistory = require('../models/usageHistoryModel');
+const UtilityBill = require('../models/utilityBillModel');
+
+/**
+ * Service for merging a household's utility bills into a 12-month usage history
+ * Histories are kept per account, so bills uploaded at different times for the
+ * same account number build up one series.
+ */
+class UsageHistoryService {
+  /**
+   * Merge bills into their account's usage history and store it
+   * Bills passed together are treated as one account; bills already stored in the
+   * account's history are merged again so overlaps are resolved across uploads.
+   * @param {Array} utilityBills - Processed utility bill documents
+   * @returns {Promise<Object|null>} - Stored usage history, or null if the bills had no usable readings
+   */
+  async mergeBills(utilityBills) {
+    try {
+      const bills = utilityBills.filter(bill => bill && bill.status !== 'error' && bill.extractedData);
+      if (bills.length === 0) return null;
+
+      const accountNumber = bills.map(bill => this._billedAccountNumber(bill)).find(Boolean);
+      const accountKey = accountNumber
+        ? accountNumber.replace(/[^a-z0-9]/gi, '').toUpperCase()
+        : `bill-${bills[0]._id}`;
+      const userId = bills[0].user;
+
+      const existing = await UsageHistory.findOne({ user: userId, accountKey });
+      const billIds = [...new Set([
+        ...(existing?.utilityBills || []),
+        ...bills.map(bill => bill._id),
+      ].map(id => id.toString()))];
+
+      const accountBills = await UtilityBill.find({ _id: { $in: billIds } });
+      const history = buildUsageHistory(accountBills);
+
+      if (!history) {
+        // Account numbers stay out of the logs; the bill IDs identify the account
+        logger.info(`No usable usage readings in bills ${billIds.join(', ')}`);
+        return null;
+      }
+
+      const stored = await UsageHistory.findOneAndUpdate(
+        { user: userId, accountKey },
+        {
+          accountNumber,
+          utilityCompany: bills.map(bill => bill.extractedData.utilityCompany).find(Boolean),
+          utilityBills: billIds,
+          months: history.months,
+          measuredMonths: history.measuredMonths,
+          readingCount: history.readingCount,
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      logger.info(`Usage history ${stored._id}: ${history.measuredMonths}/12 months measured from ${accountBills.length} bills`);
+      return stored;
+    } catch (error) {
+      logger.error(`Usage history merge error: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the usage history a bill belongs to, merging the bill on its own if it has none yet
+   * @param {Object} utilityBill - Utility bill document
+   * @returns {Promise<Object|null>} - Usage history or null if none could be built
+   */
+  async getForBill(utilityBill) {
+    try {
+      const history = await UsageHistory.findOne({ utilityBills: utilityBill._id }).sort({ updatedAt: -1 });
+      return history || this.mergeBills([utilityBill]);
+    } catch (error) {
+      logger.error(`Usage history lookup error: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the measured hourly load from Green Button data for a bill's account
+   * Uses the bill itself when it is a Green Button import, otherwise the most recent
+   * Green Button import merged into the same usage history.
+   * @param {Object} utilityBill - Utility bill document
+   * @param {Object} [usageHistory] - Usage history the bill belongs to
+   * @returns {Promise<Array|null>} - 8760 hourly loads in kWh (null where unmeasured), or null without interval data
+   */
+  async getIntervalLoad(utilityBill, usageHistory = null) {
+    try {
+      const billIds = usageHistory?.utilityBills?.length ? usageHistory.utilityBills : [utilityBill._id];
+      const intervalBill = await UtilityBill.findOne({
+        _id: { $in: billIds },
+        fileType: 'green-button',
+        status: { $ne: 'error' },
+      })
+        .sort({ 'extractedData.intervalData.endDate': -1 })
+        .select('+extractedData.intervalData.hourlyLoad');
+
+      const hourlyLoad = intervalBill?.extractedData?.intervalData?.hourlyLoad;
+      return hourlyLoad?.length ? hourlyLoad : null;
+    } catch (error) {
+      logger.error(`Interval load lookup error: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the account number printed on a bill, ignoring placeholders generated for older documents
+   * @param {Object} utilityBill - Utility bill document
+   * @returns {string|null} - Account number
+   * @private
+   */
+  _billedAccountNumber(utilityBill) {
+    const data = utilityBill.extractedData;
+    if (!data.accountNumber || (data.generatedFields || []).includes('accountNumber')) {
+      return null;
+    }
+    return data.accountNumber;
+  }
+}
+
+module.exports = new UsageHistoryService();
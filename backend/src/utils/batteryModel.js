@@ -0,0 +1,226 @@
+const analysisConfig = require('../config/analysisConfig');
+const { calculateNpv, calculatePaybackYears, resolveFinancialAssumptions } = require('./cashFlowModel');
+const { getEnergyRate } = require('./tariffEngine');
+const { getHourlyCalendar } = require('./loadProfile');
+
+const DISPATCH_STRATEGIES = ['self-consumption', 'tou-arbitrage'];
+
+/**
+ * Merge caller-supplied battery parameters with the configured defaults
+ * @param {Object} params - Battery parameters
+ * @param {number} params.capacityKwh - Usable energy capacity in kWh
+ * @param {number} params.powerKw - Continuous charge/discharge power in kW
+ * @param {number} [params.roundTripEfficiency] - Round-trip efficiency (0.9 = 90%)
+ * @param {number} [params.reservePercent] - Percent of capacity held back for outages
+ * @param {string} [params.strategy] - 'self-consumption' or 'tou-arbitrage'
+ * @param {boolean} [params.allowGridCharging] - Whether TOU arbitrage may charge from the grid
+ * @param {number} [params.criticalLoadKw] - Critical-load panel draw in kW
+ * @param {number} [params.cost] - Installed cost in dollars, instead of capacity × cost per kWh
+ * @returns {Object} - Complete battery parameters
+ */
+const resolveBatteryParams = (params) => {
+  const defaults = analysisConfig.battery;
+  const capacityKwh = parseFloat(params.capacityKwh);
+
+  return {
+    capacityKwh,
+    powerKw: parseFloat(params.powerKw),
+    roundTripEfficiency: parseFloat(params.roundTripEfficiency) || 0.9,
+    reservePercent: Number.isFinite(parseFloat(params.reservePercent))
+      ? parseFloat(params.reservePercent)
+      : defaults.reservePercent,
+    strategy: params.strategy || 'self-consumption',
+    allowGridCharging: Boolean(params.allowGridCharging),
+    criticalLoadKw: parseFloat(params.criticalLoadKw) || defaults.criticalLoadKw,
+    cost: parseFloat(params.cost) || capacityKwh * defaults.costPerKwh,
+  };
+};
+
+/**
+ * Check battery parameters before running a simulation
+ * @param {Object} battery - Parameters from resolveBatteryParams
+ * @returns {string|null} - Problem description, or null when the parameters are usable
+ */
+const validateBatteryParams = (battery) => {
+  if (!(battery.capacityKwh > 0)) return 'capacityKwh must be a positive number';
+  if (!(battery.powerKw > 0)) return 'powerKw must be a positive number';
+  if (!(battery.roundTripEfficiency > 0 && battery.roundTripEfficiency <= 1)) {
+    return 'roundTripEfficiency must be between 0 and 1';
+  }
+  if (battery.reservePercent < 0 || battery.reservePercent >= 100) {
+    return 'reservePercent must be between 0 and 100';
+  }
+  if (!DISPATCH_STRATEGIES.includes(battery.strategy)) {
+    return `strategy must be one of: ${DISPATCH_STRATEGIES.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Simulate hourly battery dispatch against household load and solar production
+ * Self-consumption stores surplus solar and discharges whenever the home imports.
+ * TOU arbitrage also stores surplus solar but holds it for each month's highest-priced
+ * hours, discharging freely only once that day's peak is over, and can optionally top
+ * up from the grid in the cheapest hours.
+ * Losses are split evenly between charging and discharging.
+ * @param {Object} params - Simulation inputs
+ * @param {Array} params.hourlyLoad - 8760 hourly household loads in kWh
+ * @param {Array} params.hourlyProduction - 8760 hourly solar production values in kWh
+ * @param {Object} params.tariff - Tariff from tariffEngine
+ * @param {Object} params.battery - Parameters from resolveBatteryParams
+ * @returns {Object} - Hourly grid net load (imports positive) and energy totals
+ */
+const simulateBatteryDispatch = ({ hourlyLoad, hourlyProduction, tariff, battery }) => {
+  const calendar = getHourlyCalendar();
+  const oneWayEfficiency = Math.sqrt(battery.roundTripEfficiency);
+  const reserveKwh = battery.capacityKwh * battery.reservePercent / 100;
+  const rates = calendar.map(({ monthIndex, hour, isWeekend }) => getEnergyRate(tariff, monthIndex, hour, isWeekend));
+
+  // Highest and lowest retail rate in each month decide when arbitrage discharges and grid-charges
+  const monthMax = new Array(12).fill(-Infinity);
+  const monthMin = new Array(12).fill(Infinity);
+  calendar.forEach(({ monthIndex }, index) => {
+    monthMax[monthIndex] = Math.max(monthMax[monthIndex], rates[index]);
+    monthMin[monthIndex] = Math.min(monthMin[monthIndex], rates[index]);
+  });
+
+  // Last peak-priced hour of each day; arbitrage releases leftover energy after it
+  const lastPeakHour = new Array(calendar.length / 24).fill(-1);
+  calendar.forEach(({ monthIndex, hour }, index) => {
+    if (rates[index] >= monthMax[monthIndex]) {
+      lastPeakHour[Math.floor(index / 24)] = hour;
+    }
+  });
+
+  // Solar surplus still to come before each day's peak ends; grid charging leaves room for it
+  const surplusAhead = new Array(calendar.length).fill(0);
+  for (let index = calendar.length - 1; index >= 0; index--) {
+    const day = Math.floor(index / 24);
+    const surplus = Math.max(0, (hourlyProduction[index] || 0) - (hourlyLoad[index] || 0));
+    const beforePeakEnds = calendar[index].hour <= lastPeakHour[day];
+    const later = calendar[index].hour < 23 ? surplusAhead[index + 1] : 0;
+    surplusAhead[index] = later + (beforePeakEnds ? Math.min(surplus, battery.powerKw) : 0);
+  }
+
+  // Start the year at the reserve level
+  let stateOfCharge = reserveKwh;
+  let energyCharged = 0;
+  let energyDischarged = 0;
+
+  const gridNet = calendar.map(({ monthIndex, hour }, index) => {
+    let net = (hourlyLoad[index] || 0) - (hourlyProduction[index] || 0);
+    const rate = rates[index];
+    const isPeak = rate >= monthMax[monthIndex];
+    const isCheapest = rate <= monthMin[monthIndex];
+
+    // Store surplus solar
+    if (net < 0) {
+      const charge = Math.min(-net, battery.powerKw, (battery.capacityKwh - stateOfCharge) / oneWayEfficiency);
+      stateOfCharge += charge * oneWayEfficiency;
+      energyCharged += charge;
+      net += charge;
+    }
+
+    // Top up from the grid ahead of the peak when the peak-to-cheapest spread covers the losses
+    if (battery.strategy === 'tou-arbitrage' && battery.allowGridCharging && isCheapest
+      && hour < lastPeakHour[Math.floor(index / 24)]
+      && monthMin[monthIndex] < monthMax[monthIndex] * battery.roundTripEfficiency) {
+      const headroom = battery.capacityKwh - surplusAhead[index] * oneWayEfficiency - stateOfCharge;
+      const charge = Math.min(battery.powerKw, Math.max(0, headroom) / oneWayEfficiency);
+      if (charge > 0) {
+        stateOfCharge += charge * oneWayEfficiency;
+        energyCharged += charge;
+        net += charge;
+      }
+    }
+
+    // Cover imports from the battery, down to the outage reserve
+    const canDischarge = battery.strategy === 'self-consumption'
+      || isPeak
+      || hour > lastPeakHour[Math.floor(index / 24)];
+    if (net > 0 && canDischarge) {
+      const discharge = Math.min(net, battery.powerKw, Math.max(0, stateOfCharge - reserveKwh) * oneWayEfficiency);
+      stateOfCharge -= discharge / oneWayEfficiency;
+      energyDischarged += discharge;
+      net -= discharge;
+    }
+
+    return net;
+  });
+
+  return {
+    gridNet,
+    energyCharged: Math.round(energyCharged),
+    energyDischarged: Math.round(energyDischarged),
+    equivalentCycles: Math.round(energyDischarged / battery.capacityKwh),
+  };
+};
+
+/**
+ * Calculate how long the battery can run a critical-load panel during an outage
+ * @param {Object} battery - Parameters from resolveBatteryParams
+ * @returns {Object} - Backup hours from a full battery and from the outage reserve
+ */
+const calculateBackupHours = (battery) => {
+  const oneWayEfficiency = Math.sqrt(battery.roundTripEfficiency);
+  const fullHours = battery.capacityKwh * oneWayEfficiency / battery.criticalLoadKw;
+  const reserveHours = fullHours * battery.reservePercent / 100;
+
+  return {
+    backupHours: parseFloat(fullHours.toFixed(1)),
+    backupHoursAtReserve: parseFloat(reserveHours.toFixed(1)),
+  };
+};
+
+/**
+ * Calculate payback for the battery on its own
+ * Savings shrink with capacity fade and grow with utility price escalation
+ * @param {Object} params - Inputs
+ * @param {Object} params.battery - Parameters from resolveBatteryParams
+ * @param {number} params.firstYearSavings - Bill savings the battery adds in year 1
+ * @param {string} [params.state] - State code used for storage rebates
+ * @param {Object} [params.financialAssumptions] - Overrides for the financial assumptions
+ * @returns {Object} - Cost, incentives and payback metrics
+ */
+const calculateBatteryEconomics = ({ battery, firstYearSavings, state, financialAssumptions }) => {
+  const { taxCreditRate, degradationRate, lifetimeYears, rebatePerKwhByState } = analysisConfig.battery;
+  const { utilityEscalationRate, discountRate } = resolveFinancialAssumptions(financialAssumptions);
+
+  const rebate = (rebatePerKwhByState[state] || 0) * battery.capacityKwh;
+  const taxCredit = battery.cost * taxCreditRate;
+  const netCost = Math.max(0, battery.cost - rebate - taxCredit);
+
+  const cashFlows = [-netCost];
+  for (let year = 1; year <= lifetimeYears; year++) {
+    cashFlows.push(firstYearSavings
+      * Math.pow(1 - degradationRate, year - 1)
+      * Math.pow(1 + utilityEscalationRate, year - 1));
+  }
+
+  const cumulative = [];
+  cashFlows.reduce((total, cashFlow) => {
+    cumulative.push(total + cashFlow);
+    return total + cashFlow;
+  }, 0);
+  const paybackPeriod = calculatePaybackYears(cumulative);
+
+  return {
+    cost: Math.round(battery.cost),
+    rebate: Math.round(rebate),
+    taxCredit: Math.round(taxCredit),
+    netCost: Math.round(netCost),
+    lifetimeYears,
+    lifetimeSavings: Math.round(cumulative[cumulative.length - 1] + netCost),
+    npv: Math.round(calculateNpv(discountRate, cashFlows)),
+    paybackPeriod: paybackPeriod === null ? null : parseFloat(paybackPeriod.toFixed(1)),
+  };
+};
+
+module.exports = {
+  DISPATCH_STRATEGIES,
+  resolveBatteryParams,
+  validateBatteryParams,
+  simulateBatteryDispatch,
+  calculateBackupHours,
+  calculateBatteryEconomics,
+};
@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const analysisConfig = require('../config/analysisConfig');
+const { logger } = require('../middleware/errorMiddleware');
+
+// Characters after an anchor searched for the field value when the template doesn't set a window
+const DEFAULT_ANCHOR_WINDOW = 120;
+
+// Fields a template must read for its result to be used without OpenAI or the generic patterns
+const REQUIRED_TEMPLATE_FIELDS = ['billingPeriod', 'totalAmount', 'energyUsage'];
+
+const TEMPLATE_FIELDS = ['accountNumber', 'billingPeriod', 'totalAmount', 'energyUsage', 'rate'];
+
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+let templateCache = null;
+
+/**
+ * Build a case-insensitive pattern matching a utility name or alias as a whole word
+ * @param {string} alias - Utility name or alias
+ * @returns {RegExp} - Pattern that doesn't match inside longer words (e.g. "SCE" in "Ascent")
+ * @private
+ */
+const aliasPattern = (alias) => {
+  const escaped = alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![a-z0-9])${escaped}(?![a-z0-9])`, 'i');
+};
+
+/**
+ * Parse a date as printed on a bill ("01/10/24", "1/10/2024" or "Jan 10, 2024") as UTC midnight
+ * @param {string} value - Printed date
+ * @returns {Date|null} - Date or null if it can't be read
+ * @private
+ */
+const parseBillDate = (value) => {
+  const numeric = value.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2}|\d{4})$/);
+  if (numeric) {
+    const year = numeric[3].length === 2 ? 2000 + Number(numeric[3]) : Number(numeric[3]);
+    return new Date(Date.UTC(year, Number(numeric[1]) - 1, Number(numeric[2])));
+  }
+
+  const named = value.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})$/i);
+  if (named) {
+    const month = MONTH_ABBREVIATIONS.indexOf(named[1].toLowerCase());
+    if (month >= 0) {
+      return new Date(Date.UTC(Number(named[3]), month, Number(named[2])));
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Convert the captured groups of a field pattern into the field's value
+ * @param {string} field - Field name
+ * @param {Array} groups - Captured groups (without the full match)
+ * @returns {*} - Field value, or null if the capture isn't a valid value
+ * @private
+ */
+const readFieldValue = (field, groups) => {
+  if (field === 'billingPeriod') {
+    const startDate = groups[0] && parseBillDate(groups[0].trim());
+    const endDate = groups[1] && parseBillDate(groups[1].trim());
+    return startDate && endDate && startDate <= endDate ? { startDate, endDate } : null;
+  }
+
+  if (field === 'accountNumber') {
+    return groups[0] ? groups[0].trim() : null;
+  }
+
+  const value = parseFloat((groups[0] || '').replace(/,/g, ''));
+  return Number.isFinite(value) && value > 0 ? value : null;
+};
+
+/**
+ * Check that a template file has the fields the extractor needs
+ * @param {Object} template - Parsed template
+ * @returns {string|null} - Problem description, or null when the template is usable
+ */
+const validateTemplate = (template) => {
+  if (!template.id || !template.utility) {
+    return 'id and utility are required';
+  }
+  if (!template.fields || !REQUIRED_TEMPLATE_FIELDS.every(field => Array.isArray(template.fields[field]))) {
+    return `anchors for ${REQUIRED_TEMPLATE_FIELDS.join(', ')} are required`;
+  }
+
+  for (const [field, anchors] of Object.entries(template.fields)) {
+    if (!TEMPLATE_FIELDS.includes(field)) {
+      return `unknown field ${field}`;
+    }
+    for (const anchor of anchors) {
+      if (!anchor.anchor || !anchor.pattern) {
+        return `${field} anchors need an anchor and a pattern`;
+      }
+      try {
+        new RegExp(anchor.pattern, 'i');
+      } catch (error) {
+        return `invalid ${field} pattern: ${error.message}`;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Read the bill fields a template describes from bill text
+ * Each field lists anchors in order of preference; the first anchor whose pattern matches
+ * within its window after the anchor text wins.
+ * @param {Object} template - Bill template
+ * @param {string} text - Text extracted from the bill
+ * @returns {Object} - Extracted fields, the template's utility and ID, and the list of matchedFields
+ */
+const extractWithTemplate = (template, text) => {
+  const result = {
+    templateId: template.id,
+    utilityCompany: template.utility,
+    matchedFields: [],
+  };
+  const lowerText = text.toLowerCase();
+
+  Object.entries(template.fields).forEach(([field, anchors]) => {
+    for (const { anchor, pattern, window = DEFAULT_ANCHOR_WINDOW } of anchors) {
+      const valuePattern = new RegExp(pattern, 'i');
+      const needle = anchor.toLowerCase();
+      let position = lowerText.indexOf(needle);
+
+      // The same anchor can appear more than once (e.g. a summary and a details page)
+      while (position !== -1) {
+        const start = position + needle.length;
+        const match = text.slice(start, start + window).match(valuePattern);
+        const value = match ? readFieldValue(field, match.slice(1)) : null;
+        if (value !== null) {
+          result[field] = value;
+          result.matchedFields.push(field);
+          return;
+        }
+        position = lowerText.indexOf(needle, start);
+      }
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Compare a template's extraction of its fixture text with the expected values
+ * @param {Object} template - Bill template with a fixture { text, expected }
+ * @returns {string|null} - First mismatch, or null when every expected value is read
+ */
+const checkTemplateFixture = (template) => {
+  if (!template.fixture?.text || !template.fixture?.expected) {
+    return 'fixture text and expected values are required';
+  }
+
+  const extracted = extractWithTemplate(template, template.fixture.text);
+
+  for (const [field, expected] of Object.entries(template.fixture.expected)) {
+    const value = extracted[field];
+    let actual = value;
+    if (field === 'billingPeriod' && value) {
+      actual = {
+        startDate: value.startDate.toISOString().slice(0, 10),
+        endDate: value.endDate.toISOString().slice(0, 10),
+      };
+    }
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      return `${field} read as ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Load every bill template JSON file from a directory
+ * The bundled templates' fixtures are checked by tests/billTemplates.test.js; the same check
+ * runs here as a guard, skipping templates that don't read their fixture correctly (e.g. one
+ * added through BILL_TEMPLATE_DIRECTORY) so a broken pattern can't feed wrong values into an analysis.
+ * Results are cached; pass a directory to reload from a different location
+ * @param {string} [directory] - Directory containing *.json template files
+ * @returns {Map<string, Object>} - Templates keyed by ID
+ */
+const loadBillTemplates = (directory) => {
+  if (templateCache && !directory) {
+    return templateCache;
+  }
+
+  const templateDirectory = directory || analysisConfig.billTemplates.directory;
+  const templates = new Map();
+
+  if (!fs.existsSync(templateDirectory)) {
+    logger.warn(`Bill template directory not found: ${templateDirectory}`);
+    templateCache = templates;
+    return templates;
+  }
+
+  fs.readdirSync(templateDirectory)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      try {
+        const template = JSON.parse(fs.readFileSync(path.join(templateDirectory, file), 'utf8'));
+        const problem = validateTemplate(template) || checkTemplateFixture(template);
+        if (problem) {
+          logger.error(`Skipping bill template ${file}: ${problem}`);
+          return;
+        }
+        templates.set(template.id, template);
+      } catch (error) {
+        logger.warn(`Skipping bill template ${file}: ${error.message}`);
+      }
+    });
+
+  logger.info(`Loaded ${templates.size} bill templates from ${templateDirectory}`);
+  templateCache = templates;
+  return templates;
+};
+
+/**
+ * Find the bill template for a utility
+ * The detected utility company name is matched first; when it is missing or generic,
+ * the utility name or alias printed earliest in the bill text decides.
+ * @param {string|null} utilityCompany - Utility company detected on the bill
+ * @param {string} [text] - Text extracted from the bill
+ * @returns {Object|null} - Bill template or null if no template matches
+ */
+const findBillTemplate = (utilityCompany, text = '') => {
+  const templates = [...loadBillTemplates().values()];
+  const namesOf = (template) => [template.utility, ...(template.utilityAliases || [])].filter(Boolean);
+
+  if (utilityCompany) {
+    const byName = templates.find(template => namesOf(template).some(alias => aliasPattern(alias).test(utilityCompany)));
+    if (byName) return byName;
+  }
+
+  let best = null;
+  templates.forEach(template => {
+    namesOf(template).forEach(alias => {
+      const match = text.match(aliasPattern(alias));
+      if (match && (!best || match.index < best.position)) {
+        best = { template, position: match.index };
+      }
+    });
+  });
+
+  return best ? best.template : null;
+};
+
+/**
+ * Extract bill fields with the template for the bill's utility
+ * @param {string} text - Text extracted from the bill
+ * @param {string|null} utilityCompany - Utility company detected on the bill
+ * @returns {Object|null} - Template extraction with a complete flag, or null if no template matches
+ */
+const extractWithBillTemplate = (text, utilityCompany) => {
+  const template = findBillTemplate(utilityCompany, text);
+  if (!template) return null;
+
+  const result = extractWithTemplate(template, text);
+  const complete = REQUIRED_TEMPLATE_FIELDS.every(field => result.matchedFields.includes(field));
+  logger.info(`Bill template ${template.id} read ${result.matchedFields.length} fields${complete ? '' : ' (incomplete)'}`);
+
+  return { ...result, complete };
+};
+
+module.exports = {
+  REQUIRED_TEMPLATE_FIELDS,
+  loadBillTemplates,
+  findBillTemplate,
+  extractWithTemplate,
+  extractWithBillTemplate,
+  validateTemplate,
+  checkTemplateFixture,
+};
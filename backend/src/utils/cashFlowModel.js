@@ -0,0 +1,193 @@
+const analysisConfig = require('../config/analysisConfig');
+
+/**
+ * Merge caller-supplied financial assumptions with the configured defaults
+ * Unknown keys and non-numeric values are ignored
+ * @param {Object} [overrides] - Assumptions to override
+ * @returns {Object} - Complete set of financial assumptions
+ */
+const resolveFinancialAssumptions = (overrides = {}) => {
+  const assumptions = { ...analysisConfig.financial };
+
+  Object.keys(assumptions).forEach(key => {
+    const value = parseFloat(overrides?.[key]);
+    if (Number.isFinite(value)) {
+      assumptions[key] = value;
+    }
+  });
+
+  assumptions.analysisPeriodYears = Math.max(1, Math.round(assumptions.analysisPeriodYears));
+  assumptions.inverterReplacementYear = Math.round(assumptions.inverterReplacementYear);
+
+  return assumptions;
+};
+
+/**
+ * Calculate net present value of a series of cash flows
+ * @param {number} rate - Discount rate (0.05 = 5%)
+ * @param {Array<number>} cashFlows - Cash flows starting at year 0
+ * @returns {number} - Net present value
+ */
+const calculateNpv = (rate, cashFlows) => {
+  return cashFlows.reduce((total, cashFlow, year) => total + cashFlow / Math.pow(1 + rate, year), 0);
+};
+
+/**
+ * Calculate internal rate of return using bisection
+ * @param {Array<number>} cashFlows - Cash flows starting at year 0
+ * @returns {number|null} - IRR (0.08 = 8%) or null if the flows never change sign
+ */
+const calculateIrr = (cashFlows) => {
+  const hasPositive = cashFlows.some(cashFlow => cashFlow > 0);
+  const hasNegative = cashFlows.some(cashFlow => cashFlow < 0);
+  if (!hasPositive || !hasNegative) return null;
+
+  let low = -0.99;
+  let high = 1;
+
+  // Widen the upper bound for very profitable systems
+  while (calculateNpv(high, cashFlows) > 0 && high < 1000) {
+    high *= 2;
+  }
+
+  const lowNpv = calculateNpv(low, cashFlows);
+  const highNpv = calculateNpv(high, cashFlows);
+  if (Math.sign(lowNpv) === Math.sign(highNpv)) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const midNpv = calculateNpv(mid, cashFlows);
+
+    if (Math.abs(midNpv) < 1e-6) return mid;
+
+    if (Math.sign(midNpv) === Math.sign(lowNpv)) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return (low + high) / 2;
+};
+
+/**
+ * Find the year in which a cumulative series turns non-negative
+ * Interpolates within the year so a payback of 7.4 means partway through year 8
+ * @param {Array<number>} cumulative - Cumulative cash flows starting at year 0
+ * @returns {number|null} - Payback in years or null if never reached
+ */
+const calculatePaybackYears = (cumulative) => {
+  for (let year = 1; year < cumulative.length; year++) {
+    if (cumulative[year] >= 0 && cumulative[year - 1] < 0) {
+      const yearFlow = cumulative[year] - cumulative[year - 1];
+      return (year - 1) + (-cumulative[year - 1] / yearFlow);
+    }
+  }
+
+  return cumulative[0] >= 0 ? 0 : null;
+};
+
+/**
+ * Calculate the owner's O&M and inverter-replacement costs for one year of operation
+ * @param {number} year - Year of operation starting at 1
+ * @param {number} systemSize - System size in kW DC
+ * @param {Object} assumptions - Resolved financial assumptions
+ * @returns {Object} - { omCost, inverterCost } in dollars
+ */
+const calculateOwnershipCosts = (year, systemSize, assumptions) => {
+  const { omCostPerKwYear, omEscalationRate, inverterReplacementYear, inverterReplacementCostPerWatt } = assumptions;
+  return {
+    omCost: omCostPerKwYear * systemSize * Math.pow(1 + omEscalationRate, year - 1),
+    inverterCost: year === inverterReplacementYear ? inverterReplacementCostPerWatt * systemSize * 1000 : 0,
+  };
+};
+
+/**
+ * Build a year-by-year cash-flow model for a solar system
+ * @param {Object} params - Model inputs
+ * @param {number} params.systemCost - Net upfront cost of the system in dollars
+ * @param {number} params.systemSize - System size in kW DC
+ * @param {number} params.firstYearSavings - Utility bill savings in year 1 in dollars
+ * @param {number} params.firstYearProduction - Solar production in year 1 in kWh
+ * @param {Object} [params.assumptions] - Financial assumptions overriding the defaults
+ * @returns {Object} - Yearly series and summary metrics (NPV, IRR, LCOE, payback)
+ */
+const buildCashFlowModel = ({
+  systemCost,
+  systemSize,
+  firstYearSavings,
+  firstYearProduction,
+  assumptions: overrides = {},
+}) => {
+  const assumptions = resolveFinancialAssumptions(overrides);
+  const {
+    analysisPeriodYears,
+    panelDegradationRate,
+    utilityEscalationRate,
+    discountRate,
+  } = assumptions;
+
+  const cashFlows = [-systemCost];
+  const years = [];
+  let cumulativeCashFlow = -systemCost;
+  let cumulativeDiscountedCashFlow = -systemCost;
+  let discountedProduction = 0;
+  let discountedCosts = systemCost;
+
+  for (let year = 1; year <= analysisPeriodYears; year++) {
+    const degradationFactor = Math.pow(1 - panelDegradationRate, year - 1);
+    const discountFactor = Math.pow(1 + discountRate, year);
+
+    const production = firstYearProduction * degradationFactor;
+    // Savings follow production and the escalating utility price
+    const billSavings = firstYearSavings * degradationFactor * Math.pow(1 + utilityEscalationRate, year - 1);
+    const { omCost, inverterCost } = calculateOwnershipCosts(year, systemSize, assumptions);
+
+    const netCashFlow = billSavings - omCost - inverterCost;
+    const discountedCashFlow = netCashFlow / discountFactor;
+
+    cumulativeCashFlow += netCashFlow;
+    cumulativeDiscountedCashFlow += discountedCashFlow;
+    discountedProduction += production / discountFactor;
+    discountedCosts += (omCost + inverterCost) / discountFactor;
+    cashFlows.push(netCashFlow);
+
+    years.push({
+      year,
+      production: Math.round(production),
+      billSavings: parseFloat(billSavings.toFixed(2)),
+      omCost: parseFloat(omCost.toFixed(2)),
+      inverterCost: parseFloat(inverterCost.toFixed(2)),
+      netCashFlow: parseFloat(netCashFlow.toFixed(2)),
+      cumulativeCashFlow: parseFloat(cumulativeCashFlow.toFixed(2)),
+      discountedCashFlow: parseFloat(discountedCashFlow.toFixed(2)),
+      cumulativeDiscountedCashFlow: parseFloat(cumulativeDiscountedCashFlow.toFixed(2)),
+    });
+  }
+
+  const cumulative = [-systemCost, ...years.map(y => y.cumulativeCashFlow)];
+  const cumulativeDiscounted = [-systemCost, ...years.map(y => y.cumulativeDiscountedCashFlow)];
+  const paybackPeriod = calculatePaybackYears(cumulative);
+  const discountedPaybackPeriod = calculatePaybackYears(cumulativeDiscounted);
+  const irr = calculateIrr(cashFlows);
+
+  return {
+    assumptions,
+    years,
+    npv: Math.round(calculateNpv(discountRate, cashFlows)),
+    irr: irr === null ? null : parseFloat(irr.toFixed(4)),
+    lcoe: discountedProduction > 0 ? parseFloat((discountedCosts / discountedProduction).toFixed(4)) : null,
+    paybackPeriod: paybackPeriod === null ? null : parseFloat(paybackPeriod.toFixed(1)),
+    discountedPaybackPeriod: discountedPaybackPeriod === null ? null : parseFloat(discountedPaybackPeriod.toFixed(1)),
+    lifetimeSavings: Math.round(cumulativeCashFlow + systemCost),
+  };
+};
+
+module.exports = {
+  resolveFinancialAssumptions,
+  calculateNpv,
+  calculateIrr,
+  calculatePaybackYears,
+  calculateOwnershipCosts,
+  buildCashFlowModel,
+};
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Models
+const Proposal = require('../models/proposalModel');
+const UtilityBill = require('../models/utilityBillModel');
+
+const MODELS = {
+  proposal: Proposal,
+  utilityBill: UtilityBill,
+};
+
+/**
+ * Load the proposal or utility bill named in the route if the requesting user owns it
+ * Admins may access every document.
+ * @param {Object} req - Express request with params.id and the authenticated user
+ * @param {Object} res - Express response (status is set to 400, 404 or 403 before throwing)
+ * @param {string} kind - 'proposal' or 'utilityBill'
+ * @returns {Promise<Object>} - Proposal or UtilityBill document
+ */
+const findAccessibleDocument = async (req, res, kind) => {
+  const { id } = req.params;
+  const label = kind === 'proposal' ? 'Proposal' : 'Utility bill';
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error(`A valid ${label.toLowerCase()} ID is required`);
+  }
+
+  const document = await MODELS[kind].findById(id);
+
+  if (!document) {
+    res.status(404);
+    throw new Error(`${label} not found`);
+  }
+
+  if (document.user.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+    res.status(403);
+    throw new Error(`Not authorized to access this ${label.toLowerCase()}`);
+  }
+
+  return document;
+};
+
+module.exports = {
+  findAccessibleDocument,
+};
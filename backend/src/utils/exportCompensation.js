@@ -0,0 +1,177 @@
+const analysisConfig = require('../config/analysisConfig');
+const {
+  getSeason,
+  getTouPeriod,
+  forSeason,
+  calculateBill,
+} = require('./tariffEngine');
+
+const EXPORT_POLICY_TYPES = ['nem-retail', 'net-billing', 'buy-all-sell-all'];
+const TRUE_UP_PERIODS = ['monthly', 'annual'];
+
+/**
+ * Work out the export compensation policy for an analysis
+ * Configured defaults are overridden by the tariff's exportCompensation, then by the caller
+ * @param {Object} tariff - Tariff from tariffEngine
+ * @param {Object} [overrides] - Policy fields to override
+ * @returns {Object} - Export compensation policy
+ */
+const resolveExportPolicy = (tariff, overrides = {}) => {
+  const policy = {
+    ...analysisConfig.exportCompensation,
+    ...(tariff.exportCompensation || {}),
+    ...overrides,
+  };
+
+  if (!EXPORT_POLICY_TYPES.includes(policy.type)) {
+    throw new Error(`Unknown export compensation type: ${policy.type}`);
+  }
+  if (!TRUE_UP_PERIODS.includes(policy.trueUp)) {
+    throw new Error(`Unknown true-up period: ${policy.trueUp}`);
+  }
+
+  return policy;
+};
+
+/**
+ * Get the net billing credit for energy exported in an hour
+ * @param {Object} tariff - Tariff
+ * @param {Object} policy - Export compensation policy
+ * @param {number} monthIndex - Month index (0 = January)
+ * @param {Object} interval - { hour, isWeekend } interval
+ * @returns {number} - Export rate in $/kWh
+ * @private
+ */
+const getExportRate = (tariff, policy, monthIndex, interval) => {
+  const rates = forSeason(policy.exportRates, getSeason(tariff, monthIndex));
+  if (!rates) return policy.exportRate;
+
+  const period = getTouPeriod(tariff, monthIndex, interval.hour, interval.isWeekend);
+  return rates[period] !== undefined ? rates[period] : policy.exportRate;
+};
+
+/**
+ * Bill one month under the policy, before any banked credits are applied
+ * @param {Object} tariff - Tariff
+ * @param {Object} policy - Export compensation policy
+ * @param {number} monthIndex - Month index (0 = January)
+ * @param {Array} usage - Household load intervals ({ hour, isWeekend, kwh }) for the month
+ * @param {Array} production - Solar production intervals, paired with usage by index
+ * @returns {Object} - Bill, energy flows, credit earned and cash paid out for the month
+ * @private
+ */
+const settleMonth = (tariff, policy, monthIndex, usage, production) => {
+  const net = usage.map((interval, index) => ({ ...interval, kwh: interval.kwh - production[index].kwh }));
+
+  const sum = (intervals) => intervals.reduce((total, interval) => total + interval.kwh, 0);
+  const importedEnergy = net.reduce((total, interval) => total + Math.max(0, interval.kwh), 0);
+  const exportedEnergy = net.reduce((total, interval) => total + Math.max(0, -interval.kwh), 0);
+  const productionKwh = sum(production);
+  const selfConsumedEnergy = productionKwh - exportedEnergy;
+
+  // Buy-all/sell-all: the household keeps buying everything and is paid for all production
+  if (policy.type === 'buy-all-sell-all') {
+    const bill = calculateBill(tariff, monthIndex, usage);
+    return {
+      bill,
+      importedEnergy: sum(usage),
+      exportedEnergy: productionKwh,
+      selfConsumedEnergy: 0,
+      energyCharge: bill.energyCharge,
+      creditEarned: 0,
+      payout: productionKwh * policy.sellRate,
+    };
+  }
+
+  // Net billing: imports pay retail, each exported kWh earns the export rate for its hour
+  if (policy.type === 'net-billing') {
+    const imports = net.map(interval => ({ ...interval, kwh: Math.max(0, interval.kwh) }));
+    const bill = calculateBill(tariff, monthIndex, imports);
+    const creditEarned = net.reduce(
+      (total, interval) => total + Math.max(0, -interval.kwh) * getExportRate(tariff, policy, monthIndex, interval),
+      0
+    );
+    return {
+      bill,
+      importedEnergy,
+      exportedEnergy,
+      selfConsumedEnergy,
+      energyCharge: bill.energyCharge,
+      creditEarned,
+      payout: 0,
+    };
+  }
+
+  // Retail NEM: exports net against imports in the same TOU period at the retail rate
+  const bill = calculateBill(tariff, monthIndex, net);
+  return {
+    bill,
+    importedEnergy,
+    exportedEnergy,
+    selfConsumedEnergy,
+    energyCharge: Math.max(0, bill.netEnergyCharge),
+    creditEarned: Math.max(0, -bill.netEnergyCharge),
+    payout: 0,
+  };
+};
+
+/**
+ * Calculate twelve months of bills with solar, carrying export credits between months
+ * Credits only offset energy charges; fixed charges and minimum bills are always paid.
+ * Credits left at a true-up (every month, or the policy's trueUpMonth) are forfeited.
+ * @param {Object} params - Inputs
+ * @param {Object} params.tariff - Tariff from tariffEngine
+ * @param {Object} params.policy - Policy from resolveExportPolicy
+ * @param {Array} params.months - { monthIndex, usage, production } interval lists for each month
+ * @returns {Array} - Per-month bills and credit ledger, in the order given
+ */
+const calculateBillsWithExportCredits = ({ tariff, policy, months }) => {
+  const settlements = new Array(months.length);
+
+  // Walk the months in true-up order so credits flow from the start of the period to its end
+  const startPosition = policy.trueUp === 'annual'
+    ? Math.max(0, months.findIndex(month => month.monthIndex === policy.trueUpMonth % 12))
+    : 0;
+
+  let creditBank = 0;
+  for (let step = 0; step < months.length; step++) {
+    const position = (startPosition + step) % months.length;
+    const { monthIndex, usage, production } = months[position];
+    const month = settleMonth(tariff, policy, monthIndex, usage, production);
+
+    const available = creditBank + month.creditEarned;
+    const creditApplied = Math.min(available, month.energyCharge);
+    creditBank = available - creditApplied;
+
+    let creditForfeited = 0;
+    if (policy.trueUp === 'monthly' || monthIndex === policy.trueUpMonth - 1) {
+      creditForfeited = creditBank;
+      creditBank = 0;
+    }
+
+    const { fixedCharge, minimumBill } = month.bill;
+    const billBeforeMinimum = month.energyCharge - creditApplied + fixedCharge;
+    const total = Math.max(billBeforeMinimum, minimumBill) - month.payout;
+
+    settlements[position] = {
+      monthIndex,
+      importedEnergy: Math.round(month.importedEnergy),
+      exportedEnergy: Math.round(month.exportedEnergy),
+      selfConsumedEnergy: Math.round(month.selfConsumedEnergy),
+      exportCredit: parseFloat((month.creditEarned + month.payout).toFixed(2)),
+      creditApplied: parseFloat(creditApplied.toFixed(2)),
+      creditCarriedForward: parseFloat(creditBank.toFixed(2)),
+      creditForfeited: parseFloat(creditForfeited.toFixed(2)),
+      billWithSolar: parseFloat(total.toFixed(2)),
+    };
+  }
+
+  return settlements;
+};
+
+module.exports = {
+  EXPORT_POLICY_TYPES,
+  TRUE_UP_PERIODS,
+  resolveExportPolicy,
+  calculateBillsWithExportCredits,
+};
@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const { getPath, hasValue } = require('./fieldProvenance');
+
+// Document files the corpus may contain, by extension
+const DOCUMENT_EXTENSIONS = ['.pdf', '.png', '.jpg', '.jpeg', '.tif', '.tiff'];
+
+// Relative difference within which an extracted number counts as correct
+const DEFAULT_NUMERIC_TOLERANCE = 0.01;
+
+// Changes in precision, recall or mean error smaller than this are noise, not regressions
+const REGRESSION_EPSILON = 0.0005;
+
+/**
+ * Load a labeled extraction corpus
+ * Every document (<name>.pdf, .png, .jpg, ...) sits next to <name>.expected.json:
+ * { "type": "proposal" | "utilityBill", "fields": { "<field path>": expected value or null },
+ *   "tolerances": { "<field path>": relative tolerance } }
+ * A null expected value means the document doesn't state the field, so any value is spurious.
+ * @param {string} directory - Corpus directory
+ * @returns {Array} - Documents as { name, filePath, fileType, type, fields, tolerances }
+ */
+const loadCorpus = (directory) => {
+  if (!fs.existsSync(directory)) {
+    throw new Error(`Corpus directory not found: ${directory}`);
+  }
+
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.expected.json'))
+    .sort()
+    .map(file => {
+      const name = file.slice(0, -'.expected.json'.length);
+      const labels = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      const documentFile = DOCUMENT_EXTENSIONS
+        .map(extension => `${name}${extension}`)
+        .find(candidate => fs.existsSync(path.join(directory, candidate)));
+
+      if (!documentFile) {
+        throw new Error(`No document found for ${file}`);
+      }
+      if (!['proposal', 'utilityBill'].includes(labels.type)) {
+        throw new Error(`${file}: type must be proposal or utilityBill`);
+      }
+      if (!labels.fields || typeof labels.fields !== 'object') {
+        throw new Error(`${file}: fields are required`);
+      }
+
+      return {
+        name,
+        filePath: path.join(directory, documentFile),
+        fileType: path.extname(documentFile).toLowerCase() === '.pdf' ? 'pdf' : 'image',
+        type: labels.type,
+        fields: labels.fields,
+        tolerances: labels.tolerances || {},
+      };
+    });
+};
+
+/**
+ * Normalize a value for comparison: dates as local YYYY-MM-DD, text lowercased with single spaces
+ * @param {*} value - Extracted or expected value
+ * @returns {*} - Comparable value
+ * @private
+ */
+const normalizeValue = (value) => {
+  if (value instanceof Date) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  if (typeof value === 'string') return value.replace(/\s+/g, ' ').trim().toLowerCase();
+  return value;
+};
+
+/**
+ * Compare one extracted field with its label
+ * @param {*} actual - Extracted value
+ * @param {*} expected - Labeled value, or null when the document doesn't state the field
+ * @param {number} [tolerance] - Relative tolerance for numbers
+ * @returns {Object} - { outcome: correct | wrong | missed | spurious | absent, error }
+ *   error is the relative difference of numbers found in both
+ */
+const compareField = (actual, expected, tolerance = DEFAULT_NUMERIC_TOLERANCE) => {
+  // A labeled zero (e.g. no state rebate) is matched by an extracted zero
+  const found = typeof actual === 'number' ? Number.isFinite(actual) : hasValue(actual);
+  const labeled = expected !== null && expected !== undefined;
+
+  if (!labeled) return { outcome: found ? 'spurious' : 'absent' };
+  if (!found) return { outcome: 'missed' };
+
+  if (typeof expected === 'number') {
+    if (typeof actual !== 'number') return { outcome: 'wrong' };
+    const error = expected === 0 ? Math.abs(actual) : Math.abs(actual - expected) / Math.abs(expected);
+    return { outcome: error <= tolerance ? 'correct' : 'wrong', error };
+  }
+
+  return { outcome: normalizeValue(actual) === normalizeValue(expected) ? 'correct' : 'wrong' };
+};
+
+/**
+ * Score the extracted data of one document against its labels
+ * @param {Object} document - Corpus document from loadCorpus
+ * @param {Object} extractedData - Extracted data, or null when extraction failed
+ * @returns {Object} - Per-field { expected, actual, outcome, error }, keyed by field path
+ */
+const scoreDocument = (document, extractedData) => Object.fromEntries(
+  Object.entries(document.fields).map(([fieldPath, expected]) => {
+    const actual = extractedData ? getPath(extractedData, fieldPath) : undefined;
+    const comparison = compareField(actual, expected, document.tolerances[fieldPath]);
+    return [fieldPath, {
+      expected,
+      actual: actual === undefined ? null : normalizeValue(actual),
+      ...comparison,
+    }];
+  })
+);
+
+const ratio = (numerator, denominator) => (denominator > 0 ? parseFloat((numerator / denominator).toFixed(4)) : null);
+
+/**
+ * Aggregate document scores into per-field precision, recall and numeric error
+ * Precision is correct values over values extracted (correct, wrong or spurious);
+ * recall is correct values over labeled values (correct, wrong or missed).
+ * @param {Object} documentScores - Scores from scoreDocument, keyed by document name
+ * @returns {Object} - Metrics keyed by field path
+ */
+const summarizeScores = (documentScores) => {
+  const counts = {};
+
+  Object.values(documentScores).forEach(fields => Object.entries(fields).forEach(([fieldPath, score]) => {
+    const field = counts[fieldPath] || (counts[fieldPath] = {
+      correct: 0, wrong: 0, missed: 0, spurious: 0, absent: 0, errors: [],
+    });
+    field[score.outcome] += 1;
+    if (score.error !== undefined) field.errors.push(score.error);
+  }));
+
+  return Object.fromEntries(Object.entries(counts).sort(([a], [b]) => a.localeCompare(b)).map(([fieldPath, field]) => {
+    const { errors, ...outcomes } = field;
+    return [fieldPath, {
+      ...outcomes,
+      precision: ratio(field.correct, field.correct + field.wrong + field.spurious),
+      recall: ratio(field.correct, field.correct + field.wrong + field.missed),
+      meanError: errors.length > 0 ? ratio(errors.reduce((total, error) => total + error, 0), errors.length) : null,
+      maxError: errors.length > 0 ? parseFloat(Math.max(...errors).toFixed(4)) : null,
+    }];
+  }));
+};
+
+/**
+ * Compare a benchmark report with a saved baseline
+ * @param {Object} report - Report with { paths: { <path>: { fields, documents } } }
+ * @param {Object} baseline - Earlier report
+ * @returns {Object} - { regressions, improvements }, each a list of { path, field, metric, before, after }
+ *   or { path, document, field, before, after } for per-document outcome changes
+ */
+const diffReports = (report, baseline) => {
+  const regressions = [];
+  const improvements = [];
+
+  Object.entries(report.paths).forEach(([extractorPath, { fields, documents }]) => {
+    const baselinePath = baseline.paths?.[extractorPath];
+    if (!baselinePath) return;
+
+    Object.entries(fields).forEach(([field, metrics]) => {
+      const before = baselinePath.fields[field];
+      if (!before) return;
+
+      ['precision', 'recall', 'meanError'].forEach(metric => {
+        if (metrics[metric] === null || before[metric] === null) return;
+        const change = metrics[metric] - before[metric];
+        if (Math.abs(change) <= REGRESSION_EPSILON) return;
+        // Lower error is better; higher precision and recall are better
+        const better = metric === 'meanError' ? change < 0 : change > 0;
+        (better ? improvements : regressions).push({
+          path: extractorPath, field, metric, before: before[metric], after: metrics[metric],
+        });
+      });
+    });
+
+    Object.entries(documents).forEach(([name, documentResult]) => {
+      const beforeFields = baselinePath.documents[name]?.fields;
+      if (!beforeFields) return;
+
+      Object.entries(documentResult.fields).forEach(([field, score]) => {
+        const before = beforeFields[field];
+        if (!before || before.outcome === score.outcome) return;
+        const wasGood = ['correct', 'absent'].includes(before.outcome);
+        const isGood = ['correct', 'absent'].includes(score.outcome);
+        if (wasGood === isGood) return;
+        (isGood ? improvements : regressions).push({
+          path: extractorPath, document: name, field, before: before.outcome, after: score.outcome,
+        });
+      });
+    });
+  });
+
+  return { regressions, improvements };
+};
+
+/**
+ * Format a report as a per-field table for the terminal
+ * @param {Object} report - Benchmark report
+ * @returns {string} - Table text
+ */
+const formatReport = (report) => {
+  const percent = (value) => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+  const lines = [];
+
+  Object.entries(report.paths).forEach(([extractorPath, { fields, documents }]) => {
+    const documentNames = Object.keys(documents);
+    const missingRecordings = documentNames.reduce((total, name) => total + documents[name].missingRecordings, 0);
+    const failures = documentNames.filter(name => documents[name].error);
+
+    lines.push('', `${extractorPath} (${documentNames.length} documents${
+      missingRecordings > 0 ? `, ${missingRecordings} LLM requests without a recording` : ''}${
+      failures.length > 0 ? `, failed: ${failures.join(', ')}` : ''})`);
+    lines.push(`  ${'field'.padEnd(36)}${'precision'.padStart(10)}${'recall'.padStart(10)}${'mean err'.padStart(10)}${'max err'.padStart(10)}`
+      + `${'ok'.padStart(5)}${'wrong'.padStart(6)}${'miss'.padStart(6)}${'extra'.padStart(6)}`);
+    Object.entries(fields).forEach(([field, metrics]) => {
+      lines.push(`  ${field.padEnd(36)}${percent(metrics.precision).padStart(10)}${percent(metrics.recall).padStart(10)}`
+        + `${percent(metrics.meanError).padStart(10)}${percent(metrics.maxError).padStart(10)}`
+        + `${String(metrics.correct).padStart(5)}${String(metrics.wrong).padStart(6)}`
+        + `${String(metrics.missed).padStart(6)}${String(metrics.spurious).padStart(6)}`);
+    });
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * Format a baseline comparison for the terminal
+ * @param {Object} diff - Result of diffReports
+ * @returns {string} - One line per change, regressions first
+ */
+const formatDiff = ({ regressions, improvements }) => {
+  const describe = (change) => (change.document
+    ? `${change.path} ${change.document} ${change.field}: ${change.before} -> ${change.after}`
+    : `${change.path} ${change.field} ${change.metric}: ${change.before} -> ${change.after}`);
+
+  if (regressions.length === 0 && improvements.length === 0) {
+    return 'No changes against the baseline';
+  }
+  return [
+    ...regressions.map(change => `REGRESSION  ${describe(change)}`),
+    ...improvements.map(change => `improvement ${describe(change)}`),
+  ].join('\n');
+};
+
+module.exports = {
+  loadCorpus,
+  compareField,
+  scoreDocument,
+  summarizeScores,
+  diffReports,
+  formatReport,
+  formatDiff,
+};
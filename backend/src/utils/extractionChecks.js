@@ -0,0 +1,183 @@
+const analysisConfig = require('../config/analysisConfig');
+const { calculateLoanPayment } = require('./financingModel');
+
+// Plausible annual production per kW installed (kWh/kW), from Alaska to the desert southwest
+const SPECIFIC_YIELD_RANGE = { min: 600, max: 2400 };
+
+// Largest federal tax credit as a share of the system cost
+const MAX_TAX_CREDIT_SHARE = 0.30;
+
+// Loans quoted with a re-amortized payment (assuming the tax credit is paid down) can
+// quote down to about 70% of the fully amortized payment
+const MIN_LOAN_PAYMENT_SHARE = 0.65;
+
+// Longest billing period (days) of a monthly or bi-monthly bill
+const MAX_BILLING_PERIOD_DAYS = 100;
+
+// Plausible billed total per kWh, checked only above this usage (fixed charges dominate small bills)
+const EFFECTIVE_RATE_RANGE = { min: 0.03, max: 1.5 };
+const EFFECTIVE_RATE_MIN_USAGE = 100;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+const formatDollars = (value) => `$${round(value).toLocaleString('en-US')}`;
+
+/**
+ * Check whether two values agree within the configured relative tolerance
+ * @param {number} actual - Extracted value
+ * @param {number} expected - Value computed from the other fields
+ * @returns {boolean}
+ * @private
+ */
+const agrees = (actual, expected) =>
+  Math.abs(actual - expected) <= Math.abs(expected) * analysisConfig.extractionChecks.tolerance;
+
+/**
+ * Build a failed check
+ * @param {string} check - Check identifier
+ * @param {Array} fields - Field paths involved
+ * @param {string} message - What doesn't add up
+ * @param {number} [actual] - Extracted value
+ * @param {number} [expected] - Value the other fields imply
+ * @returns {Object} - { check, fields, message, actual, expected }
+ * @private
+ */
+const failure = (check, fields, message, actual, expected) => ({
+  check,
+  fields,
+  message,
+  ...(actual !== undefined ? { actual: round(actual, 3) } : {}),
+  ...(expected !== undefined ? { expected: round(expected, 3) } : {}),
+});
+
+/**
+ * Sum the values of a monthly breakdown (plain object or Map)
+ * @param {Object|Map} monthly - Values keyed by month
+ * @returns {number} - Total
+ * @private
+ */
+const sumMonthly = (monthly) => [...(monthly instanceof Map ? monthly.values() : Object.values(monthly))]
+  .reduce((total, value) => total + (Number(value) || 0), 0);
+
+/**
+ * Cross-check the fields of an extracted proposal against each other
+ * Checks whose fields weren't all found are skipped.
+ * @param {Object} data - Extracted proposal data
+ * @returns {Array} - Failed checks
+ */
+const checkProposalConsistency = (data) => {
+  const failures = [];
+  const { systemSize, panelQuantity, panelWattage, estimatedProduction } = data;
+  const pricing = data.pricing || {};
+  const loan = data.financing?.loan;
+  const claimedSavings = data.claimedSavings || {};
+
+  if (isNumber(systemSize) && isNumber(panelQuantity) && isNumber(panelWattage)) {
+    const panelTotal = panelQuantity * panelWattage / 1000;
+    if (!agrees(systemSize, panelTotal)) {
+      failures.push(failure('system-size-panels', ['systemSize', 'panelQuantity', 'panelWattage'],
+        `${panelQuantity} panels × ${panelWattage} W = ${round(panelTotal)} kW, not the extracted ${systemSize} kW`,
+        systemSize, panelTotal));
+    }
+  }
+
+  if (isNumber(pricing.totalCost) && isNumber(pricing.netCost)) {
+    const incentives = (pricing.federalTaxCredit || 0) + (pricing.stateRebates || 0) + (pricing.otherIncentives || 0);
+    const expectedNetCost = pricing.totalCost - incentives;
+    if (!agrees(pricing.netCost, expectedNetCost)) {
+      failures.push(failure('net-cost', ['pricing.totalCost', 'pricing.federalTaxCredit', 'pricing.stateRebates', 'pricing.netCost'],
+        `Total cost less incentives is ${formatDollars(expectedNetCost)}, not the extracted net cost of ${formatDollars(pricing.netCost)}`,
+        pricing.netCost, expectedNetCost));
+    }
+  }
+
+  if (isNumber(pricing.totalCost) && isNumber(pricing.federalTaxCredit)) {
+    const maxCredit = pricing.totalCost * MAX_TAX_CREDIT_SHARE;
+    if (pricing.federalTaxCredit > maxCredit * (1 + analysisConfig.extractionChecks.tolerance)) {
+      failures.push(failure('federal-tax-credit', ['pricing.federalTaxCredit', 'pricing.totalCost'],
+        `A federal tax credit of ${formatDollars(pricing.federalTaxCredit)} is more than ${MAX_TAX_CREDIT_SHARE * 100}% of the ${formatDollars(pricing.totalCost)} total cost`,
+        pricing.federalTaxCredit, maxCredit));
+    }
+  }
+
+  if (isNumber(systemSize) && isNumber(estimatedProduction)) {
+    const specificYield = estimatedProduction / systemSize;
+    if (specificYield < SPECIFIC_YIELD_RANGE.min || specificYield > SPECIFIC_YIELD_RANGE.max) {
+      failures.push(failure('specific-yield', ['estimatedProduction', 'systemSize'],
+        `${estimatedProduction} kWh a year from ${systemSize} kW is ${Math.round(specificYield)} kWh/kW, outside the `
+          + `${SPECIFIC_YIELD_RANGE.min}-${SPECIFIC_YIELD_RANGE.max} kWh/kW any location produces`,
+        specificYield));
+    }
+  }
+
+  if (isNumber(estimatedProduction) && data.estimatedProductionMonthly) {
+    const monthlyTotal = sumMonthly(data.estimatedProductionMonthly);
+    if (monthlyTotal > 0 && !agrees(estimatedProduction, monthlyTotal)) {
+      failures.push(failure('monthly-production-total', ['estimatedProduction', 'estimatedProductionMonthly'],
+        `The monthly production table adds up to ${Math.round(monthlyTotal)} kWh, not the extracted ${estimatedProduction} kWh`,
+        estimatedProduction, monthlyTotal));
+    }
+  }
+
+  if (loan && isNumber(loan.loanAmount) && isNumber(loan.termYears) && isNumber(loan.monthlyPayment)
+    && typeof loan.apr === 'number') {
+    const expectedPayment = calculateLoanPayment(loan.loanAmount, loan.apr, loan.termYears);
+    const share = loan.monthlyPayment / expectedPayment;
+    if (share < MIN_LOAN_PAYMENT_SHARE || share > 1 + analysisConfig.extractionChecks.tolerance) {
+      failures.push(failure('loan-payment', ['financing.loan.monthlyPayment', 'financing.loan.loanAmount', 'financing.loan.apr', 'financing.loan.termYears'],
+        `${formatDollars(loan.loanAmount)} at ${loan.apr}% over ${loan.termYears} years is ${formatDollars(expectedPayment)} a month, `
+          + `not the extracted ${formatDollars(loan.monthlyPayment)}`,
+        loan.monthlyPayment, expectedPayment));
+    }
+  }
+
+  if (isNumber(claimedSavings.firstYearSavings) && isNumber(claimedSavings.lifetimeSavings)
+    && claimedSavings.lifetimeSavings < claimedSavings.firstYearSavings) {
+    failures.push(failure('lifetime-savings', ['claimedSavings.lifetimeSavings', 'claimedSavings.firstYearSavings'],
+      `Lifetime savings of ${formatDollars(claimedSavings.lifetimeSavings)} are less than the first-year savings of ${formatDollars(claimedSavings.firstYearSavings)}`,
+      claimedSavings.lifetimeSavings, claimedSavings.firstYearSavings));
+  }
+
+  return failures;
+};
+
+/**
+ * Cross-check the fields of an extracted utility bill against each other
+ * Checks whose fields weren't all found are skipped.
+ * @param {Object} data - Extracted utility bill data
+ * @returns {Array} - Failed checks
+ */
+const checkUtilityBillConsistency = (data) => {
+  const failures = [];
+  const { totalAmount, energyUsage } = data;
+  const startDate = data.billingPeriod?.startDate ? new Date(data.billingPeriod.startDate) : null;
+  const endDate = data.billingPeriod?.endDate ? new Date(data.billingPeriod.endDate) : null;
+
+  if (startDate && endDate && !Number.isNaN(startDate.getTime()) && !Number.isNaN(endDate.getTime())) {
+    const days = (endDate - startDate) / (24 * 60 * 60 * 1000);
+    if (days <= 0 || days > MAX_BILLING_PERIOD_DAYS) {
+      failures.push(failure('billing-period', ['billingPeriod'],
+        days <= 0
+          ? 'The billing period ends before it starts'
+          : `The billing period covers ${Math.round(days)} days, more than any billing cycle`,
+        days));
+    }
+  }
+
+  if (isNumber(totalAmount) && isNumber(energyUsage) && energyUsage >= EFFECTIVE_RATE_MIN_USAGE) {
+    const effectiveRate = totalAmount / energyUsage;
+    if (effectiveRate < EFFECTIVE_RATE_RANGE.min || effectiveRate > EFFECTIVE_RATE_RANGE.max) {
+      failures.push(failure('effective-rate', ['totalAmount', 'energyUsage'],
+        `${formatDollars(totalAmount)} for ${energyUsage} kWh is $${round(effectiveRate, 3)}/kWh, outside the `
+          + `$${EFFECTIVE_RATE_RANGE.min}-$${EFFECTIVE_RATE_RANGE.max}/kWh any residential bill charges`,
+        effectiveRate));
+    }
+  }
+
+  return failures;
+};
+
+module.exports = {
+  checkProposalConsistency,
+  checkUtilityBillConsistency,
+};
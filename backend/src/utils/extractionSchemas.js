@@ -0,0 +1,233 @@
+// Schemas of the JSON objects the language model returns for each task
+// Values may be null or left out unless marked required (the prompts ask for null when a value
+// isn't in the document), but a value that is given must have the right type, unit range and
+// format, and objects may not carry fields the schema doesn't list.
+
+const number = (unit, min, max) => ({ type: 'number', unit, min, max });
+const integer = (unit, min, max) => ({ type: 'integer', unit, min, max });
+const string = (maxLength = 200) => ({ type: 'string', maxLength });
+const object = (properties) => ({ type: 'object', properties });
+const array = (items, maxItems) => ({ type: 'array', items, maxItems });
+const required = (schema) => ({ ...schema, required: true });
+
+// Calendar dates as the prompts ask for them (MM/DD/YYYY), or ISO dates
+const DATE = { type: 'date' };
+const MONTH = { type: 'string', pattern: /^\d{4}-(0[1-9]|1[0-2])$/, format: 'YYYY-MM' };
+
+const DOLLARS = (max) => number('dollars', 0, max);
+const PERCENT = (max) => number('percent', 0, max);
+const YEARS = integer('years', 1, 50);
+
+const PROPOSAL_SCHEMA = object({
+  systemSize: number('kW', 0.3, 500),
+  panelType: string(),
+  panelWattage: number('W', 50, 1000),
+  panelQuantity: integer('panels', 1, 2000),
+  estimatedProduction: number('kWh per year', 100, 1000000),
+  pricing: object({
+    totalCost: DOLLARS(5000000),
+    federalTaxCredit: DOLLARS(2000000),
+    stateRebates: DOLLARS(2000000),
+    netCost: DOLLARS(5000000),
+  }),
+  financing: object({
+    loan: object({
+      apr: PERCENT(40),
+      termYears: YEARS,
+      dealerFeePercent: PERCENT(60),
+      loanAmount: DOLLARS(5000000),
+      downPayment: DOLLARS(5000000),
+      monthlyPayment: DOLLARS(100000),
+    }),
+    lease: object({
+      monthlyPayment: DOLLARS(100000),
+      escalatorPercent: PERCENT(10),
+      termYears: YEARS,
+      downPayment: DOLLARS(5000000),
+    }),
+    ppa: object({
+      ratePerKwh: number('dollars per kWh', 0.01, 2),
+      escalatorPercent: PERCENT(10),
+      termYears: YEARS,
+    }),
+  }),
+  claimedSavings: object({
+    firstYearSavings: DOLLARS(500000),
+    lifetimeSavings: DOLLARS(20000000),
+    lifetimeYears: YEARS,
+  }),
+});
+
+const UTILITY_BILL_SCHEMA = object({
+  utilityCompany: string(),
+  accountNumber: string(50),
+  billingPeriod: object({
+    startDate: DATE,
+    endDate: DATE,
+  }),
+  totalAmount: DOLLARS(100000),
+  energyUsage: number('kWh', 0, 1000000),
+  rate: number('dollars per kWh', 0.01, 2),
+  usageHistory: array(object({
+    month: MONTH,
+    kwh: number('kWh', 0, 1000000),
+  }), 36),
+});
+
+const ENVIRONMENTAL_IMPACT_SCHEMA = object({
+  carbonOffsetAnnual: required(number('tons of CO2', 0, 100000)),
+  carbonOffsetLifetime: required(number('tons of CO2', 0, 5000000)),
+  treesPlantedEquivalent: required(number('trees', 0, 100000000)),
+  milesNotDrivenEquivalent: required(number('miles', 0, 1000000000)),
+  coalNotBurnedPounds: required(number('lbs', 0, 1000000000)),
+  carbonOffsetFactorKgPerMwh: required(number('kg CO2 per MWh', 0, 2000)),
+  carbonCalculationExplanation: string(2000),
+});
+
+/**
+ * Check whether a date string is a real date in MM/DD/YYYY or YYYY-MM-DD form
+ * @param {string} value - Date string
+ * @returns {boolean}
+ * @private
+ */
+const isDateString = (value) => {
+  if (!/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(value) && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  return !Number.isNaN(new Date(value).getTime());
+};
+
+/**
+ * Describe the expected range of a number schema
+ * @param {Object} schema - Number or integer schema
+ * @returns {string} - e.g. 'between 0.3 and 500 kW'
+ * @private
+ */
+const describeRange = (schema) => `between ${schema.min} and ${schema.max} ${schema.unit}`;
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema from this module
+ * @param {string} [path] - Path of the value, used in the error messages
+ * @returns {Array} - Errors as { path, message }; empty when the value is valid
+ */
+const validateAgainstSchema = (value, schema, path = '') => {
+  const label = path || 'response';
+  if (value === null || value === undefined) {
+    return schema.required ? [{ path: label, message: 'is required' }] : [];
+  }
+
+  switch (schema.type) {
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return [{ path: label, message: `must be a number in ${schema.unit} (without units or formatting), got ${JSON.stringify(value)}` }];
+      }
+      if (schema.type === 'integer' && !Number.isInteger(value)) {
+        return [{ path: label, message: `must be a whole number of ${schema.unit}, got ${value}` }];
+      }
+      if (value < schema.min || value > schema.max) {
+        return [{ path: label, message: `must be ${describeRange(schema)}, got ${value}` }];
+      }
+      return [];
+    case 'string':
+      if (typeof value !== 'string') {
+        return [{ path: label, message: `must be a string, got ${JSON.stringify(value)}` }];
+      }
+      if (schema.maxLength && value.length > schema.maxLength) {
+        return [{ path: label, message: `must be at most ${schema.maxLength} characters` }];
+      }
+      if (schema.pattern && !schema.pattern.test(value)) {
+        return [{ path: label, message: `must be in ${schema.format} format, got ${JSON.stringify(value)}` }];
+      }
+      return [];
+    case 'date':
+      return typeof value === 'string' && isDateString(value)
+        ? []
+        : [{ path: label, message: `must be a date in MM/DD/YYYY format, got ${JSON.stringify(value)}` }];
+    case 'array':
+      if (!Array.isArray(value)) {
+        return [{ path: label, message: 'must be an array' }];
+      }
+      if (schema.maxItems && value.length > schema.maxItems) {
+        return [{ path: label, message: `must have at most ${schema.maxItems} entries` }];
+      }
+      return value.flatMap((item, index) => (item === null || item === undefined
+        ? [{ path: `${label}[${index}]`, message: 'must not be null' }]
+        : validateAgainstSchema(item, schema.items, `${label}[${index}]`)));
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return [{ path: label, message: `must be an object, got ${JSON.stringify(value)}` }];
+      }
+      const prefix = path ? `${path}.` : '';
+      const unknown = Object.keys(value)
+        .filter(key => !schema.properties[key])
+        .map(key => ({ path: `${prefix}${key}`, message: 'is not a field of the requested format' }));
+      return [
+        ...unknown,
+        ...Object.entries(schema.properties).flatMap(([key, propertySchema]) =>
+          validateAgainstSchema(value[key], propertySchema, `${prefix}${key}`)),
+      ];
+    }
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+};
+
+/**
+ * Parse a model response as JSON and validate it
+ * @param {string} content - Response text
+ * @param {Object} schema - Schema of the expected object
+ * @returns {Object} - { data, errors }; data is null when the text isn't JSON
+ */
+const parseJsonResponse = (content, schema) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    return { data: null, errors: [{ path: 'response', message: `is not valid JSON (${error.message})` }] };
+  }
+  return { data, errors: validateAgainstSchema(data, schema) };
+};
+
+/**
+ * Keep only the parts of a value that match the schema
+ * Invalid values become null, unknown fields are dropped and invalid array entries removed.
+ * @param {*} value - Parsed model output
+ * @param {Object} schema - Schema from this module
+ * @returns {*} - Cleaned value
+ */
+const pruneToSchema = (value, schema) => {
+  if (value === null || value === undefined) return null;
+
+  if (schema.type === 'object') {
+    if (typeof value !== 'object' || Array.isArray(value)) return null;
+    return Object.fromEntries(Object.entries(schema.properties).map(([key, propertySchema]) =>
+      [key, pruneToSchema(value[key], propertySchema)]));
+  }
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) return null;
+    return value
+      .filter(item => item !== null && item !== undefined && validateAgainstSchema(item, schema.items).length === 0)
+      .slice(0, schema.maxItems);
+  }
+  return validateAgainstSchema(value, schema).length === 0 ? value : null;
+};
+
+/**
+ * Format validation errors as a list for logs and retry prompts
+ * @param {Array} errors - Errors from validateAgainstSchema
+ * @returns {string} - One '- path: message' line per error
+ */
+const formatValidationErrors = (errors) => errors.map(({ path, message }) => `- ${path}: ${message}`).join('\n');
+
+module.exports = {
+  PROPOSAL_SCHEMA,
+  UTILITY_BILL_SCHEMA,
+  ENVIRONMENTAL_IMPACT_SCHEMA,
+  validateAgainstSchema,
+  parseJsonResponse,
+  pruneToSchema,
+  formatValidationErrors,
+};
@@ -0,0 +1,182 @@
+// Where an extracted value came from: OpenAI, generic text patterns, a utility bill template,
+// a user correction, or a documented default/estimate
+const PROVENANCE_SOURCES = ['openai', 'pattern', 'template', 'green-button', 'user', 'default'];
+
+// Confidence (0-1) given to a value when the extractor doesn't report its own
+const SOURCE_CONFIDENCE = {
+  user: 1,
+  // Structured meter data from a Green Button export, not read from document text
+  'green-button': 1,
+  template: 0.95,
+  openai: 0.8,
+  pattern: 0.6,
+  default: 0.3,
+};
+
+// Share of the usual confidence kept for values read from OCR text, which can misread digits
+const OCR_CONFIDENCE_FACTOR = 0.8;
+
+// Characters of bill or proposal text kept on each side of a value for the review screen
+const SNIPPET_CONTEXT = 60;
+
+const MONTH_ABBREVIATIONS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Fields an analysis can't run without; documents missing any of them are held in needs_review
+const REQUIRED_FIELDS = {
+  proposal: ['systemSize', 'pricing.netCost'],
+  utilityBill: ['energyUsage', 'rate'],
+  // Interval exports carry usage only; the rate comes from a printed bill or the tariff
+  greenButton: ['energyUsage'],
+};
+
+/**
+ * Check whether an extracted value is present
+ * Numbers must be positive, since a zero system size or usage is never a real reading
+ * @param {*} value - Extracted value
+ * @returns {boolean} - True when the value can be used
+ */
+const hasValue = (value) => {
+  if (value === null || value === undefined || value === '') return false;
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0;
+  if (value instanceof Date) return !Number.isNaN(value.getTime());
+  if (value instanceof Map) return value.size > 0;
+  if (typeof value === 'object') return Object.values(value).some(hasValue);
+  return true;
+};
+
+/**
+ * Record where a field's value came from
+ * Missing values are not recorded, so a field without provenance was not found.
+ * @param {Object} provenance - Provenance being built, keyed by top-level field name
+ * @param {string} field - Field name (e.g. 'systemSize' or 'pricing')
+ * @param {*} value - Extracted value
+ * @param {string} source - One of PROVENANCE_SOURCES
+ * @param {number} [confidence] - Confidence (0-1); defaults to the source's usual confidence
+ * @returns {*} - The value, so assignments can be wrapped
+ */
+const recordField = (provenance, field, value, source, confidence = SOURCE_CONFIDENCE[source]) => {
+  if (hasValue(value)) {
+    provenance[field] = { source, confidence: Math.round(confidence * 100) / 100 };
+  }
+  return value;
+};
+
+/**
+ * Read a dotted path from extracted data
+ * @param {Object} data - Extracted data
+ * @param {string} fieldPath - Path such as 'pricing.netCost'
+ * @returns {*} - Value at the path, or undefined
+ */
+const getPath = (data, fieldPath) => fieldPath.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  data
+);
+
+/**
+ * List the ways a value may be printed in a document
+ * @param {*} value - Extracted value
+ * @returns {Array} - Candidate strings, most specific first
+ * @private
+ */
+const printedForms = (value) => {
+  if (typeof value === 'number') {
+    return [...new Set([
+      value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+      value.toFixed(2),
+      value.toFixed(1),
+      value.toLocaleString('en-US', { maximumFractionDigits: 6 }),
+      String(value),
+    ])];
+  }
+  if (value instanceof Date) {
+    const month = value.getUTCMonth() + 1;
+    const day = value.getUTCDate();
+    const year = value.getUTCFullYear();
+    const pad = (number) => String(number).padStart(2, '0');
+    return [
+      `${pad(month)}/${pad(day)}/${year}`,
+      `${month}/${day}/${year}`,
+      `${pad(month)}/${pad(day)}/${String(year).slice(2)}`,
+      `${month}/${day}/${String(year).slice(2)}`,
+      `${MONTH_ABBREVIATIONS[month - 1]} ${day}, ${year}`,
+    ];
+  }
+  if (typeof value === 'string') return [value];
+  if (value && typeof value === 'object') return Object.values(value).flatMap(printedForms);
+  return [];
+};
+
+/**
+ * Find the text around the place a value appears in a document
+ * @param {string} text - Text extracted from the document
+ * @param {*} value - Extracted value (nested objects use their first value found)
+ * @returns {string|null} - Snippet with the value in context, or null if it isn't printed as-is
+ */
+const findSourceSnippet = (text, value) => {
+  if (!text) return null;
+
+  for (const form of printedForms(value)) {
+    if (!form) continue;
+    // Whole values only: 20 must not match inside 2024, nor 8 inside 8,400
+    const escaped = form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = text.match(new RegExp(`(?<![a-z0-9])${escaped}(?![0-9]|[.,][0-9])`, 'i'));
+    if (!match) continue;
+    const { index } = match;
+
+    const start = Math.max(0, index - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, index + form.length + SNIPPET_CONTEXT);
+    const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+  }
+
+  return null;
+};
+
+/**
+ * Add the source-text snippet of each recorded field to its provenance
+ * When the document's pages are given, the number of the first page showing the value is
+ * recorded too, and values found on OCR'd pages get OCR_CONFIDENCE_FACTOR of their confidence.
+ * Values filled from defaults have no source text.
+ * @param {Object} provenance - Provenance keyed by top-level field name
+ * @param {Object} data - Extracted data
+ * @param {string|Array} source - Text extracted from the document, or its pages as { number, text, ocr }
+ * @returns {Object} - The same provenance object
+ */
+const attachSourceSnippets = (provenance, data, source) => {
+  const pages = Array.isArray(source) ? source : [{ number: null, text: source }];
+
+  Object.entries(provenance).forEach(([field, record]) => {
+    if (record.source === 'default') return;
+    for (const page of pages) {
+      const snippet = findSourceSnippet(page.text, data[field]);
+      if (!snippet) continue;
+      record.snippet = snippet;
+      if (page.number) record.page = page.number;
+      if (page.ocr) record.confidence = Math.round(record.confidence * OCR_CONFIDENCE_FACTOR * 100) / 100;
+      return;
+    }
+  });
+  return provenance;
+};
+
+/**
+ * List the required fields that extraction did not find
+ * @param {Object} data - Extracted data
+ * @param {Array} requiredFields - Dotted field paths (see REQUIRED_FIELDS)
+ * @returns {Array} - Missing field paths
+ */
+const findMissingFields = (data, requiredFields) =>
+  requiredFields.filter(fieldPath => !hasValue(getPath(data || {}, fieldPath)));
+
+module.exports = {
+  PROVENANCE_SOURCES,
+  SOURCE_CONFIDENCE,
+  OCR_CONFIDENCE_FACTOR,
+  REQUIRED_FIELDS,
+  hasValue,
+  recordField,
+  getPath,
+  findMissingFields,
+  findSourceSnippet,
+  attachSourceSnippets,
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+// Stored files start with this marker, then the IV and the GCM authentication tag
+const MAGIC = Buffer.from('SIE1');
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + IV_LENGTH + TAG_LENGTH;
+
+/**
+ * Decode a 32-byte encryption key given as base64 or hex
+ * @param {string} encodedKey - Encoded key
+ * @returns {Buffer} - Key
+ */
+const decodeKey = (encodedKey) => {
+  const text = String(encodedKey).trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== 32) {
+    throw new Error('The document encryption key must be 32 bytes, base64 or hex encoded');
+  }
+  return key;
+};
+
+/**
+ * Encrypt a file with AES-256-GCM
+ * @param {Buffer} data - File contents
+ * @param {Buffer} key - 32-byte key
+ * @param {string} associatedData - Storage key of the file, so a file moved to another key fails to decrypt
+ * @returns {Buffer} - Marker, IV, authentication tag and ciphertext
+ */
+const encryptFile = (data, key, associatedData) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(associatedData));
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+  return Buffer.concat([MAGIC, iv, cipher.getAuthTag(), ciphertext]);
+};
+
+/**
+ * Decrypt a file written by encryptFile
+ * @param {Buffer} encrypted - Stored file
+ * @param {Buffer} key - 32-byte key
+ * @param {string} associatedData - Storage key the file was encrypted for
+ * @returns {Buffer} - File contents
+ */
+const decryptFile = (encrypted, key, associatedData) => {
+  if (!isEncryptedFile(encrypted)) {
+    throw new Error('File is not encrypted document storage data');
+  }
+  const iv = encrypted.subarray(MAGIC.length, MAGIC.length + IV_LENGTH);
+  const tag = encrypted.subarray(MAGIC.length + IV_LENGTH, HEADER_LENGTH);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAAD(Buffer.from(associatedData));
+  decipher.setAuthTag(tag);
+  try {
+    return Buffer.concat([decipher.update(encrypted.subarray(HEADER_LENGTH)), decipher.final()]);
+  } catch (error) {
+    throw new Error('File could not be decrypted: wrong key, or the file was modified');
+  }
+};
+
+/**
+ * Check whether stored data starts with the encrypted file marker
+ * @param {Buffer} data - Stored file
+ * @returns {boolean}
+ */
+const isEncryptedFile = (data) => data.length >= HEADER_LENGTH && data.subarray(0, MAGIC.length).equals(MAGIC);
+
+module.exports = {
+  decodeKey,
+  encryptFile,
+  decryptFile,
+  isEncryptedFile,
+};
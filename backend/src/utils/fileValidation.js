@@ -0,0 +1,269 @@
+const zlib = require('zlib');
+const sharp = require('sharp');
+const storageConfig = require('../config/storageConfig');
+
+// File types recognized by their content, with the MIME type stored for them
+const FILE_TYPES = {
+  pdf: { mimeType: 'application/pdf', label: 'PDF' },
+  png: { mimeType: 'image/png', label: 'PNG image' },
+  jpeg: { mimeType: 'image/jpeg', label: 'JPEG image' },
+  xml: { mimeType: 'application/xml', label: 'XML file' },
+  csv: { mimeType: 'text/csv', label: 'CSV file' },
+};
+
+// File types each upload field accepts, with the message for anything else
+const FIELD_TYPES = {
+  proposalFile: { types: ['pdf'], message: 'Proposal file must be a PDF' },
+  utilityBillFile: { types: ['pdf', 'png', 'jpeg'], message: 'Utility bill file must be a PDF or image (JPEG, PNG)' },
+  greenButtonFile: { types: ['xml', 'csv'], message: 'Green Button file must be an ESPI XML or CSV export' },
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const JPEG_SIGNATURE = Buffer.from([0xff, 0xd8, 0xff]);
+
+// Readers accept a PDF header anywhere in the first kilobyte
+const PDF_HEADER_WINDOW = 1024;
+
+// Largest decompressed size of one PDF object stream read for the checks
+const MAX_OBJECT_STREAM_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Error raised for an upload that is rejected, carrying a code for clients and the HTTP status
+ */
+class FileValidationError extends Error {
+  /**
+   * @param {string} code - Machine-readable reason, e.g. PDF_JAVASCRIPT
+   * @param {string} message - Reason shown to the user
+   * @param {number} [statusCode] - HTTP status to respond with
+   */
+  constructor(code, message, statusCode = 422) {
+    super(message);
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Recognize a file type from the file's first bytes
+ * @param {Buffer} data - File contents
+ * @returns {string|null} - Key of FILE_TYPES, or null when the type isn't one we accept
+ */
+const detectFileType = (data) => {
+  if (data.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) return 'png';
+  if (data.subarray(0, JPEG_SIGNATURE.length).equals(JPEG_SIGNATURE)) return 'jpeg';
+  if (data.subarray(0, PDF_HEADER_WINDOW).includes('%PDF-')) return 'pdf';
+
+  // Green Button exports are text: no NUL bytes and valid UTF-8
+  const head = data.subarray(0, 64 * 1024);
+  if (head.length === 0 || head.includes(0)) return null;
+  const text = head.toString('utf8');
+  // Ignore a multi-byte character cut off at the end of the sample
+  if (text.slice(0, -1).includes('\uFFFD')) return null;
+  return text.replace(/^\uFEFF/, '').trimStart().startsWith('<') ? 'xml' : 'csv';
+};
+
+/**
+ * Decode #xx escapes in PDF names, which can spell /JavaScript as /J#61vaScript
+ * @param {string} text - PDF source as latin1 text
+ * @returns {string} - Text with plain names
+ * @private
+ */
+const decodePdfNames = (text) => text.replace(/\/[^\s/[\]<>(){}%]+/g, name => (name.includes('#')
+  ? name.replace(/#([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+  : name));
+
+/**
+ * Read a non-negative integer entry of a PDF dictionary, following an indirect reference
+ * @param {string} dictionary - Dictionary source with plain names
+ * @param {Array<string>} keys - Entry names, e.g. ['Width', 'W']
+ * @param {string} text - Whole PDF source, for indirect references
+ * @returns {number|null} - The value, or null when it is missing or can't be resolved
+ * @private
+ */
+const readDictionaryInteger = (dictionary, keys, text) => {
+  const entry = dictionary.match(new RegExp(`/(?:${keys.join('|')})\\s*(\\d+)(?:\\s+(\\d+)\\s+R)?(?![\\d.])`));
+  if (!entry) return null;
+  if (entry[2] === undefined) return Number(entry[1]);
+
+  const target = text.match(new RegExp(`(?:^|\\s)${entry[1]}\\s+${entry[2]}\\s+obj\\s*(\\d+)\\s*endobj`));
+  return target ? Number(target[1]) : null;
+};
+
+/**
+ * Read a PDF's streams without decoding any image
+ * Object streams, where objects such as JavaScript actions can be hidden, and content streams,
+ * which can hold inline images, are read when unfiltered or Flate-compressed (up to
+ * MAX_OBJECT_STREAM_BYTES each). Image sizes
+ * come from the image dictionaries, so a small file can't make the checks decode a huge raster.
+ * @param {Buffer} data - PDF contents
+ * @param {string} text - The same contents as latin1 text
+ * @returns {Object} - { objectStreams, imageSizes }: decompressed object streams as latin1 text,
+ *   and { width, height } of every image XObject and inline image (null when unreadable)
+ * @private
+ */
+const readPdfStreams = (data, text) => {
+  const objectStreams = [];
+  const imageSizes = [];
+  const streamPattern = /\bstream\r?\n/g;
+  let match;
+
+  while ((match = streamPattern.exec(text)) !== null) {
+    // The stream's dictionary sits between its "obj" keyword and "stream"
+    const dictionary = decodePdfNames(text.slice(text.lastIndexOf(' obj', match.index), match.index));
+    const start = match.index + match[0].length;
+    const end = text.indexOf('endstream', start);
+    if (end === -1) break;
+    streamPattern.lastIndex = end + 'endstream'.length;
+
+    if (/\/Subtype\s*\/Image\b/.test(dictionary)) {
+      imageSizes.push({
+        width: readDictionaryInteger(dictionary, ['Width'], text),
+        height: readDictionaryInteger(dictionary, ['Height'], text),
+      });
+      continue;
+    }
+
+    let content;
+    if (!/\/Filter\b/.test(dictionary)) {
+      content = text.slice(start, end);
+    } else if (/\/FlateDecode/.test(dictionary)) {
+      try {
+        content = zlib.inflateSync(data.subarray(start, end), { maxOutputLength: MAX_OBJECT_STREAM_BYTES }).toString('latin1');
+      } catch (error) {
+        // Corrupt or oversized streams are left to the parser, which fails on them
+        continue;
+      }
+    } else {
+      continue;
+    }
+
+    if (/\/Type\s*\/ObjStm/.test(dictionary)) {
+      objectStreams.push(content);
+      continue;
+    }
+    // Inline images: BI <dictionary> ID <data> EI. Their size must be given directly, so a match
+    // without one is binary data that happens to contain the operators
+    const inlinePattern = /\bBI\b([\s\S]{0,2048}?)\bID\b/g;
+    let inline;
+    while ((inline = inlinePattern.exec(content)) !== null) {
+      const inlineDictionary = decodePdfNames(inline[1]);
+      const width = readDictionaryInteger(inlineDictionary, ['Width', 'W'], '');
+      const height = readDictionaryInteger(inlineDictionary, ['Height', 'H'], '');
+      if (width !== null && height !== null) imageSizes.push({ width, height });
+    }
+  }
+
+  return { objectStreams, imageSizes };
+};
+
+/**
+ * Find a PDF image that is too large, or whose size can't be read, to be decoded safely
+ * @param {Buffer} data - PDF contents
+ * @returns {Object|null} - { width, height } of the first such image, or null when every image is within the limit
+ */
+const findOversizedPdfImage = (data) => {
+  const { imageSizes } = readPdfStreams(data, data.toString('latin1'));
+  return findOversizedImage(imageSizes);
+};
+
+/**
+ * Pick the first image size above the pixel limit or without readable dimensions
+ * @param {Array} imageSizes - Image sizes as { width, height }
+ * @returns {Object|null} - The image size, or null
+ * @private
+ */
+const findOversizedImage = (imageSizes) => imageSizes.find(({ width, height }) => width === null || height === null
+  || width * height > storageConfig.uploadValidation.maxImagePixels) || null;
+
+/**
+ * Check a PDF for encryption, JavaScript, embedded files and images too large to decode
+ * @param {Buffer} data - PDF contents
+ * @throws {FileValidationError} - When the PDF has any of them
+ * @private
+ */
+const checkPdf = (data) => {
+  const raw = data.toString('latin1');
+  const { objectStreams, imageSizes } = readPdfStreams(data, raw);
+  const text = [raw, ...objectStreams].map(decodePdfNames).join('\n');
+
+  if (/\/Encrypt\s*(?:\d+\s+\d+\s+R|<<)/.test(text)) {
+    throw new FileValidationError('PDF_ENCRYPTED', 'The PDF is encrypted or password protected; upload an unprotected copy');
+  }
+  if (/\/(?:JavaScript|JS)\b/.test(text)) {
+    throw new FileValidationError('PDF_JAVASCRIPT', 'The PDF contains JavaScript, which is not accepted');
+  }
+  if (/\/(?:EmbeddedFiles?|FileAttachment)\b/.test(text)) {
+    throw new FileValidationError('PDF_EMBEDDED_FILE', 'The PDF contains embedded files, which are not accepted');
+  }
+
+  const oversized = findOversizedImage(imageSizes);
+  if (oversized) {
+    const { maxImagePixels } = storageConfig.uploadValidation;
+    throw new FileValidationError('IMAGE_TOO_LARGE', oversized.width === null || oversized.height === null
+      ? 'The PDF contains an image whose size can\'t be read'
+      : `The PDF contains a ${oversized.width} × ${oversized.height} pixel image, more than the ${Math.round(maxImagePixels / 1e6)} megapixels accepted`);
+  }
+};
+
+/**
+ * Check an image's dimensions from its header, without decoding it
+ * @param {Buffer} data - Image contents
+ * @param {string} fileType - Type detected from the content (png or jpeg)
+ * @throws {FileValidationError} - When the image is unreadable or has too many pixels to decode safely
+ * @private
+ */
+const checkImage = async (data, fileType) => {
+  let metadata;
+  try {
+    // Only the header is read here, so sharp's own pixel limit is lifted in favour of ours
+    metadata = await sharp(data, { limitInputPixels: false }).metadata();
+  } catch (error) {
+    throw new FileValidationError('IMAGE_INVALID', `The image could not be read: ${error.message}`);
+  }
+
+  if (metadata.format !== fileType || !metadata.width || !metadata.height) {
+    throw new FileValidationError('IMAGE_INVALID', 'The image is damaged or not a PNG or JPEG');
+  }
+
+  const { maxImagePixels } = storageConfig.uploadValidation;
+  const pixels = metadata.width * metadata.height * (metadata.pages || 1);
+  if (pixels > maxImagePixels) {
+    throw new FileValidationError('IMAGE_TOO_LARGE',
+      `The image is ${metadata.width} × ${metadata.height} pixels, more than the ${Math.round(maxImagePixels / 1e6)} megapixels accepted`);
+  }
+};
+
+/**
+ * Validate an uploaded file by its content
+ * The declared MIME type and the filename's extension are ignored.
+ * @param {Object} file - File object from multer (memory storage)
+ * @returns {Promise<Object>} - { fileType, mimeType } detected from the content
+ * @throws {FileValidationError} - When the file's type isn't accepted for its field or its content is unsafe
+ */
+const validateUploadedFile = async (file) => {
+  const field = FIELD_TYPES[file.fieldname];
+  if (!field) {
+    throw new FileValidationError('UNEXPECTED_FIELD', 'Unexpected field', 400);
+  }
+
+  const fileType = detectFileType(file.buffer);
+  if (!field.types.includes(fileType)) {
+    throw new FileValidationError('UNSUPPORTED_FILE_TYPE',
+      `${field.message}${fileType ? ` (the file is a ${FILE_TYPES[fileType].label})` : ''}`, 415);
+  }
+
+  if (fileType === 'pdf') {
+    checkPdf(file.buffer);
+  } else if (fileType === 'png' || fileType === 'jpeg') {
+    await checkImage(file.buffer, fileType);
+  }
+
+  return { fileType, mimeType: FILE_TYPES[fileType].mimeType };
+};
+
+module.exports = {
+  FileValidationError,
+  detectFileType,
+  findOversizedPdfImage,
+  validateUploadedFile,
+};
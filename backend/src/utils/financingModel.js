@@ -0,0 +1,268 @@
+const { resolveFinancialAssumptions, calculateOwnershipCosts } = require('./cashFlowModel');
+
+// Term used when a proposal quotes a payment but not the contract length
+const DEFAULT_TERM_YEARS = 25;
+
+/**
+ * Calculate the fixed monthly payment of an amortizing loan
+ * @param {number} principal - Financed amount in dollars
+ * @param {number} aprPercent - Annual percentage rate in percent (e.g. 5.99)
+ * @param {number} termYears - Loan term in years
+ * @returns {number} - Monthly payment in dollars
+ */
+const calculateLoanPayment = (principal, aprPercent, termYears) => {
+  const months = termYears * 12;
+  const monthlyRate = aprPercent / 100 / 12;
+
+  if (monthlyRate === 0) {
+    return principal / months;
+  }
+
+  return principal * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months));
+};
+
+/**
+ * Compare one financing option against the bill savings it produces
+ * @param {Object} params - Scenario inputs
+ * @param {string} params.type - Scenario type (cash, loan, lease, ppa)
+ * @param {number} params.upfrontCost - Money paid at signing in dollars
+ * @param {number} params.termYears - Years during which payments are made
+ * @param {number} params.evaluationYears - Years over which savings are counted
+ * @param {Function} params.paymentForMonth - (yearIndex, monthIndex) => payment in dollars
+ * @param {Array} params.monthlyBreakdown - Monthly breakdown with first-year savings
+ * @param {Object} params.assumptions - Resolved financial assumptions
+ * @param {Object} params.terms - Terms used for the scenario, returned for display
+ * @param {number} [params.incentives] - Tax credits and rebates paid to the owner in the first year in dollars
+ * @param {number} [params.ownedSystemSize] - System size in kW DC when the customer owns the system and pays
+ *   its O&M and inverter replacement
+ * @returns {Object} - Scenario comparison
+ * @private
+ */
+const buildScenario = ({
+  type,
+  upfrontCost,
+  termYears,
+  evaluationYears,
+  paymentForMonth,
+  monthlyBreakdown,
+  assumptions,
+  terms,
+  incentives = 0,
+  ownedSystemSize = 0,
+}) => {
+  const { panelDegradationRate, utilityEscalationRate } = assumptions;
+
+  // First-year month-by-month comparison against the bill savings
+  const monthlyComparison = monthlyBreakdown.map((month, monthIndex) => {
+    const payment = termYears > 0 ? paymentForMonth(0, monthIndex) : 0;
+    return {
+      month: month.month,
+      payment: parseFloat(payment.toFixed(2)),
+      billSavings: month.savings,
+      netSavings: parseFloat((month.savings - payment).toFixed(2)),
+    };
+  });
+
+  let totalBillSavings = 0;
+  let totalPayments = 0;
+  let totalOwnershipCosts = 0;
+  let firstYearOwnershipCosts = 0;
+
+  for (let year = 0; year < evaluationYears; year++) {
+    const savingsFactor = Math.pow(1 - panelDegradationRate, year) * Math.pow(1 + utilityEscalationRate, year);
+
+    monthlyBreakdown.forEach((month, monthIndex) => {
+      totalBillSavings += month.savings * savingsFactor;
+      if (year < termYears) {
+        totalPayments += paymentForMonth(year, monthIndex);
+      }
+    });
+
+    // Same O&M and inverter costs as the owner's cash-flow model
+    if (ownedSystemSize > 0) {
+      const { omCost, inverterCost } = calculateOwnershipCosts(year + 1, ownedSystemSize, assumptions);
+      totalOwnershipCosts += omCost + inverterCost;
+      if (year === 0) firstYearOwnershipCosts = omCost + inverterCost;
+    }
+  }
+
+  const firstYearPayments = monthlyComparison.reduce((total, month) => total + month.payment, 0);
+  const firstYearBillSavings = monthlyComparison.reduce((total, month) => total + month.billSavings, 0);
+  // Incentives arrive, and the first O&M bill is paid, within the first year
+  const firstYearNetSavings = firstYearBillSavings - firstYearPayments - firstYearOwnershipCosts + incentives;
+  const lifetimeNetSavings = totalBillSavings - totalPayments - totalOwnershipCosts - upfrontCost + incentives;
+
+  return {
+    type,
+    // Drop terms the proposal did not quote
+    terms: Object.fromEntries(Object.entries(terms).filter(([, value]) => value !== undefined && value !== null)),
+    upfrontCost: Math.round(upfrontCost),
+    incentives: Math.round(incentives),
+    ownershipCosts: Math.round(totalOwnershipCosts),
+    termYears,
+    evaluationYears,
+    averageMonthlyPayment: parseFloat((firstYearPayments / 12).toFixed(2)),
+    averageMonthlyBillSavings: parseFloat((firstYearBillSavings / 12).toFixed(2)),
+    netMonthlySavings: parseFloat(((firstYearBillSavings - firstYearPayments) / 12).toFixed(2)),
+    firstYearNetSavings: parseFloat(firstYearNetSavings.toFixed(2)),
+    lifetimeNetSavings: Math.round(lifetimeNetSavings),
+    savesMoneyFirstYear: firstYearNetSavings > 0,
+    savesMoneyLifetime: lifetimeNetSavings > 0,
+    monthlyComparison,
+  };
+};
+
+/**
+ * Incentives the owner receives: the gap between the gross and net price, or the listed incentives
+ * @param {Object} [pricing] - Cash pricing extracted from the proposal
+ * @returns {number} - Incentives in dollars
+ * @private
+ */
+const ownerIncentives = (pricing) => {
+  if (pricing?.totalCost && pricing?.netCost) {
+    return Math.max(0, pricing.totalCost - pricing.netCost);
+  }
+  return (pricing?.federalTaxCredit || 0) + (pricing?.stateRebates || 0) + (pricing?.otherIncentives || 0);
+};
+
+/**
+ * Build cash, loan, lease and PPA scenarios for a proposal
+ * Lease and PPA savings are only counted for the contract term because the
+ * customer does not own the system; cash and loan use the full analysis period.
+ * Owners (cash and loan) receive the incentives in the first year and pay the
+ * O&M and inverter replacement, so both are compared on the same terms.
+ * @param {Object} params - Inputs
+ * @param {Object} [params.financing] - Financing terms extracted from the proposal
+ * @param {Object} [params.pricing] - Cash pricing extracted from the proposal
+ * @param {number} [params.systemSize] - System size in kW DC, used for the owner's O&M and inverter costs
+ * @param {Array} params.monthlyBreakdown - Output of AnalysisService._generateMonthlyBreakdown
+ * @param {Object} [params.assumptions] - Overrides for the financial assumptions
+ * @returns {Array} - Scenario comparisons for every option that has enough data
+ */
+const buildFinancingScenarios = ({
+  financing = {},
+  pricing = {},
+  systemSize = 0,
+  monthlyBreakdown,
+  assumptions: overrides = {},
+}) => {
+  const assumptions = resolveFinancialAssumptions(overrides);
+  const analysisYears = assumptions.analysisPeriodYears;
+  const scenarios = [];
+
+  if (!monthlyBreakdown || monthlyBreakdown.length === 0) {
+    return scenarios;
+  }
+
+  const incentives = ownerIncentives(pricing);
+
+  // Cash purchase; a quoted net cost already has the incentives taken off
+  const cashCost = pricing?.netCost || pricing?.totalCost;
+  if (cashCost) {
+    scenarios.push(buildScenario({
+      type: 'cash',
+      upfrontCost: cashCost,
+      termYears: 0,
+      evaluationYears: analysisYears,
+      paymentForMonth: () => 0,
+      monthlyBreakdown,
+      assumptions,
+      terms: { netCost: cashCost },
+      incentives: pricing?.netCost ? 0 : incentives,
+      ownedSystemSize: systemSize,
+    }));
+  }
+
+  // Loan: quoted payment, or amortized from APR and the financed amount
+  const loan = financing?.loan;
+  if (loan) {
+    const termYears = loan.termYears || DEFAULT_TERM_YEARS;
+    const downPayment = loan.downPayment || 0;
+    let principal = loan.loanAmount;
+
+    if (!principal && pricing?.totalCost) {
+      // Dealer fees are usually added on top of the cash price
+      const dealerFee = (loan.dealerFeePercent || 0) / 100;
+      principal = Math.max(0, pricing.totalCost - downPayment) / (1 - dealerFee);
+    }
+
+    let monthlyPayment = loan.monthlyPayment;
+    if (!monthlyPayment && principal && loan.apr !== undefined && loan.apr !== null) {
+      monthlyPayment = calculateLoanPayment(principal, loan.apr, termYears);
+    }
+
+    if (monthlyPayment) {
+      scenarios.push(buildScenario({
+        type: 'loan',
+        upfrontCost: downPayment,
+        termYears,
+        evaluationYears: analysisYears,
+        paymentForMonth: () => monthlyPayment,
+        monthlyBreakdown,
+        assumptions,
+        terms: {
+          apr: loan.apr,
+          dealerFeePercent: loan.dealerFeePercent,
+          loanAmount: principal ? Math.round(principal) : undefined,
+          monthlyPayment: parseFloat(monthlyPayment.toFixed(2)),
+        },
+        // The loan finances the gross price, so the incentives come back to the owner
+        incentives,
+        ownedSystemSize: systemSize,
+      }));
+    }
+  }
+
+  // Lease: fixed monthly payment that escalates every year
+  const lease = financing?.lease;
+  if (lease?.monthlyPayment) {
+    const termYears = lease.termYears || DEFAULT_TERM_YEARS;
+    const escalator = (lease.escalatorPercent || 0) / 100;
+
+    scenarios.push(buildScenario({
+      type: 'lease',
+      upfrontCost: lease.downPayment || 0,
+      termYears,
+      evaluationYears: Math.min(termYears, analysisYears),
+      paymentForMonth: (year) => lease.monthlyPayment * Math.pow(1 + escalator, year),
+      monthlyBreakdown,
+      assumptions,
+      terms: {
+        monthlyPayment: lease.monthlyPayment,
+        escalatorPercent: lease.escalatorPercent || 0,
+      },
+    }));
+  }
+
+  // PPA: pay per kWh produced, with an escalating price
+  const ppa = financing?.ppa;
+  if (ppa?.ratePerKwh) {
+    const termYears = ppa.termYears || DEFAULT_TERM_YEARS;
+    const escalator = (ppa.escalatorPercent || 0) / 100;
+
+    scenarios.push(buildScenario({
+      type: 'ppa',
+      upfrontCost: 0,
+      termYears,
+      evaluationYears: Math.min(termYears, analysisYears),
+      paymentForMonth: (year, monthIndex) => {
+        const production = monthlyBreakdown[monthIndex].solarProduction
+          * Math.pow(1 - assumptions.panelDegradationRate, year);
+        return production * ppa.ratePerKwh * Math.pow(1 + escalator, year);
+      },
+      monthlyBreakdown,
+      assumptions,
+      terms: {
+        ratePerKwh: ppa.ratePerKwh,
+        escalatorPercent: ppa.escalatorPercent || 0,
+      },
+    }));
+  }
+
+  return scenarios;
+};
+
+module.exports = {
+  calculateLoanPayment,
+  buildFinancingScenarios,
+};
@@ -0,0 +1,407 @@
+const fs = require('fs');
+const { HOURS_IN_YEAR, getReferenceHourIndex } = require('./loadProfile');
+const { logger } = require('../middleware/errorMiddleware');
+const { REQUIRED_FIELDS, recordField, findMissingFields } = require('./fieldProvenance');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// ESPI unit of measure code for watt-hours, and flow direction code for energy delivered to the home
+const ESPI_UOM_WH = 72;
+const ESPI_FLOW_FORWARD = 1;
+
+// ESPI interval costs are in hundred-thousandths of the currency unit
+const ESPI_COST_SCALE = 100000;
+
+// Share of a calendar month that must have readings before it counts toward the usage history
+const MIN_MONTH_COVERAGE = 0.5;
+
+/**
+ * Get the text of the first element with a given (namespace-stripped) tag name
+ * @param {string} xml - XML fragment
+ * @param {string} tag - Tag name
+ * @returns {string|null} - Element text or null if not present
+ * @private
+ */
+const tagValue = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([^<]*)</${tag}>`));
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Get the links of an Atom entry, keyed by rel
+ * Hrefs are reduced to the resource path so absolute and relative links compare equal.
+ * @param {string} entry - Atom entry XML
+ * @returns {Object} - Resource paths keyed by rel
+ * @private
+ */
+const entryLinks = (entry) => {
+  const links = {};
+  for (const [tag] of entry.matchAll(/<link\b[^>]*>/g)) {
+    const rel = tag.match(/\brel="([^"]*)"/)?.[1];
+    const href = tag.match(/\bhref="([^"]*)"/)?.[1];
+    if (rel && href) {
+      links[rel] = href.replace(/^.*?\/resource\//, '').replace(/^https?:\/\/[^/]+/, '').replace(/\/$/, '');
+    }
+  }
+  return links;
+};
+
+/**
+ * Check whether a wall-clock time falls in US daylight saving time
+ * (second Sunday of March to first Sunday of November, 2:00 local)
+ * @param {number} standardMs - Local standard time as UTC milliseconds
+ * @returns {boolean} - Whether DST applies
+ * @private
+ */
+const isUsDaylightTime = (standardMs) => {
+  const year = new Date(standardMs).getUTCFullYear();
+  const nthSunday = (month, n) => {
+    const first = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    return Date.UTC(year, month, 1 + ((7 - first) % 7) + 7 * (n - 1), 2);
+  };
+  // DST ends at 2:00 daylight time, which is 1:00 standard time
+  return standardMs >= nthSunday(2, 2) && standardMs < nthSunday(10, 1) - HOUR_MS;
+};
+
+/**
+ * Parse a Green Button ESPI XML export
+ * Only electric readings delivered to the home (flow direction 1, watt-hours) are kept.
+ * Timestamps are converted to local wall-clock time using the feed's LocalTimeParameters,
+ * applying US daylight saving rules when the feed declares a DST offset.
+ * @param {string} xml - ESPI XML document (Atom feed or bare IntervalBlocks)
+ * @returns {Object} - { readings, costTotal } with readings as { start, minutes, kwh }
+ */
+const parseEspiXml = (xml) => {
+  // Drop namespace prefixes (espi:, ns0:, ...) so tags can be matched by local name
+  const document = xml.replace(/<(\/?)[\w-]+:/g, '<$1');
+  const entries = document.match(/<entry[\s>][\s\S]*?<\/entry>/g) || [document];
+
+  const tzOffset = Number(tagValue(document, 'tzOffset')) || 0;
+  const dstOffset = Number(tagValue(document, 'dstOffset')) || 0;
+
+  const readingTypes = new Map();
+  const meterReadings = new Map();
+  entries.forEach(entry => {
+    const links = entryLinks(entry);
+    if (/<ReadingType[\s>]/.test(entry)) {
+      readingTypes.set(links.self, {
+        multiplier: Number(tagValue(entry, 'powerOfTenMultiplier')) || 0,
+        uom: Number(tagValue(entry, 'uom') ?? ESPI_UOM_WH),
+        flowDirection: Number(tagValue(entry, 'flowDirection') ?? ESPI_FLOW_FORWARD),
+      });
+    } else if (/<MeterReading[\s>/]/.test(entry)) {
+      meterReadings.set(links.self, links.related);
+    }
+  });
+  const onlyReadingType = readingTypes.size === 1 ? [...readingTypes.values()][0] : null;
+  const defaultReadingType = { multiplier: 0, uom: ESPI_UOM_WH, flowDirection: ESPI_FLOW_FORWARD };
+
+  const readings = [];
+  let costTotal = 0;
+  entries.forEach(entry => {
+    if (!/<IntervalBlock[\s>]/.test(entry)) return;
+
+    // IntervalBlock → MeterReading (its "up" link) → ReadingType (the MeterReading's "related" link)
+    const meterReading = entryLinks(entry).up?.replace(/\/IntervalBlock$/, '');
+    const readingType = readingTypes.get(meterReadings.get(meterReading)) || onlyReadingType || defaultReadingType;
+    if (readingType.uom !== ESPI_UOM_WH || readingType.flowDirection !== ESPI_FLOW_FORWARD) return;
+
+    for (const [reading] of entry.matchAll(/<IntervalReading[\s>][\s\S]*?<\/IntervalReading>/g)) {
+      const start = Number(tagValue(reading, 'start'));
+      const duration = Number(tagValue(reading, 'duration'));
+      const value = Number(tagValue(reading, 'value'));
+      if (!Number.isFinite(start) || !(duration > 0) || !Number.isFinite(value)) continue;
+
+      const standardMs = (start + tzOffset) * 1000;
+      readings.push({
+        start: standardMs + (dstOffset && isUsDaylightTime(standardMs) ? dstOffset * 1000 : 0),
+        minutes: duration / 60,
+        kwh: value * Math.pow(10, readingType.multiplier) / 1000,
+      });
+      costTotal += (Number(tagValue(reading, 'cost')) || 0) / ESPI_COST_SCALE;
+    }
+  });
+
+  return { readings, costTotal };
+};
+
+/**
+ * Split one CSV line into cells, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {Array} - Cell values
+ * @private
+ */
+const splitCsvLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (char === '"') {
+      if (quoted && line[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === ',' && !quoted) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+/**
+ * Parse a local date and optional time into wall-clock milliseconds
+ * Accepts YYYY-MM-DD and MM/DD/YYYY dates, with HH:MM times in 24-hour or AM/PM form.
+ * Any UTC offset is ignored: exports list readings in the meter's local time.
+ * @param {string} dateText - Date (may also contain the time)
+ * @param {string} [timeText] - Time, when it is in a separate column
+ * @returns {number|null} - Local time as UTC milliseconds, or null if the date cannot be read
+ * @private
+ */
+const parseLocalDateTime = (dateText, timeText = '') => {
+  const iso = dateText.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+  const us = dateText.match(/(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
+  if (!iso && !us) return null;
+
+  const [year, month, day] = iso
+    ? [Number(iso[1]), Number(iso[2]), Number(iso[3])]
+    : [us[3].length === 2 ? 2000 + Number(us[3]) : Number(us[3]), Number(us[1]), Number(us[2])];
+
+  const time = `${timeText} ${dateText.slice((iso || us).index + (iso || us)[0].length)}`.match(/(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?/i);
+  let hour = time ? Number(time[1]) : 0;
+  if (time?.[3]) {
+    hour = (hour % 12) + (time[3].toLowerCase() === 'pm' ? 12 : 0);
+  }
+
+  return Date.UTC(year, month - 1, day, hour, time ? Number(time[2]) : 0);
+};
+
+/**
+ * Find the interval table columns in a CSV header row
+ * @param {Array} cells - Header cells
+ * @returns {Object|null} - Column indexes, or null if the row is not an interval table header
+ * @private
+ */
+const findCsvColumns = (cells) => {
+  const names = cells.map(cell => cell.toLowerCase());
+  const find = (pattern, exclude = /$^/) => names.findIndex(name => pattern.test(name) && !exclude.test(name));
+
+  const columns = {
+    type: find(/^type$/),
+    date: find(/^(?:date|(?:start|read|usage|interval) date)$/),
+    start: find(/start time|interval start|^start$|date\/time|datetime|timestamp/),
+    usage: find(/usage|consumption|^value|kwh|^import|delivered/, /cost|unit|generation|export|received|net/),
+    units: find(/^units?$/),
+    cost: find(/cost|charge/),
+  };
+
+  return columns.usage >= 0 && (columns.date >= 0 || columns.start >= 0) ? columns : null;
+};
+
+/**
+ * Parse a Green Button CSV export
+ * Handles the common utility layouts: a few account lines, then a table with a date
+ * (and usually a start time), a usage column, and optional units and cost columns.
+ * Interval length is taken from the most common gap between readings.
+ * @param {string} text - CSV text
+ * @returns {Object} - { readings, costTotal, accountNumber }
+ */
+const parseGreenButtonCsv = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  let accountNumber = null;
+  let columns = null;
+  let wattHours = false;
+  const rows = [];
+  let costTotal = 0;
+
+  lines.forEach(line => {
+    const cells = splitCsvLine(line);
+
+    if (!columns) {
+      if (/^account\s*(?:number|#|no)?\.?$/i.test(cells[0]) && cells[1]) {
+        accountNumber = cells[1];
+      }
+      columns = findCsvColumns(cells);
+      if (columns) {
+        wattHours = /\bwh\b/i.test(cells[columns.usage]) && !/kwh/i.test(cells[columns.usage]);
+      }
+      return;
+    }
+
+    // Skip gas rows in combined exports
+    if (columns.type >= 0 && /gas/i.test(cells[columns.type])) return;
+    if (columns.units >= 0 && cells[columns.units] && !/^k?wh$/i.test(cells[columns.units])) return;
+
+    const start = columns.start >= 0 && /\d[-/]\d/.test(cells[columns.start])
+      ? parseLocalDateTime(cells[columns.start])
+      : parseLocalDateTime(cells[columns.date] || '', columns.start >= 0 ? cells[columns.start] : '');
+    const value = parseFloat((cells[columns.usage] || '').replace(/[",\s]/g, ''));
+    if (start === null || !Number.isFinite(value)) return;
+
+    const inWattHours = columns.units >= 0 ? /^wh$/i.test(cells[columns.units]) : wattHours;
+    rows.push({ start, kwh: inWattHours ? value / 1000 : value });
+    if (columns.cost >= 0) {
+      costTotal += parseFloat((cells[columns.cost] || '').replace(/[$,\s]/g, '')) || 0;
+    }
+  });
+
+  // Interval length: the most common gap between consecutive readings
+  const sorted = [...rows].sort((a, b) => a.start - b.start);
+  const gapCounts = {};
+  sorted.slice(1).forEach((row, index) => {
+    const gap = (row.start - sorted[index].start) / 60000;
+    if (gap > 0) gapCounts[gap] = (gapCounts[gap] || 0) + 1;
+  });
+  const minutes = Number(Object.keys(gapCounts).sort((a, b) => gapCounts[b] - gapCounts[a])[0]) || 60;
+
+  return {
+    readings: sorted.map(row => ({ ...row, minutes })),
+    costTotal,
+    accountNumber,
+  };
+};
+
+/**
+ * Summarize interval readings into monthly totals and an hourly load for the analysis
+ * The hourly load covers the most recent 365 days, laid out on the simulation's reference
+ * year; hours without readings are left null. Months count toward the usage history when
+ * at least half of the month has readings, scaled up to the full month.
+ * @param {Array} readings - { start, minutes, kwh } readings in local wall-clock time
+ * @returns {Object} - { energyUsageMonthly, hourlyLoad, measuredHours, totalKwh, startDate, endDate, intervalMinutes }
+ */
+const summarizeIntervalReadings = (readings) => {
+  // Later duplicates (overlapping blocks) replace earlier ones
+  const byStart = new Map();
+  readings.forEach(reading => byStart.set(reading.start, reading));
+  const sorted = [...byStart.values()].sort((a, b) => a.start - b.start);
+
+  const lastEnd = sorted[sorted.length - 1].start + sorted[sorted.length - 1].minutes * 60000;
+  const windowStart = lastEnd - 365 * DAY_MS;
+
+  const hourlyTotals = new Array(HOURS_IN_YEAR).fill(0);
+  const hourlyMinutes = new Array(HOURS_IN_YEAR).fill(0);
+  const months = {};
+  let totalKwh = 0;
+
+  sorted.forEach(({ start, minutes, kwh }) => {
+    totalKwh += kwh;
+
+    const monthKey = new Date(start).toISOString().slice(0, 7);
+    months[monthKey] = months[monthKey] || { kwh: 0, minutes: 0 };
+    months[monthKey].kwh += kwh;
+    months[monthKey].minutes += minutes;
+
+    // Daily or longer readings only count toward monthly totals
+    if (minutes <= 60 && start >= windowStart) {
+      const index = getReferenceHourIndex(new Date(start));
+      if (index !== null) {
+        hourlyTotals[index] += kwh;
+        hourlyMinutes[index] += minutes;
+      }
+    }
+  });
+
+  // Hours with some missing intervals are scaled up from the intervals they have
+  const hourlyLoad = hourlyTotals.map((kwh, index) =>
+    (hourlyMinutes[index] > 0 ? kwh * 60 / Math.min(hourlyMinutes[index], 60) : null)
+  );
+
+  const energyUsageMonthly = {};
+  Object.entries(months).forEach(([monthKey, { kwh, minutes }]) => {
+    const [year, month] = monthKey.split('-').map(Number);
+    const coverage = minutes / (new Date(Date.UTC(year, month, 0)).getUTCDate() * 24 * 60);
+    if (coverage >= MIN_MONTH_COVERAGE) {
+      energyUsageMonthly[monthKey] = { kwh: Math.round(kwh / Math.min(coverage, 1)), source: 'green-button' };
+    }
+  });
+
+  return {
+    energyUsageMonthly,
+    hourlyLoad,
+    measuredHours: hourlyLoad.filter(kwh => kwh !== null).length,
+    totalKwh,
+    startDate: new Date(sorted[0].start),
+    endDate: new Date(lastEnd),
+    intervalMinutes: sorted.reduce((shortest, reading) => Math.min(shortest, reading.minutes), Infinity),
+  };
+};
+
+/**
+ * Parse a Green Button export (ESPI XML or CSV) into utility bill data
+ * The interval data replaces the extracted monthly energyUsage: average monthly usage comes
+ * from the readings, and the hourly load is kept for the simulation.
+ * @param {string} filePath - Path to the Green Button file
+ * @returns {Promise<Object>} - Extracted data in the utility bill format
+ */
+const parseGreenButtonFile = async (filePath) => {
+  try {
+    const text = (await fs.promises.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+    const format = text.trimStart().startsWith('<') ? 'espi-xml' : 'csv';
+    const { readings, costTotal, accountNumber = null } = format === 'espi-xml'
+      ? parseEspiXml(text)
+      : parseGreenButtonCsv(text);
+
+    if (readings.length === 0) {
+      throw new Error('No electric interval readings found');
+    }
+
+    const summary = summarizeIntervalReadings(readings);
+    const monthlyValues = Object.values(summary.energyUsageMonthly).map(entry => entry.kwh);
+    const coveredDays = (summary.endDate - summary.startDate) / DAY_MS;
+    const energyUsage = monthlyValues.length > 0
+      ? Math.round(monthlyValues.reduce((sum, kwh) => sum + kwh, 0) / monthlyValues.length)
+      : Math.round(summary.totalKwh / coveredDays * 30.4);
+
+    logger.info(`Parsed Green Button ${format}: ${readings.length} readings, ${summary.measuredHours} measured hours`);
+
+    // Every value is read from structured meter data, so it is as reliable as the export itself
+    const fieldProvenance = {};
+    const billData = {
+      utilityCompany: null,
+      billingPeriod: recordField(fieldProvenance, 'billingPeriod', {
+        startDate: summary.startDate,
+        endDate: summary.endDate,
+      }, 'green-button'),
+      accountNumber: recordField(fieldProvenance, 'accountNumber', accountNumber, 'green-button'),
+      energyUsage: recordField(fieldProvenance, 'energyUsage', energyUsage, 'green-button'),
+      rate: recordField(fieldProvenance, 'rate',
+        costTotal > 0 ? parseFloat((costTotal / summary.totalKwh).toFixed(4)) : null, 'green-button'),
+    };
+    if (monthlyValues.length > 0) {
+      billData.energyUsageMonthly = recordField(fieldProvenance, 'energyUsageMonthly', summary.energyUsageMonthly, 'green-button');
+    }
+
+    return {
+      ...billData,
+      intervalData: {
+        format,
+        intervalMinutes: summary.intervalMinutes,
+        readingCount: readings.length,
+        startDate: summary.startDate,
+        endDate: summary.endDate,
+        measuredHours: summary.measuredHours,
+        hourlyLoad: summary.hourlyLoad,
+      },
+      dataSource: 'green-button',
+      fieldProvenance,
+      missingFields: findMissingFields(billData, REQUIRED_FIELDS.greenButton),
+    };
+  } catch (error) {
+    logger.error(`Green Button parsing error: ${error.message}`);
+    throw new Error(`Failed to parse Green Button file: ${error.message}`);
+  }
+};
+
+module.exports = {
+  parseEspiXml,
+  parseGreenButtonCsv,
+  summarizeIntervalReadings,
+  parseGreenButtonFile,
+};
@@ -1,8 +1,31 @@
-const { createWorker } = require('tesseract.js');
 const sharp = require('sharp');
 const fs = require('fs');
 const path = require('path');
 const { logger } = require('../middleware/errorMiddleware');
+const ocrService = require('../services/ocrService');
+const { extractWithBillTemplate } = require('./billTemplates');
+const {
+  REQUIRED_FIELDS,
+  SOURCE_CONFIDENCE,
+  hasValue,
+  recordField,
+  OCR_CONFIDENCE_FACTOR,
+  findMissingFields,
+  attachSourceSnippets,
+} = require('./fieldProvenance');
+const { checkUtilityBillConsistency } = require('./extractionChecks');
+
+/**
+ * Build the sharp pipeline that prepares an image for OCR
+ * @param {string|Buffer} input - Image file path or image data
+ * @returns {Object} - Sharp instance
+ * @private
+ */
+const ocrPipeline = (input) => sharp(input)
+  .greyscale() // Convert to grayscale
+  .normalize() // Normalize the image
+  .sharpen() // Sharpen the image
+  .threshold(128); // Apply threshold to make the text stand out
 
 /**
  * Preprocess image for better OCR results
@@ -17,12 +40,7 @@ const preprocessImage = async (imagePath) => {
     );
 
     // Preprocess the image for better OCR
-    await sharp(imagePath)
-      .greyscale() // Convert to grayscale
-      .normalize() // Normalize the image
-      .sharpen() // Sharpen the image
-      .threshold(128) // Apply threshold to make the text stand out
-      .toFile(outputPath);
+    await ocrPipeline(imagePath).toFile(outputPath);
 
     return outputPath;
   } catch (error) {
@@ -33,29 +51,29 @@ const preprocessImage = async (imagePath) => {
 
 /**
  * Extract text from an image using OCR
- * @param {string} imagePath - Path to the image file
+ * Image data (e.g. a scanned PDF page) is preprocessed in memory instead of through a file.
+ * @param {string|Buffer} image - Path to the image file, or image data
  * @returns {Promise<string>} - Extracted text from the image
  */
-const extractTextFromImage = async (imagePath) => {
+const extractTextFromImage = async (image) => {
   try {
-    // Preprocess the image first
-    const preprocessedPath = await preprocessImage(imagePath);
-    
-    // Initialize tesseract worker
-    const worker = await createWorker('eng');
-
-    // Recognize text from the image
-    const { data: { text } } = await worker.recognize(preprocessedPath);
-
-    // Terminate the worker
-    await worker.terminate();
-
-    // Clean up the preprocessed image
-    if (fs.existsSync(preprocessedPath)) {
-      fs.unlinkSync(preprocessedPath);
+    if (Buffer.isBuffer(image)) {
+      const preprocessed = await ocrPipeline(image).png().toBuffer();
+      return await ocrService.recognize(preprocessed);
     }
 
-    return text;
+    // Preprocess the image first
+    const preprocessedPath = await preprocessImage(image);
+
+    // Recognize text from the image on the shared worker pool
+    try {
+      return await ocrService.recognize(preprocessedPath);
+    } finally {
+      // Clean up the preprocessed image
+      if (fs.existsSync(preprocessedPath)) {
+        fs.unlinkSync(preprocessedPath);
+      }
+    }
   } catch (error) {
     logger.error(`OCR error: ${error.message}`);
     throw new Error(`Failed to perform OCR: ${error.message}`);
@@ -244,7 +262,9 @@ const extractEnergyUsage = (text) => {
 };
 
 /**
- * Extract electricity rate from OCR text
+ * Extract the electricity rate printed on a bill from OCR text
+ * A bill without a printed rate gets null; the parsers derive the effective rate from the
+ * total and usage themselves, recorded with 'default' provenance.
  * @param {string} text - Text extracted from utility bill
  * @returns {number|null} - Electricity rate in $/kWh or null if not found
  */
@@ -264,13 +284,6 @@ const extractElectricityRate = (text) => {
       }
     }
 
-    // Calculate rate from total kWh and bill amount if available
-    const usage = extractEnergyUsage(text);
-    const totalAmount = extractTotalAmount(text);
-    if (usage && totalAmount && usage > 0) {
-      return parseFloat((totalAmount / usage).toFixed(4));
-    }
-
     return null;
   } catch (error) {
     logger.error(`Electricity rate extraction error: ${error.message}`);
@@ -278,30 +291,243 @@ const extractElectricityRate = (text) => {
   }
 };
 
+// Headings that introduce a bill's usage history table or chart
+const USAGE_HISTORY_HEADING = /(?:usage|consumption)\s+history|monthly\s+(?:energy\s+|electric(?:ity)?\s+)?usage|(?:12|13|twelve|thirteen)[-\s]month|usage\s+(?:comparison|summary)/i;
+
+// Lines after a heading that are searched for history rows
+const USAGE_HISTORY_WINDOW = 30;
+
+const MONTH_TOKEN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)(?![a-z])\\.?';
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "Jan 2024 850", "Jan '24: 850 kWh", "Jan 850" (several per line allowed)
+const NAMED_MONTH_ROW = new RegExp(`\\b${MONTH_TOKEN}(?:[\\s'’/-]*(\\d{4}|\\d{2})(?!\\d))?[\\s:]+(\\d{1,3}(?:,\\d{3})+|\\d+)(?![\\d.])(?!\\s*[,/]\\s*\\d)`, 'gi');
+// "01/24 850", "1/2024 850 kWh"
+const NUMERIC_MONTH_ROW = /\b(0?[1-9]|1[0-2])\/(\d{4}|\d{2})\s+(\d{1,3}(?:,\d{3})+|\d+)(?![\d./])/g;
+// Month labels in the header of a column-per-month table
+const MONTH_HEADER = new RegExp(`\\b${MONTH_TOKEN}(?:[\\s'’/-]*(\\d{4}|\\d{2})(?!\\d))?`, 'gi');
+const MONTH_WORD = new RegExp(`\\b${MONTH_TOKEN}`, 'i');
+const NUMBER_TOKEN = /\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?/g;
+
+/**
+ * Convert a month name and optional year from a history row
+ * @param {string} monthToken - Month name or abbreviation
+ * @param {string} [yearToken] - Two- or four-digit year
+ * @param {string} kwhToken - Usage value
+ * @returns {Object} - { monthIndex, year, kwh } with year null when the row has none
+ * @private
+ */
+const toHistoryRow = (monthToken, yearToken, kwhToken) => ({
+  monthIndex: MONTH_ABBREVIATIONS.indexOf(monthToken.slice(0, 3).toLowerCase()),
+  year: yearToken ? (yearToken.length === 2 ? 2000 + Number(yearToken) : Number(yearToken)) : null,
+  kwh: parseFloat(kwhToken.replace(/,/g, '')),
+});
+
+/**
+ * Read the history rows on one line, or from a month header and the value line below it
+ * @param {Array} lines - Lines of the usage history section
+ * @param {number} index - Line to read
+ * @returns {Object} - { rows, consumed } where consumed is the number of lines used
+ * @private
+ */
+const readHistoryLine = (lines, index) => {
+  const line = lines[index];
+  const headers = [...line.matchAll(MONTH_HEADER)];
+
+  // Column-per-month table: month labels on one line, kWh values on one of the next lines
+  if (headers.length >= 3 && line.replace(MONTH_HEADER, '').replace(/kwh|month|usage|[\s|:]/gi, '') === '') {
+    for (let offset = 1; offset <= 3 && index + offset < lines.length; offset++) {
+      const valueLine = lines[index + offset];
+      const values = valueLine.match(NUMBER_TOKEN) || [];
+      if (values.length === headers.length && !MONTH_WORD.test(valueLine)) {
+        return {
+          rows: headers.map((header, position) => toHistoryRow(header[1], header[2], values[position])),
+          consumed: offset + 1,
+        };
+      }
+    }
+  }
+
+  const rows = [];
+  for (const match of line.matchAll(NAMED_MONTH_ROW)) {
+    const value = parseFloat(match[3].replace(/,/g, ''));
+    // A bare "Jan 2024" is a label, not 2,024 kWh
+    const isYearLabel = !match[2] && value >= 1990 && value <= 2100 && !/^\s*kwh/i.test(line.slice(match.index + match[0].length));
+    if (!isYearLabel) {
+      rows.push(toHistoryRow(match[1], match[2], match[3]));
+    }
+  }
+  for (const match of line.matchAll(NUMERIC_MONTH_ROW)) {
+    rows.push({
+      monthIndex: Number(match[1]) - 1,
+      year: match[2].length === 2 ? 2000 + Number(match[2]) : Number(match[2]),
+      kwh: parseFloat(match[3].replace(/,/g, '')),
+    });
+  }
+
+  return { rows, consumed: 1 };
+};
+
+/**
+ * Fill in missing years on history rows
+ * Rows without a year are dated from the nearest row that has one, or from the billing
+ * period's end month, assuming the table runs month by month.
+ * @param {Array} rows - { monthIndex, year, kwh } rows in table order
+ * @param {Object} [billingPeriod] - Billing period with endDate
+ * @returns {Array} - Rows in chronological order with years set, or an empty array when they cannot be dated
+ * @private
+ */
+const assignHistoryYears = (rows, billingPeriod) => {
+  if (rows.length === 0) return [];
+
+  // Tables may list the newest month first
+  const steps = rows.slice(1).map((row, index) => (row.monthIndex - rows[index].monthIndex + 12) % 12);
+  const descending = steps.filter(step => step === 11).length > steps.filter(step => step === 1).length;
+  const chronological = (descending ? [...rows].reverse() : rows).map(row => ({ ...row }));
+
+  let anchor = chronological.map(row => row.year !== null).lastIndexOf(true);
+  if (anchor === -1) {
+    const endDate = billingPeriod?.endDate ? new Date(billingPeriod.endDate) : null;
+    if (!endDate || isNaN(endDate.getTime())) return [];
+
+    anchor = chronological.length - 1;
+    const latest = chronological[anchor];
+    latest.year = endDate.getFullYear() - (latest.monthIndex > endDate.getMonth() ? 1 : 0);
+  }
+
+  for (let index = anchor - 1; index >= 0; index--) {
+    const row = chronological[index];
+    const next = chronological[index + 1];
+    if (row.year === null) {
+      row.year = next.year - (row.monthIndex >= next.monthIndex ? 1 : 0);
+    }
+  }
+  for (let index = anchor + 1; index < chronological.length; index++) {
+    const row = chronological[index];
+    const previous = chronological[index - 1];
+    if (row.year === null) {
+      row.year = previous.year + (row.monthIndex <= previous.monthIndex ? 1 : 0);
+    }
+  }
+
+  return chronological;
+};
+
+/**
+ * Extract the usage history table or chart labels printed on a bill
+ * Only the lines following a "usage history" style heading are searched, so billing
+ * dates elsewhere on the bill are not mistaken for history rows.
+ * @param {string} text - Text extracted from utility bill
+ * @param {Object} [billingPeriod] - Billing period, used to date rows printed without a year
+ * @returns {Array} - { month: 'YYYY-MM', kwh } entries, oldest first (empty if none found)
+ */
+const extractUsageHistory = (text, billingPeriod = null) => {
+  try {
+    const lines = text.split(/\r?\n/).map(line => line.trim());
+    const history = {};
+
+    lines.forEach((line, headingIndex) => {
+      if (!USAGE_HISTORY_HEADING.test(line)) return;
+
+      const section = lines.slice(headingIndex + 1, headingIndex + 1 + USAGE_HISTORY_WINDOW);
+      const rows = [];
+      for (let index = 0; index < section.length;) {
+        const { rows: lineRows, consumed } = readHistoryLine(section, index);
+        rows.push(...lineRows);
+        index += consumed;
+      }
+
+      assignHistoryYears(rows.filter(row => row.kwh >= 0 && row.kwh < 100000), billingPeriod)
+        .forEach(({ monthIndex, year, kwh }) => {
+          const month = `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
+          // The first table on the bill wins over later comparison tables
+          if (!(month in history)) {
+            history[month] = kwh;
+          }
+        });
+    });
+
+    return Object.keys(history).sort().map(month => ({ month, kwh: history[month] }));
+  } catch (error) {
+    logger.error(`Usage history extraction error: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Convert usage history entries into a map of calendar month to tagged kWh values
+ * @param {Array} entries - { month: 'YYYY-MM', kwh } entries read from the bill's usage chart or table
+ * @param {string} source - How the entries were read ('openai', 'pdf-text' or 'ocr-text')
+ * @returns {Object|null} - { kwh, source } keyed by 'YYYY-MM', or null when no entry is usable
+ */
+const normalizeUsageHistory = (entries, source) => {
+  if (!Array.isArray(entries)) return null;
+
+  const history = {};
+  entries.forEach(entry => {
+    const kwh = parseFloat(entry?.kwh);
+    if (/^\d{4}-(0[1-9]|1[0-2])$/.test(entry?.month) && kwh >= 0) {
+      history[entry.month] = { kwh, source };
+    }
+  });
+
+  return Object.keys(history).length > 0 ? history : null;
+};
+
 /**
  * Parse utility bill image and extract all relevant data
+ * Values that can't be found are left empty; missingFields lists the required ones
  * @param {string} imagePath - Path to utility bill image
- * @returns {Promise<Object>} - Extracted data from utility bill
+ * @returns {Promise<Object>} - Extracted data from utility bill with per-field provenance
  */
 const parseUtilityBillImage = async (imagePath) => {
   try {
     const text = await extractTextFromImage(imagePath);
     
-    // Extract all relevant data
-    const utilityCompany = extractUtilityCompany(text);
-    const billingPeriod = extractBillingPeriod(text);
-    const accountNumber = extractAccountNumber(text);
-    const totalAmount = extractTotalAmount(text);
-    const energyUsage = extractEnergyUsage(text);
-    const rate = extractElectricityRate(text);
+    // Values read at the utility template's anchors beat the generic patterns
+    const detectedCompany = extractUtilityCompany(text);
+    const templateData = extractWithBillTemplate(text, detectedCompany) || {};
+    
+    const patternData = {
+      utilityCompany: detectedCompany,
+      billingPeriod: extractBillingPeriod(text),
+      accountNumber: extractAccountNumber(text),
+      totalAmount: extractTotalAmount(text),
+      energyUsage: extractEnergyUsage(text),
+      rate: extractElectricityRate(text),
+    };
+    
+    // Source and confidence of every value found; OCR misreads lower the usual confidence
+    const fieldProvenance = {};
+    const billData = {};
+    Object.keys(patternData).forEach(field => {
+      const source = hasValue(templateData[field]) ? 'template' : 'pattern';
+      const value = source === 'template' ? templateData[field] : patternData[field];
+      billData[field] = recordField(fieldProvenance, field, value, source, SOURCE_CONFIDENCE[source] * OCR_CONFIDENCE_FACTOR);
+    });
+    
+    // Without a printed rate, the effective rate is the billed total over the billed usage
+    if (!hasValue(billData.rate) && hasValue(billData.totalAmount) && hasValue(billData.energyUsage)) {
+      billData.rate = recordField(fieldProvenance, 'rate',
+        parseFloat((billData.totalAmount / billData.energyUsage).toFixed(4)), 'default');
+    }
+    
+    const energyUsageMonthly = recordField(fieldProvenance, 'energyUsageMonthly',
+      normalizeUsageHistory(extractUsageHistory(text, billData.billingPeriod), 'ocr-text'),
+      'pattern', SOURCE_CONFIDENCE.pattern * OCR_CONFIDENCE_FACTOR);
+    
+    attachSourceSnippets(fieldProvenance, billData, text);
+    
+    const failedChecks = checkUtilityBillConsistency(billData);
     
     return {
-      utilityCompany,
-      billingPeriod,
-      accountNumber,
-      totalAmount,
-      energyUsage,
-      rate,
+      ...billData,
+      ...(energyUsageMonthly ? { energyUsageMonthly } : {}),
+      dataSource: templateData.complete ? 'template' : 'pattern-extraction',
+      ...(templateData.templateId ? { templateId: templateData.templateId } : {}),
+      fieldProvenance,
+      missingFields: findMissingFields(billData, REQUIRED_FIELDS.utilityBill),
+      failedChecks,
       rawText: text, // Include raw text for debugging if needed
     };
   } catch (error) {
@@ -320,4 +546,6 @@ module.exports = {
   extractTotalAmount,
   extractEnergyUsage,
   extractElectricityRate,
+  extractUsageHistory,
+  normalizeUsageHistory,
 }; 
\ No newline at end of file
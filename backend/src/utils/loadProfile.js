@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const analysisConfig = require('../config/analysisConfig');
+const { logger } = require('../middleware/errorMiddleware');
+
+const HOURS_IN_YEAR = 8760;
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Non-leap year used to lay out weekdays; PVWatts TMY output also has 8760 hours starting January 1
+const REFERENCE_YEAR = 2019;
+
+// Seasonal swing (highest season average / lowest) above which a seasonal template is used
+const SEASONAL_SWING_THRESHOLD = 1.2;
+
+let calendarCache = null;
+let loadShapeCache = null;
+
+/**
+ * Get the month, hour of day and weekday flag for every hour of the year
+ * @returns {Array} - 8760 entries of { monthIndex, hour, isWeekend }
+ */
+const getHourlyCalendar = () => {
+  if (calendarCache) return calendarCache;
+
+  calendarCache = [];
+  for (let dayOfYear = 0; dayOfYear < HOURS_IN_YEAR / 24; dayOfYear++) {
+    const date = new Date(Date.UTC(REFERENCE_YEAR, 0, 1 + dayOfYear));
+    const dayOfWeek = date.getUTCDay();
+    for (let hour = 0; hour < 24; hour++) {
+      calendarCache.push({
+        monthIndex: date.getUTCMonth(),
+        hour,
+        isWeekend: dayOfWeek === 0 || dayOfWeek === 6,
+      });
+    }
+  }
+
+  return calendarCache;
+};
+
+/**
+ * Get the position of a calendar hour in the 8760-hour reference year
+ * Matches by month, day and hour so readings from any year line up with the simulation;
+ * February 29 has no place in the reference year.
+ * @param {Date} date - Local wall-clock time expressed in UTC fields
+ * @returns {number|null} - Hour index (0-8759), or null for February 29
+ */
+const getReferenceHourIndex = (date) => {
+  if (date.getUTCMonth() === 1 && date.getUTCDate() === 29) return null;
+  const dayOfYear = (Date.UTC(REFERENCE_YEAR, date.getUTCMonth(), date.getUTCDate()) - Date.UTC(REFERENCE_YEAR, 0, 1)) / 86400000;
+  return dayOfYear * 24 + date.getUTCHours();
+};
+
+/**
+ * Load every load-shape template from a directory
+ * Results are cached; pass a directory to reload from a different location
+ * @param {string} [directory] - Directory containing *.json templates
+ * @returns {Map<string, Object>} - Templates keyed by ID
+ */
+const loadLoadShapes = (directory) => {
+  if (loadShapeCache && !directory) {
+    return loadShapeCache;
+  }
+
+  const shapeDirectory = directory || analysisConfig.loadShapes.directory;
+  const templates = new Map();
+
+  if (!fs.existsSync(shapeDirectory)) {
+    logger.warn(`Load shape directory not found: ${shapeDirectory}`);
+    loadShapeCache = templates;
+    return templates;
+  }
+
+  fs.readdirSync(shapeDirectory)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      try {
+        const template = JSON.parse(fs.readFileSync(path.join(shapeDirectory, file), 'utf8'));
+        if (!template.id || !template.shapes) {
+          logger.warn(`Skipping load shape ${file}: id and shapes are required`);
+          return;
+        }
+        templates.set(template.id, template);
+      } catch (error) {
+        logger.warn(`Skipping load shape ${file}: ${error.message}`);
+      }
+    });
+
+  loadShapeCache = templates;
+  return templates;
+};
+
+/**
+ * Get a load-shape template by ID
+ * @param {string} templateId - Template ID
+ * @returns {Object|null} - Template or null if not found
+ */
+const getLoadShape = (templateId) => loadLoadShapes().get(templateId) || null;
+
+/**
+ * Pick the load-shape template that matches the seasonal pattern of the bill's usage
+ * Homes whose summer months clearly dominate get the cooling template, winter-dominated
+ * homes get the electric heat template, and everything else gets the default
+ * @param {Object} monthlyUsage - Usage in kWh keyed by month name
+ * @param {string} [templateId] - Explicit template ID, used when it exists
+ * @returns {Object|null} - Template
+ */
+const selectLoadShape = (monthlyUsage, templateId) => {
+  if (templateId && getLoadShape(templateId)) {
+    return getLoadShape(templateId);
+  }
+
+  const defaultTemplate = getLoadShape(analysisConfig.loadShapes.defaultTemplate)
+    || loadLoadShapes().values().next().value
+    || null;
+
+  const average = (months) => months.reduce((total, month) => total + (monthlyUsage[month] || 0), 0) / months.length;
+  const summer = average(['June', 'July', 'August', 'September']);
+  const winter = average(['December', 'January', 'February']);
+
+  let pattern = 'balanced';
+  if (winter > 0 && summer / winter > SEASONAL_SWING_THRESHOLD) {
+    pattern = 'summer-peaking';
+  } else if (summer > 0 && winter / summer > SEASONAL_SWING_THRESHOLD) {
+    pattern = 'winter-peaking';
+  }
+
+  for (const template of loadLoadShapes().values()) {
+    if (template.usagePattern === pattern) return template;
+  }
+
+  return defaultTemplate;
+};
+
+/**
+ * Get the template's hourly shares for a month and day type
+ * @param {Object} template - Load-shape template
+ * @param {number} monthIndex - Month index (0 = January)
+ * @param {boolean} isWeekend - Whether the day is a weekend
+ * @returns {Array} - 24 relative hourly loads
+ * @private
+ */
+const getDayShape = (template, monthIndex, isWeekend) => {
+  const seasonEntry = Object.entries(template.seasons || {})
+    .find(([, months]) => months.includes(monthIndex + 1));
+  const seasonShapes = template.shapes[seasonEntry ? seasonEntry[0] : Object.keys(template.shapes)[0]];
+  return isWeekend ? seasonShapes.weekend : seasonShapes.weekday;
+};
+
+/**
+ * Scale a series of hourly weights so each month adds up to its monthly total
+ * @param {Array} weights - 8760 relative weights
+ * @param {Array} monthlyTotals - 12 monthly totals in kWh
+ * @returns {Array} - 8760 hourly values in kWh
+ * @private
+ */
+const scaleToMonthlyTotals = (weights, monthlyTotals) => {
+  const calendar = getHourlyCalendar();
+  const monthWeights = new Array(12).fill(0);
+  weights.forEach((weight, index) => {
+    monthWeights[calendar[index].monthIndex] += weight;
+  });
+
+  return weights.map((weight, index) => {
+    const { monthIndex } = calendar[index];
+    return monthWeights[monthIndex] > 0 ? monthlyTotals[monthIndex] * weight / monthWeights[monthIndex] : 0;
+  });
+};
+
+/**
+ * Build an 8760 hourly household load from monthly usage and a load-shape template
+ * @param {Object} monthlyUsage - Usage in kWh keyed by month name
+ * @param {Object} [template] - Load-shape template; without one, load is spread evenly
+ * @returns {Array} - 8760 hourly loads in kWh
+ */
+const synthesizeHourlyLoad = (monthlyUsage, template) => {
+  const weights = getHourlyCalendar().map(({ monthIndex, hour, isWeekend }) =>
+    (template ? getDayShape(template, monthIndex, isWeekend)[hour] : 1)
+  );
+
+  return scaleToMonthlyTotals(weights, MONTH_NAMES.map(month => monthlyUsage[month] || 0));
+};
+
+/**
+ * Replace hours of a synthesized load with measured interval data
+ * Hours without readings keep the template's shape, scaled so each month still adds up
+ * to the synthesized monthly total.
+ * @param {Array} hourlyLoad - 8760 synthesized hourly loads in kWh
+ * @param {Array} measuredLoad - 8760 measured hourly loads in kWh, null where there is no reading
+ * @returns {Array} - 8760 hourly loads in kWh
+ */
+const overlayMeasuredLoad = (hourlyLoad, measuredLoad) => {
+  const calendar = getHourlyCalendar();
+  const monthTotals = new Array(12).fill(0);
+  const measuredTotals = new Array(12).fill(0);
+  const unmeasuredTotals = new Array(12).fill(0);
+
+  hourlyLoad.forEach((kwh, index) => {
+    const { monthIndex } = calendar[index];
+    monthTotals[monthIndex] += kwh;
+    if (measuredLoad[index] === null || measuredLoad[index] === undefined) {
+      unmeasuredTotals[monthIndex] += kwh;
+    } else {
+      measuredTotals[monthIndex] += measuredLoad[index];
+    }
+  });
+
+  return hourlyLoad.map((kwh, index) => {
+    if (measuredLoad[index] !== null && measuredLoad[index] !== undefined) return measuredLoad[index];
+    const { monthIndex } = calendar[index];
+    const remaining = Math.max(0, monthTotals[monthIndex] - measuredTotals[monthIndex]);
+    return unmeasuredTotals[monthIndex] > 0 ? kwh * remaining / unmeasuredTotals[monthIndex] : 0;
+  });
+};
+
+/**
+ * Build an 8760 hourly solar production series from monthly totals
+ * Used when PVWatts hourly output is not available. Each day follows a sine curve
+ * between sunrise and sunset, with day length varying from about 9 hours in December
+ * to 15 hours in June.
+ * @param {Object} monthlyProduction - Production in kWh keyed by month name
+ * @returns {Array} - 8760 hourly production values in kWh
+ */
+const synthesizeHourlyProduction = (monthlyProduction) => {
+  const weights = getHourlyCalendar().map(({ monthIndex, hour }) => {
+    const dayLength = 12 + 3 * Math.cos(2 * Math.PI * (monthIndex - 5.5) / 12);
+    const sunrise = 12.5 - dayLength / 2;
+    const position = (hour + 0.5 - sunrise) / dayLength;
+    return position > 0 && position < 1 ? Math.sin(Math.PI * position) : 0;
+  });
+
+  return scaleToMonthlyTotals(weights, MONTH_NAMES.map(month => monthlyProduction?.[month] || 0));
+};
+
+/**
+ * Split an 8760 hourly series into monthly interval lists for the tariff engine
+ * @param {Array} hourlyValues - 8760 hourly values in kWh
+ * @returns {Array} - 12 arrays of { hour, isWeekend, kwh }
+ */
+const splitByMonth = (hourlyValues) => {
+  const months = MONTH_NAMES.map(() => []);
+  getHourlyCalendar().forEach(({ monthIndex, hour, isWeekend }, index) => {
+    months[monthIndex].push({ hour, isWeekend, kwh: hourlyValues[index] || 0 });
+  });
+  return months;
+};
+
+module.exports = {
+  HOURS_IN_YEAR,
+  MONTH_NAMES,
+  getHourlyCalendar,
+  getReferenceHourIndex,
+  loadLoadShapes,
+  getLoadShape,
+  selectLoadShape,
+  synthesizeHourlyLoad,
+  overlayMeasuredLoad,
+  synthesizeHourlyProduction,
+  splitByMonth,
+};
@@ -0,0 +1,172 @@
+// Items whose baselines differ by less than this share of the font size are on one line
+const LINE_TOLERANCE = 0.5;
+
+// Horizontal gap (in font sizes) between items that starts a new column cell
+const COLUMN_GAP = 1.5;
+
+// Gap (in font sizes) between items of one cell that is read as a word space
+const WORD_GAP = 0.1;
+
+// Vertical gap (in font sizes) between lines that ends a table
+const TABLE_ROW_GAP = 2.5;
+
+/**
+ * Read position and size of a pdf.js text item from its transform
+ * @param {Object} item - pdf.js text content item ({ str, transform, width, height })
+ * @returns {Object} - { text, x, y, right, fontSize }
+ * @private
+ */
+const toPositionedItem = (item) => {
+  const [, , c, d, x, y] = item.transform;
+  const fontSize = Math.hypot(c, d) || item.height || 10;
+  return {
+    text: item.str,
+    x,
+    y,
+    right: x + (item.width || item.str.length * fontSize * 0.5),
+    fontSize,
+  };
+};
+
+/**
+ * Join the items of one line into cells, starting a new cell at every column-sized gap
+ * @param {Array} items - Positioned items of the line, left to right
+ * @returns {Array} - Cells as { text, x, right }
+ * @private
+ */
+const buildCells = (items) => {
+  const cells = [];
+
+  items.forEach(item => {
+    const cell = cells[cells.length - 1];
+    const gap = cell ? item.x - cell.right : Infinity;
+
+    if (gap > item.fontSize * COLUMN_GAP) {
+      cells.push({ text: item.text.trim(), x: item.x, right: item.right });
+      return;
+    }
+
+    const needsSpace = gap > item.fontSize * WORD_GAP && !/\s$/.test(cell.text) && !/^\s/.test(item.text);
+    cell.text = `${cell.text}${needsSpace ? ' ' : ''}${item.text}`.replace(/\s+/g, ' ').trim();
+    cell.right = Math.max(cell.right, item.right);
+  });
+
+  return cells.filter(cell => cell.text);
+};
+
+/**
+ * Group text items into lines (top to bottom) and each line into column cells
+ * @param {Array} items - pdf.js text content items
+ * @returns {Array} - Lines as { y, fontSize, cells }
+ */
+const buildLines = (items) => {
+  const positioned = items
+    .filter(item => item.str && item.str.trim() && Array.isArray(item.transform))
+    .map(toPositionedItem)
+    // PDF y coordinates grow upwards
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  const lines = [];
+  positioned.forEach(item => {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - item.y) <= Math.max(line.fontSize, item.fontSize) * LINE_TOLERANCE) {
+      line.items.push(item);
+      line.fontSize = Math.max(line.fontSize, item.fontSize);
+    } else {
+      lines.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+    }
+  });
+
+  return lines.map(({ y, fontSize, items: lineItems }) => ({
+    y,
+    fontSize,
+    cells: buildCells(lineItems.sort((a, b) => a.x - b.x)),
+  }));
+};
+
+/**
+ * Assign the cells of a block of lines to shared columns by horizontal overlap
+ * @param {Array} lines - Lines of the block
+ * @returns {Array} - Rows of cell texts, one entry per column ('' where a row has no cell)
+ * @private
+ */
+const alignColumns = (lines) => {
+  const columns = [];
+
+  lines.forEach(line => line.cells.forEach(cell => {
+    const column = columns.find(candidate => cell.x <= candidate.right && cell.right >= candidate.x);
+    if (column) {
+      column.x = Math.min(column.x, cell.x);
+      column.right = Math.max(column.right, cell.right);
+    } else {
+      columns.push({ x: cell.x, right: cell.right });
+    }
+  }));
+  columns.sort((a, b) => a.x - b.x);
+
+  return lines.map(line => {
+    const row = columns.map(() => '');
+    line.cells.forEach(cell => {
+      const index = columns.findIndex(column => cell.x <= column.right && cell.right >= column.x);
+      row[index] = row[index] ? `${row[index]} ${cell.text}` : cell.text;
+    });
+    return row;
+  });
+};
+
+/**
+ * Find tables: runs of at least two consecutive multi-column lines
+ * @param {Array} lines - Lines from buildLines
+ * @returns {Array} - Tables as { title, rows }, the title being the line just above the table
+ */
+const detectTables = (lines) => {
+  const tables = [];
+  let block = [];
+
+  const closeBlock = (end) => {
+    if (block.length >= 2) {
+      const titleLine = lines[end - block.length - 1];
+      tables.push({
+        title: titleLine ? titleLine.cells.map(cell => cell.text).join(' ') : null,
+        rows: alignColumns(block),
+      });
+    }
+    block = [];
+  };
+
+  lines.forEach((line, index) => {
+    const previous = block[block.length - 1];
+    const continues = previous && previous.y - line.y <= Math.max(previous.fontSize, line.fontSize) * TABLE_ROW_GAP;
+
+    if (line.cells.length >= 2 && (!previous || continues)) {
+      block.push(line);
+      return;
+    }
+
+    closeBlock(index);
+    if (line.cells.length >= 2) block.push(line);
+  });
+  closeBlock(lines.length);
+
+  return tables;
+};
+
+/**
+ * Rebuild the layout of a PDF page from its positioned text items
+ * Lines are separated by newlines and column cells by tabs, so values stay next to their labels.
+ * @param {Array} items - pdf.js text content items
+ * @returns {Object} - Page text and the tables detected on the page
+ */
+const reconstructPageLayout = (items) => {
+  const lines = buildLines(items);
+  return {
+    text: lines.map(line => line.cells.map(cell => cell.text).join('\t')).join('\n'),
+    tables: detectTables(lines),
+  };
+};
+
+module.exports = {
+  buildLines,
+  detectTables,
+  reconstructPageLayout,
+};
@@ -0,0 +1,128 @@
+const sharp = require('sharp');
+const analysisConfig = require('../config/analysisConfig');
+const storageConfig = require('../config/storageConfig');
+const { logger } = require('../middleware/errorMiddleware');
+const { findOversizedPdfImage } = require('./fileValidation');
+
+// The pdf.js build pdf-parse reads text with, so both see the same document structure
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+
+// pdf.js image kinds: 1 bit per pixel greyscale, 8-bit RGB and 8-bit RGBA
+const IMAGE_KINDS = {
+  1: { channels: 1, bitsPerPixel: 1 },
+  2: { channels: 3, bitsPerPixel: 24 },
+  3: { channels: 4, bitsPerPixel: 32 },
+};
+
+/**
+ * Expand 1 bit per pixel rows (padded to whole bytes, 1 = white) to one byte per pixel
+ * @param {Uint8Array} data - Packed pixel data
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Buffer} - 8-bit greyscale pixels
+ * @private
+ */
+const unpackBitmap = (data, width, height) => {
+  const rowBytes = Math.ceil(width / 8);
+  const pixels = Buffer.alloc(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const bit = (data[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+      pixels[y * width + x] = bit ? 255 : 0;
+    }
+  }
+
+  return pixels;
+};
+
+/**
+ * Convert a decoded pdf.js image into PNG data
+ * Images above the upload pixel limit are refused before their pixels are expanded; a backstop
+ * for images in streams the dictionary check in extractPageImages can't read.
+ * @param {Object} image - pdf.js image ({ width, height, kind, data })
+ * @returns {Promise<Buffer|null>} - PNG data, or null for unsupported, too small or too large images
+ * @private
+ */
+const toPng = async (image) => {
+  const format = image && IMAGE_KINDS[image.kind];
+  const { minImageSize } = analysisConfig.ocr;
+  if (!format || !image.data || image.width < minImageSize || image.height < minImageSize) {
+    return null;
+  }
+
+  const { maxImagePixels } = storageConfig.uploadValidation;
+  if (image.width * image.height > maxImagePixels) {
+    logger.warn(`Skipping ${image.width} × ${image.height} PDF image for OCR: more than the ${Math.round(maxImagePixels / 1e6)} megapixels accepted`);
+    return null;
+  }
+
+  const pixels = format.bitsPerPixel === 1
+    ? unpackBitmap(image.data, image.width, image.height)
+    : Buffer.from(image.data.buffer, image.data.byteOffset, image.data.byteLength);
+
+  return sharp(pixels, {
+    raw: { width: image.width, height: image.height, channels: format.channels },
+    limitInputPixels: maxImagePixels,
+  })
+    .png()
+    .toBuffer();
+};
+
+/**
+ * Extract the images drawn on PDF pages, e.g. the page scans of a scanned document
+ * Scanners store each page as one full-page image, so the image at its own resolution is
+ * the page raster; logos and icons below OCR_MIN_IMAGE_SIZE are skipped. Pages are not
+ * rendered, so text drawn as vector outlines, with no image behind it, is not recovered.
+ * pdf.js decodes every image on a page as soon as its operators are read, so a PDF with an
+ * image above the upload pixel limit is refused before pdf.js sees it.
+ * @param {Buffer} pdfBuffer - PDF file data
+ * @param {Array} pageNumbers - Page numbers (1-based) to extract images from
+ * @returns {Promise<Array>} - Pages as { number, images }, images as PNG data in drawing order
+ * @throws {Error} - When the PDF has an image too large to decode safely
+ */
+const extractPageImages = async (pdfBuffer, pageNumbers) => {
+  const oversized = findOversizedPdfImage(pdfBuffer);
+  if (oversized) {
+    throw new Error(`The PDF has a ${oversized.width ?? '?'} × ${oversized.height ?? '?'} pixel image, more than the page images can safely be decoded at`);
+  }
+
+  PDFJS.disableWorker = true;
+  // Decode JPEG scans in pdf.js rather than handing them to a browser image decoder
+  const doc = await PDFJS.getDocument({
+    data: new Uint8Array(pdfBuffer),
+    nativeImageDecoderSupport: 'none',
+  });
+
+  try {
+    const pages = [];
+
+    for (const number of pageNumbers) {
+      const page = await doc.getPage(number);
+      const operators = await page.getOperatorList();
+      const images = [];
+
+      for (const [index, operator] of operators.fnArray.entries()) {
+        let image = null;
+        if (operator === PDFJS.OPS.paintImageXObject || operator === PDFJS.OPS.paintJpegXObject) {
+          image = page.objs.get(operators.argsArray[index][0]);
+        } else if (operator === PDFJS.OPS.paintInlineImageXObject) {
+          image = operators.argsArray[index][0];
+        }
+
+        const png = await toPng(image);
+        if (png) images.push(png);
+      }
+
+      pages.push({ number, images });
+    }
+
+    return pages;
+  } finally {
+    doc.destroy();
+  }
+};
+
+module.exports = {
+  extractPageImages,
+};
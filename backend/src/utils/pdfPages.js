@@ -0,0 +1,99 @@
+const analysisConfig = require('../config/analysisConfig');
+
+// Keywords of the proposal sections the extractors read, with the weight of each occurrence.
+// Pricing and production carry the required values, so they outweigh the supporting sections.
+const PAGE_TOPICS = {
+  pricing: {
+    weight: 3,
+    keywords: ['price', 'pricing', 'total cost', 'system cost', 'net cost', 'tax credit', 'itc', 'rebate', 'incentive', 'cash purchase'],
+  },
+  production: {
+    weight: 3,
+    keywords: ['production', 'kwh', 'kilowatt', 'system size', 'kw dc', 'offset', 'generation'],
+  },
+  equipment: {
+    weight: 2,
+    keywords: ['panel', 'module', 'inverter', 'microinverter', 'optimizer', 'watt', 'equipment'],
+  },
+  financing: {
+    weight: 1,
+    keywords: ['loan', 'apr', 'lease', 'ppa', 'monthly payment', 'escalator', 'financing'],
+  },
+  savings: {
+    weight: 1,
+    keywords: ['savings', 'payback', 'utility bill', 'lifetime'],
+  },
+};
+
+/**
+ * Count how often each topic's keywords appear on a page
+ * @param {string} text - Page text
+ * @returns {Object} - Weighted score per topic and the page's total score
+ */
+const scorePage = (text) => {
+  const lowerText = (text || '').toLowerCase();
+  const scores = { total: 0 };
+
+  Object.entries(PAGE_TOPICS).forEach(([topic, { weight, keywords }]) => {
+    const hits = keywords.reduce((count, keyword) => {
+      const pattern = new RegExp(`(?<![a-z])${keyword}`, 'g');
+      return count + (lowerText.match(pattern) || []).length;
+    }, 0);
+    scores[topic] = hits * weight;
+    scores.total += scores[topic];
+  });
+
+  return scores;
+};
+
+/**
+ * Pick the pages of a long document worth sending to the extractors
+ * The first page (usually the system summary) is always kept; the remaining pages are added
+ * from the highest score down while they fit the page and character budgets. Pages that
+ * mention none of the topics are dropped.
+ * @param {Array} pages - Pages as { number, text }
+ * @param {Object} [options] - Budgets, defaulting to analysisConfig.pdfExtraction
+ * @param {number} [options.maxPages] - Pages selected at most
+ * @param {number} [options.maxCharacters] - Characters of page text selected at most
+ * @returns {Array} - Selected pages in document order, each with its score
+ */
+const selectRelevantPages = (pages, options = {}) => {
+  const {
+    maxPages = analysisConfig.pdfExtraction.relevantPages,
+    maxCharacters = analysisConfig.pdfExtraction.maxCharacters,
+  } = options;
+
+  const scored = pages
+    .filter(page => page.text && page.text.trim())
+    .map(page => ({ ...page, score: scorePage(page.text) }));
+  if (scored.length === 0) return [];
+
+  const [firstPage, ...otherPages] = scored;
+  const selected = [firstPage];
+  let characters = firstPage.text.length;
+
+  otherPages
+    .filter(page => page.score.total > 0)
+    .sort((a, b) => b.score.total - a.score.total || a.number - b.number)
+    .forEach(page => {
+      if (selected.length >= maxPages || characters + page.text.length > maxCharacters) return;
+      selected.push(page);
+      characters += page.text.length;
+    });
+
+  return selected.sort((a, b) => a.number - b.number);
+};
+
+/**
+ * Join page texts into the text the extractors read
+ * @param {Array} pages - Pages as { number, text }
+ * @returns {string} - Page texts separated by blank lines
+ */
+const joinPages = (pages) => pages.map(page => page.text).join('\n\n');
+
+module.exports = {
+  PAGE_TOPICS,
+  scorePage,
+  selectRelevantPages,
+  joinPages,
+};
@@ -2,7 +2,29 @@ const pdfParse = require('pdf-parse');
 const fs = require('fs');
 const path = require('path');
 const { logger } = require('../middleware/errorMiddleware');
+const analysisConfig = require('../config/analysisConfig');
 const openAiService = require('../services/openAiService');
+const { selectRelevantPages, joinPages } = require('./pdfPages');
+const { extractPageImages } = require('./pdfPageImages');
+const { reconstructPageLayout } = require('./pdfLayout');
+const { extractTextFromImage } = require('./imageProcessor');
+const {
+  REQUIRED_FIELDS,
+  hasValue,
+  recordField,
+  findMissingFields,
+  attachSourceSnippets,
+} = require('./fieldProvenance');
+const { checkProposalConsistency } = require('./extractionChecks');
+const { redactPii } = require('./piiRedaction');
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+// Table cell naming a month, optionally with its year ("Jan", "January", "Jan-24", "Jan 2024")
+const MONTH_CELL = /^(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?(?:\s*['’/-]?\s*\d{2,4})?$/i;
 
 /**
  * Generate a unique document ID
@@ -16,11 +38,56 @@ const generateDocumentId = (prefix = 'doc') => {
 };
 
 /**
- * Parse PDF file and extract text content from first 2-3 pages only
+ * OCR the pages of a PDF that have (almost) no text layer
+ * Each page's scan images are run through the OCR worker pool and the recognized text is
+ * appended to whatever text the page had. A page that can't be OCR'd keeps its text.
+ * @param {Buffer} pdfBuffer - PDF file data
+ * @param {Array} pages - Pages as { number, text }; updated in place
+ * @returns {Promise<Array>} - Numbers of the pages that got OCR text
+ * @private
+ */
+const ocrScannedPages = async (pdfBuffer, pages) => {
+  const scannedPages = pages.filter(page => page.text.trim().length < analysisConfig.ocr.minPageCharacters);
+  if (scannedPages.length === 0) return [];
+
+  const startTime = Date.now();
+  const ocrPages = [];
+
+  try {
+    const pageImages = await extractPageImages(pdfBuffer, scannedPages.map(page => page.number));
+
+    for (const { number, images } of pageImages) {
+      const page = pages.find(candidate => candidate.number === number);
+      try {
+        const texts = [];
+        for (const image of images) {
+          texts.push(await extractTextFromImage(image));
+        }
+        const ocrText = texts.join('\n').trim();
+        if (ocrText) {
+          page.text = `${page.text.trim()}\n${ocrText}`.trim();
+          page.ocr = true;
+          ocrPages.push(number);
+        }
+      } catch (error) {
+        logger.warn(`OCR of PDF page ${number} failed: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    logger.warn(`Could not extract page images for OCR: ${error.message}`);
+  }
+
+  logger.info(`OCR read ${ocrPages.length} of ${scannedPages.length} scanned PDF pages in ${Date.now() - startTime}ms`);
+  return ocrPages;
+};
+
+/**
+ * Parse PDF file and extract the text of each page
+ * Scanned pages without a text layer are OCR'd.
  * @param {string} filePath - Path to PDF file
- * @returns {Promise<string>} - Extracted text from PDF
+ * @returns {Promise<Object>} - Pages as { number, text, ocr }, the document's page count and the OCR'd page numbers
  */
-const extractTextFromPdf = async (filePath) => {
+const extractPdfPages = async (filePath) => {
   try {
     // Read the PDF file as a buffer
     const pdfBuffer = fs.readFileSync(filePath);
@@ -29,16 +96,16 @@ const extractTextFromPdf = async (filePath) => {
     const fileSizeMB = (pdfBuffer.length / (1024 * 1024)).toFixed(2);
     logger.info(`Extracting text from PDF file: ${path.basename(filePath)}, size: ${fileSizeMB}MB`);
     
-    // Parse options to limit to first 3 pages only
+    // pdf-parse renders pages one after another; keep each page's text with its number, laid
+    // out in lines and columns from the text positions so table rows stay together
+    const pages = [];
     const options = {
-      max: 3,  // Only read first 3 pages
+      max: analysisConfig.pdfExtraction.maxPages,
       pagerender: function(pageData) {
         return pageData.getTextContent()
           .then(function(textContent) {
-            let text = '';
-            for (let item of textContent.items) {
-              text += item.str + ' ';
-            }
+            const { text, tables } = reconstructPageLayout(textContent.items);
+            pages.push({ number: pageData.pageNumber, text, tables });
             return text;
           });
       }
@@ -46,13 +113,17 @@ const extractTextFromPdf = async (filePath) => {
     
     const startTime = Date.now();
     
-    // Parse the PDF with page limit
-    const data = await pdfParse(pdfBuffer, options);
+    // Parse the PDF (every page unless PDF_MAX_PAGES limits it). Files under 4 KB are read into
+    // Node's shared buffer pool, whose offset pdf.js ignores, so it gets a copy of its own
+    const data = await pdfParse(new Uint8Array(pdfBuffer), options);
+    pages.sort((a, b) => a.number - b.number);
+    const ocrPages = await ocrScannedPages(pdfBuffer, pages);
     
     const processingTime = Date.now() - startTime;
-    logger.info(`PDF text extraction completed in ${processingTime}ms, extracted ${data.text.length} characters from ${data.numpages} pages (limited to first 3)`);
+    const characters = pages.reduce((total, page) => total + page.text.length, 0);
+    logger.info(`PDF text extraction completed in ${processingTime}ms, extracted ${characters} characters from ${pages.length} of ${data.numpages} pages`);
     
-    // Save a copy of the extracted text for debugging purposes
+    // Save a copy of the extracted text for debugging purposes, without personal details
     try {
       const logsDir = path.join(__dirname, '../../logs/extracted-text');
       if (!fs.existsSync(logsDir)) {
@@ -60,19 +131,30 @@ const extractTextFromPdf = async (filePath) => {
       }
       
       const filename = `${path.basename(filePath, path.extname(filePath))}_${Date.now()}.txt`;
-      fs.writeFileSync(path.join(logsDir, filename), data.text);
+      const pagedText = pages.map(page => `--- Page ${page.number} ---\n${page.text}`).join('\n\n');
+      fs.writeFileSync(path.join(logsDir, filename), redactPii(pagedText).text);
       logger.debug(`Saved extracted text to ${filename}`);
     } catch (saveError) {
       logger.warn(`Could not save extracted text: ${saveError.message}`);
     }
     
-    return data.text;
+    return { pages, numpages: data.numpages, ocrPages };
   } catch (error) {
     logger.error(`PDF parsing error: ${error.message}`);
     throw new Error(`Failed to parse PDF: ${error.message}`);
   }
 };
 
+/**
+ * Parse PDF file and extract its text content
+ * @param {string} filePath - Path to PDF file
+ * @returns {Promise<string>} - Extracted text from PDF
+ */
+const extractTextFromPdf = async (filePath) => {
+  const { pages } = await extractPdfPages(filePath);
+  return joinPages(pages);
+};
+
 /**
  * Extract system size from proposal text
  * @param {string} text - Text extracted from PDF
@@ -165,6 +247,97 @@ const extractEstimatedProduction = (text) => {
   }
 };
 
+/**
+ * Read a table cell as a month
+ * @param {string} cell - Cell text
+ * @returns {string|null} - Full month name or null if the cell isn't a month
+ * @private
+ */
+const readMonthCell = (cell) => {
+  const match = (cell || '').trim().match(MONTH_CELL);
+  if (!match) return null;
+  return MONTH_NAMES.find(month => month.toLowerCase().startsWith(match[1].toLowerCase())) || null;
+};
+
+/**
+ * Read a table cell as a kWh amount
+ * @param {string} cell - Cell text
+ * @returns {number|null} - Amount or null if the cell isn't a plain number (dollar amounts are not kWh)
+ * @private
+ */
+const readKwhCell = (cell) => {
+  const match = (cell || '').trim().match(/^(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)\s*(?:kwh)?$/i);
+  return match ? parseFloat(match[1].replace(/,/g, '')) : null;
+};
+
+/**
+ * Read the twelve months of one table, laid out either as month rows or as a month header row
+ * @param {Object} table - Table as { title, rows }
+ * @returns {Object|null} - kWh keyed by month name, or null if the table doesn't cover every month
+ * @private
+ */
+const readMonthlyTable = (table) => {
+  const monthly = {};
+
+  // Month rows: "January | 850", the first kWh cell after the month
+  table.rows.forEach(row => {
+    const monthIndex = row.findIndex(readMonthCell);
+    if (monthIndex === -1) return;
+    const value = row.slice(monthIndex + 1).map(readKwhCell).find(amount => amount !== null);
+    if (value !== undefined && !(readMonthCell(row[monthIndex]) in monthly)) {
+      monthly[readMonthCell(row[monthIndex])] = value;
+    }
+  });
+  if (Object.keys(monthly).length === 12) return monthly;
+
+  // Month header row: "Jan | Feb | ..." with the kWh values in the first full row below it
+  const headerIndex = table.rows.findIndex(row => new Set(row.map(readMonthCell).filter(Boolean)).size === 12);
+  if (headerIndex === -1) return null;
+
+  const header = table.rows[headerIndex];
+  for (const row of table.rows.slice(headerIndex + 1)) {
+    const byMonth = {};
+    header.forEach((cell, column) => {
+      const month = readMonthCell(cell);
+      const value = readKwhCell(row[column]);
+      if (month && value !== null) byMonth[month] = value;
+    });
+    if (Object.keys(byMonth).length === 12) return byMonth;
+  }
+
+  return null;
+};
+
+/**
+ * Extract the monthly production table from the proposal's page layouts
+ * When a proposal prints several monthly tables (e.g. usage and production), the one whose
+ * title or cells mention production wins.
+ * @param {Array} pages - Pages as { number, text, tables }
+ * @returns {Object|null} - { monthly, page }, monthly kWh keyed by month name, or null if no table is found
+ */
+const extractMonthlyProductionTable = (pages) => {
+  try {
+    let best = null;
+
+    pages.forEach(page => (page.tables || []).forEach(table => {
+      const monthly = readMonthlyTable(table);
+      if (!monthly) return;
+
+      const tableText = `${table.title || ''} ${table.rows.flat().join(' ')}`.toLowerCase();
+      const score = (/production|generation|solar/.test(tableText) ? 2 : 0)
+        + (/usage|consumption/.test(tableText) ? -1 : 0);
+      if (!best || score > best.score) {
+        best = { monthly, page: page.number, score };
+      }
+    }));
+
+    return best && best.score >= 0 ? { monthly: best.monthly, page: best.page } : null;
+  } catch (error) {
+    logger.error(`Monthly production table extraction error: ${error.message}`);
+    return null;
+  }
+};
+
 /**
  * Extract pricing details from proposal text
  * @param {string} text - Text extracted from PDF
@@ -209,6 +382,116 @@ const extractPricingDetails = (text) => {
   }
 };
 
+/**
+ * Parse a number that may contain thousands separators
+ * @param {string} value - Matched number text
+ * @returns {number} - Parsed number
+ */
+const parseAmount = (value) => parseFloat(value.replace(/,/g, ''));
+
+/**
+ * Extract financing terms (loan, lease, PPA) from proposal text
+ * @param {string} text - Text extracted from PDF
+ * @returns {Object|null} - Financing details or null if none were found
+ */
+const extractFinancingDetails = (text) => {
+  try {
+    const financing = {};
+
+    // Loan terms
+    const loan = {};
+    const aprMatch = text.match(/(\d+(?:\.\d+)?)\s*%\s*APR/i) || text.match(/APR[:\s]*(\d+(?:\.\d+)?)\s*%/i);
+    if (aprMatch) {
+      loan.apr = parseFloat(aprMatch[1]);
+    }
+    const loanTermMatch = text.match(/(\d+)[-\s]*(?:year|yr)\s*(?:loan|term|financing)/i) || text.match(/loan\s*term[:\s]*(\d+)\s*(?:years|yrs)/i);
+    if (loanTermMatch) {
+      loan.termYears = parseInt(loanTermMatch[1], 10);
+    }
+    const dealerFeeMatch = text.match(/dealer\s*fee[:\s]*(\d+(?:\.\d+)?)\s*%/i);
+    if (dealerFeeMatch) {
+      loan.dealerFeePercent = parseFloat(dealerFeeMatch[1]);
+    }
+    const loanAmountMatch = text.match(/(?:loan|financed)\s*amount[:\s]*\$?\s*(\d+(?:,\d+)*(?:\.\d+)?)/i);
+    if (loanAmountMatch) {
+      loan.loanAmount = parseAmount(loanAmountMatch[1]);
+    }
+    const loanPaymentMatch = text.match(/loan\s*payment[:\s]*\$?\s*(\d+(?:,\d+)*(?:\.\d+)?)/i);
+    if (loanPaymentMatch) {
+      loan.monthlyPayment = parseAmount(loanPaymentMatch[1]);
+    }
+    if (Object.keys(loan).length > 0) {
+      financing.loan = loan;
+    }
+
+    // Lease terms
+    const lease = {};
+    const leasePaymentMatch = text.match(/lease\s*(?:monthly\s*)?payment[:\s]*\$?\s*(\d+(?:,\d+)*(?:\.\d+)?)/i) ||
+      text.match(/lease[^$]{0,40}\$\s*(\d+(?:,\d+)*(?:\.\d+)?)\s*(?:\/|per)\s*mo/i);
+    if (leasePaymentMatch) {
+      lease.monthlyPayment = parseAmount(leasePaymentMatch[1]);
+    }
+    const leaseEscalatorMatch = text.match(/lease[^%]{0,60}?(\d+(?:\.\d+)?)\s*%\s*(?:annual\s*)?escalat/i);
+    if (leaseEscalatorMatch) {
+      lease.escalatorPercent = parseFloat(leaseEscalatorMatch[1]);
+    }
+    if (Object.keys(lease).length > 0) {
+      financing.lease = lease;
+    }
+
+    // PPA terms
+    const ppa = {};
+    const ppaRateMatch = text.match(/(?:PPA|power\s*purchase\s*agreement)[^$]{0,60}\$\s*(\d*\.\d+)\s*(?:\/|per)\s*kwh/i);
+    if (ppaRateMatch) {
+      ppa.ratePerKwh = parseFloat(ppaRateMatch[1]);
+    }
+    const ppaEscalatorMatch = text.match(/(?:PPA|power\s*purchase\s*agreement)[^%]{0,80}?(\d+(?:\.\d+)?)\s*%\s*(?:annual\s*)?escalat/i);
+    if (ppaEscalatorMatch) {
+      ppa.escalatorPercent = parseFloat(ppaEscalatorMatch[1]);
+    }
+    if (Object.keys(ppa).length > 0) {
+      financing.ppa = ppa;
+    }
+
+    return Object.keys(financing).length > 0 ? financing : null;
+  } catch (error) {
+    logger.error(`Financing details extraction error: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Extract the bill savings the installer claims from proposal text
+ * @param {string} text - Text extracted from PDF
+ * @returns {Object|null} - Claimed savings or null if none were found
+ */
+const extractClaimedSavings = (text) => {
+  try {
+    const savings = {};
+
+    const firstYearMatch = text.match(/(?:first[-\s]*year|year\s*1|annual|yearly)\s*(?:bill\s*)?savings[:\s]*\$?\s*(\d+(?:,\d+)*(?:\.\d+)?)/i);
+    if (firstYearMatch) {
+      savings.firstYearSavings = parseAmount(firstYearMatch[1]);
+    }
+
+    const lifetimeMatch = text.match(/(\d+)[-\s]*(?:year|yr)\s*savings[:\s]*\$?\s*(\d+(?:,\d+)*(?:\.\d+)?)/i);
+    if (lifetimeMatch) {
+      savings.lifetimeYears = parseInt(lifetimeMatch[1], 10);
+      savings.lifetimeSavings = parseAmount(lifetimeMatch[2]);
+    } else {
+      const totalMatch = text.match(/(?:lifetime|total)\s*savings[:\s]*\$?\s*(\d+(?:,\d+)*(?:\.\d+)?)/i);
+      if (totalMatch) {
+        savings.lifetimeSavings = parseAmount(totalMatch[1]);
+      }
+    }
+
+    return Object.keys(savings).length > 0 ? savings : null;
+  } catch (error) {
+    logger.error(`Claimed savings extraction error: ${error.message}`);
+    return null;
+  }
+};
+
 /**
  * Extract inverter details from proposal text
  * @param {string} text - Text extracted from PDF
@@ -250,25 +533,33 @@ const extractInverterDetails = (text) => {
 
 /**
  * Parse proposal PDF and extract all relevant data using OpenAI if available
- * Falls back to pattern-based extraction or generates random data if needed
+ * Falls back to pattern-based extraction. Values that can't be found are left empty rather
+ * than invented; missingFields lists the required ones so the proposal can be reviewed.
  * @param {string} filePath - Path to proposal PDF file
  * @param {string} [documentId] - Optional document ID to track through processing
- * @returns {Promise<Object>} - Extracted or generated data from proposal
+ * @returns {Promise<Object>} - Extracted data from proposal with per-field provenance
  */
 const parseProposalPdf = async (filePath, documentId = null) => {
+  // Generate or use provided document ID
+  const docId = documentId || generateDocumentId('proposal');
+
   try {
-    // Generate or use provided document ID
-    const docId = documentId || generateDocumentId('proposal');
     logger.info(`Starting proposal parsing for document: ${docId}, file: ${path.basename(filePath)}`);
     
-    // Extract text from PDF
+    // Extract text from PDF; only the pages about pricing, production and equipment are
+    // passed on, so tables deep inside a long proposal aren't cut off by the length limits
     const startTime = Date.now();
-    const text = await extractTextFromPdf(filePath);
+    const { pages, numpages, ocrPages } = await extractPdfPages(filePath);
+    const relevantPages = selectRelevantPages(pages);
+    const text = joinPages(relevantPages);
     const textExtractionTime = Date.now() - startTime;
     
-    logger.info(`Text extraction completed for proposal ${docId} in ${textExtractionTime}ms, text length: ${text.length} characters`);
+    logger.info(`Text extraction completed for proposal ${docId} in ${textExtractionTime}ms, using pages ${
+      relevantPages.map(page => page.number).join(', ') || 'none'} of ${numpages}, text length: ${text.length} characters`);
     
-    let systemSize, panelDetails, estimatedProduction, pricingDetails, inverterDetails;
+    let systemSize, panelDetails, estimatedProduction, pricingDetails, inverterDetails, financingDetails, claimedSavings;
+    // Source and confidence of every value found, keyed by field
+    const fieldProvenance = {};
     
     // First try to extract data using OpenAI
     const openAiStartTime = Date.now();
@@ -279,171 +570,137 @@ const parseProposalPdf = async (filePath, documentId = null) => {
       logger.info(`Using OpenAI extracted proposal data for document ${docId}, processing time: ${openAiProcessingTime}ms`);
       
       // Use OpenAI extracted data
-      systemSize = openAiData.systemSize;
+      systemSize = recordField(fieldProvenance, 'systemSize', openAiData.systemSize, 'openai');
       
       panelDetails = {
-        panelType: openAiData.panelType,
-        panelWattage: openAiData.panelWattage,
-        panelQuantity: openAiData.panelQuantity
+        panelType: recordField(fieldProvenance, 'panelType', openAiData.panelType, 'openai'),
+        panelWattage: recordField(fieldProvenance, 'panelWattage', openAiData.panelWattage, 'openai'),
+        panelQuantity: recordField(fieldProvenance, 'panelQuantity', openAiData.panelQuantity, 'openai'),
       };
       
-      estimatedProduction = openAiData.estimatedProduction;
+      estimatedProduction = recordField(fieldProvenance, 'estimatedProduction', openAiData.estimatedProduction, 'openai');
       
-      pricingDetails = openAiData.pricing;
+      pricingDetails = recordField(fieldProvenance, 'pricing', openAiData.pricing, 'openai');
       
-      // Keep existing inverter details extraction or default
-      inverterDetails = extractInverterDetails(text) || {
-        type: 'Unknown',
-        model: 'Unknown',
-        quantity: Math.ceil(systemSize / 5) // Estimate 1 inverter per 5kW
-      };
+      // Financing terms are optional; fall back to patterns when OpenAI found none
+      financingDetails = openAiData.financing
+        ? recordField(fieldProvenance, 'financing', openAiData.financing, 'openai')
+        : recordField(fieldProvenance, 'financing', extractFinancingDetails(text), 'pattern');
+      
+      claimedSavings = openAiData.claimedSavings
+        ? recordField(fieldProvenance, 'claimedSavings', openAiData.claimedSavings, 'openai')
+        : recordField(fieldProvenance, 'claimedSavings', extractClaimedSavings(text), 'pattern');
+      
+      // OpenAI doesn't return inverter details
+      inverterDetails = recordField(fieldProvenance, 'inverterDetails', extractInverterDetails(text), 'pattern');
     } else {
       logger.info(`OpenAI extraction failed or not configured for document ${docId}, falling back to pattern-based extraction`);
       
       // Fall back to pattern-based extraction
       const patternStartTime = Date.now();
       
-      systemSize = extractSystemSize(text);
+      systemSize = recordField(fieldProvenance, 'systemSize', extractSystemSize(text), 'pattern');
       logger.debug(`Pattern extracted system size: ${systemSize || 'not found'}`);
       
       panelDetails = extractPanelDetails(text);
+      ['panelType', 'panelWattage', 'panelQuantity'].forEach(field => {
+        recordField(fieldProvenance, field, panelDetails?.[field], 'pattern');
+      });
       logger.debug(`Pattern extracted panel details: ${panelDetails ? JSON.stringify(panelDetails) : 'not found'}`);
       
-      estimatedProduction = extractEstimatedProduction(text);
+      estimatedProduction = recordField(fieldProvenance, 'estimatedProduction', extractEstimatedProduction(text), 'pattern');
       logger.debug(`Pattern extracted production: ${estimatedProduction || 'not found'}`);
       
-      pricingDetails = extractPricingDetails(text);
+      pricingDetails = recordField(fieldProvenance, 'pricing', extractPricingDetails(text), 'pattern');
       logger.debug(`Pattern extracted pricing: ${pricingDetails ? JSON.stringify(pricingDetails) : 'not found'}`);
       
-      inverterDetails = extractInverterDetails(text);
+      inverterDetails = recordField(fieldProvenance, 'inverterDetails', extractInverterDetails(text), 'pattern');
       logger.debug(`Pattern extracted inverter details: ${inverterDetails ? JSON.stringify(inverterDetails) : 'not found'}`);
       
+      financingDetails = recordField(fieldProvenance, 'financing', extractFinancingDetails(text), 'pattern');
+      logger.debug(`Pattern extracted financing: ${financingDetails ? JSON.stringify(financingDetails) : 'not found'}`);
+      
+      claimedSavings = recordField(fieldProvenance, 'claimedSavings', extractClaimedSavings(text), 'pattern');
+      logger.debug(`Pattern extracted claimed savings: ${claimedSavings ? JSON.stringify(claimedSavings) : 'not found'}`);
+      
       const patternProcessingTime = Date.now() - patternStartTime;
       logger.info(`Pattern-based extraction completed for document ${docId} in ${patternProcessingTime}ms`);
     }
     
-    // Fill in missing values with generated data as needed
-    if (!systemSize) {
-      systemSize = parseFloat((5 + Math.random() * 10).toFixed(2)); // 5-15 kW system
-      logger.info(`Generated fallback system size for document ${docId}: ${systemSize}kW`);
+    // The monthly production table is read from the page layout of every page, since a table
+    // alone may not score high enough to be among the relevant pages
+    const productionTable = extractMonthlyProductionTable(pages);
+    const estimatedProductionMonthly = recordField(fieldProvenance, 'estimatedProductionMonthly', productionTable?.monthly, 'pattern');
+    if (!hasValue(estimatedProduction) && estimatedProductionMonthly) {
+      estimatedProduction = recordField(fieldProvenance, 'estimatedProduction',
+        Math.round(Object.values(estimatedProductionMonthly).reduce((total, kwh) => total + kwh, 0)), 'pattern');
     }
     
-    if (!panelDetails) {
-      const panelTypes = ['SunPower', 'LG', 'Panasonic', 'Canadian Solar', 'Jinko Solar', 'JA Solar'];
-      const wattages = [360, 370, 380, 390, 400, 410, 420];
-      
-      panelDetails = {
-        panelType: panelTypes[Math.floor(Math.random() * panelTypes.length)],
-        panelWattage: wattages[Math.floor(Math.random() * wattages.length)],
-        panelQuantity: Math.floor(systemSize * 1000 / 380)
-      };
-      logger.info(`Generated fallback panel details for document ${docId}`);
-    }
-    
-    if (!estimatedProduction) {
-      // Assume 1,300-1,600 kWh per kW per year
-      const productionFactor = 1300 + Math.floor(Math.random() * 300);
-      estimatedProduction = Math.round(systemSize * productionFactor);
-      logger.info(`Generated fallback production estimate for document ${docId}: ${estimatedProduction}kWh`);
-    }
+    // A net cost that isn't printed is left missing rather than derived from the gross price: the
+    // incentives a proposal lists may not be all that apply, and a derived value would pass the
+    // net-cost cross-check by construction. The document goes to review with the total shown.
     
-    if (!pricingDetails) {
-      const pricePerWatt = 2.5 + Math.random() * 1.5; // $2.50-$4.00 per watt
-      const totalCost = Math.round(systemSize * 1000 * pricePerWatt);
-      const federalTaxCredit = Math.round(totalCost * 0.30); // 30% federal tax credit
-      const stateRebates = Math.round(totalCost * (Math.random() * 0.1)); // 0-10% state rebate
-      
-      pricingDetails = {
-        totalCost,
-        federalTaxCredit,
-        stateRebates,
-        netCost: totalCost - federalTaxCredit - stateRebates
-      };
-      logger.info(`Generated fallback pricing details for document ${docId}`);
-    }
-    
-    if (!inverterDetails) {
-      const inverterTypes = ['SolarEdge', 'Enphase', 'SMA', 'Fronius', 'ABB'];
-      const inverterModels = ['SE7600', 'IQ7+', 'Sunny Boy', 'Primo', 'UNO'];
-      
-      inverterDetails = {
-        type: inverterTypes[Math.floor(Math.random() * inverterTypes.length)],
-        model: inverterModels[Math.floor(Math.random() * inverterModels.length)],
-        quantity: Math.ceil(systemSize / 5) // Rough estimate: 1 inverter per 5kW
-      };
-      logger.info(`Generated fallback inverter details for document ${docId}`);
+    // Without a printed inverter, assume one string inverter per 5 kW
+    if (!inverterDetails && systemSize) {
+      inverterDetails = recordField(fieldProvenance, 'inverterDetails', {
+        type: 'Unknown',
+        model: 'Unknown',
+        quantity: Math.ceil(systemSize / 5),
+      }, 'default');
     }
     
-    // Set a flag to indicate some data was AI-extracted vs. generated
     const dataSource = openAiData ? 'openai' : 'pattern-extraction';
     
-    const totalProcessingTime = Date.now() - startTime;
-    logger.info(`Proposal parsing completed for document ${docId} in ${totalProcessingTime}ms, data source: ${dataSource}`);
-    
-    return {
+    const extractedData = {
       documentId: docId,
       systemSize,
       ...(panelDetails || {}),
       estimatedProduction,
+      ...(estimatedProductionMonthly ? { estimatedProductionMonthly } : {}),
       inverterDetails: inverterDetails || {},
       pricing: pricingDetails || {},
+      ...(financingDetails ? { financing: financingDetails } : {}),
+      ...(claimedSavings ? { claimedSavings } : {}),
       dataSource,
-      processingTime: totalProcessingTime,
-      rawText: text.substring(0, 500) + '...' // Include truncated raw text
+      pageCount: numpages,
+      relevantPages: relevantPages.map(page => page.number),
+      ocrPages,
+      fieldProvenance,
     };
-  } catch (error) {
-    const docId = documentId || generateDocumentId('proposal_error');
-    logger.error(`Proposal parsing error for document ${docId}: ${error.message}`);
-    
-    // Even if parsing fails completely, generate random data
-    const systemSize = parseFloat((5 + Math.random() * 10).toFixed(2));
-    const panelWattage = [360, 370, 380, 390, 400, 410, 420][Math.floor(Math.random() * 7)];
-    const panelQuantity = Math.floor(systemSize * 1000 / panelWattage);
-    const productionFactor = 1300 + Math.floor(Math.random() * 300);
-    const estimatedProduction = Math.round(systemSize * productionFactor);
-    
-    const pricePerWatt = 2.5 + Math.random() * 1.5;
-    const totalCost = Math.round(systemSize * 1000 * pricePerWatt);
-    const federalTaxCredit = Math.round(totalCost * 0.30);
-    const stateRebates = Math.round(totalCost * (Math.random() * 0.1));
-    
-    const inverterTypes = ['SolarEdge', 'Enphase', 'SMA', 'Fronius', 'ABB'];
-    const inverterModels = ['SE7600', 'IQ7+', 'Sunny Boy', 'Primo', 'UNO'];
+    extractedData.missingFields = findMissingFields(extractedData, REQUIRED_FIELDS.proposal);
+    extractedData.failedChecks = checkProposalConsistency(extractedData);
+    const sourcePages = productionTable && !relevantPages.some(page => page.number === productionTable.page)
+      ? [...relevantPages, pages.find(page => page.number === productionTable.page)].sort((a, b) => a.number - b.number)
+      : relevantPages;
+    attachSourceSnippets(fieldProvenance, extractedData, sourcePages);
     
-    logger.info(`Generated complete fallback data for failed document ${docId}`);
+    const totalProcessingTime = Date.now() - startTime;
+    logger.info(`Proposal parsing completed for document ${docId} in ${totalProcessingTime}ms, data source: ${dataSource}${
+      extractedData.missingFields.length > 0 ? `, missing: ${extractedData.missingFields.join(', ')}` : ''}${
+      extractedData.failedChecks.length > 0 ? `, failed checks: ${extractedData.failedChecks.map(({ check }) => check).join(', ')}` : ''}`);
     
     return {
-      documentId: docId,
-      systemSize,
-      panelType: ['SunPower', 'LG', 'Panasonic', 'Canadian Solar', 'Jinko'][Math.floor(Math.random() * 5)],
-      panelWattage,
-      panelQuantity,
-      estimatedProduction,
-      inverterDetails: {
-        type: inverterTypes[Math.floor(Math.random() * inverterTypes.length)],
-        model: inverterModels[Math.floor(Math.random() * inverterModels.length)],
-        quantity: Math.ceil(systemSize / 5)
-      },
-      pricing: {
-        totalCost,
-        federalTaxCredit,
-        stateRebates,
-        netCost: totalCost - federalTaxCredit - stateRebates
-      },
-      dataSource: 'fallback-generation',
-      generatedFromError: true,
-      error: error.message
+      ...extractedData,
+      processingTime: totalProcessingTime,
+      rawText: text.substring(0, 500) + '...' // Include truncated raw text
     };
+  } catch (error) {
+    logger.error(`Proposal parsing error for document ${docId}: ${error.message}`);
+    throw new Error(`Failed to parse proposal: ${error.message}`);
   }
 };
 
 module.exports = {
+  extractPdfPages,
   extractTextFromPdf,
   parseProposalPdf,
   extractSystemSize,
   extractPanelDetails,
   extractEstimatedProduction,
+  extractMonthlyProductionTable,
+  extractClaimedSavings,
   extractPricingDetails,
   extractInverterDetails,
+  extractFinancingDetails,
   generateDocumentId
 }; 
\ No newline at end of file
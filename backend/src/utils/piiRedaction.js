@@ -0,0 +1,130 @@
+// Personal details in document text, replaced by placeholders such as [ACCOUNT_1] before the text
+// is sent to a language model or written to the logs. The placeholders the model copies into its
+// response are swapped back for the original values afterwards.
+
+// Words that end a labeled name: the next label on the same line
+const NAME_STOP_WORDS = '(?!(?:account|acct|service|address|phone|tel|email|date|statement|bill|billing|due|amount|meter)\\b)';
+const NAME_WORD = `${NAME_STOP_WORDS}[A-Z][A-Za-z.'-]*`;
+
+// Street suffixes of US addresses
+const STREET_SUFFIX = '(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Dr|Lane|Ln|Way|Court|Ct|Place|Pl|Terrace|Ter|Circle|Cir|Parkway|Pkwy|Highway|Hwy)';
+const CITY_STATE = '[A-Z][a-z]+(?: [A-Z][a-z]+){0,2},? [A-Z]{2}';
+
+// Detectors in the order they claim text: labeled values first, then free-standing patterns.
+// The value is the pattern's first capture group, or the whole match without one; the d flag
+// gives its position in the text.
+const DETECTORS = [
+  {
+    type: 'NAME',
+    pattern: new RegExp(`\\b(?:(?:customer name|customer|account holder|account name|bill to|homeowner|client)\\s*:|prepared for:?)[ \\t]+(${NAME_WORD}(?: ${NAME_WORD}){1,4})`, 'gid'),
+  },
+  {
+    type: 'ADDRESS',
+    pattern: /\b(?:service|mailing|billing|property|installation|site)?\s*address\s*:[ \t]*([^\t\n]{5,120}?)(?=\t|\n| {2,}| (?:account|acct|phone|meter|statement)\b|$)/gid,
+  },
+  {
+    type: 'ACCOUNT',
+    pattern: /\b(?:(?:account|acct\.?)(?:\s*(?:number|no\.?|#|id))?|(?:customer|service agreement|meter)\s*(?:number|no\.?|#|id))\s*[:#]?\s*([A-Z]{0,4}\d[\dA-Z-]{3,})/gid,
+  },
+  {
+    type: 'ADDRESS',
+    pattern: new RegExp(`\\b\\d{1,6} (?:[A-Z0-9][\\w.'-]* ){1,4}${STREET_SUFFIX}\\b\\.?(?:,? (?:Apt|Unit|Suite|Ste|#)\\.? ?[\\w-]+)?(?:, ${CITY_STATE}(?: \\d{5}(?:-\\d{4})?)?)?`, 'gd'),
+  },
+  {
+    type: 'ADDRESS',
+    pattern: new RegExp(`\\b${CITY_STATE} \\d{5}(?:-\\d{4})?\\b`, 'gd'),
+  },
+  {
+    type: 'EMAIL',
+    pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/gd,
+  },
+  {
+    // Separated by dashes or dots (or a parenthesized area code) so table cells aren't mistaken for one
+    type: 'PHONE',
+    pattern: /(?:\+?1[-.])?(?:\(\d{3}\) ?|\b\d{3}[-.])\d{3}[-.]\d{4}\b/gd,
+  },
+];
+
+// Placeholders as they appear in model responses
+const PLACEHOLDER_PATTERN = /\[(?:NAME|ADDRESS|ACCOUNT|EMAIL|PHONE)_\d+\]/g;
+
+/**
+ * Replace the personal details in a text with placeholders
+ * Only the detected spans are replaced, so the same digits elsewhere (a meter reading equal to
+ * the meter number) stay readable; the same value always gets the same placeholder.
+ * @param {string} text - Document text
+ * @returns {Object} - { text, replacements }; replacements maps each placeholder to its original value
+ */
+const redactPii = (text) => {
+  const placeholders = new Map();
+  const counts = {};
+  const spans = [];
+
+  DETECTORS.forEach(({ type, pattern }) => {
+    for (const match of text.matchAll(pattern)) {
+      const group = match[1] !== undefined ? 1 : 0;
+      const value = match[group].trim().replace(/[,.]$/, '');
+      if (value.length < 3) continue;
+
+      const start = match.indices[group][0] + match[group].indexOf(value);
+      const end = start + value.length;
+      // Skip spans already claimed, such as the city line of a labeled address
+      if (spans.some(span => start < span.end && end > span.start)) continue;
+
+      if (!placeholders.has(value)) {
+        counts[type] = (counts[type] || 0) + 1;
+        placeholders.set(value, `[${type}_${counts[type]}]`);
+      }
+      spans.push({ start, end, placeholder: placeholders.get(value) });
+    }
+  });
+
+  let redactedText = '';
+  let position = 0;
+  spans.sort((a, b) => a.start - b.start).forEach(({ start, end, placeholder }) => {
+    redactedText += text.slice(position, start) + placeholder;
+    position = end;
+  });
+  redactedText += text.slice(position);
+
+  return {
+    text: redactedText,
+    replacements: Object.fromEntries([...placeholders].map(([value, placeholder]) => [placeholder, value])),
+  };
+};
+
+/**
+ * Put the original values back in place of the placeholders a model copied into its response
+ * @param {*} value - Parsed response (objects and arrays are copied, other values kept)
+ * @param {Object} replacements - Placeholders and their values from redactPii
+ * @returns {*} - Value with the placeholders restored
+ */
+const restorePii = (value, replacements) => {
+  if (typeof value === 'string') {
+    return value.replace(PLACEHOLDER_PATTERN, placeholder => replacements[placeholder] ?? placeholder);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => restorePii(item, replacements));
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restorePii(item, replacements)]));
+  }
+  return value;
+};
+
+/**
+ * Count placeholders by type, for logs that must not carry the values themselves
+ * @param {Object} replacements - Placeholders and their values from redactPii
+ * @returns {Object} - Counts keyed by type, e.g. { NAME: 1, ACCOUNT: 2 }
+ */
+const countRedactions = (replacements) => Object.keys(replacements).reduce((counts, placeholder) => {
+  const type = placeholder.slice(1, placeholder.lastIndexOf('_'));
+  counts[type] = (counts[type] || 0) + 1;
+  return counts;
+}, {});
+
+module.exports = {
+  redactPii,
+  restorePii,
+  countRedactions,
+};
@@ -0,0 +1,342 @@
+const fs = require('fs');
+const analysisConfig = require('../config/analysisConfig');
+const { logger } = require('../middleware/errorMiddleware');
+
+// Most serious first; findings are sorted in this order
+const SEVERITY_LEVELS = ['high', 'medium', 'low', 'info'];
+
+let benchmarkCache = null;
+
+/**
+ * Load the regional installed-cost benchmarks
+ * Results are cached; pass a file to reload from a different location
+ * @param {string} [filePath] - Benchmark JSON file
+ * @returns {Object} - { default, states } price ranges in $/W
+ */
+const loadPriceBenchmarks = (filePath) => {
+  if (benchmarkCache && !filePath) {
+    return benchmarkCache;
+  }
+
+  const benchmarkFile = filePath || analysisConfig.proposalAudit.priceBenchmarkFile;
+  try {
+    const benchmarks = JSON.parse(fs.readFileSync(benchmarkFile, 'utf8'));
+    benchmarkCache = { default: benchmarks.default || null, states: benchmarks.states || {} };
+  } catch (error) {
+    logger.warn(`Price benchmarks not loaded from ${benchmarkFile}: ${error.message}`);
+    benchmarkCache = { default: null, states: {} };
+  }
+
+  return benchmarkCache;
+};
+
+/**
+ * Get the installed-cost range for a state, falling back to the national range
+ * @param {string} [state] - Two-letter state code
+ * @returns {Object|null} - { region, low, median, high } in $/W, or null without benchmarks
+ */
+const getPriceBenchmark = (state) => {
+  const benchmarks = loadPriceBenchmarks();
+  if (state && benchmarks.states[state]) {
+    return { region: state, ...benchmarks.states[state] };
+  }
+  return benchmarks.default ? { region: 'national', ...benchmarks.default } : null;
+};
+
+/**
+ * Build a finding with a rounded percent difference between the claimed and expected values
+ * @param {Object} finding - Finding fields
+ * @returns {Object} - Finding
+ * @private
+ */
+const buildFinding = ({ code, category, severity, title, message, claimedValue, expectedValue }) => ({
+  code,
+  category,
+  severity,
+  title,
+  message,
+  ...(claimedValue !== undefined ? { claimedValue } : {}),
+  ...(expectedValue !== undefined ? { expectedValue } : {}),
+  ...(claimedValue !== undefined && expectedValue
+    ? { differencePercent: parseFloat(((claimedValue - expectedValue) / expectedValue * 100).toFixed(1)) }
+    : {}),
+});
+
+/**
+ * Check whether a proposal field holds a value the installer actually stated
+ * Values filled from defaults are not claims; older documents list invented values in generatedFields
+ * @param {Object} proposalData - Extracted proposal data
+ * @param {string} field - Field name
+ * @returns {boolean} - True when the field is a positive number that was read from the proposal
+ * @private
+ */
+const isClaimed = (proposalData, field) => {
+  const value = field.split('.').reduce((object, key) => object?.[key], proposalData);
+  const topField = field.split('.')[0];
+  const provenance = proposalData.fieldProvenance instanceof Map
+    ? proposalData.fieldProvenance.get(topField)
+    : proposalData.fieldProvenance?.[topField];
+  return typeof value === 'number' && value > 0
+    && provenance?.source !== 'default'
+    && !(proposalData.generatedFields || []).includes(topField);
+};
+
+const formatNumber = (value) => Math.round(value).toLocaleString('en-US');
+const formatDollars = (value) => `$${formatNumber(value)}`;
+
+/**
+ * Compare claimed annual production with the independent estimate for the same system
+ * @param {Object} proposalData - Extracted proposal data
+ * @param {Object} estimate - { annualProduction, source } independent estimate; source is 'pvwatts' for
+ *   PVWatts output at the system's location, or 'estimate' for the generic per-kW estimate
+ * @returns {Array} - Findings
+ * @private
+ */
+const checkProduction = (proposalData, estimate) => {
+  if (!isClaimed(proposalData, 'estimatedProduction')) {
+    return [buildFinding({
+      code: 'production-not-stated',
+      category: 'production',
+      severity: 'info',
+      title: 'No production estimate in the proposal',
+      message: 'The proposal does not state an annual production estimate, so it could not be checked.',
+    })];
+  }
+  if (!estimate.annualProduction) return [];
+
+  const { productionMediumOverclaim, productionHighOverclaim } = analysisConfig.proposalAudit;
+  const claimed = proposalData.estimatedProduction;
+  const expected = estimate.annualProduction;
+  const difference = (claimed - expected) / expected;
+  const fromPvWatts = estimate.source === 'pvwatts';
+  const sourceLabel = fromPvWatts ? 'PVWatts' : 'a generic per-kW estimate';
+
+  if (difference > productionMediumOverclaim) {
+    // A rough estimate is not strong enough evidence for a high-severity finding
+    const severity = difference > productionHighOverclaim && fromPvWatts ? 'high' : 'medium';
+    return [buildFinding({
+      code: 'production-overstated',
+      category: 'production',
+      severity,
+      title: 'Production looks overstated',
+      message: `The proposal claims ${formatNumber(claimed)} kWh per year, but ${sourceLabel} expects `
+        + `${formatNumber(expected)} kWh for the proposed ${proposalData.systemSize} kW system${fromPvWatts ? ' at this location' : ''}. `
+        + 'Overstated production inflates every savings figure; ask the installer for their shading and orientation assumptions.',
+      claimedValue: claimed,
+      expectedValue: expected,
+    })];
+  }
+
+  if (difference < -productionHighOverclaim) {
+    return [buildFinding({
+      code: 'production-understated',
+      category: 'production',
+      severity: 'low',
+      title: 'Production is well below the independent estimate',
+      message: `The proposal claims ${formatNumber(claimed)} kWh per year against ${formatNumber(expected)} kWh `
+        + `from ${sourceLabel}. This is conservative, but may point to heavy shading or a poor roof orientation.`,
+      claimedValue: claimed,
+      expectedValue: expected,
+    })];
+  }
+
+  return [];
+};
+
+/**
+ * Compare the quoted price per watt with the regional benchmark range
+ * @param {Object} proposalData - Extracted proposal data
+ * @param {string} [state] - Two-letter state code
+ * @returns {Array} - Findings
+ * @private
+ */
+const checkPricePerWatt = (proposalData, state) => {
+  if (!isClaimed(proposalData, 'pricing.totalCost') || !isClaimed(proposalData, 'systemSize')) {
+    return [buildFinding({
+      code: 'price-not-stated',
+      category: 'pricing',
+      severity: 'info',
+      title: 'Price per watt could not be checked',
+      message: 'The proposal does not state both a total system cost and a system size.',
+    })];
+  }
+
+  const benchmark = getPriceBenchmark(state);
+  if (!benchmark) return [];
+
+  const pricePerWatt = parseFloat((proposalData.pricing.totalCost / (proposalData.systemSize * 1000)).toFixed(2));
+  const regionLabel = benchmark.region === 'national' ? 'nationally' : `in ${benchmark.region}`;
+  const rangeLabel = `$${benchmark.low.toFixed(2)}–$${benchmark.high.toFixed(2)}/W`;
+
+  if (pricePerWatt > benchmark.high) {
+    const wellAbove = pricePerWatt > benchmark.high * (1 + analysisConfig.proposalAudit.priceHighMarkup);
+    return [buildFinding({
+      code: 'price-above-market',
+      category: 'pricing',
+      severity: wellAbove ? 'high' : 'medium',
+      title: wellAbove ? 'Price is well above market' : 'Price is above market',
+      message: `The quote works out to $${pricePerWatt.toFixed(2)}/W before incentives; typical systems ${regionLabel} `
+        + `cost ${rangeLabel}. Get competing quotes or ask what justifies the premium.`,
+      claimedValue: pricePerWatt,
+      expectedValue: benchmark.median,
+    })];
+  }
+
+  if (pricePerWatt < benchmark.low) {
+    return [buildFinding({
+      code: 'price-below-market',
+      category: 'pricing',
+      severity: 'low',
+      title: 'Price is below market',
+      message: `The quote works out to $${pricePerWatt.toFixed(2)}/W, under the typical ${rangeLabel} ${regionLabel}. `
+        + 'Confirm the quote covers permits, interconnection and the equipment listed.',
+      claimedValue: pricePerWatt,
+      expectedValue: benchmark.median,
+    })];
+  }
+
+  return [];
+};
+
+/**
+ * Check that panel count × panel wattage adds up to the stated system size
+ * @param {Object} proposalData - Extracted proposal data
+ * @returns {Array} - Findings
+ * @private
+ */
+const checkSystemSize = (proposalData) => {
+  if (!['systemSize', 'panelQuantity', 'panelWattage'].every(field => isClaimed(proposalData, field))) {
+    return [];
+  }
+
+  const { systemSizeMediumMismatch, systemSizeHighMismatch } = analysisConfig.proposalAudit;
+  const { systemSize, panelQuantity, panelWattage } = proposalData;
+  const panelTotal = parseFloat((panelQuantity * panelWattage / 1000).toFixed(2));
+  const mismatch = Math.abs(panelTotal - systemSize) / systemSize;
+
+  if (mismatch < systemSizeMediumMismatch) return [];
+
+  return [buildFinding({
+    code: 'system-size-mismatch',
+    category: 'system-size',
+    severity: mismatch >= systemSizeHighMismatch ? 'high' : 'medium',
+    title: 'Panel count does not match the system size',
+    message: `${panelQuantity} panels × ${panelWattage} W = ${panelTotal} kW, but the proposal states a `
+      + `${systemSize} kW system. Price and production figures may be based on a different system than the one installed.`,
+    claimedValue: systemSize,
+    expectedValue: panelTotal,
+  })];
+};
+
+/**
+ * Compare claimed bill savings with the savings modelled from the tariff
+ * @param {Object} proposalData - Extracted proposal data
+ * @param {Array} monthlyBreakdown - Monthly breakdown with first-year savings
+ * @param {Array} cashFlowYears - Yearly cash-flow series with billSavings
+ * @returns {Array} - Findings
+ * @private
+ */
+const checkClaimedSavings = (proposalData, monthlyBreakdown, cashFlowYears) => {
+  const hasFirstYear = isClaimed(proposalData, 'claimedSavings.firstYearSavings');
+  const hasLifetime = isClaimed(proposalData, 'claimedSavings.lifetimeSavings');
+
+  if (!hasFirstYear && !hasLifetime) {
+    return [buildFinding({
+      code: 'savings-not-stated',
+      category: 'savings',
+      severity: 'info',
+      title: 'No savings claim in the proposal',
+      message: 'The proposal does not state first-year or lifetime savings, so they could not be checked.',
+    })];
+  }
+
+  const claims = [];
+  const { savingsMediumOverclaim, savingsHighOverclaim } = analysisConfig.proposalAudit;
+
+  const compare = ({ code, label, claimed, expected }) => {
+    const difference = expected > 0 ? (claimed - expected) / expected : Infinity;
+    if (difference <= savingsMediumOverclaim) return;
+
+    claims.push(buildFinding({
+      code,
+      category: 'savings',
+      severity: difference > savingsHighOverclaim ? 'high' : 'medium',
+      title: `${label} savings look overstated`,
+      message: `The proposal claims ${formatDollars(claimed)} in ${label.toLowerCase()} bill savings; your utility's rate plan `
+        + `and usage support about ${formatDollars(Math.max(0, expected))}. Ask which rates, escalation and export `
+        + 'credits the installer assumed.',
+      claimedValue: claimed,
+      expectedValue: parseFloat(expected.toFixed(2)),
+    }));
+  };
+
+  if (hasFirstYear) {
+    compare({
+      code: 'first-year-savings-overstated',
+      label: 'First-year',
+      claimed: proposalData.claimedSavings.firstYearSavings,
+      expected: monthlyBreakdown.reduce((total, month) => total + month.savings, 0),
+    });
+  }
+
+  if (hasLifetime && cashFlowYears.length > 0) {
+    // Compare over the same number of years the proposal used
+    const years = Math.min(proposalData.claimedSavings.lifetimeYears || cashFlowYears.length, cashFlowYears.length);
+    compare({
+      code: 'lifetime-savings-overstated',
+      label: `${years}-year`,
+      claimed: proposalData.claimedSavings.lifetimeSavings,
+      expected: cashFlowYears.slice(0, years).reduce((total, year) => total + year.billSavings, 0),
+    });
+  }
+
+  return claims;
+};
+
+/**
+ * Audit a proposal's claims against independent estimates
+ * Production is compared with PVWatts, price per watt with regional benchmarks, panel
+ * count × wattage with the stated system size, and claimed savings with the tariff model.
+ * Values that were generated because extraction failed are never treated as claims.
+ * @param {Object} params - Inputs
+ * @param {Object} params.proposalData - Extracted proposal data
+ * @param {string} [params.state] - Two-letter state code of the installation
+ * @param {Object} params.productionEstimate - { annualProduction, source } independent estimate
+ * @param {Array} params.monthlyBreakdown - Monthly breakdown with first-year savings
+ * @param {Array} [params.cashFlowYears] - Yearly cash-flow series with billSavings
+ * @returns {Object} - Findings sorted by severity and the highest severity found
+ */
+const auditProposal = ({ proposalData, state, productionEstimate, monthlyBreakdown, cashFlowYears = [] }) => {
+  let findings;
+
+  if (proposalData.dataSource === 'fallback-generation') {
+    findings = [buildFinding({
+      code: 'proposal-not-extracted',
+      category: 'data',
+      severity: 'info',
+      title: 'Proposal could not be read',
+      message: 'No figures could be extracted from the proposal, so its claims were not audited.',
+    })];
+  } else {
+    findings = [
+      ...checkProduction(proposalData, productionEstimate),
+      ...checkPricePerWatt(proposalData, state),
+      ...checkSystemSize(proposalData),
+      ...checkClaimedSavings(proposalData, monthlyBreakdown, cashFlowYears),
+    ];
+  }
+
+  findings.sort((a, b) => SEVERITY_LEVELS.indexOf(a.severity) - SEVERITY_LEVELS.indexOf(b.severity));
+
+  return {
+    findings,
+    highestSeverity: findings.length > 0 ? findings[0].severity : null,
+  };
+};
+
+module.exports = {
+  SEVERITY_LEVELS,
+  loadPriceBenchmarks,
+  getPriceBenchmark,
+  auditProposal,
+};
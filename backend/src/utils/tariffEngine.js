@@ -0,0 +1,293 @@
+const fs = require('fs');
+const path = require('path');
+const analysisConfig = require('../config/analysisConfig');
+const { logger } = require('../middleware/errorMiddleware');
+
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+let tariffCache = null;
+
+/**
+ * Check that a tariff file has the fields the bill calculator needs
+ * @param {Object} tariff - Parsed tariff
+ * @returns {string|null} - Problem description, or null when the tariff is usable
+ * @private
+ */
+const validateTariff = (tariff) => {
+  if (!tariff.id || !tariff.name) {
+    return 'id and name are required';
+  }
+  if (!tariff.energyRates && !tariff.tiers) {
+    return 'energyRates or tiers are required';
+  }
+  return null;
+};
+
+/**
+ * Load every tariff JSON file from a directory
+ * Results are cached; pass a directory to reload from a different location
+ * @param {string} [directory] - Directory containing *.json tariff files
+ * @returns {Map<string, Object>} - Tariffs keyed by ID
+ */
+const loadTariffs = (directory) => {
+  if (tariffCache && !directory) {
+    return tariffCache;
+  }
+
+  const tariffDirectory = directory || analysisConfig.tariffs.directory;
+  const tariffs = new Map();
+
+  if (!fs.existsSync(tariffDirectory)) {
+    logger.warn(`Tariff directory not found: ${tariffDirectory}`);
+    tariffCache = tariffs;
+    return tariffs;
+  }
+
+  fs.readdirSync(tariffDirectory)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      try {
+        const tariff = JSON.parse(fs.readFileSync(path.join(tariffDirectory, file), 'utf8'));
+        const problem = validateTariff(tariff);
+        if (problem) {
+          logger.warn(`Skipping tariff ${file}: ${problem}`);
+          return;
+        }
+        tariffs.set(tariff.id, tariff);
+      } catch (error) {
+        logger.warn(`Skipping tariff ${file}: ${error.message}`);
+      }
+    });
+
+  logger.info(`Loaded ${tariffs.size} tariffs from ${tariffDirectory}`);
+  tariffCache = tariffs;
+  return tariffs;
+};
+
+/**
+ * Get a tariff by ID
+ * @param {string} tariffId - Tariff ID (the "id" field of the JSON file)
+ * @returns {Object|null} - Tariff or null if not found
+ */
+const getTariff = (tariffId) => loadTariffs().get(tariffId) || null;
+
+/**
+ * Find the tariff for a utility company name as printed on a bill
+ * @param {string} utilityCompany - Utility company name
+ * @returns {Object|null} - First tariff whose utility or aliases appear in the name
+ */
+const findTariffForUtility = (utilityCompany) => {
+  if (!utilityCompany) return null;
+
+  const name = utilityCompany.toLowerCase();
+  for (const tariff of loadTariffs().values()) {
+    const names = [tariff.utility, ...(tariff.utilityAliases || [])].filter(Boolean);
+    if (names.some(alias => name.includes(alias.toLowerCase()))) {
+      return tariff;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build a tariff that charges one rate for every kWh
+ * @param {number} rate - Electricity rate in $/kWh
+ * @returns {Object} - Flat tariff
+ */
+const createFlatTariff = (rate) => ({
+  id: 'flat',
+  name: `Flat rate ($${rate}/kWh)`,
+  energyRates: { all: { allDay: rate } },
+  defaultPeriod: 'allDay',
+});
+
+/**
+ * Pick the tariff for an analysis
+ * An explicit tariff ID wins, then a tariff matching the bill's utility,
+ * then a flat tariff at the rate extracted from the bill
+ * @param {Object} params - Selection inputs
+ * @param {string} [params.tariffId] - Explicit tariff ID
+ * @param {string} [params.utilityCompany] - Utility company from the bill
+ * @param {number} params.rate - Fallback flat rate in $/kWh
+ * @returns {Object} - Tariff
+ */
+const resolveTariff = ({ tariffId, utilityCompany, rate }) => {
+  if (tariffId) {
+    const tariff = getTariff(tariffId);
+    if (tariff) return tariff;
+    logger.warn(`Unknown tariff ${tariffId}, falling back to utility match`);
+  }
+
+  return findTariffForUtility(utilityCompany) || createFlatTariff(rate);
+};
+
+/**
+ * Get the season name for a month
+ * @param {Object} tariff - Tariff
+ * @param {number} monthIndex - Month index (0 = January)
+ * @returns {string} - Season name, or "all" for tariffs without seasons
+ */
+const getSeason = (tariff, monthIndex) => {
+  const seasons = Object.entries(tariff.seasons || {});
+  const match = seasons.find(([, months]) => months.includes(monthIndex + 1));
+  return match ? match[0] : 'all';
+};
+
+/**
+ * Get the TOU period name for an hour
+ * Periods are checked in file order; hours that match no period use defaultPeriod
+ * @param {Object} tariff - Tariff
+ * @param {number} monthIndex - Month index (0 = January)
+ * @param {number} hour - Hour of day (0-23)
+ * @param {boolean} isWeekend - Whether the hour falls on a weekend
+ * @returns {string} - Period name
+ */
+const getTouPeriod = (tariff, monthIndex, hour, isWeekend) => {
+  const season = getSeason(tariff, monthIndex);
+
+  const period = (tariff.touPeriods || []).find(p => {
+    if (p.seasons && !p.seasons.includes(season)) return false;
+    if (p.days === 'weekdays' && isWeekend) return false;
+    if (p.days === 'weekends' && !isWeekend) return false;
+    return p.hours.includes(hour);
+  });
+
+  return period ? period.name : (tariff.defaultPeriod || 'allDay');
+};
+
+/**
+ * Get a value that is either the same for every season or keyed by season
+ * @param {Object|Array} value - Value or { season: value } map
+ * @param {string} season - Season name
+ * @returns {*} - Value for the season
+ */
+const forSeason = (value, season) => {
+  if (!value || Array.isArray(value)) return value;
+  return value[season] || value.all;
+};
+
+/**
+ * Get the retail energy rate for an hour, ignoring tiers
+ * @param {Object} tariff - Tariff
+ * @param {number} monthIndex - Month index (0 = January)
+ * @param {number} hour - Hour of day (0-23)
+ * @param {boolean} isWeekend - Whether the hour falls on a weekend
+ * @returns {number} - Rate in $/kWh
+ */
+const getEnergyRate = (tariff, monthIndex, hour, isWeekend) => {
+  const season = getSeason(tariff, monthIndex);
+  const rates = forSeason(tariff.energyRates, season) || {};
+  const rate = rates[getTouPeriod(tariff, monthIndex, hour, isWeekend)];
+
+  if (rate !== undefined) return rate;
+
+  // Tier-only tariffs price every hour at the first tier
+  const tiers = forSeason(tariff.tiers, season);
+  return tiers ? (tiers[0].rate || 0) + (tiers[0].adder || 0) : 0;
+};
+
+/**
+ * Calculate the cost of the tiered part of a bill
+ * Each tier has an optional upToKwh limit and a rate and/or adder in $/kWh.
+ * Net exports (a negative total) are valued at the first tier.
+ * @param {Array} tiers - Tiers for the season, lowest first
+ * @param {number} totalKwh - Billed energy for the month
+ * @returns {number} - Tier charges in dollars
+ * @private
+ */
+const calculateTierCharge = (tiers, totalKwh) => {
+  if (totalKwh < 0) {
+    return totalKwh * ((tiers[0].rate || 0) + (tiers[0].adder || 0));
+  }
+
+  let remaining = totalKwh;
+  let previousLimit = 0;
+  let charge = 0;
+
+  for (const tier of tiers) {
+    if (remaining <= 0) break;
+
+    const tierSize = tier.upToKwh !== undefined ? tier.upToKwh - previousLimit : remaining;
+    const kwhInTier = Math.min(remaining, tierSize);
+    charge += kwhInTier * ((tier.rate || 0) + (tier.adder || 0));
+
+    remaining -= kwhInTier;
+    previousLimit = tier.upToKwh !== undefined ? tier.upToKwh : previousLimit;
+  }
+
+  return charge;
+};
+
+/**
+ * Calculate a monthly bill under a tariff
+ * Intervals may be negative (net export); they offset charges in the same TOU
+ * period within the month, and the energy charge never goes below zero
+ * @param {Object} tariff - Tariff
+ * @param {number} monthIndex - Month index (0 = January)
+ * @param {Array} intervals - { hour, isWeekend, kwh } intervals for the month
+ * @returns {Object} - Bill with per-period energy, fixed charges and minimum bill adjustment
+ */
+const calculateBill = (tariff, monthIndex, intervals) => {
+  const season = getSeason(tariff, monthIndex);
+  const days = DAYS_IN_MONTH[monthIndex];
+  const rates = forSeason(tariff.energyRates, season) || {};
+
+  // Net energy per TOU period
+  const periods = {};
+  intervals.forEach(({ hour, isWeekend, kwh }) => {
+    const name = getTouPeriod(tariff, monthIndex, hour, isWeekend);
+    periods[name] = (periods[name] || 0) + kwh;
+  });
+
+  let netEnergyCharge = 0;
+  let totalKwh = 0;
+  const periodBreakdown = Object.entries(periods).map(([name, kwh]) => {
+    const cost = kwh * (rates[name] || 0);
+    netEnergyCharge += cost;
+    totalKwh += kwh;
+    return {
+      period: name,
+      kwh: Math.round(kwh),
+      rate: rates[name] || 0,
+      cost: parseFloat(cost.toFixed(2)),
+    };
+  });
+
+  const tiers = forSeason(tariff.tiers, season);
+  if (tiers) {
+    netEnergyCharge += calculateTierCharge(tiers, totalKwh);
+  }
+  const energyCharge = Math.max(0, netEnergyCharge);
+
+  const fixedCharge = (tariff.fixedMonthlyCharge || 0) + (tariff.fixedDailyCharge || 0) * days;
+  const minimumBill = Math.max(tariff.minimumMonthlyBill || 0, (tariff.minimumDailyBill || 0) * days);
+  const subtotal = energyCharge + fixedCharge;
+  const minimumBillAdjustment = Math.max(0, minimumBill - subtotal);
+
+  return {
+    season,
+    totalKwh: Math.round(totalKwh),
+    periods: periodBreakdown,
+    energyCharge: parseFloat(energyCharge.toFixed(2)),
+    // Negative when exports outweigh imports; the excess is lost unless the caller banks it
+    netEnergyCharge: parseFloat(netEnergyCharge.toFixed(2)),
+    fixedCharge: parseFloat(fixedCharge.toFixed(2)),
+    minimumBill: parseFloat(minimumBill.toFixed(2)),
+    minimumBillAdjustment: parseFloat(minimumBillAdjustment.toFixed(2)),
+    total: parseFloat((subtotal + minimumBillAdjustment).toFixed(2)),
+  };
+};
+
+module.exports = {
+  loadTariffs,
+  getTariff,
+  findTariffForUtility,
+  createFlatTariff,
+  resolveTariff,
+  getSeason,
+  getTouPeriod,
+  forSeason,
+  getEnergyRate,
+  calculateBill,
+};
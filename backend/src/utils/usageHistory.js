@@ -0,0 +1,241 @@
+const { MONTH_NAMES } = require('./loadProfile');
+const { TYPICAL_MONTHLY_USAGE_SHARE } = require('./utilityBillParser');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Share of a calendar month that must be covered by readings before it counts as measured
+const MIN_MONTH_COVERAGE = 0.5;
+
+// When two readings cover the same day, interval data beats billed periods, which beat history-chart bars
+const SOURCE_PRIORITY = {
+  'usage-history': 0,
+  'billing-period': 1,
+  'interval-data': 2,
+};
+
+/**
+ * Convert a date to a UTC day number
+ * @param {Date|string} date - Date
+ * @returns {number} - Days since the Unix epoch
+ * @private
+ */
+const toDay = (date) => {
+  const value = new Date(date);
+  return Math.floor(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()) / DAY_MS);
+};
+
+/**
+ * Get the 'YYYY-MM' key of a day number
+ * @param {number} day - Days since the Unix epoch
+ * @returns {string} - Calendar month key
+ * @private
+ */
+const monthKeyOfDay = (day) => new Date(day * DAY_MS).toISOString().slice(0, 7);
+
+/**
+ * Shift a 'YYYY-MM' key by a number of months
+ * @param {string} monthKey - Calendar month key
+ * @param {number} offset - Months to add (negative to go back)
+ * @returns {string} - Calendar month key
+ * @private
+ */
+const shiftMonth = (monthKey, offset) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1 + offset, 1)).toISOString().slice(0, 7);
+};
+
+/**
+ * Count the days in a calendar month
+ * @param {string} monthKey - Calendar month key
+ * @returns {number} - Days in the month
+ * @private
+ */
+const daysInMonth = (monthKey) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+};
+
+/**
+ * Collect the usage readings found on a set of utility bills
+ * Each bill contributes its own billing period and any usage history bars it shows;
+ * Green Button imports contribute their monthly interval totals.
+ * Values that older documents generated because extraction failed are skipped.
+ * @param {Array} bills - Utility bill documents or plain objects with extractedData
+ * @returns {Array} - { startDay, endDay, kwh, source, issuedDay, billId } readings (days inclusive)
+ */
+const collectUsageReadings = (bills) => {
+  const readings = [];
+
+  bills.forEach(bill => {
+    const data = bill.extractedData || {};
+    // Older documents were filled with random values when extraction failed
+    if (data.dataSource === 'fallback-generation') return;
+
+    const generated = data.generatedFields || [];
+    const { startDate, endDate } = data.billingPeriod || {};
+    const issuedDay = endDate && !generated.includes('billingPeriod') ? toDay(endDate) : null;
+
+    // Green Button exports report usage by month below, not one total for the whole period
+    const isIntervalData = data.dataSource === 'green-button';
+
+    if (!isIntervalData && issuedDay !== null && startDate && data.energyUsage > 0 && !generated.includes('energyUsage')) {
+      const startDay = toDay(startDate);
+      if (startDay <= issuedDay) {
+        readings.push({
+          startDay,
+          endDay: issuedDay,
+          kwh: data.energyUsage,
+          source: 'billing-period',
+          issuedDay,
+          billId: bill._id,
+        });
+      }
+    }
+
+    const history = data.energyUsageMonthly instanceof Map
+      ? Object.fromEntries(data.energyUsageMonthly)
+      : data.energyUsageMonthly || {};
+
+    Object.entries(history).forEach(([monthKey, entry]) => {
+      // Entries are { kwh, source }; older bills stored the bare kWh value
+      const kwh = typeof entry === 'number' ? entry : entry?.kwh;
+      if (!/^\d{4}-\d{2}$/.test(monthKey) || !(kwh >= 0)) return;
+      const startDay = toDay(`${monthKey}-01`);
+      readings.push({
+        startDay,
+        endDay: startDay + daysInMonth(monthKey) - 1,
+        kwh,
+        source: entry?.source === 'green-button' ? 'interval-data' : 'usage-history',
+        // Undated bills rank below dated ones
+        issuedDay: issuedDay ?? -Infinity,
+        billId: bill._id,
+      });
+    });
+  });
+
+  return readings;
+};
+
+/**
+ * Merge overlapping readings into calendar-month totals
+ * Each reading is spread evenly over its days; where readings overlap, the billed period
+ * beats history bars and the most recently issued bill beats older ones, so every day is
+ * counted once. Months are scaled up from the days they have readings for.
+ * @param {Array} readings - Readings from collectUsageReadings
+ * @returns {Object} - { kwh, coverage } keyed by 'YYYY-MM'
+ */
+const mergeUsageReadings = (readings) => {
+  const ranked = [...readings].sort((a, b) =>
+    SOURCE_PRIORITY[a.source] - SOURCE_PRIORITY[b.source] || a.issuedDay - b.issuedDay
+  );
+
+  // Later (higher-priority) readings overwrite earlier ones day by day
+  const dailyUsage = new Map();
+  ranked.forEach(reading => {
+    const perDay = reading.kwh / (reading.endDay - reading.startDay + 1);
+    for (let day = reading.startDay; day <= reading.endDay; day++) {
+      dailyUsage.set(day, perDay);
+    }
+  });
+
+  const months = {};
+  dailyUsage.forEach((kwh, day) => {
+    const monthKey = monthKeyOfDay(day);
+    months[monthKey] = months[monthKey] || { total: 0, days: 0 };
+    months[monthKey].total += kwh;
+    months[monthKey].days += 1;
+  });
+
+  return Object.fromEntries(Object.entries(months).map(([monthKey, { total, days }]) => {
+    const monthDays = daysInMonth(monthKey);
+    return [monthKey, {
+      kwh: total / days * monthDays,
+      coverage: parseFloat((days / monthDays).toFixed(2)),
+    }];
+  }));
+};
+
+/**
+ * Key a 12-month series by month name, the form used by the hourly load simulation
+ * @param {Array} months - { month: 'YYYY-MM', kwh } entries
+ * @returns {Object} - Usage in kWh keyed by month name
+ */
+const toMonthlyUsage = (months) => {
+  const monthlyUsage = {};
+  months.forEach(({ month, kwh }) => {
+    monthlyUsage[MONTH_NAMES[Number(month.slice(5)) - 1]] = kwh;
+  });
+  return monthlyUsage;
+};
+
+/**
+ * Build the most recent 12-month usage series from merged monthly totals
+ * Months without enough readings are interpolated between their measured neighbours,
+ * following the typical seasonal shape so a gap in July is not filled with a spring value.
+ * @param {Object} monthTotals - Output of mergeUsageReadings
+ * @returns {Object|null} - { months, monthlyUsage, measuredMonths } or null when nothing was measured
+ */
+const buildTwelveMonthSeries = (monthTotals) => {
+  const measuredKeys = Object.keys(monthTotals)
+    .filter(monthKey => monthTotals[monthKey].coverage >= MIN_MONTH_COVERAGE)
+    .sort();
+
+  if (measuredKeys.length === 0) return null;
+
+  const endMonth = measuredKeys[measuredKeys.length - 1];
+  const window = Array.from({ length: 12 }, (_, index) => shiftMonth(endMonth, index - 11));
+  const shareOf = (monthKey) => TYPICAL_MONTHLY_USAGE_SHARE[MONTH_NAMES[Number(monthKey.slice(5)) - 1]];
+
+  // Usage relative to the typical seasonal share; gaps are interpolated in this space
+  const normalized = window.map(monthKey => {
+    const total = monthTotals[monthKey];
+    return total && total.coverage >= MIN_MONTH_COVERAGE ? total.kwh / shareOf(monthKey) : null;
+  });
+  const known = normalized.map((value, index) => (value === null ? null : index)).filter(index => index !== null);
+
+  const months = window.map((monthKey, index) => {
+    let value = normalized[index];
+    const measured = value !== null;
+
+    if (!measured) {
+      // Nearest measured months before and after, wrapping around the year
+      const before = [...known].reverse().find(position => position < index) ?? known[known.length - 1];
+      const after = known.find(position => position > index) ?? known[0];
+      const span = (after - before + 12) % 12 || 12;
+      const offset = (index - before + 12) % 12;
+      value = normalized[before] + (normalized[after] - normalized[before]) * offset / span;
+    }
+
+    return {
+      month: monthKey,
+      kwh: Math.round(value * shareOf(monthKey)),
+      source: measured ? 'measured' : 'interpolated',
+      coverage: monthTotals[monthKey]?.coverage || 0,
+    };
+  });
+
+  return {
+    months,
+    monthlyUsage: toMonthlyUsage(months),
+    measuredMonths: known.length,
+  };
+};
+
+/**
+ * Merge a set of bills from one account into a 12-month usage series
+ * @param {Array} bills - Utility bill documents or plain objects with extractedData
+ * @returns {Object|null} - { months, monthlyUsage, measuredMonths, readingCount } or null without usable readings
+ */
+const buildUsageHistory = (bills) => {
+  const readings = collectUsageReadings(bills);
+  const series = buildTwelveMonthSeries(mergeUsageReadings(readings));
+  return series ? { ...series, readingCount: readings.length } : null;
+};
+
+module.exports = {
+  collectUsageReadings,
+  mergeUsageReadings,
+  buildTwelveMonthSeries,
+  buildUsageHistory,
+  toMonthlyUsage,
+};
@@ -1,4 +1,5 @@
-const { extractTextFromPdf } = require('./pdfParser');
+const { extractPdfPages } = require('./pdfParser');
+const { joinPages } = require('./pdfPages');
 const {
   extractUtilityCompany,
   extractBillingPeriod,
@@ -6,148 +7,131 @@ const {
   extractTotalAmount,
   extractEnergyUsage,
   extractElectricityRate,
+  extractUsageHistory,
+  normalizeUsageHistory,
 } = require('./imageProcessor');
+const { extractWithBillTemplate } = require('./billTemplates');
+const {
+  REQUIRED_FIELDS,
+  hasValue,
+  recordField,
+  findMissingFields,
+  attachSourceSnippets,
+} = require('./fieldProvenance');
+const { checkUtilityBillConsistency } = require('./extractionChecks');
 const { logger } = require('../middleware/errorMiddleware');
 const openAiService = require('../services/openAiService');
 
+// Typical share of annual residential usage in each month, used when a bill has no usage history
+const TYPICAL_MONTHLY_USAGE_SHARE = {
+  January: 0.10, // 10% of annual usage in January (winter)
+  February: 0.09,
+  March: 0.08,
+  April: 0.07,
+  May: 0.07,
+  June: 0.08, // Summer begins
+  July: 0.10, // Peak summer usage
+  August: 0.10, // Peak summer usage
+  September: 0.08,
+  October: 0.07,
+  November: 0.08,
+  December: 0.08,
+};
+
+// Bill fields read by the template, OpenAI and pattern extractors
+const BILL_FIELDS = ['utilityCompany', 'billingPeriod', 'accountNumber', 'totalAmount', 'energyUsage', 'rate'];
+
 /**
  * Parse utility bill PDF and extract all relevant data
- * Using OpenAI if available, falling back to pattern extraction and random generation
+ * Using the utility's bill template when it reads the whole bill, then OpenAI if available,
+ * falling back to pattern extraction. Values that can't be found are left empty rather than
+ * invented; missingFields lists the required ones so the bill can be reviewed.
  * @param {string} filePath - Path to utility bill PDF file
- * @returns {Promise<Object>} - Extracted or generated data from utility bill
+ * @returns {Promise<Object>} - Extracted data from utility bill with per-field provenance
  */
 const parseUtilityBillPdf = async (filePath) => {
   try {
-    const text = await extractTextFromPdf(filePath);
-    
-    // First try to extract data using OpenAI
-    const openAiData = await openAiService.extractUtilityBillData(text);
-    logger.info(openAiData ? 'Using OpenAI extracted utility bill data' : 'OpenAI extraction failed or not configured');
+    const { pages, ocrPages } = await extractPdfPages(filePath);
+    const text = joinPages(pages);
     
-    let utilityCompany, billingPeriod, accountNumber, totalAmount, energyUsage, rate;
+    // First try the layout template for the bill's utility; a complete read needs no OpenAI call
+    const templateData = extractWithBillTemplate(text, extractUtilityCompany(text));
     
-    if (openAiData) {
-      // Use OpenAI extracted data
-      utilityCompany = openAiData.utilityCompany;
-      billingPeriod = openAiData.billingPeriod;
-      accountNumber = openAiData.accountNumber;
-      totalAmount = openAiData.totalAmount;
-      energyUsage = openAiData.energyUsage;
-      rate = openAiData.rate;
-    } else {
-      // Fall back to pattern-based extraction
-      utilityCompany = extractUtilityCompany(text);
-      billingPeriod = extractBillingPeriod(text);
-      accountNumber = extractAccountNumber(text);
-      totalAmount = extractTotalAmount(text);
-      energyUsage = extractEnergyUsage(text);
-      rate = extractElectricityRate(text);
+    // Then try to extract data using OpenAI
+    const openAiData = templateData?.complete ? null : await openAiService.extractUtilityBillData(text);
+    if (!templateData?.complete) {
+      logger.info(openAiData ? 'Using OpenAI extracted utility bill data' : 'OpenAI extraction failed or not configured');
     }
     
-    // Generate random data for missing values
+    // Fall back to pattern-based extraction
+    const baseSource = openAiData ? 'openai' : 'pattern';
+    const baseData = openAiData || {
+      utilityCompany: extractUtilityCompany(text),
+      billingPeriod: extractBillingPeriod(text),
+      accountNumber: extractAccountNumber(text),
+      totalAmount: extractTotalAmount(text),
+      energyUsage: extractEnergyUsage(text),
+      rate: extractElectricityRate(text),
+    };
     
-    // If utility company wasn't found, pick a random common one
-    if (!utilityCompany) {
-      const companies = [
-        'Pacific Gas and Electric (PG&E)',
-        'Southern California Edison (SCE)',
-        'Duke Energy',
-        'Dominion Energy',
-        'Florida Power & Light',
-        'Xcel Energy',
-        'National Grid'
-      ];
-      utilityCompany = companies[Math.floor(Math.random() * companies.length)];
+    // Source and confidence of every value found, keyed by field
+    const fieldProvenance = {};
+    const billData = {};
+    
+    // Values read at the template's anchors beat OpenAI and the generic patterns
+    BILL_FIELDS.forEach(field => {
+      billData[field] = templateData && hasValue(templateData[field])
+        ? recordField(fieldProvenance, field, templateData[field], 'template')
+        : recordField(fieldProvenance, field, baseData[field], baseSource);
+    });
+    
+    // Without a printed rate, the effective rate is the billed total over the billed usage
+    if (!hasValue(billData.rate) && hasValue(billData.totalAmount) && hasValue(billData.energyUsage)) {
+      billData.rate = recordField(fieldProvenance, 'rate',
+        parseFloat((billData.totalAmount / billData.energyUsage).toFixed(4)), 'default');
     }
     
-    // If billing period wasn't found, generate a random recent one
-    if (!billingPeriod) {
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(endDate.getDate() - 30); // 30-day billing period
-      
-      billingPeriod = {
-        startDate,
-        endDate
-      };
+    // Read the usage history table from the text when OpenAI did not return one
+    let energyUsageMonthly = openAiData
+      ? recordField(fieldProvenance, 'energyUsageMonthly', normalizeUsageHistory(openAiData.usageHistory, 'openai'), 'openai')
+      : null;
+    if (!energyUsageMonthly) {
+      energyUsageMonthly = recordField(fieldProvenance, 'energyUsageMonthly',
+        normalizeUsageHistory(extractUsageHistory(text, billData.billingPeriod), ocrPages.length > 0 ? 'ocr-text' : 'pdf-text'), 'pattern');
     }
     
-    // If account number wasn't found, generate a random one
-    if (!accountNumber) {
-      accountNumber = Math.floor(1000000000 + Math.random() * 9000000000).toString();
-    }
+    // Generate monthly usage patterns based on annual usage
+    const monthlyUsage = billData.energyUsage ? estimateMonthlyEnergyUsage(billData.energyUsage * 12) : null;
     
-    // If energy usage wasn't found, generate a random realistic value (500-1500 kWh)
-    if (!energyUsage) {
-      energyUsage = Math.floor(500 + Math.random() * 1000);
-    }
+    // Set a flag to indicate data source
+    let dataSource = openAiData ? 'openai' : 'pattern-extraction';
+    if (templateData?.complete) dataSource = 'template';
     
-    // If rate wasn't found, generate a random realistic rate ($0.12-$0.35 per kWh)
-    if (!rate) {
-      rate = parseFloat((0.12 + Math.random() * 0.23).toFixed(4));
+    attachSourceSnippets(fieldProvenance, billData, pages);
+    const missingFields = findMissingFields(billData, REQUIRED_FIELDS.utilityBill);
+    if (missingFields.length > 0) {
+      logger.info(`Utility bill is missing required fields: ${missingFields.join(', ')}`);
     }
-    
-    // If total amount wasn't found, calculate it based on usage and rate
-    if (!totalAmount) {
-      totalAmount = parseFloat((energyUsage * rate).toFixed(2));
+    const failedChecks = checkUtilityBillConsistency(billData);
+    if (failedChecks.length > 0) {
+      logger.info(`Utility bill failed consistency checks: ${failedChecks.map(({ check }) => check).join(', ')}`);
     }
     
-    // Generate monthly usage patterns based on annual usage
-    const annualUsage = energyUsage * 12; // Rough estimate
-    const monthlyUsage = estimateMonthlyEnergyUsage(annualUsage);
-    
-    // Set a flag to indicate data source
-    const dataSource = openAiData ? 'openai' : 'pattern-extraction';
-    
     return {
-      utilityCompany,
-      billingPeriod,
-      accountNumber,
-      totalAmount,
-      energyUsage,
-      rate,
+      ...billData,
       monthlyUsage,
+      ...(energyUsageMonthly ? { energyUsageMonthly } : {}),
       dataSource,
+      ...(templateData ? { templateId: templateData.templateId } : {}),
+      ocrPages,
+      fieldProvenance,
+      missingFields,
+      failedChecks,
       rawText: text.substring(0, 500) + '...' // Include truncated raw text
     };
   } catch (error) {
     logger.error(`Utility bill PDF parsing error: ${error.message}`);
-    
-    // Even if parsing fails completely, generate random data
-    const energyUsage = Math.floor(500 + Math.random() * 1000);
-    const rate = parseFloat((0.12 + Math.random() * 0.23).toFixed(4));
-    const totalAmount = parseFloat((energyUsage * rate).toFixed(2));
-    
-    // Generate random billing period
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(endDate.getDate() - 30);
-    
-    const annualUsage = energyUsage * 12;
-    const monthlyUsage = estimateMonthlyEnergyUsage(annualUsage);
-    
-    // Common utility companies
-    const companies = [
-      'Pacific Gas and Electric (PG&E)',
-      'Southern California Edison (SCE)',
-      'Duke Energy',
-      'Dominion Energy',
-      'Florida Power & Light',
-      'Xcel Energy',
-      'National Grid'
-    ];
-    
-    return {
-      utilityCompany: companies[Math.floor(Math.random() * companies.length)],
-      billingPeriod: { startDate, endDate },
-      accountNumber: Math.floor(1000000000 + Math.random() * 9000000000).toString(),
-      totalAmount,
-      energyUsage,
-      rate,
-      monthlyUsage,
-      dataSource: 'fallback-generation',
-      generatedFromError: true
-    };
+    throw new Error(`Failed to parse utility bill PDF: ${error.message}`);
   }
 };
 
@@ -159,43 +143,16 @@ const parseUtilityBillPdf = async (filePath) => {
 const estimateMonthlyEnergyUsage = (annualUsage) => {
   if (!annualUsage) return null;
 
-  // Monthly percentage distribution based on typical residential usage patterns
+  // Calculate monthly usage based on annual usage and the typical distribution
   // This is an approximation and should be adjusted based on location
-  const monthlyDistribution = {
-    January: 0.10, // 10% of annual usage in January (winter)
-    February: 0.09,
-    March: 0.08,
-    April: 0.07,
-    May: 0.07,
-    June: 0.08, // Summer begins
-    July: 0.10, // Peak summer usage
-    August: 0.10, // Peak summer usage
-    September: 0.08,
-    October: 0.07,
-    November: 0.08,
-    December: 0.08,
-  };
-
-  // Calculate monthly usage based on annual usage and distribution
   const monthlyUsage = {};
-  Object.entries(monthlyDistribution).forEach(([month, percentage]) => {
+  Object.entries(TYPICAL_MONTHLY_USAGE_SHARE).forEach(([month, percentage]) => {
     monthlyUsage[month] = Math.round(annualUsage * percentage);
   });
 
   return monthlyUsage;
 };
 
-/**
- * Calculate projected utility bill without solar
- * @param {number} energyUsage - Energy usage in kWh
- * @param {number} rate - Electricity rate in $/kWh
- * @returns {number} - Projected bill amount in dollars
- */
-const calculateUtilityBill = (energyUsage, rate) => {
-  if (!energyUsage || !rate) return null;
-  return parseFloat((energyUsage * rate).toFixed(2));
-};
-
 /**
  * Calculate solar offset based on energy usage and solar production
  * @param {number} energyUsage - Energy usage in kWh
@@ -208,23 +165,6 @@ const calculateSolarOffset = (energyUsage, solarProduction) => {
   return parseFloat(offset.toFixed(2));
 };
 
-/**
- * Calculate utility bill with solar
- * @param {number} energyUsage - Energy usage in kWh
- * @param {number} solarProduction - Solar production in kWh
- * @param {number} rate - Electricity rate in $/kWh
- * @returns {number} - Utility bill with solar in dollars
- */
-const calculateUtilityBillWithSolar = (energyUsage, solarProduction, rate) => {
-  if (!energyUsage || !solarProduction || !rate) return null;
-  
-  // Calculate remaining grid consumption after solar
-  const remainingUsage = Math.max(0, energyUsage - solarProduction);
-  
-  // Calculate bill based on remaining usage
-  return parseFloat((remainingUsage * rate).toFixed(2));
-};
-
 /**
  * Calculate projected savings with solar
  * @param {number} billWithoutSolar - Utility bill without solar
@@ -237,10 +177,9 @@ const calculateSavings = (billWithoutSolar, billWithSolar) => {
 };
 
 module.exports = {
+  TYPICAL_MONTHLY_USAGE_SHARE,
   parseUtilityBillPdf,
   estimateMonthlyEnergyUsage,
-  calculateUtilityBill,
   calculateSolarOffset,
-  calculateUtilityBillWithSolar,
   calculateSavings,
 }; 
\ No newline at end of file
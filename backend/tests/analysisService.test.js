@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const analysisService = require('../src/services/analysisService');
+const Proposal = require('../src/models/proposalModel');
+const UtilityBill = require('../src/models/utilityBillModel');
+const Result = require('../src/models/resultModel');
+const pvWattsService = require('../src/services/pvWattsService');
+
+const userId = new mongoose.Types.ObjectId();
+
+const buildDocument = (Model, fields) => {
+  const document = new Model({ user: userId, originalFilename: 'document', status: 'processed', ...fields });
+  jest.spyOn(document, 'save').mockResolvedValue(document);
+  jest.spyOn(Model, 'findById').mockResolvedValueOnce(document);
+  return document;
+};
+
+describe('analysisService.generateResults', () => {
+  let createResult;
+
+  beforeEach(() => {
+    createResult = jest.spyOn(Result, 'create').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('holds Green Button data without a rate or tariff for review instead of assuming one', async () => {
+    const proposal = buildDocument(Proposal, {
+      extractedData: { systemSize: 7.2, pricing: { netCost: 17640 }, missingFields: [] },
+    });
+    const utilityBill = buildDocument(UtilityBill, {
+      fileType: 'green-button',
+      extractedData: { energyUsage: 391, rate: null, missingFields: [] },
+    });
+
+    const outcome = await analysisService.generateResults(proposal._id, utilityBill._id, userId);
+
+    expect(outcome).toMatchObject({ success: false, needsReview: true, error: 'Utility bill needs review (missing rate)' });
+    expect(utilityBill.status).toBe('needs_review');
+    expect(utilityBill.extractedData.missingFields).toEqual(['rate']);
+    expect(utilityBill.save).toHaveBeenCalled();
+    expect(proposal.status).toBe('processed');
+    expect(createResult).not.toHaveBeenCalled();
+  });
+
+  it('holds a processed proposal that lacks a required value', async () => {
+    const proposal = buildDocument(Proposal, {
+      extractedData: { systemSize: null, pricing: { netCost: 17640 }, missingFields: [] },
+    });
+    const utilityBill = buildDocument(UtilityBill, {
+      fileType: 'pdf',
+      extractedData: { energyUsage: 700, rate: 0.32, missingFields: [] },
+    });
+
+    const outcome = await analysisService.generateResults(proposal._id, utilityBill._id, userId);
+
+    expect(outcome).toMatchObject({ needsReview: true, error: 'Proposal needs review (missing systemSize)' });
+    expect(proposal.status).toBe('needs_review');
+    expect(utilityBill.status).toBe('processed');
+    expect(createResult).not.toHaveBeenCalled();
+  });
+});
+
+describe('analysisService._generateSolarProductionData', () => {
+  const coordinates = { latitude: 39.74, longitude: -104.99 };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('labels real PVWatts output and keeps its hourly production', async () => {
+    jest.spyOn(pvWattsService, 'getSolarProduction').mockResolvedValue({
+      success: true,
+      mock: false,
+      data: { inputs: { system_capacity: 7 }, outputs: { ac_annual: 10500, ac_monthly: [], ac: new Array(8760).fill(1200) } },
+    });
+
+    const production = await analysisService._generateSolarProductionData(7, coordinates);
+
+    expect(production).toMatchObject({ annualProduction: 10500, source: 'pvwatts' });
+    expect(production.hourlyProduction).toHaveLength(8760);
+  });
+
+  it('treats mock PVWatts output as the generic estimate', async () => {
+    jest.spyOn(pvWattsService, 'getSolarProduction').mockResolvedValue({
+      success: true,
+      mock: true,
+      data: pvWattsService._getMockSolarProduction(7, 'hourly'),
+    });
+
+    const production = await analysisService._generateSolarProductionData(7, coordinates);
+
+    expect(production).toMatchObject({ annualProduction: 9800, source: 'estimate' });
+    expect(production.hourlyProduction).toBeUndefined();
+  });
+
+  it('uses the generic estimate without calling PVWatts when the location is unknown', async () => {
+    const getSolarProduction = jest.spyOn(pvWattsService, 'getSolarProduction');
+
+    const production = await analysisService._generateSolarProductionData(7, null);
+
+    expect(production).toMatchObject({ annualProduction: 9800, source: 'estimate' });
+    expect(getSolarProduction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  REQUIRED_TEMPLATE_FIELDS,
+  loadBillTemplates,
+  findBillTemplate,
+  extractWithTemplate,
+  validateTemplate,
+  checkTemplateFixture,
+} = require('../src/utils/billTemplates');
+
+const TEMPLATE_DIRECTORY = path.join(__dirname, '../src/data/billTemplates');
+
+const templateFiles = fs.readdirSync(TEMPLATE_DIRECTORY).filter(file => file.endsWith('.json'));
+const readTemplate = (file) => JSON.parse(fs.readFileSync(path.join(TEMPLATE_DIRECTORY, file), 'utf8'));
+
+describe('bundled bill templates', () => {
+  it('are all loaded', () => {
+    expect(loadBillTemplates(TEMPLATE_DIRECTORY).size).toBe(templateFiles.length);
+  });
+
+  describe.each(templateFiles)('%s', (file) => {
+    const template = readTemplate(file);
+
+    it('is a valid template', () => {
+      expect(validateTemplate(template)).toBeNull();
+    });
+
+    it('reads its fixture', () => {
+      const extracted = extractWithTemplate(template, template.fixture.text);
+      const { billingPeriod, ...expected } = template.fixture.expected;
+
+      expect(extracted).toMatchObject(expected);
+      if (billingPeriod) {
+        expect(extracted.billingPeriod).toEqual({
+          startDate: new Date(`${billingPeriod.startDate}T00:00:00Z`),
+          endDate: new Date(`${billingPeriod.endDate}T00:00:00Z`),
+        });
+      }
+      expect(extracted.matchedFields).toEqual(expect.arrayContaining(REQUIRED_TEMPLATE_FIELDS));
+      expect(checkTemplateFixture(template)).toBeNull();
+    });
+
+    it('is found from its fixture text', () => {
+      expect(findBillTemplate(null, template.fixture.text).id).toBe(template.id);
+      expect(findBillTemplate(template.utility).id).toBe(template.id);
+    });
+  });
+});
+
+describe('checkTemplateFixture', () => {
+  it('reports a value the template misreads', () => {
+    const template = readTemplate('pge.json');
+    const broken = {
+      ...template,
+      fields: { ...template.fields, totalAmount: [{ anchor: 'Amount Due on Previous Statement', pattern: '\\$\\s*([\\d,]+\\.\\d{2})' }] },
+    };
+
+    expect(checkTemplateFixture(broken)).toBe('totalAmount read as 98.1, expected 143.87');
+  });
+
+  it('requires a fixture', () => {
+    const { fixture, ...template } = readTemplate('pge.json');
+    expect(checkTemplateFixture(template)).toBe('fixture text and expected values are required');
+  });
+});
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+jest.mock('../src/services/jobQueueService', () => ({
+  resumeAfterReview: jest.fn().mockResolvedValue([]),
+  enqueueReanalysis: jest.fn(),
+}));
+jest.mock('../src/services/usageHistoryService', () => ({
+  mergeBills: jest.fn().mockResolvedValue([]),
+}));
+
+const extractionReviewService = require('../src/services/extractionReviewService');
+const jobQueueService = require('../src/services/jobQueueService');
+const Proposal = require('../src/models/proposalModel');
+
+const user = { _id: new mongoose.Types.ObjectId() };
+
+const buildProposal = (status, extractedData) => {
+  const proposal = new Proposal({
+    user: user._id,
+    originalFilename: 'proposal.pdf',
+    status,
+    extractedData: {
+      systemSize: 7.2,
+      pricing: { totalCost: 25200, federalTaxCredit: 7560, netCost: 17640 },
+      fieldProvenance: {
+        systemSize: { source: 'llm', confidence: 0.8 },
+        pricing: { source: 'llm', confidence: 0.8 },
+      },
+      missingFields: [],
+      ...extractedData,
+    },
+  });
+  jest.spyOn(proposal, 'save').mockResolvedValue(proposal);
+  return proposal;
+};
+
+describe('extractionReviewService.applyCorrections', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(extractionReviewService, '_dependentResults').mockResolvedValue([]);
+  });
+
+  it('puts a processed proposal back in review when a required field is cleared', async () => {
+    const proposal = buildProposal('processed');
+
+    const { review, jobIds } = await extractionReviewService.applyCorrections(proposal, 'proposal', { systemSize: null }, user);
+
+    expect(proposal.status).toBe('needs_review');
+    expect(review.missingFields).toEqual(['systemSize']);
+    expect(proposal.corrections[0]).toMatchObject({ field: 'systemSize', previousValue: 7.2, value: null });
+    expect(jobIds).toEqual([]);
+    expect(jobQueueService.resumeAfterReview).not.toHaveBeenCalled();
+  });
+
+  it('releases a proposal from review once the missing field is filled', async () => {
+    const proposal = buildProposal('needs_review', { systemSize: null, missingFields: ['systemSize'] });
+
+    const { review } = await extractionReviewService.applyCorrections(proposal, 'proposal', { systemSize: '7.2' }, user, 'On page 2');
+
+    expect(proposal.status).toBe('processed');
+    expect(review.missingFields).toEqual([]);
+    expect(proposal.extractedData.fieldProvenance.get('systemSize').source).toBe('user');
+    expect(jobQueueService.resumeAfterReview).toHaveBeenCalledWith(proposal._id);
+  });
+});
@@ -0,0 +1,171 @@
+const zlib = require('zlib');
+const sharp = require('sharp');
+const storageConfig = require('../src/config/storageConfig');
+const { detectFileType, validateUploadedFile } = require('../src/utils/fileValidation');
+const { buildPdf } = require('./fixtures/buildPdf');
+
+const upload = (buffer, fieldname = 'utilityBillFile') => validateUploadedFile({ fieldname, buffer });
+
+const png = (width, height) => sharp({
+  create: { width, height, channels: 3, background: { r: 255, g: 255, b: 255 } },
+}).png().toBuffer();
+
+describe('fileValidation.detectFileType', () => {
+  it('recognizes files by their first bytes', async () => {
+    expect(detectFileType(await png(4, 4))).toBe('png');
+    expect(detectFileType(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]))).toBe('jpeg');
+    expect(detectFileType(buildPdf())).toBe('pdf');
+    expect(detectFileType(Buffer.from('\uFEFF  <?xml version="1.0"?><feed/>'))).toBe('xml');
+    expect(detectFileType(Buffer.from('start,end,kWh\n2026-01-01,2026-01-02,12.5\n'))).toBe('csv');
+  });
+
+  it('accepts a PDF header within the first kilobyte', () => {
+    const pdf = Buffer.concat([Buffer.alloc(1000, 0x20), buildPdf()]);
+
+    expect(detectFileType(pdf)).toBe('pdf');
+  });
+
+  it('does not take a PDF header after the first kilobyte for a PDF', () => {
+    const pdf = Buffer.concat([Buffer.alloc(1100, 0x20), buildPdf()]);
+
+    expect(detectFileType(pdf)).not.toBe('pdf');
+  });
+
+  it('does not recognize binary data', () => {
+    expect(detectFileType(Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x00, 0x00]))).toBeNull();
+    expect(detectFileType(Buffer.alloc(0))).toBeNull();
+  });
+});
+
+describe('fileValidation.validateUploadedFile', () => {
+  describe('file types', () => {
+    it('rejects an unknown upload field', async () => {
+      await expect(upload(buildPdf(), 'otherFile')).rejects.toMatchObject({ code: 'UNEXPECTED_FIELD', statusCode: 400 });
+    });
+
+    it('goes by the content, not the declared type or extension', async () => {
+      const file = { fieldname: 'proposalFile', originalname: 'proposal.pdf', mimetype: 'application/pdf', buffer: await png(4, 4) };
+
+      await expect(validateUploadedFile(file)).rejects.toMatchObject({
+        code: 'UNSUPPORTED_FILE_TYPE',
+        statusCode: 415,
+        message: 'Proposal file must be a PDF (the file is a PNG image)',
+      });
+    });
+
+    it('rejects a file whose PDF header is past the first kilobyte', async () => {
+      const pdf = Buffer.concat([Buffer.alloc(1100, 0x20), buildPdf()]);
+
+      await expect(upload(pdf, 'proposalFile')).rejects.toMatchObject({ code: 'UNSUPPORTED_FILE_TYPE' });
+    });
+
+    it('accepts each field\'s file types', async () => {
+      await expect(upload(buildPdf(), 'proposalFile')).resolves.toEqual({ fileType: 'pdf', mimeType: 'application/pdf' });
+      await expect(upload(await png(4, 4))).resolves.toEqual({ fileType: 'png', mimeType: 'image/png' });
+      await expect(upload(Buffer.from('start,end,kWh\n'), 'greenButtonFile')).resolves.toEqual({ fileType: 'csv', mimeType: 'text/csv' });
+    });
+  });
+
+  describe('PDF content', () => {
+    it('rejects an encrypted PDF', async () => {
+      const pdf = buildPdf({ objects: ['<< /Filter /Standard /V 1 /R 2 /O (x) /U (x) /P -4 >>'], trailer: '/Encrypt 5 0 R ' });
+
+      await expect(upload(pdf)).rejects.toMatchObject({ code: 'PDF_ENCRYPTED', statusCode: 422 });
+    });
+
+    it('rejects JavaScript', async () => {
+      const pdf = buildPdf({ catalog: '/OpenAction << /S /JavaScript /JS (app.alert(1)) >> ' });
+
+      await expect(upload(pdf)).rejects.toMatchObject({ code: 'PDF_JAVASCRIPT' });
+    });
+
+    it('decodes escaped names before looking for JavaScript', async () => {
+      const pdf = buildPdf({ catalog: '/OpenAction << /S /J#61vaScript /J#53 (app.alert(1)) >> ' });
+
+      await expect(upload(pdf)).rejects.toMatchObject({ code: 'PDF_JAVASCRIPT' });
+    });
+
+    it('finds JavaScript hidden in a compressed object stream', async () => {
+      const objects = '6 0 << /S /JavaScript /JS (app.alert(1)) >>';
+      const stream = zlib.deflateSync(Buffer.from(objects, 'latin1'));
+      const pdf = buildPdf({
+        objects: [[`<< /Type /ObjStm /N 1 /First 4 /Filter /FlateDecode /Length ${stream.length} >>`, stream]],
+        catalog: '/OpenAction 6 0 R ',
+      });
+
+      expect(pdf.toString('latin1')).not.toContain('JavaScript');
+      await expect(upload(pdf)).rejects.toMatchObject({ code: 'PDF_JAVASCRIPT' });
+    });
+
+    it('rejects embedded files', async () => {
+      const pdf = buildPdf({ catalog: '/Names << /EmbeddedFiles << /Names [] >> >> ' });
+
+      await expect(upload(pdf)).rejects.toMatchObject({ code: 'PDF_EMBEDDED_FILE' });
+    });
+  });
+
+  describe('images', () => {
+    const { maxImagePixels } = storageConfig.uploadValidation;
+
+    afterEach(() => {
+      storageConfig.uploadValidation.maxImagePixels = maxImagePixels;
+    });
+
+    it('rejects an image above the pixel limit from its header', async () => {
+      storageConfig.uploadValidation.maxImagePixels = 100 * 100;
+
+      await expect(upload(await png(200, 100))).rejects.toMatchObject({
+        code: 'IMAGE_TOO_LARGE',
+        statusCode: 422,
+        message: expect.stringContaining('200 × 100'),
+      });
+    });
+
+    it('rejects a damaged image', async () => {
+      const truncated = (await png(40, 40)).subarray(0, 20);
+
+      await expect(upload(truncated)).rejects.toMatchObject({ code: 'IMAGE_INVALID' });
+    });
+  });
+
+  describe('PDF images', () => {
+    it('accepts a PDF whose images are within the pixel limit', async () => {
+      await expect(upload(buildPdf({ images: [{ width: 2550, height: 3300 }] })))
+        .resolves.toEqual({ fileType: 'pdf', mimeType: 'application/pdf' });
+    });
+
+    it('rejects an image XObject above the pixel limit from its dictionary', async () => {
+      await expect(upload(buildPdf({ images: [{ width: 8000, height: 8000 }] })))
+        .rejects.toMatchObject({ code: 'IMAGE_TOO_LARGE', statusCode: 422, message: expect.stringContaining('8000 × 8000') });
+    });
+
+    it('follows an indirect image width', async () => {
+      const pdf = buildPdf({
+        images: [{
+          width: 8000,
+          height: 8000,
+          data: Buffer.alloc(16),
+          dictionary: '<< /Type /XObject /Subtype /Image /Width 6 0 R /Height 8000 /ColorSpace /DeviceGray '
+            + '/BitsPerComponent 1 /Filter /FlateDecode /Length 24 >>',
+        }],
+        objects: ['8000'],
+      });
+
+      await expect(upload(pdf)).rejects.toMatchObject({ code: 'IMAGE_TOO_LARGE', message: expect.stringContaining('8000 × 8000') });
+    });
+
+    it('rejects an image whose size cannot be read', async () => {
+      const pdf = buildPdf({
+        images: [{ width: 400, height: 400, dictionary: '<< /Subtype /Im#61ge /Height 400 /Length 10 >>' }],
+      });
+
+      await expect(upload(pdf)).rejects.toMatchObject({ code: 'IMAGE_TOO_LARGE', message: expect.stringContaining("can't be read") });
+    });
+
+    it('rejects an oversized inline image in the page content', async () => {
+      const pdf = buildPdf({ content: 'q 612 0 0 792 0 0 cm BI /W 9000 /H 9000 /BPC 1 /CS /G ID \x00 EI Q' });
+
+      await expect(upload(pdf)).rejects.toMatchObject({ code: 'IMAGE_TOO_LARGE', message: expect.stringContaining('9000 × 9000') });
+    });
+  });
+});
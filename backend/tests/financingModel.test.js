@@ -0,0 +1,64 @@
+const { buildFinancingScenarios } = require('../src/utils/financingModel');
+
+const monthlyBreakdown = Array.from({ length: 12 }, (_, index) => ({
+  month: `Month ${index + 1}`,
+  savings: 100,
+  solarProduction: 600,
+}));
+
+// Flat prices and output so lifetime totals are easy to check by hand
+const assumptions = {
+  analysisPeriodYears: 25,
+  panelDegradationRate: 0,
+  utilityEscalationRate: 0,
+  omCostPerKwYear: 20,
+  omEscalationRate: 0,
+  inverterReplacementYear: 12,
+  inverterReplacementCostPerWatt: 0.25,
+};
+
+describe('financingModel.buildFinancingScenarios', () => {
+  const scenarios = buildFinancingScenarios({
+    financing: { loan: { apr: 0, termYears: 10 } },
+    pricing: { totalCost: 21000, netCost: 14700 },
+    systemSize: 7,
+    monthlyBreakdown,
+    assumptions,
+  });
+  const byType = Object.fromEntries(scenarios.map(scenario => [scenario.type, scenario]));
+
+  it('credits the incentives to a loan that finances the gross price in the first year', () => {
+    expect(byType.loan).toMatchObject({
+      upfrontCost: 0,
+      incentives: 6300,
+      averageMonthlyPayment: 175,
+      netMonthlySavings: -75,
+      // 1,200 bill savings - 2,100 payments - 140 O&M + 6,300 incentives
+      firstYearNetSavings: 5260,
+    });
+  });
+
+  it('charges owners the O&M and inverter replacement of the cash-flow model', () => {
+    // 25 years of 140 O&M plus a 1,750 inverter in year 12
+    expect(byType.cash.ownershipCosts).toBe(5250);
+    expect(byType.loan.ownershipCosts).toBe(5250);
+    expect(byType.cash.incentives).toBe(0);
+  });
+
+  it('values a zero-interest loan the same as paying cash', () => {
+    // 30,000 bill savings - 5,250 ownership costs - 14,700 net cost
+    expect(byType.cash.lifetimeNetSavings).toBe(10050);
+    expect(byType.loan.lifetimeNetSavings).toBe(10050);
+  });
+
+  it('credits listed incentives to a cash purchase quoted only at the gross price', () => {
+    const [cash] = buildFinancingScenarios({
+      pricing: { totalCost: 21000, federalTaxCredit: 6300 },
+      systemSize: 7,
+      monthlyBreakdown,
+      assumptions,
+    });
+
+    expect(cash).toMatchObject({ upfrontCost: 21000, incentives: 6300, lifetimeNetSavings: 10050 });
+  });
+});
@@ -0,0 +1,64 @@
+const zlib = require('zlib');
+
+/**
+ * Build a minimal single-page PDF with a valid cross-reference table
+ * @param {Object} [options] - Page contents
+ * @param {Array} [options.images] - Image XObjects as { width, height, data?, dictionary? }; 1 bit per pixel,
+ *   Flate-compressed, drawn full page. data defaults to white pixels; dictionary replaces the generated one
+ * @param {string} [options.content] - Page content stream, drawn after the images
+ * @param {Array<string>} [options.objects] - Extra objects' sources, numbered after the page's own
+ * @param {string} [options.resources] - Extra page resources, e.g. fonts among the extra objects
+ * @param {string} [options.trailer] - Extra trailer entries
+ * @param {string} [options.catalog] - Extra catalog entries
+ * @returns {Buffer} - PDF data
+ */
+const buildPdf = ({ images = [], content = '', objects = [], resources = '', trailer = '', catalog = '' } = {}) => {
+  const firstImage = 5;
+  const firstExtra = firstImage + images.length;
+  const xObjects = images.map((image, index) => `/Im${index} ${firstImage + index} 0 R`).join(' ');
+  const drawing = images.map((image, index) => `q ${image.width} 0 0 ${image.height} 0 0 cm /Im${index} Do Q`).join('\n');
+  const pageContent = Buffer.from(`${drawing}\n${content}`, 'latin1');
+
+  const bodies = [
+    `<< /Type /Catalog /Pages 2 0 R ${catalog}>>`,
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /XObject << ${xObjects} >> ${resources}>> /Contents 4 0 R >>`,
+    [`<< /Length ${pageContent.length} >>`, pageContent],
+    ...images.map(({ width, height, data, dictionary }) => {
+      const stream = zlib.deflateSync(data || Buffer.alloc(Math.ceil(width / 8) * height, 0xff));
+      return [dictionary || `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} `
+        + `/ColorSpace /DeviceGray /BitsPerComponent 1 /Filter /FlateDecode /Length ${stream.length} >>`, stream];
+    }),
+    ...objects,
+  ];
+  if (firstExtra + objects.length - 1 !== bodies.length) throw new Error('Object numbering is off');
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let length = chunks[0].length;
+  const offsets = [];
+  const push = (chunk) => {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'latin1');
+    chunks.push(buffer);
+    length += buffer.length;
+  };
+
+  bodies.forEach((body, index) => {
+    offsets.push(length);
+    if (Array.isArray(body)) {
+      push(`${index + 1} 0 obj\n${body[0]}\nstream\n`);
+      push(body[1]);
+      push('\nendstream\nendobj\n');
+    } else {
+      push(`${index + 1} 0 obj\n${body}\nendobj\n`);
+    }
+  });
+
+  const xrefOffset = length;
+  push(`xref\n0 ${bodies.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach(offset => push(`${String(offset).padStart(10, '0')} 00000 n \n`));
+  push(`trailer\n<< /Size ${bodies.length + 1} /Root 1 0 R ${trailer}>>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return Buffer.concat(chunks);
+};
+
+module.exports = { buildPdf };
@@ -0,0 +1,71 @@
+// Documents and model responses of the language model tests; the responses are recorded for the
+// stub provider in llmRecordings/<task>/<request key>.json
+
+const PROPOSAL_TEXT = [
+  'SunBright Solar Residential Proposal',
+  'Prepared for: Jane Doe',
+  '123 Main St, Oakland, CA 94612',
+  'System Size: 7.2 kW DC',
+  'Panels: 18 x REC Alpha 400 W',
+  'Estimated Annual Production: 10,400 kWh',
+  'Total System Cost: $25,200',
+  'Federal Tax Credit (30%): $7,560',
+  'Net Cost: $17,640',
+].join('\n');
+
+const PROPOSAL_RESPONSE = {
+  systemSize: 7.2,
+  panelType: 'REC Alpha',
+  panelWattage: 400,
+  panelQuantity: 18,
+  estimatedProduction: 10400,
+  pricing: { totalCost: 25200, federalTaxCredit: 7560, stateRebates: null, netCost: 17640 },
+  financing: { loan: null, lease: null, ppa: null },
+  claimedSavings: { firstYearSavings: null, lifetimeSavings: null, lifetimeYears: null },
+};
+
+const UTILITY_BILL_TEXT = [
+  'PG&E Energy Statement',
+  'Account Number: 1234567890-1',
+  'Billing Period: 01/05/2026 - 02/03/2026',
+  'Total Amount Due: $248.37',
+  'Total Usage: 712 kWh',
+].join('\n');
+
+// The model only sees the account number as a placeholder
+const UTILITY_BILL_RESPONSE = {
+  utilityCompany: 'Pacific Gas and Electric',
+  accountNumber: '[ACCOUNT_1]',
+  billingPeriod: { startDate: '01/05/2026', endDate: '02/03/2026' },
+  totalAmount: 248.37,
+  energyUsage: 712,
+  rate: null,
+  usageHistory: [],
+};
+
+// Requests answered first with INVALID_RESPONSE; the first is corrected on the second attempt,
+// the second never is
+const RETRY_MESSAGES = [
+  { role: 'system', content: 'You are a solar proposal analysis assistant that extracts structured data.' },
+  { role: 'user', content: 'Proposal: 5 kW system of 12 panels.' },
+];
+
+const INVALID_MESSAGES = [
+  { role: 'system', content: 'You are a solar proposal analysis assistant that extracts structured data.' },
+  { role: 'user', content: 'Proposal: 6 kW system, unclear panel count.' },
+];
+
+const INVALID_RESPONSE = '{"systemSize": "5 kW", "panelQuantity": 12, "panelWattage": 5}';
+
+const CORRECTED_RESPONSE = { systemSize: 5, panelQuantity: 12, panelWattage: null };
+
+module.exports = {
+  PROPOSAL_TEXT,
+  PROPOSAL_RESPONSE,
+  UTILITY_BILL_TEXT,
+  UTILITY_BILL_RESPONSE,
+  RETRY_MESSAGES,
+  INVALID_MESSAGES,
+  INVALID_RESPONSE,
+  CORRECTED_RESPONSE,
+};
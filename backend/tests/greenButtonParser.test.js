@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  parseEspiXml,
+  parseGreenButtonCsv,
+  summarizeIntervalReadings,
+  parseGreenButtonFile,
+} = require('../src/utils/greenButtonParser');
+const { getReferenceHourIndex } = require('../src/utils/loadProfile');
+
+const SAMPLES = path.join(__dirname, '../samples/green-button');
+const readSample = (name) => fs.readFileSync(path.join(SAMPLES, name), 'utf8');
+
+// Both samples hold the same two days (2024-07-01 and 02) of usage, hourly and at 15 minutes
+const FIRST_DAY_LOAD = [
+  0.38, 0.38, 0.38, 0.38, 0.384, 0.407, 0.484, 0.582, 0.582, 0.484, 0.407, 0.384,
+  0.38, 0.38, 0.384, 0.406, 0.487, 0.672, 0.912, 1.03, 0.912, 0.672, 0.487, 0.406,
+];
+
+const expectFirstDayLoad = (hourlyLoad) => {
+  const start = getReferenceHourIndex(new Date(Date.UTC(2024, 6, 1)));
+  hourlyLoad.slice(start, start + 24).forEach((kwh, hour) => {
+    expect(kwh).toBeCloseTo(FIRST_DAY_LOAD[hour], 2);
+  });
+};
+
+describe('parseEspiXml', () => {
+  const { readings, costTotal } = parseEspiXml(readSample('espi-hourly-sample.xml'));
+
+  it('reads every hourly interval reading delivered to the home', () => {
+    expect(readings).toHaveLength(48);
+    readings.forEach(reading => expect(reading.minutes).toBe(60));
+    expect(readings[0].start).toBe(Date.UTC(2024, 6, 1));
+    expect(readings[0].kwh).toBeCloseTo(0.38, 3);
+  });
+
+  it('reads the interval costs', () => {
+    expect(costTotal).toBeCloseTo(8.22912, 4);
+  });
+});
+
+describe('parseGreenButtonCsv', () => {
+  const { readings, costTotal, accountNumber } = parseGreenButtonCsv(readSample('pge-15-minute-sample.csv'));
+
+  it('reads every 15-minute reading', () => {
+    expect(readings).toHaveLength(192);
+    readings.forEach(reading => expect(reading.minutes).toBe(15));
+    expect(readings[0].start).toBe(Date.UTC(2024, 6, 1));
+  });
+
+  it('reads the cost column and account number', () => {
+    expect(costTotal).toBeCloseTo(8.12, 2);
+    expect(accountNumber).toBe('1234567890');
+  });
+});
+
+describe('summarizeIntervalReadings', () => {
+  it('lays hourly readings out on the reference year', () => {
+    const summary = summarizeIntervalReadings(parseEspiXml(readSample('espi-hourly-sample.xml')).readings);
+
+    expect(summary.intervalMinutes).toBe(60);
+    expect(summary.measuredHours).toBe(48);
+    expect(summary.totalKwh).toBeCloseTo(25.716, 3);
+    expect(summary.startDate).toEqual(new Date('2024-07-01T00:00:00Z'));
+    expect(summary.endDate).toEqual(new Date('2024-07-03T00:00:00Z'));
+    expectFirstDayLoad(summary.hourlyLoad);
+  });
+
+  it('adds 15-minute readings up to hourly load', () => {
+    const summary = summarizeIntervalReadings(parseGreenButtonCsv(readSample('pge-15-minute-sample.csv')).readings);
+
+    expect(summary.intervalMinutes).toBe(15);
+    expect(summary.measuredHours).toBe(48);
+    expect(summary.hourlyLoad.filter(kwh => kwh === null)).toHaveLength(summary.hourlyLoad.length - 48);
+    expectFirstDayLoad(summary.hourlyLoad);
+  });
+
+  it('leaves out months with less than half of their readings', () => {
+    const summary = summarizeIntervalReadings(parseEspiXml(readSample('espi-hourly-sample.xml')).readings);
+    expect(summary.energyUsageMonthly).toEqual({});
+  });
+});
+
+describe('parseGreenButtonFile', () => {
+  it('derives the rate from the ESPI interval costs', async () => {
+    const billData = await parseGreenButtonFile(path.join(SAMPLES, 'espi-hourly-sample.xml'));
+
+    expect(billData.dataSource).toBe('green-button');
+    expect(billData.rate).toBe(0.32);
+    expect(billData.energyUsage).toBe(391);
+    expect(billData.intervalData).toMatchObject({ format: 'espi-xml', intervalMinutes: 60, readingCount: 48, measuredHours: 48 });
+    expect(billData.missingFields).toEqual([]);
+    expect(billData.fieldProvenance.rate).toEqual({ source: 'green-button', confidence: 1 });
+    expect(billData.fieldProvenance.energyUsage).toEqual({ source: 'green-button', confidence: 1 });
+  });
+
+  it('derives the rate from the CSV cost column', async () => {
+    const billData = await parseGreenButtonFile(path.join(SAMPLES, 'pge-15-minute-sample.csv'));
+
+    expect(billData.rate).toBe(0.3158);
+    expect(billData.accountNumber).toBe('1234567890');
+    expect(billData.intervalData).toMatchObject({ format: 'csv', intervalMinutes: 15, readingCount: 192, measuredHours: 48 });
+  });
+});
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const jobQueueService = require('../src/services/jobQueueService');
+const analysisService = require('../src/services/analysisService');
+const Job = require('../src/models/jobModel');
+const Proposal = require('../src/models/proposalModel');
+const UtilityBill = require('../src/models/utilityBillModel');
+const { logger } = require('../src/middleware/errorMiddleware');
+
+describe('jobQueueService._claimNextJob', () => {
+  let updateMany;
+  let findOneAndUpdate;
+
+  beforeEach(() => {
+    updateMany = jest.spyOn(Job, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    findOneAndUpdate = jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('fails stale running jobs that used their last attempt', async () => {
+    await jobQueueService._claimNextJob();
+
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter).toMatchObject({
+      status: 'running',
+      $expr: { $gte: ['$attempts', '$maxAttempts'] },
+    });
+    expect(filter.lockedAt.$lt.getTime()).toBeLessThanOrEqual(Date.now() - jobQueueService.lockTimeoutMs);
+    expect(update.$set).toMatchObject({ status: 'error', lockedAt: null, 'stages.$[stage].status': 'error' });
+  });
+
+  it('only reclaims stale running jobs with attempts left', async () => {
+    await jobQueueService._claimNextJob();
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter.$or).toContainEqual(expect.objectContaining({
+      status: 'running',
+      $expr: { $lt: ['$attempts', '$maxAttempts'] },
+    }));
+    expect(update.$inc).toEqual({ attempts: 1 });
+    expect(updateMany.mock.invocationCallOrder[0]).toBeLessThan(findOneAndUpdate.mock.invocationCallOrder[0]);
+  });
+});
+
+describe('jobQueueService._runJob', () => {
+  const heartbeatIntervalMs = jobQueueService.heartbeatIntervalMs;
+  let job;
+  let updateOne;
+  let savedFilters;
+
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  beforeEach(() => {
+    jobQueueService.heartbeatIntervalMs = 10;
+    job = new Job({
+      user: new mongoose.Types.ObjectId(),
+      status: 'running',
+      attempts: 1,
+      lockedAt: new Date(),
+      lockedBy: jobQueueService.workerId,
+      documents: [
+        { kind: 'proposal', documentId: new mongoose.Types.ObjectId() },
+        { kind: 'utilityBill', documentId: new mongoose.Types.ObjectId() },
+      ],
+      stages: [{ name: 'proposal' }, { name: 'utilityBill' }, { name: 'analysis' }],
+    });
+    savedFilters = [];
+    jest.spyOn(job, 'save').mockImplementation(async function save() {
+      savedFilters.push(this.$where);
+      return this;
+    });
+    updateOne = jest.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(Proposal, 'findById').mockResolvedValue({ status: 'pending' });
+    jest.spyOn(UtilityBill, 'findById').mockResolvedValue({ status: 'processed' });
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jobQueueService.heartbeatIntervalMs = heartbeatIntervalMs;
+    jest.restoreAllMocks();
+  });
+
+  it('keeps sending heartbeats while a slow stage runs', async () => {
+    jest.spyOn(analysisService, 'extractProposal').mockImplementation(async () => {
+      await wait(80);
+      return { success: false, error: 'Unreadable proposal' };
+    });
+
+    await jobQueueService._runJob(job);
+
+    expect(updateOne.mock.calls.length).toBeGreaterThanOrEqual(3);
+    for (const [filter, update] of updateOne.mock.calls) {
+      expect(filter).toEqual({ _id: job._id, status: 'running', lockedBy: jobQueueService.workerId });
+      expect(update.$set.lockedAt).toBeInstanceOf(Date);
+    }
+    expect(job.status).toBe('error');
+
+    const heartbeats = updateOne.mock.calls.length;
+    await wait(50);
+    expect(updateOne).toHaveBeenCalledTimes(heartbeats);
+  });
+
+  it('only saves the job while this worker holds the lock', async () => {
+    jest.spyOn(analysisService, 'extractProposal').mockResolvedValue({ success: false, error: 'Unreadable proposal' });
+
+    await jobQueueService._runJob(job);
+
+    expect(savedFilters.length).toBeGreaterThan(0);
+    expect(savedFilters.every(filter => filter?.lockedBy === jobQueueService.workerId)).toBe(true);
+  });
+
+  it('stops without saving again once the job was reclaimed by another worker', async () => {
+    job.save.mockRejectedValue(new mongoose.Error.DocumentNotFoundError({ _id: job._id }, 'Job', 0, {}));
+    const extractProposal = jest.spyOn(analysisService, 'extractProposal');
+
+    await jobQueueService._runJob(job);
+
+    expect(job.save).toHaveBeenCalledTimes(1);
+    expect(extractProposal).not.toHaveBeenCalled();
+    expect(job.processingErrors).toHaveLength(0);
+    expect(job.status).toBe('running');
+  });
+
+  it('warns when a heartbeat finds the job locked by another worker', async () => {
+    updateOne.mockResolvedValue({ matchedCount: 0 });
+    jest.spyOn(analysisService, 'extractProposal').mockImplementation(async () => {
+      await wait(30);
+      return { success: false, error: 'Unreadable proposal' };
+    });
+
+    await jobQueueService._runJob(job);
+
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining(`no longer holds the lock on job ${job._id}`));
+  });
+});
@@ -0,0 +1,113 @@
+const path = require('path');
+
+// Every task replays the recordings in tests/fixtures/llmRecordings; a request without its own
+// recording fails instead of getting a canned answer
+process.env.LLM_PROPOSAL_PROVIDER = 'stub';
+process.env.LLM_UTILITY_BILL_PROVIDER = 'stub';
+process.env.LLM_ENVIRONMENTAL_PROVIDER = 'stub';
+process.env.LLM_RECORDINGS_DIRECTORY = path.join(__dirname, 'fixtures/llmRecordings');
+process.env.LLM_MAX_ATTEMPTS = '3';
+delete process.env.LLM_RECORD_WITH;
+
+const openAiService = require('../src/services/openAiService');
+const { getProvider, getTaskModel } = require('../src/services/llmProviders');
+const { PROPOSAL_SCHEMA } = require('../src/utils/extractionSchemas');
+const documents = require('./fixtures/llmDocuments');
+
+const stub = getProvider('stub');
+
+describe('openAiService with the stub provider', () => {
+  let logExtraction;
+
+  beforeEach(() => {
+    stub.unmatchedRequests = 0;
+    logExtraction = jest.spyOn(openAiService, 'logExtraction').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logExtraction.mockRestore();
+  });
+
+  describe('extractProposalData', () => {
+    it('returns the recorded extraction', async () => {
+      const data = await openAiService.extractProposalData(documents.PROPOSAL_TEXT, 'test-proposal');
+
+      expect(data).toEqual(documents.PROPOSAL_RESPONSE);
+      expect(stub.unmatchedRequests).toBe(0);
+    });
+
+    it('only sends the redacted text to the provider', async () => {
+      const complete = jest.spyOn(stub, 'complete');
+      await openAiService.extractProposalData(documents.PROPOSAL_TEXT, 'test-proposal');
+
+      const prompt = complete.mock.calls[0][0].messages[1].content;
+      expect(prompt).toContain('Prepared for: [NAME_1]');
+      expect(prompt).not.toContain('Jane Doe');
+      expect(prompt).not.toContain('123 Main St');
+      complete.mockRestore();
+    });
+
+    it('fails on a request without a recording', async () => {
+      const data = await openAiService.extractProposalData('A proposal nobody recorded', 'test-unrecorded');
+
+      expect(data).toBeNull();
+      expect(stub.unmatchedRequests).toBe(1);
+      expect(logExtraction).toHaveBeenCalledWith('proposal', 'api_error',
+        expect.objectContaining({ error: expect.stringMatching(/^No recorded proposalExtraction response/) }), 'test-unrecorded');
+    });
+  });
+
+  describe('extractUtilityBillData', () => {
+    it('returns the recorded extraction with the account number restored', async () => {
+      const data = await openAiService.extractUtilityBillData(documents.UTILITY_BILL_TEXT, 'test-bill');
+
+      expect(data).toEqual({
+        ...documents.UTILITY_BILL_RESPONSE,
+        accountNumber: '1234567890-1',
+        billingPeriod: {
+          startDate: new Date('2026-01-05T00:00:00Z'),
+          endDate: new Date('2026-02-03T00:00:00Z'),
+        },
+      });
+      expect(stub.unmatchedRequests).toBe(0);
+    });
+  });
+
+  describe('_completeValidated', () => {
+    const request = (messages) => ({
+      task: 'proposalExtraction',
+      messages,
+      temperature: 0.3,
+      schema: PROPOSAL_SCHEMA,
+      documentType: 'proposal',
+      documentId: 'test-retry',
+    });
+
+    it('sends the validation errors back and accepts the corrected response', async () => {
+      const complete = jest.spyOn(stub, 'complete');
+      const result = await openAiService._completeValidated(getTaskModel('proposalExtraction'), request(documents.RETRY_MESSAGES));
+
+      expect(result.attempts).toBe(2);
+      expect(result.errors).toEqual([]);
+      expect(result.data).toEqual(documents.CORRECTED_RESPONSE);
+      expect(stub.unmatchedRequests).toBe(0);
+
+      const retry = complete.mock.calls[1][0].messages;
+      expect(retry).toHaveLength(4);
+      expect(retry[2]).toEqual({ role: 'assistant', content: documents.INVALID_RESPONSE });
+      expect(retry[3].content).toContain('systemSize');
+      expect(retry[3].content).toContain('panelWattage');
+      expect(logExtraction).toHaveBeenCalledWith('proposal', 'validation_error', expect.objectContaining({ attempt: 1 }), 'test-retry');
+      complete.mockRestore();
+    });
+
+    it('keeps only the valid values when every attempt breaks the schema', async () => {
+      const result = await openAiService._completeValidated(getTaskModel('proposalExtraction'), request(documents.INVALID_MESSAGES));
+
+      expect(result.attempts).toBe(3);
+      expect(result.errors.map(error => error.path)).toEqual(['systemSize', 'panelWattage']);
+      expect(result.data).toMatchObject({ systemSize: null, panelWattage: null, panelQuantity: 12 });
+      expect(stub.unmatchedRequests).toBe(0);
+    });
+  });
+});
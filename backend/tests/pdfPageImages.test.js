@@ -0,0 +1,38 @@
+const sharp = require('sharp');
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+const { extractPageImages } = require('../src/utils/pdfPageImages');
+const { buildPdf } = require('./fixtures/buildPdf');
+
+describe('pdfPageImages.extractPageImages', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('converts a page scan to PNG', async () => {
+    const pdf = buildPdf({ images: [{ width: 400, height: 500 }] });
+
+    const [page] = await extractPageImages(pdf, [1]);
+
+    expect(page.number).toBe(1);
+    expect(page.images).toHaveLength(1);
+    await expect(sharp(page.images[0]).metadata()).resolves.toMatchObject({ format: 'png', width: 400, height: 500 });
+  });
+
+  it('skips logos below the OCR size', async () => {
+    const pdf = buildPdf({ images: [{ width: 64, height: 64 }] });
+
+    const [page] = await extractPageImages(pdf, [1]);
+
+    expect(page.images).toEqual([]);
+  });
+
+  it('refuses a small PDF claiming a huge image before pdf.js decodes it', async () => {
+    // 8000 × 8000 pixels (64 megapixels) compress to a few kilobytes
+    const pdf = buildPdf({ images: [{ width: 8000, height: 8000 }] });
+    expect(pdf.length).toBeLessThan(100 * 1024);
+    const getDocument = jest.spyOn(PDFJS, 'getDocument');
+
+    await expect(extractPageImages(pdf, [1])).rejects.toThrow('8000 × 8000 pixel image');
+    expect(getDocument).not.toHaveBeenCalled();
+  });
+});
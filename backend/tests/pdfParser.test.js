@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseProposalPdf } = require('../src/utils/pdfParser');
+const openAiService = require('../src/services/openAiService');
+const { buildPdf } = require('./fixtures/buildPdf');
+
+/**
+ * Write a one-page proposal PDF with the given lines of text
+ * @param {Array<string>} lines - Text lines, top to bottom
+ * @returns {string} - Path of the written file
+ */
+const writeProposal = (lines) => {
+  const text = lines.map((line, index) => `${index === 0 ? '72 720 Td' : '0 -18 Td'} (${line}) Tj`).join('\n');
+  const filePath = path.join(os.tmpdir(), `proposal-${process.pid}-${Date.now()}.pdf`);
+  fs.writeFileSync(filePath, buildPdf({
+    content: `BT /F1 12 Tf\n${text}\nET`,
+    resources: '/Font << /F1 5 0 R >> ',
+    objects: ['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'],
+  }));
+  return filePath;
+};
+
+describe('parseProposalPdf net cost', () => {
+  let filePath;
+
+  beforeEach(() => {
+    jest.spyOn(openAiService, 'extractProposalData').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (filePath) fs.rmSync(filePath, { force: true });
+  });
+
+  it('keeps a printed net cost', async () => {
+    filePath = writeProposal([
+      'System Size: 7.2 kW',
+      'Total System Cost: $25,200',
+      'Federal Tax Credit: $7,560',
+      'Net Cost: $17,640',
+    ]);
+
+    const data = await parseProposalPdf(filePath, 'test-printed-net-cost');
+
+    expect(data.pricing).toMatchObject({ totalCost: 25200, netCost: 17640 });
+    expect(data.missingFields).toEqual([]);
+  });
+
+  it('leaves a net cost that is not printed missing instead of deriving it', async () => {
+    filePath = writeProposal([
+      'System Size: 7.2 kW',
+      'Total System Cost: $25,200',
+      'Federal Tax Credit: $7,560',
+    ]);
+
+    const data = await parseProposalPdf(filePath, 'test-gross-only');
+
+    expect(data.pricing.totalCost).toBe(25200);
+    expect(data.pricing.netCost).toBeUndefined();
+    expect(data.missingFields).toEqual(['pricing.netCost']);
+    expect(data.failedChecks.map(({ check }) => check)).not.toContain('net-cost');
+  });
+
+  it('does not derive the net cost from a model extraction either', async () => {
+    openAiService.extractProposalData.mockResolvedValue({
+      systemSize: 7.2,
+      pricing: { totalCost: 25200, federalTaxCredit: null, stateRebates: null, netCost: null },
+    });
+    filePath = writeProposal(['System Size: 7.2 kW', 'Total System Cost: $25,200']);
+
+    const data = await parseProposalPdf(filePath, 'test-model-gross-only');
+
+    expect(data.pricing.netCost).toBeNull();
+    expect(data.fieldProvenance.pricing.source).toBe('openai');
+    expect(data.missingFields).toEqual(['pricing.netCost']);
+  });
+});
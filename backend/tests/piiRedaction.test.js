@@ -0,0 +1,83 @@
+const { redactPii, restorePii, countRedactions } = require('../src/utils/piiRedaction');
+
+describe('redactPii', () => {
+  it('replaces labeled and free-standing personal details', () => {
+    const { text, replacements } = redactPii([
+      'Customer Name: Jane Q Doe',
+      'Service Address: 42 Elm Street, Springfield, IL 62704',
+      'Account Number: 1234-5678-90',
+      'Questions? Call (555) 123-4567 or email jane@example.com',
+    ].join('\n'));
+
+    expect(text).toBe([
+      'Customer Name: [NAME_1]',
+      'Service Address: [ADDRESS_1]',
+      'Account Number: [ACCOUNT_1]',
+      'Questions? Call [PHONE_1] or email [EMAIL_1]',
+    ].join('\n'));
+    expect(replacements).toEqual({
+      '[NAME_1]': 'Jane Q Doe',
+      '[ADDRESS_1]': '42 Elm Street, Springfield, IL 62704',
+      '[ACCOUNT_1]': '1234-5678-90',
+      '[PHONE_1]': '(555) 123-4567',
+      '[EMAIL_1]': 'jane@example.com',
+    });
+  });
+
+  it('only replaces the detected span, not the same digits elsewhere', () => {
+    const { text, replacements } = redactPii('Meter # 1009 Usage 1009 kWh Total 10090 kWh');
+
+    expect(text).toBe('Meter # [ACCOUNT_1] Usage 1009 kWh Total 10090 kWh');
+    expect(replacements).toEqual({ '[ACCOUNT_1]': '1009' });
+  });
+
+  it('gives a repeated value the same placeholder', () => {
+    const { text, replacements } = redactPii('Account #: 55501234\nPrevious bill for account # 55501234');
+
+    expect(text).toBe('Account #: [ACCOUNT_1]\nPrevious bill for account # [ACCOUNT_1]');
+    expect(Object.keys(replacements)).toEqual(['[ACCOUNT_1]']);
+  });
+
+  it('does not redact a span twice when detectors overlap', () => {
+    const { text } = redactPii('Service Address: 42 Elm Street, Springfield, IL 62704\n');
+
+    expect(text).toBe('Service Address: [ADDRESS_1]\n');
+  });
+
+  it('leaves text without personal details unchanged', () => {
+    const input = 'Total usage 812 kWh\nRate $0.21/kWh';
+
+    expect(redactPii(input)).toEqual({ text: input, replacements: {} });
+  });
+});
+
+describe('restorePii', () => {
+  const replacements = { '[NAME_1]': 'Jane Q Doe', '[ACCOUNT_1]': '1009' };
+
+  it('restores placeholders inside nested responses', () => {
+    const restored = restorePii({
+      customerName: '[NAME_1]',
+      meters: [{ id: 'Meter [ACCOUNT_1]', usage: 1009 }],
+      paid: true,
+    }, replacements);
+
+    expect(restored).toEqual({
+      customerName: 'Jane Q Doe',
+      meters: [{ id: 'Meter 1009', usage: 1009 }],
+      paid: true,
+    });
+  });
+
+  it('keeps placeholders it has no value for', () => {
+    expect(restorePii('[PHONE_3]', replacements)).toBe('[PHONE_3]');
+  });
+
+  it('round-trips a redacted text', () => {
+    const original = 'Bill to: John Smith\nAccount No. AB12345 due 06/01';
+    const { text, replacements: found } = redactPii(original);
+
+    expect(text).not.toContain('John Smith');
+    expect(restorePii(text, found)).toBe(original);
+    expect(countRedactions(found)).toEqual({ NAME: 1, ACCOUNT: 1 });
+  });
+});
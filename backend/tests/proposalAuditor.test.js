@@ -0,0 +1,26 @@
+const { auditProposal } = require('../src/utils/proposalAuditor');
+
+const proposalData = { systemSize: 7, estimatedProduction: 14000, fieldProvenance: {} };
+
+const productionFinding = (source) => auditProposal({
+  proposalData,
+  productionEstimate: { annualProduction: 9800, source },
+  monthlyBreakdown: [],
+}).findings.find(({ code }) => code === 'production-overstated');
+
+describe('proposalAuditor production check', () => {
+  it('raises a high-severity overclaim against PVWatts output for the location', () => {
+    const finding = productionFinding('pvwatts');
+
+    expect(finding.severity).toBe('high');
+    expect(finding.message).toContain('PVWatts expects 9,800 kWh for the proposed 7 kW system at this location.');
+  });
+
+  it('holds an overclaim against the generic estimate at medium and names no location', () => {
+    const finding = productionFinding('estimate');
+
+    expect(finding.severity).toBe('medium');
+    expect(finding.message).toContain('a generic per-kW estimate expects 9,800 kWh for the proposed 7 kW system.');
+    expect(finding.message).not.toMatch(/PVWatts|at this location/);
+  });
+});
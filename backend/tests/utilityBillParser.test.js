@@ -0,0 +1,32 @@
+const path = require('path');
+
+// Pattern extraction only: the language model is left unconfigured
+process.env.LLM_UTILITY_BILL_PROVIDER = 'openai';
+delete process.env.OPENAI_API_KEY;
+
+const { parseUtilityBillPdf } = require('../src/utils/utilityBillParser');
+const { extractElectricityRate } = require('../src/utils/imageProcessor');
+
+const BILL = path.join(__dirname, '../samples/extraction-corpus/pge-january-bill.pdf');
+
+describe('extractElectricityRate', () => {
+  it('reads a printed rate', () => {
+    expect(extractElectricityRate('Energy charge rate: $0.2875 per kWh')).toBe(0.2875);
+  });
+
+  it("doesn't derive a rate the bill doesn't print", () => {
+    expect(extractElectricityRate('Total Amount Due: $248.37\nTotal Usage: 712 kWh')).toBeNull();
+  });
+});
+
+describe('parseUtilityBillPdf', () => {
+  it('derives the effective rate of a bill without a printed rate with default provenance', async () => {
+    const billData = await parseUtilityBillPdf(BILL);
+
+    expect(billData.totalAmount).toBe(248.37);
+    expect(billData.energyUsage).toBe(712);
+    expect(billData.rate).toBe(0.3488);
+    expect(billData.fieldProvenance.rate).toMatchObject({ source: 'default' });
+    expect(billData.missingFields).toEqual([]);
+  });
+});
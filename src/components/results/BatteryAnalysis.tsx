@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { BatteryCharging, Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import type { BatteryAnalysis as BatteryAnalysisType, BatteryStrategy } from '@/lib/types';
+import api from '@/lib/api';
+import axios from 'axios';
+
+const inputClassName = 'flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50';
+
+const formatDollars = (value: number) =>
+  `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+
+interface BatteryAnalysisProps {
+  resultId: string;
+}
+
+const BatteryAnalysis = ({ resultId }: BatteryAnalysisProps) => {
+  const [data, setData] = useState<BatteryAnalysisType | null>(null);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [running, setRunning] = useState<boolean>(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Defaults match a typical 13.5 kWh / 5 kW home battery
+  const [capacityKwh, setCapacityKwh] = useState<string>('13.5');
+  const [powerKw, setPowerKw] = useState<string>('5');
+  const [efficiency, setEfficiency] = useState<string>('90');
+  const [strategy, setStrategy] = useState<BatteryStrategy>('self-consumption');
+  const [allowGridCharging, setAllowGridCharging] = useState<boolean>(false);
+
+  useEffect(() => {
+    const fetchBatteryAnalysis = async () => {
+      try {
+        setLoading(true);
+        const response = await api.get(`/api/results/battery/${resultId}`);
+        setData(response.data);
+        setError(null);
+      } catch {
+        // A 404 just means no battery has been analyzed yet
+        setData(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchBatteryAnalysis();
+  }, [resultId]);
+
+  const handleAnalyze = async () => {
+    try {
+      setRunning(true);
+      const response = await api.post(`/api/results/battery/${resultId}`, {
+        capacityKwh: parseFloat(capacityKwh),
+        powerKw: parseFloat(powerKw),
+        roundTripEfficiency: parseFloat(efficiency) / 100,
+        strategy,
+        allowGridCharging: strategy === 'tou-arbitrage' && allowGridCharging,
+      });
+      setData(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error running battery analysis:', err);
+      const message = axios.isAxiosError(err) ? err.response?.data?.message : null;
+      setError(message || 'Failed to run battery analysis');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <Card className="shadow-sm">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <BatteryCharging className="h-5 w-5 text-primary" />
+          Battery Storage
+        </CardTitle>
+        <CardDescription>
+          Simulate adding a home battery to see the extra bill savings, backup time and payback
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="text-sm font-medium">Capacity (kWh)</label>
+            <input
+              type="number"
+              value={capacityKwh}
+              onChange={(e) => setCapacityKwh(e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="text-sm font-medium">Power (kW)</label>
+            <input
+              type="number"
+              value={powerKw}
+              onChange={(e) => setPowerKw(e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="text-sm font-medium">Round-Trip Efficiency (%)</label>
+            <input
+              type="number"
+              value={efficiency}
+              onChange={(e) => setEfficiency(e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="text-sm font-medium">Strategy</label>
+            <select
+              value={strategy}
+              onChange={(e) => setStrategy(e.target.value as BatteryStrategy)}
+              className={inputClassName}
+            >
+              <option value="self-consumption">Self-consumption</option>
+              <option value="tou-arbitrage">TOU arbitrage</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          {strategy === 'tou-arbitrage' ? (
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={allowGridCharging}
+                onChange={(e) => setAllowGridCharging(e.target.checked)}
+              />
+              Allow charging from the grid in off-peak hours
+            </label>
+          ) : <span />}
+          <Button onClick={handleAnalyze} disabled={running}>
+            {running && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Analyze Battery
+          </Button>
+        </div>
+
+        {error && <div className="text-center text-red-500">{error}</div>}
+
+        {loading ? (
+          <div className="flex justify-center items-center py-8">
+            <Loader2 className="h-8 w-8 text-primary animate-spin" />
+          </div>
+        ) : data && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="bg-muted/50 rounded-lg p-4">
+              <p className="text-sm text-muted-foreground">Added Annual Savings</p>
+              <p className={`text-xl font-semibold ${data.addedAnnualSavings >= 0 ? 'text-solar-600' : 'text-red-600'}`}>
+                {formatDollars(data.addedAnnualSavings)}
+              </p>
+              <p className="text-xs text-muted-foreground">
+                {formatDollars(data.annualBillWithSolar)} → {formatDollars(data.annualBillWithBattery)} per year
+              </p>
+            </div>
+            <div className="bg-muted/50 rounded-lg p-4">
+              <p className="text-sm text-muted-foreground">Backup Time</p>
+              <p className="text-xl font-semibold">{data.backupHours} hours</p>
+              <p className="text-xs text-muted-foreground">
+                {data.inputs.criticalLoadKw} kW critical load · {data.backupHoursAtReserve} hours from reserve
+              </p>
+            </div>
+            <div className="bg-muted/50 rounded-lg p-4">
+              <p className="text-sm text-muted-foreground">Net Cost</p>
+              <p className="text-xl font-semibold">{formatDollars(data.netCost)}</p>
+              <p className="text-xs text-muted-foreground">
+                {formatDollars(data.cost)} less {formatDollars(data.taxCredit + data.rebate)} in incentives
+              </p>
+            </div>
+            <div className="bg-muted/50 rounded-lg p-4">
+              <p className="text-sm text-muted-foreground">Payback</p>
+              <p className="text-xl font-semibold">
+                {data.paybackPeriod === null ? 'Not within lifetime' : `${data.paybackPeriod} years`}
+              </p>
+              <p className="text-xs text-muted-foreground">
+                {formatDollars(data.lifetimeSavings)} saved over {data.lifetimeYears} years
+              </p>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BatteryAnalysis;
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Leaf, TreePine, Car, Factory, Loader2, Bot } from 'lucide-react';
 import axios from 'axios';
+import api from '@/lib/api';
 import { Badge } from '@/components/ui/badge';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import type { EnvironmentalImpactType } from '@/lib/types';
@@ -18,7 +19,11 @@ const defaultData = {
   dataSource: 'loading'
 };
 
-const EnvironmentalImpact = () => {
+interface EnvironmentalImpactProps {
+  resultId: string;
+}
+
+const EnvironmentalImpact = ({ resultId }: EnvironmentalImpactProps) => {
   const [data, setData] = useState<EnvironmentalImpactType>(defaultData);
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
@@ -27,7 +32,7 @@ const EnvironmentalImpact = () => {
     const fetchEnvironmentalImpact = async () => {
       try {
         setLoading(true);
-        const response = await axios.get('/api/results/environmental-impact');
+        const response = await api.get(`/api/results/environmental-impact/${resultId}`);
         setData(response.data);
         setError(null);
       } catch (err) {
@@ -35,7 +40,7 @@ const EnvironmentalImpact = () => {
         setError('Failed to load environmental impact data. We will use estimated values.');
         // Try to get data from external API with system size only
         try {
-          const proposalResponse = await axios.get('/api/results/proposal-analysis');
+          const proposalResponse = await api.get(`/api/results/proposal-analysis/${resultId}`);
           if (proposalResponse.data?.systemSize) {
             const systemSize = parseFloat(proposalResponse.data.systemSize);
             if (!isNaN(systemSize)) {
@@ -54,7 +59,7 @@ const EnvironmentalImpact = () => {
     };
     
     fetchEnvironmentalImpact();
-  }, []);
+  }, [resultId]);
 
   // Function to render data source badge
   const renderDataSourceBadge = () => {
@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Landmark, Loader2 } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import type { FinancingScenario, FinancingType } from '@/lib/types';
+import api from '@/lib/api';
+
+const TYPE_LABELS: Record<FinancingType, string> = {
+  cash: 'Cash Purchase',
+  loan: 'Solar Loan',
+  lease: 'Lease',
+  ppa: 'Power Purchase Agreement',
+};
+
+const formatDollars = (value: number) =>
+  `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+
+// Short description of the quoted terms for each option
+const describeTerms = (scenario: FinancingScenario) => {
+  const { terms } = scenario;
+  switch (scenario.type) {
+    case 'cash':
+      return `${formatDollars(terms.netCost)} after incentives`;
+    case 'loan':
+      return [
+        terms.apr !== undefined && `${terms.apr}% APR`,
+        `${scenario.termYears} years`,
+        terms.dealerFeePercent !== undefined && `${terms.dealerFeePercent}% dealer fee`,
+      ].filter(Boolean).join(' · ');
+    case 'lease':
+      return `${scenario.termYears} years · ${terms.escalatorPercent}% annual escalator`;
+    case 'ppa':
+      return `$${terms.ratePerKwh}/kWh · ${terms.escalatorPercent}% annual escalator`;
+    default:
+      return '';
+  }
+};
+
+interface FinancingComparisonProps {
+  resultId: string;
+}
+
+const FinancingComparison = ({ resultId }: FinancingComparisonProps) => {
+  const [data, setData] = useState<FinancingScenario[]>([]);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchFinancingScenarios = async () => {
+      try {
+        setLoading(true);
+        const response = await api.get(`/api/results/financing/${resultId}`);
+        setData(response.data);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching financing scenarios:', err);
+        setError('Failed to load financing comparison');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchFinancingScenarios();
+  }, [resultId]);
+
+  return (
+    <Card className="shadow-sm">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Landmark className="h-5 w-5 text-primary" />
+          Financing Options
+        </CardTitle>
+        <CardDescription>
+          Monthly payments for each offer compared with your estimated bill savings
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {loading ? (
+          <div className="flex justify-center items-center py-8">
+            <Loader2 className="h-8 w-8 text-primary animate-spin" />
+          </div>
+        ) : error ? (
+          <div className="text-center text-red-500 py-4">{error}</div>
+        ) : data.length === 0 ? (
+          <div className="text-center text-muted-foreground py-4">
+            No pricing or financing terms were found in your proposal.
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full border-collapse min-w-[700px]">
+              <thead>
+                <tr className="bg-muted">
+                  <th className="text-left p-3 font-medium">Option</th>
+                  <th className="text-left p-3 font-medium">Upfront</th>
+                  <th className="text-left p-3 font-medium">Monthly Payment</th>
+                  <th className="text-left p-3 font-medium">Bill Savings</th>
+                  <th className="text-left p-3 font-medium">Net per Month</th>
+                  <th className="text-left p-3 font-medium">Lifetime Net</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.map((scenario, index) => (
+                  <tr
+                    key={scenario.type}
+                    className={`border-t hover:bg-muted/50 transition-colors ${
+                      index % 2 === 0 ? 'bg-background' : 'bg-muted/30'
+                    }`}
+                  >
+                    <td className="p-3">
+                      <p className="font-medium">{TYPE_LABELS[scenario.type]}</p>
+                      <p className="text-xs text-muted-foreground">{describeTerms(scenario)}</p>
+                    </td>
+                    <td className="p-3">{formatDollars(scenario.upfrontCost)}</td>
+                    <td className="p-3">{formatDollars(scenario.averageMonthlyPayment)}</td>
+                    <td className="p-3">{formatDollars(scenario.averageMonthlyBillSavings)}</td>
+                    <td className={`p-3 font-medium ${scenario.netMonthlySavings >= 0 ? 'text-solar-600' : 'text-red-600'}`}>
+                      {formatDollars(scenario.netMonthlySavings)}
+                    </td>
+                    <td className="p-3">
+                      <div className="flex items-center gap-2">
+                        <span>{formatDollars(scenario.lifetimeNetSavings)}</span>
+                        {scenario.savesMoneyLifetime ? (
+                          <Badge variant="outline" className="bg-green-50 text-green-700 border-green-200">
+                            Saves money
+                          </Badge>
+                        ) : (
+                          <Badge variant="outline" className="bg-red-50 text-red-700 border-red-200">
+                            Costs more
+                          </Badge>
+                        )}
+                      </div>
+                      <p className="text-xs text-muted-foreground">over {scenario.evaluationYears} years</p>
+                      {(scenario.incentives || scenario.ownershipCosts) ? (
+                        <p className="text-xs text-muted-foreground">
+                          incl. {formatDollars(scenario.incentives || 0)} incentives, {formatDollars(scenario.ownershipCosts || 0)} O&amp;M and inverter
+                        </p>
+                      ) : null}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default FinancingComparison;
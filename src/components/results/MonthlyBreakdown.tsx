@@ -2,13 +2,17 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { CalendarDays, Loader2 } from 'lucide-react';
 import type { MonthlyBreakdownItem } from '@/lib/types';
-import axios from 'axios';
+import api from '@/lib/api';
 import { PROPOSAL_UPDATED_EVENT } from './ProposalAnalysis';
 
 // Default empty data for loading state
 const defaultData: MonthlyBreakdownItem[] = [];
 
-const MonthlyBreakdown = () => {
+interface MonthlyBreakdownProps {
+  resultId: string;
+}
+
+const MonthlyBreakdown = ({ resultId }: MonthlyBreakdownProps) => {
   const [data, setData] = useState<MonthlyBreakdownItem[]>(defaultData);
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
@@ -17,7 +21,7 @@ const MonthlyBreakdown = () => {
   const fetchMonthlyBreakdown = useCallback(async () => {
     try {
       setLoading(true);
-      const response = await axios.get('/api/results/monthly-breakdown');
+      const response = await api.get(`/api/results/monthly-breakdown/${resultId}`);
       setData(response.data);
       setError(null);
     } catch (err) {
@@ -26,7 +30,7 @@ const MonthlyBreakdown = () => {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [resultId]);
   
   // Initial data fetch and set up event listener for proposal updates
   useEffect(() => {
@@ -65,7 +69,7 @@ const MonthlyBreakdown = () => {
           <div className="text-center text-red-500 py-4">{error}</div>
         ) : (
           <div className="overflow-x-auto">
-            <table className="w-full border-collapse min-w-[600px]">
+            <table className="w-full border-collapse min-w-[900px]">
               <thead>
                 <tr className="bg-muted">
                   <th className="text-left p-3 font-medium">Month</th>
@@ -73,6 +77,9 @@ const MonthlyBreakdown = () => {
                   <th className="text-left p-3 font-medium">Grid Usage</th>
                   <th className="text-left p-3 font-medium">Savings</th>
                   <th className="text-left p-3 font-medium">New Bill</th>
+                  <th className="text-left p-3 font-medium">Exported</th>
+                  <th className="text-left p-3 font-medium">Credits Carried</th>
+                  <th className="text-left p-3 font-medium">Credits Forfeited</th>
                 </tr>
               </thead>
               <tbody>
@@ -88,6 +95,9 @@ const MonthlyBreakdown = () => {
                     <td className="p-3">{item.gridUsage}</td>
                     <td className="p-3 text-solar-600 font-medium">{item.savings}</td>
                     <td className="p-3">{item.newBill}</td>
+                    <td className="p-3">{item.exported}</td>
+                    <td className="p-3">{item.creditCarriedForward}</td>
+                    <td className="p-3">{item.creditForfeited}</td>
                   </tr>
                 ))}
               </tbody>
@@ -1,8 +1,8 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
-import { BadgeCheck, Sun, Zap, Loader2, Bot } from 'lucide-react';
-import type { ProposalAnalysis as ProposalAnalysisType } from '@/lib/types';
-import axios from 'axios';
+import { BadgeCheck, Sun, Zap, Loader2, Bot, ShieldAlert, ShieldCheck } from 'lucide-react';
+import type { AuditSeverity, ProposalAnalysis as ProposalAnalysisType } from '@/lib/types';
+import api from '@/lib/api';
 import { Badge } from '@/components/ui/badge';
 
 // Event name for signaling that proposal values have changed
@@ -14,6 +14,13 @@ interface EnhancedProposalAnalysisType extends ProposalAnalysisType {
   generatedFromError?: boolean;
 }
 
+const SEVERITY_STYLES: Record<AuditSeverity, { label: string; className: string }> = {
+  high: { label: 'High', className: 'bg-red-50 text-red-700 border-red-200' },
+  medium: { label: 'Medium', className: 'bg-amber-50 text-amber-700 border-amber-200' },
+  low: { label: 'Low', className: 'bg-blue-50 text-blue-700 border-blue-200' },
+  info: { label: 'Info', className: 'bg-muted text-muted-foreground' },
+};
+
 // Default data for loading state or when API fails
 const defaultData: EnhancedProposalAnalysisType = {
   systemSize: '...',
@@ -25,7 +32,11 @@ const defaultData: EnhancedProposalAnalysisType = {
   savings: '...',
 };
 
-const ProposalAnalysis = () => {
+interface ProposalAnalysisProps {
+  resultId: string;
+}
+
+const ProposalAnalysis = ({ resultId }: ProposalAnalysisProps) => {
   const [data, setData] = useState<EnhancedProposalAnalysisType>(defaultData);
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
@@ -34,7 +45,7 @@ const ProposalAnalysis = () => {
   const fetchProposalAnalysis = useCallback(async () => {
     try {
       setLoading(true);
-      const response = await axios.get('/api/results/proposal-analysis');
+      const response = await api.get(`/api/results/proposal-analysis/${resultId}`);
       setData(response.data);
       setError(null);
     } catch (err) {
@@ -43,7 +54,7 @@ const ProposalAnalysis = () => {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [resultId]);
   
   useEffect(() => {
     fetchProposalAnalysis();
@@ -77,6 +88,37 @@ const ProposalAnalysis = () => {
     }
   };
   
+  // Findings are already sorted by severity; results generated before the audit have none
+  const renderAuditFindings = () => {
+    if (!data.auditFindings || data.auditFindings.length === 0) return null;
+
+    const hasRedFlags = data.auditFindings.some(finding => finding.severity !== 'info');
+
+    return (
+      <div className="mt-6 border-t pt-4 space-y-3">
+        <h4 className="font-medium flex items-center gap-2">
+          {hasRedFlags ? (
+            <ShieldAlert className="h-5 w-5 text-amber-600" />
+          ) : (
+            <ShieldCheck className="h-5 w-5 text-green-600" />
+          )}
+          {hasRedFlags ? 'Red Flags' : 'No red flags found'}
+        </h4>
+        {data.auditFindings.map(finding => (
+          <div key={finding.code} className="flex items-start gap-3">
+            <Badge variant="outline" className={`shrink-0 ${SEVERITY_STYLES[finding.severity].className}`}>
+              {SEVERITY_STYLES[finding.severity].label}
+            </Badge>
+            <div>
+              <p className="text-sm font-medium">{finding.title}</p>
+              <p className="text-sm text-muted-foreground">{finding.message}</p>
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
   return (
     <Card className="shadow-sm">
       <CardHeader className="pb-2">
@@ -136,6 +178,7 @@ const ProposalAnalysis = () => {
             </div>
           </div>
         )}
+        {!loading && !error && renderAuditFindings()}
       </CardContent>
     </Card>
   );
@@ -2,12 +2,12 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Zap, DollarSign, Loader2 } from 'lucide-react';
 import type { UtilityBillAnalysis as UtilityBillAnalysisType } from '@/lib/types';
-import axios from 'axios';
+import api from '@/lib/api';
 import { PROPOSAL_UPDATED_EVENT } from './ProposalAnalysis';
 
 // Default data for loading state
 const defaultData: Partial<UtilityBillAnalysisType> = {
-  energyUsage: '1,542 kWh/month',
+  energyUsage: '...',
   savingsBreakdown: {
     monthly: '...',
     yearly: '...',
@@ -15,7 +15,11 @@ const defaultData: Partial<UtilityBillAnalysisType> = {
   },
 };
 
-const UtilityBillAnalysis = () => {
+interface UtilityBillAnalysisProps {
+  resultId: string;
+}
+
+const UtilityBillAnalysis = ({ resultId }: UtilityBillAnalysisProps) => {
   const [data, setData] = useState<Partial<UtilityBillAnalysisType>>(defaultData);
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
@@ -24,13 +28,8 @@ const UtilityBillAnalysis = () => {
   const fetchUtilityBillAnalysis = useCallback(async () => {
     try {
       setLoading(true);
-      const response = await axios.get('/api/results/utility-bill-analysis');
-      
-      // Keep the same energy usage but update the savings values
-      setData({
-        ...response.data,
-        energyUsage: defaultData.energyUsage // Always keep this constant
-      });
+      const response = await api.get(`/api/results/utility-bill-analysis/${resultId}`);
+      setData(response.data);
       
       setError(null);
     } catch (err) {
@@ -39,7 +38,7 @@ const UtilityBillAnalysis = () => {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [resultId]);
   
   // Initial data fetch and set up event listener
   useEffect(() => {
@@ -81,7 +80,28 @@ const UtilityBillAnalysis = () => {
             <div className="mb-6">
               <p className="text-sm text-muted-foreground mb-1">Average Energy Usage</p>
               <p className="text-xl font-semibold">{data.energyUsage}</p>
+              {data.usageHistory && (
+                <p className="text-xs text-muted-foreground mt-1">
+                  {data.usageHistory.source === 'interval-data'
+                    ? 'Hourly usage from your Green Button data'
+                    : data.usageHistory.source === 'usage-history'
+                      ? `Seasonal usage from ${data.usageHistory.measuredMonths} of 12 months of bill history`
+                      : 'Seasonal usage estimated from a single bill'}
+                </p>
+              )}
             </div>
+
+            {data.tariff && (
+              <div className="mb-6">
+                <p className="text-sm text-muted-foreground mb-1">Rate Plan</p>
+                <p className="text-base font-medium">{data.tariff}</p>
+                {data.rateSource === 'tariff' && !data.rate && (
+                  <p className="text-xs text-muted-foreground mt-1">
+                    The bill states no rate, so bills are calculated from the utility's published tariff
+                  </p>
+                )}
+              </div>
+            )}
             
             <h4 className="text-lg font-semibold mb-4 flex items-center gap-2">
               <DollarSign className="h-5 w-5 text-accent-500" />
@@ -0,0 +1,213 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { AlertTriangle, Loader2, Save } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { toast } from 'sonner';
+import axios from 'axios';
+import api from '@/lib/api';
+import type { CorrectionResponse, ExtractedDataReview as ExtractedDataReviewType, ExtractedField, ExtractedFieldSource } from '@/lib/types';
+
+const DOCUMENT_ENDPOINTS: Record<ExtractedDataReviewType['kind'], string> = {
+  proposal: '/api/proposals',
+  utilityBill: '/api/utility-bills',
+};
+
+const DOCUMENT_TITLES: Record<ExtractedDataReviewType['kind'], string> = {
+  proposal: 'Solar Proposal',
+  utilityBill: 'Utility Bill',
+};
+
+const SOURCE_STYLES: Record<ExtractedFieldSource, { label: string; className: string }> = {
+  template: { label: 'Bill template', className: 'bg-green-50 text-green-700 border-green-200' },
+  'green-button': { label: 'Meter data', className: 'bg-green-50 text-green-700 border-green-200' },
+  openai: { label: 'AI extracted', className: 'bg-green-50 text-green-700 border-green-200' },
+  pattern: { label: 'Pattern extracted', className: 'bg-blue-50 text-blue-700 border-blue-200' },
+  default: { label: 'Estimated', className: 'bg-amber-50 text-amber-700 border-amber-200' },
+  user: { label: 'Corrected', className: 'bg-purple-50 text-purple-700 border-purple-200' },
+};
+
+// Show a field's stored value in its input (dates as YYYY-MM-DD)
+const toInputValue = (field: ExtractedField): string => {
+  if (field.value === null) return '';
+  if (field.type === 'date') return String(field.value).slice(0, 10);
+  return String(field.value);
+};
+
+interface ExtractedDataReviewProps {
+  kind: ExtractedDataReviewType['kind'];
+  documentId: string;
+  // Called with the IDs of the jobs regenerating the analysis after a save
+  onSaved: (jobIds: string[]) => void;
+}
+
+const ExtractedDataReview = ({ kind, documentId, onSaved }: ExtractedDataReviewProps) => {
+  const [review, setReview] = useState<ExtractedDataReviewType | null>(null);
+  const [values, setValues] = useState<Record<string, string>>({});
+  const [reason, setReason] = useState('');
+  const [loading, setLoading] = useState<boolean>(true);
+  const [saving, setSaving] = useState<boolean>(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const applyReview = useCallback((data: ExtractedDataReviewType) => {
+    setReview(data);
+    setValues(Object.fromEntries(data.fields.map(field => [field.path, toInputValue(field)])));
+  }, []);
+
+  const fetchReview = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get<ExtractedDataReviewType>(`${DOCUMENT_ENDPOINTS[kind]}/${documentId}/extracted`);
+      applyReview(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching extracted data:', err);
+      setError('Failed to load the extracted data');
+    } finally {
+      setLoading(false);
+    }
+  }, [kind, documentId, applyReview]);
+
+  useEffect(() => {
+    fetchReview();
+  }, [fetchReview]);
+
+  const changedFields = useMemo(
+    () => (review ? review.fields.filter(field => values[field.path] !== toInputValue(field)) : []),
+    [review, values]
+  );
+
+  const handleSave = useCallback(async () => {
+    if (changedFields.length === 0) return;
+
+    try {
+      setSaving(true);
+      const response = await api.patch<CorrectionResponse>(`${DOCUMENT_ENDPOINTS[kind]}/${documentId}/extracted`, {
+        fields: Object.fromEntries(changedFields.map(field => [field.path, values[field.path] === '' ? null : values[field.path]])),
+        reason: reason.trim() || undefined,
+      });
+      applyReview(response.data.review);
+      setReason('');
+      toast.success(response.data.message);
+      onSaved(response.data.jobIds);
+    } catch (err) {
+      console.error('Error saving corrections:', err);
+      const message = axios.isAxiosError(err) ? err.response?.data?.message : null;
+      toast.error(message || 'Failed to save your corrections. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  }, [kind, documentId, changedFields, values, reason, applyReview, onSaved]);
+
+  const renderSourceBadge = (field: ExtractedField) => {
+    if (!field.source) return null;
+    const style = SOURCE_STYLES[field.source];
+    return (
+      <Badge variant="outline" className={style.className}>
+        {style.label}
+        {field.confidence !== null && ` · ${Math.round(field.confidence * 100)}%`}
+      </Badge>
+    );
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex flex-wrap items-center gap-2">
+          {DOCUMENT_TITLES[kind]}
+          {review?.status === 'needs_review' && (
+            <Badge variant="outline" className="bg-amber-50 text-amber-700 border-amber-200">
+              <AlertTriangle className="h-3 w-3 mr-1" /> Needs review
+            </Badge>
+          )}
+        </CardTitle>
+        <CardDescription>
+          {review
+            ? `${review.originalFilename}${review.pageCount ? ` (${review.pageCount} pages)` : ''}`
+            : 'Loading extracted values...'}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {loading && !review ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-primary" />
+          </div>
+        ) : error || !review ? (
+          <p className="text-sm text-red-500">{error}</p>
+        ) : (
+          <div className="space-y-4">
+            {review.failedChecks.length > 0 && (
+              <div className="rounded-md border border-orange-200 bg-orange-50 p-3">
+                <p className="flex items-center gap-1 text-sm font-medium text-orange-800">
+                  <AlertTriangle className="h-4 w-4" /> Some extracted values don't add up
+                </p>
+                <ul className="mt-2 list-disc pl-5 text-xs text-orange-800 space-y-1">
+                  {review.failedChecks.map(check => (
+                    <li key={check.check}>{check.message}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {review.fields.map(field => (
+              <div
+                key={field.path}
+                className={`rounded-md border p-3 ${
+                  field.missing ? 'border-amber-300 bg-amber-50/50' : field.checkFailed ? 'border-orange-300' : ''
+                }`}
+              >
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                  <Label htmlFor={`${kind}-${field.path}`}>
+                    {field.label}
+                    {field.missing && <span className="ml-2 text-xs text-amber-700">Required - not found</span>}
+                  </Label>
+                  {renderSourceBadge(field)}
+                </div>
+                <Input
+                  id={`${kind}-${field.path}`}
+                  type={field.type === 'number' ? 'number' : field.type === 'date' ? 'date' : 'text'}
+                  step={field.type === 'number' ? 'any' : undefined}
+                  value={values[field.path] ?? ''}
+                  onChange={(e) => setValues(current => ({ ...current, [field.path]: e.target.value }))}
+                  disabled={saving}
+                />
+                {field.snippet && (
+                  <p className="mt-2 text-xs text-muted-foreground font-mono break-words">
+                    {field.page && <span className="mr-1 font-sans font-medium">Page {field.page}:</span>}
+                    {field.snippet}
+                  </p>
+                )}
+              </div>
+            ))}
+
+            <div className="space-y-2">
+              <Label htmlFor={`${kind}-reason`}>Reason for the correction (optional)</Label>
+              <Input
+                id={`${kind}-reason`}
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                disabled={saving}
+              />
+            </div>
+
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <p className="text-xs text-muted-foreground">
+                {review.corrections.length > 0
+                  ? `${review.corrections.length} earlier correction${review.corrections.length === 1 ? '' : 's'}`
+                  : 'No corrections yet'}
+              </p>
+              <Button onClick={handleSave} disabled={saving || changedFields.length === 0} className="flex items-center gap-1">
+                {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+                <span>Save corrections</span>
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ExtractedDataReview;
@@ -1,19 +1,79 @@
 
 import React, { useState, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { File, Upload, FileText, X, Sun, Zap } from 'lucide-react';
+import { File, Upload, FileText, X, Sun, Zap, Activity } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { toast } from 'sonner';
-import { validateProposalFile, validateUtilityBillFile } from '@/lib/validation';
-import type { ProposalFile, UtilityBillFile } from '@/lib/types';
+import axios from 'axios';
+import api from '@/lib/api';
+import { validateProposalFile, validateUtilityBillFile, validateGreenButtonFile } from '@/lib/validation';
+import type { ProposalFile, UtilityBillFile, UploadResponse, JobStatus } from '@/lib/types';
+
+type UploadStage = 'uploading' | 'processing';
+
+// How often to poll the background analysis job
+const JOB_POLL_INTERVAL_MS = 2000;
+
+// The worker reclaims a job whose lock is older than JOB_LOCK_TIMEOUT_MS (10 minutes by default)
+// and fails it after maxAttempts (3), so a job still running after that is not coming back
+const JOB_MAX_WAIT_MS = 3 * 10 * 60 * 1000;
+
+// Status requests in a row that may fail with a network or server error before polling gives up
+const JOB_POLL_MAX_FAILURES = 3;
+
+// Bills from the last 12 months are merged into one usage history
+const MAX_UTILITY_BILLS = 12;
+
+const DOCUMENT_LABELS: Record<string, string> = {
+  proposal: 'Proposal',
+  utilityBill: 'Utility bill',
+};
+
+const wait = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network errors, rate limiting and server errors may clear up on the next poll
+const isTransientError = (err: unknown) =>
+  axios.isAxiosError(err) && (!err.response || err.response.status === 429 || err.response.status >= 500);
+
+/**
+ * Poll a background job until it stops running
+ * Returns null when the job is still queued or running after JOB_MAX_WAIT_MS
+ */
+const pollJob = async (jobId: string, onProgress: (job: JobStatus) => void): Promise<JobStatus | null> => {
+  const deadline = Date.now() + JOB_MAX_WAIT_MS;
+  let failures = 0;
+
+  while (Date.now() < deadline) {
+    await wait(JOB_POLL_INTERVAL_MS);
+
+    let job: JobStatus;
+    try {
+      job = (await api.get<JobStatus>(`/api/jobs/${jobId}`)).data;
+      failures = 0;
+    } catch (err) {
+      failures += 1;
+      if (!isTransientError(err) || failures >= JOB_POLL_MAX_FAILURES) throw err;
+      continue;
+    }
+
+    onProgress(job);
+    if (job.status !== 'queued' && job.status !== 'running') return job;
+  }
+
+  return null;
+};
 
 const FileUpload = () => {
   const navigate = useNavigate();
   const [proposalFile, setProposalFile] = useState<ProposalFile | null>(null);
-  const [utilityBillFile, setUtilityBillFile] = useState<UtilityBillFile | null>(null);
+  const [utilityBillFiles, setUtilityBillFiles] = useState<UtilityBillFile[]>([]);
+  const [greenButtonFile, setGreenButtonFile] = useState<UtilityBillFile | null>(null);
   const [isUploading, setIsUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [uploadStage, setUploadStage] = useState<UploadStage>('uploading');
+  const [processingProgress, setProcessingProgress] = useState(0);
+  const [processingMessage, setProcessingMessage] = useState<string | null>(null);
 
   const handleProposalChange = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
     const file = e.target.files?.[0];
@@ -28,9 +88,33 @@ const FileUpload = () => {
   }, []);
 
   const handleUtilityBillChange = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files || []).filter(file => validateUtilityBillFile(file));
+    // Reset the input so the same file can be picked again after removing it
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setUtilityBillFiles(current => {
+      const added = files
+        .filter(file => !current.some(existing => existing.name === file.name && existing.size === file.size))
+        .map(file => ({
+          file,
+          name: file.name,
+          size: file.size,
+          type: file.type,
+        }));
+      const combined = [...current, ...added];
+      if (combined.length > MAX_UTILITY_BILLS) {
+        toast.error(`You can upload up to ${MAX_UTILITY_BILLS} utility bills.`);
+      }
+      return combined.slice(0, MAX_UTILITY_BILLS);
+    });
+  }, []);
+
+  const handleGreenButtonChange = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
     const file = e.target.files?.[0];
-    if (file && validateUtilityBillFile(file)) {
-      setUtilityBillFile({
+    e.target.value = '';
+    if (file && validateGreenButtonFile(file)) {
+      setGreenButtonFile({
         file,
         name: file.name,
         size: file.size,
@@ -43,8 +127,8 @@ const FileUpload = () => {
     setProposalFile(null);
   }, []);
 
-  const removeUtilityBillFile = useCallback(() => {
-    setUtilityBillFile(null);
+  const removeUtilityBillFile = useCallback((index: number) => {
+    setUtilityBillFiles(current => current.filter((_, position) => position !== index));
   }, []);
 
   const formatFileSize = (bytes: number) => {
@@ -55,35 +139,78 @@ const FileUpload = () => {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   };
 
-  const handleSubmit = useCallback((e: React.FormEvent) => {
+  const handleSubmit = useCallback(async (e: React.FormEvent) => {
     e.preventDefault();
     if (!proposalFile) {
       toast.error('Please upload a solar proposal.');
       return;
     }
-    if (!utilityBillFile) {
-      toast.error('Please upload a utility bill.');
+    if (utilityBillFiles.length === 0 && !greenButtonFile) {
+      toast.error('Please upload a utility bill or Green Button data.');
       return;
     }
 
+    const formData = new FormData();
+    formData.append('proposalFile', proposalFile.file);
+    utilityBillFiles.forEach(utilityBillFile => {
+      formData.append('utilityBillFile', utilityBillFile.file);
+    });
+    if (greenButtonFile) {
+      formData.append('greenButtonFile', greenButtonFile.file);
+    }
+
     setIsUploading(true);
+    setUploadStage('uploading');
+    setUploadProgress(0);
+    setProcessingProgress(0);
+    setProcessingMessage(null);
+
+    try {
+      const response = await api.post<UploadResponse>('/api/upload', formData, {
+        onUploadProgress: (event) => {
+          const percent = event.total ? Math.round((event.loaded / event.total) * 100) : 0;
+          setUploadProgress(percent);
+        },
+      });
+
+      // The server parses and analyzes the documents in a background job
+      setUploadStage('processing');
 
-    // Simulating upload progress
-    const interval = setInterval(() => {
-      setUploadProgress(prev => {
-        if (prev >= 100) {
-          clearInterval(interval);
-          setTimeout(() => {
-            setIsUploading(false);
-            navigate('/results');
-            toast.success('Analysis completed successfully!');
-          }, 500);
-          return 100;
-        }
-        return prev + 5;
+      const job = await pollJob(response.data.jobId, (progress) => {
+        setProcessingProgress(progress.progress);
+        setProcessingMessage(progress.stages.find(stage => stage.status === 'running')?.message || null);
       });
-    }, 200);
-  }, [proposalFile, utilityBillFile, navigate]);
+
+      if (!job) {
+        toast.error('The analysis is taking much longer than expected. Please try uploading again later.');
+        return;
+      }
+
+      if (job.status === 'error') {
+        const failures = job.documents
+          .filter(doc => doc.status === 'error')
+          .map(doc => `${DOCUMENT_LABELS[doc.kind]}: ${doc.error || 'processing failed'}`);
+        toast.error(failures.length > 0
+          ? `Files uploaded but processing had errors. ${failures.join(' ')}`
+          : 'The analysis could not be completed. Please try again.');
+        return;
+      }
+
+      // Extracted values are checked (and filled in where missing) before the results
+      if (job.status === 'needs_review') {
+        toast.warning('Some required values could not be found in your documents. Please fill them in.');
+      } else {
+        toast.success('Analysis completed successfully!');
+      }
+      navigate(`/review/${job.jobId}`);
+    } catch (err) {
+      console.error('Error uploading documents:', err);
+      const message = axios.isAxiosError(err) ? err.response?.data?.message : null;
+      toast.error(message || 'Failed to upload documents. Please try again.');
+    } finally {
+      setIsUploading(false);
+    }
+  }, [proposalFile, utilityBillFiles, greenButtonFile, navigate]);
 
   return (
     <div className="container max-w-4xl mx-auto">
@@ -147,11 +274,31 @@ const FileUpload = () => {
                 Utility Bill
               </CardTitle>
               <CardDescription>
-                Upload your utility bill (PDF or image)
+                Upload your utility bills (PDF or image). Bills from several months give a more accurate usage history.
               </CardDescription>
             </CardHeader>
-            <CardContent>
-              {!utilityBillFile ? (
+            <CardContent className="space-y-3">
+              {utilityBillFiles.map((utilityBillFile, index) => (
+                <div key={`${utilityBillFile.name}-${utilityBillFile.size}`} className="rounded-lg border bg-card p-4">
+                  <div className="flex items-start justify-between">
+                    <div className="flex items-center gap-3">
+                      <div className="bg-primary/10 p-2 rounded-md">
+                        <File className="h-6 w-6 text-primary" />
+                      </div>
+                      <div>
+                        <p className="font-medium">{utilityBillFile.name}</p>
+                        <p className="text-xs text-muted-foreground">
+                          {formatFileSize(utilityBillFile.size)}
+                        </p>
+                      </div>
+                    </div>
+                    <Button type="button" variant="ghost" size="sm" onClick={() => removeUtilityBillFile(index)}>
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+              ))}
+              {utilityBillFiles.length < MAX_UTILITY_BILLS && (
                 <div className="border-2 border-dashed rounded-lg p-6 text-center cursor-pointer hover:bg-muted/50 transition-colors">
                   <input
                     id="utility-upload"
@@ -159,33 +306,58 @@ const FileUpload = () => {
                     className="hidden"
                     onChange={handleUtilityBillChange}
                     accept=".pdf,.jpg,.jpeg,.png"
+                    multiple
                   />
                   <label htmlFor="utility-upload" className="cursor-pointer flex flex-col items-center">
                     <FileText className="h-12 w-12 text-muted-foreground mb-2" />
-                    <p className="font-medium">Click to upload your utility bill</p>
-                    <p className="text-sm text-muted-foreground mt-1">PDF, JPG, PNG (Max 10MB)</p>
+                    <p className="font-medium">
+                      {utilityBillFiles.length === 0
+                        ? 'Click to upload your utility bills'
+                        : 'Add another utility bill'}
+                    </p>
+                    <p className="text-sm text-muted-foreground mt-1">
+                      PDF, JPG, PNG (Max 10MB each, up to {MAX_UTILITY_BILLS} bills)
+                    </p>
                   </label>
                 </div>
-              ) : (
-                <div className="rounded-lg border bg-card p-4">
-                  <div className="flex items-start justify-between">
+              )}
+              <div className="rounded-lg border border-dashed p-3">
+                {!greenButtonFile ? (
+                  <>
+                    <input
+                      id="green-button-upload"
+                      type="file"
+                      className="hidden"
+                      onChange={handleGreenButtonChange}
+                      accept=".xml,.csv"
+                    />
+                    <label htmlFor="green-button-upload" className="cursor-pointer flex items-center gap-3">
+                      <Activity className="h-5 w-5 text-muted-foreground" />
+                      <span className="text-sm">
+                        <span className="font-medium">Have Green Button data?</span>{' '}
+                        <span className="text-muted-foreground">
+                          Add your utility's XML or CSV download for hour-by-hour usage.
+                        </span>
+                      </span>
+                    </label>
+                  </>
+                ) : (
+                  <div className="flex items-center justify-between">
                     <div className="flex items-center gap-3">
-                      <div className="bg-primary/10 p-2 rounded-md">
-                        <File className="h-6 w-6 text-primary" />
-                      </div>
+                      <Activity className="h-5 w-5 text-primary" />
                       <div>
-                        <p className="font-medium">{utilityBillFile.name}</p>
+                        <p className="text-sm font-medium">{greenButtonFile.name}</p>
                         <p className="text-xs text-muted-foreground">
-                          {formatFileSize(utilityBillFile.size)}
+                          Green Button data · {formatFileSize(greenButtonFile.size)}
                         </p>
                       </div>
                     </div>
-                    <Button variant="ghost" size="sm" onClick={removeUtilityBillFile}>
+                    <Button type="button" variant="ghost" size="sm" onClick={() => setGreenButtonFile(null)}>
                       <X className="h-4 w-4" />
                     </Button>
                   </div>
-                </div>
-              )}
+                )}
+              </div>
             </CardContent>
           </Card>
         </div>
@@ -196,18 +368,20 @@ const FileUpload = () => {
               <div className="h-2 w-full bg-muted rounded overflow-hidden">
                 <div 
                   className="h-full bg-primary transition-all duration-300" 
-                  style={{ width: `${uploadProgress}%` }}
+                  style={{ width: `${uploadStage === 'uploading' ? uploadProgress : processingProgress}%` }}
                 ></div>
               </div>
               <p className="text-center text-sm text-muted-foreground">
-                Analyzing your documents... {uploadProgress}%
+                {uploadStage === 'uploading'
+                  ? `Uploading your documents... ${uploadProgress}%`
+                  : `${processingMessage || 'Analyzing your documents'}... ${processingProgress}%`}
               </p>
             </div>
           ) : (
             <Button 
               type="submit" 
               className="w-full md:w-auto bg-solar-600 hover:bg-solar-700"
-              disabled={!proposalFile || !utilityBillFile}
+              disabled={!proposalFile || (utilityBillFiles.length === 0 && !greenButtonFile)}
             >
               <Upload className="mr-2 h-4 w-4" />
               Upload & Analyze Documents
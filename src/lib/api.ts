@@ -0,0 +1,17 @@
+import axios from 'axios';
+
+// Key under which the JWT returned by /api/auth/login is stored
+export const AUTH_TOKEN_KEY = 'token';
+
+// Axios instance for authenticated API calls
+const api = axios.create();
+
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem(AUTH_TOKEN_KEY);
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+export default api;
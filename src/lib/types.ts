@@ -26,6 +26,20 @@ export interface ProposalAnalysis {
   savings: string;
   dataSource?: string; // 'openai', 'pattern-extraction', or 'fallback-generation'
   generatedFromError?: boolean;
+  auditFindings?: ProposalAuditFinding[];
+}
+
+export type AuditSeverity = 'high' | 'medium' | 'low' | 'info';
+
+export interface ProposalAuditFinding {
+  code: string;
+  category: 'production' | 'pricing' | 'system-size' | 'savings' | 'data';
+  severity: AuditSeverity;
+  title: string;
+  message: string;
+  claimedValue?: number;
+  expectedValue?: number;
+  differencePercent?: number;
 }
 
 export interface UtilityBillAnalysis {
@@ -37,8 +51,15 @@ export interface UtilityBillAnalysis {
   };
   energyUsage: string;
   rate?: string;
+  tariff?: string;
+  // 'tariff' when bills were computed from the published tariff rather than the bill's rate
+  rateSource?: 'bill' | 'tariff';
   totalAmount?: string;
   dataSource?: string;
+  usageHistory?: {
+    source: 'interval-data' | 'usage-history' | 'single-bill-estimate';
+    measuredMonths: number;
+  };
   savingsBreakdown?: {
     monthly: string;
     yearly: string;
@@ -52,6 +73,9 @@ export interface MonthlyBreakdownItem {
   gridUsage: string;
   savings: string;
   newBill: string;
+  exported?: string;
+  creditCarriedForward?: string;
+  creditForfeited?: string;
 }
 
 export interface MonthlyBreakdownData {
@@ -73,3 +97,164 @@ export interface EnvironmentalImpactType {
   estimatedProduction: number;
   dataSource?: string;
 }
+export type FinancingType = 'cash' | 'loan' | 'lease' | 'ppa';
+
+export interface FinancingScenario {
+  type: FinancingType;
+  terms: Record<string, number>;
+  upfrontCost: number;
+  // Tax credits and rebates credited to an owner in the first year
+  incentives?: number;
+  // O&M and inverter replacement paid by an owner
+  ownershipCosts?: number;
+  termYears: number;
+  evaluationYears: number;
+  averageMonthlyPayment: number;
+  averageMonthlyBillSavings: number;
+  netMonthlySavings: number;
+  firstYearNetSavings: number;
+  lifetimeNetSavings: number;
+  savesMoneyFirstYear: boolean;
+  savesMoneyLifetime: boolean;
+  monthlyComparison: {
+    month: string;
+    payment: number;
+    billSavings: number;
+    netSavings: number;
+  }[];
+}
+
+export type BatteryStrategy = 'self-consumption' | 'tou-arbitrage';
+
+export interface BatteryInputs {
+  capacityKwh: number;
+  powerKw: number;
+  roundTripEfficiency?: number;
+  reservePercent?: number;
+  strategy?: BatteryStrategy;
+  allowGridCharging?: boolean;
+  criticalLoadKw?: number;
+  cost?: number;
+}
+
+export interface BatteryAnalysis {
+  inputs: Required<BatteryInputs>;
+  annualBillWithSolar: number;
+  annualBillWithBattery: number;
+  addedAnnualSavings: number;
+  energyCharged: number;
+  energyDischarged: number;
+  equivalentCycles: number;
+  selfConsumptionRate: number;
+  backupHours: number;
+  backupHoursAtReserve: number;
+  cost: number;
+  rebate: number;
+  taxCredit: number;
+  netCost: number;
+  lifetimeYears: number;
+  lifetimeSavings: number;
+  npv: number;
+  paybackPeriod: number | null;
+  monthly: {
+    month: string;
+    billWithSolar: number;
+    billWithBattery: number;
+    addedSavings: number;
+  }[];
+  analyzedAt: string;
+}
+
+// Upload API
+export interface UploadResponse {
+  message: string;
+  processingId: string;
+  jobId: string;
+  statusUrl: string;
+  proposalId: string;
+  utilityBillId: string;
+  utilityBillIds?: string[];
+}
+
+// Background jobs
+export type JobStatusValue = 'queued' | 'running' | 'needs_review' | 'completed' | 'error';
+
+export interface JobStage {
+  name: string;
+  status: 'pending' | 'running' | 'needs_review' | 'completed' | 'error';
+  progress: number;
+  message?: string;
+  error?: string;
+}
+
+export interface JobDocument {
+  kind: 'proposal' | 'utilityBill';
+  documentId: string;
+  status: 'pending' | 'processed' | 'needs_review' | 'completed' | 'error';
+  missingFields?: string[];
+  error?: string;
+}
+
+export interface JobStatus {
+  jobId: string;
+  type: string;
+  status: JobStatusValue;
+  progress: number;
+  stages: JobStage[];
+  documents: JobDocument[];
+  resultId: string | null;
+  attempts: number;
+  processingErrors: string[];
+}
+
+
+// Review of extracted document fields
+export type ExtractedFieldSource = 'openai' | 'pattern' | 'template' | 'green-button' | 'user' | 'default';
+
+export interface ExtractedField {
+  path: string;
+  label: string;
+  type: 'number' | 'string' | 'date';
+  value: number | string | null;
+  source: ExtractedFieldSource | null;
+  confidence: number | null;
+  snippet: string | null;
+  page: number | null;
+  missing: boolean;
+  checkFailed: boolean;
+}
+
+export interface FailedCheck {
+  check: string;
+  fields: string[];
+  message: string;
+  actual?: number;
+  expected?: number;
+}
+
+export interface FieldCorrection {
+  field: string;
+  previousValue: number | string | null;
+  value: number | string | null;
+  previousSource?: ExtractedFieldSource;
+  reason?: string;
+  correctedAt: string;
+}
+
+export interface ExtractedDataReview {
+  id: string;
+  kind: 'proposal' | 'utilityBill';
+  originalFilename: string;
+  pageCount: number | null;
+  status: JobDocument['status'];
+  missingFields: string[];
+  failedChecks: FailedCheck[];
+  fields: ExtractedField[];
+  corrections: FieldCorrection[];
+}
+
+export interface CorrectionResponse {
+  message: string;
+  review: ExtractedDataReview;
+  jobIds: string[];
+}
@@ -33,3 +33,19 @@ export const validateUtilityBillFile = (file: File): boolean => {
   
   return true;
 };
+
+export const validateGreenButtonFile = (file: File): boolean => {
+  // Green Button downloads are ESPI XML or CSV; browsers report these under several MIME types
+  if (!/\.(xml|csv)$/i.test(file.name)) {
+    toast.error("Green Button data must be an XML or CSV export");
+    return false;
+  }
+  
+  // Check file size (max 10MB)
+  if (file.size > 10 * 1024 * 1024) {
+    toast.error("Green Button file size must be less than 10MB");
+    return false;
+  }
+  
+  return true;
+};
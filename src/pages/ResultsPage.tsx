@@ -4,13 +4,17 @@ import Footer from '@/components/layout/Footer';
 import ProposalAnalysis from '@/components/results/ProposalAnalysis';
 import UtilityBillAnalysis from '@/components/results/UtilityBillAnalysis';
 import MonthlyBreakdown from '@/components/results/MonthlyBreakdown';
+import FinancingComparison from '@/components/results/FinancingComparison';
+import BatteryAnalysis from '@/components/results/BatteryAnalysis';
 import EnvironmentalImpact from '@/components/results/EnvironmentalImpact';
 import ExternalTools from '@/components/external/ExternalTools';
 import { ArrowLeft, Download, Share2 } from 'lucide-react';
-import { Link } from 'react-router-dom';
+import { Link, useParams } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
 
 const ResultsPage = () => {
+  const { resultId } = useParams<{ resultId: string }>();
+
   return (
     <div className="min-h-screen flex flex-col">
       <Header />
@@ -38,18 +42,33 @@ const ResultsPage = () => {
             </div>
           </div>
           
-          <div className="space-y-8">
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              <ProposalAnalysis />
-              <UtilityBillAnalysis />
+          {resultId ? (
+            <div className="space-y-8">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <ProposalAnalysis resultId={resultId} />
+                <UtilityBillAnalysis resultId={resultId} />
+              </div>
+              
+              <MonthlyBreakdown resultId={resultId} />
+              
+              <FinancingComparison resultId={resultId} />
+              
+              <BatteryAnalysis resultId={resultId} />
+              
+              <EnvironmentalImpact resultId={resultId} />
+              
+              <ExternalTools />
             </div>
-            
-            <MonthlyBreakdown />
-            
-            <EnvironmentalImpact />
-            
-            <ExternalTools />
-          </div>
+          ) : (
+            <div className="rounded-lg border p-8 text-center">
+              <p className="text-muted-foreground mb-4">
+                No analysis selected. Upload your documents to generate one.
+              </p>
+              <Button asChild>
+                <Link to="/upload">Upload Documents</Link>
+              </Button>
+            </div>
+          )}
         </div>
       </main>
       <Footer />
@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Header from '@/components/layout/Header';
+import Footer from '@/components/layout/Footer';
+import ExtractedDataReview from '@/components/review/ExtractedDataReview';
+import { ArrowLeft, ArrowRight, Loader2 } from 'lucide-react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { Button } from '@/components/ui/button';
+import api from '@/lib/api';
+import type { JobStatus } from '@/lib/types';
+
+// How often to poll jobs that are still running after a correction
+const JOB_POLL_INTERVAL_MS = 2000;
+
+const isRunning = (job: JobStatus) => job.status === 'queued' || job.status === 'running';
+
+const ReviewPage = () => {
+  const { jobId } = useParams<{ jobId: string }>();
+  const navigate = useNavigate();
+  const [job, setJob] = useState<JobStatus | null>(null);
+  const [reanalysisJobIds, setReanalysisJobIds] = useState<string[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchJob = useCallback(async () => {
+    try {
+      const response = await api.get<JobStatus>(`/api/jobs/${jobId}`);
+      setJob(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching job:', err);
+      setError('Failed to load your documents');
+    }
+  }, [jobId]);
+
+  useEffect(() => {
+    fetchJob();
+  }, [fetchJob]);
+
+  // Keep polling while the upload job or a regeneration started by a correction is running
+  useEffect(() => {
+    if (!job || (!isRunning(job) && reanalysisJobIds.length === 0)) return;
+
+    const timer = setTimeout(async () => {
+      const reanalysisJobs = await Promise.all(
+        reanalysisJobIds
+          .filter(id => id !== jobId)
+          .map(id => api.get<JobStatus>(`/api/jobs/${id}`).then(response => response.data).catch(() => null))
+      );
+      setReanalysisJobIds(reanalysisJobs.filter((reanalysisJob): reanalysisJob is JobStatus => !!reanalysisJob && isRunning(reanalysisJob))
+        .map(reanalysisJob => reanalysisJob.jobId));
+      await fetchJob();
+    }, JOB_POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [job, jobId, reanalysisJobIds, fetchJob]);
+
+  const handleSaved = useCallback((jobIds: string[]) => {
+    setReanalysisJobIds(current => [...new Set([...current, ...jobIds])]);
+    fetchJob();
+  }, [fetchJob]);
+
+  const reviewableDocuments = job
+    ? job.documents.filter(doc => doc.status !== 'pending' && doc.status !== 'error')
+    : [];
+  const analysisRunning = !!job && (isRunning(job) || reanalysisJobIds.length > 0);
+  const canContinue = !!job && job.status === 'completed' && !!job.resultId && !analysisRunning;
+
+  return (
+    <div className="min-h-screen flex flex-col">
+      <Header />
+      <main className="flex-1">
+        <div className="container py-12">
+          <div className="mb-8 flex flex-wrap items-start justify-between gap-4">
+            <div>
+              <Link to="/upload" className="flex items-center text-sm text-muted-foreground hover:text-primary mb-4">
+                <ArrowLeft className="h-4 w-4 mr-1" /> Back to Upload
+              </Link>
+              <h1 className="text-3xl font-bold mb-2">Review Extracted Data</h1>
+              <p className="text-muted-foreground max-w-2xl">
+                Check the values we read from your documents. Fill in anything that is missing or
+                correct anything that was misread - the analysis is updated with your values.
+              </p>
+            </div>
+            <Button
+              onClick={() => navigate(`/results/${job?.resultId}`)}
+              disabled={!canContinue}
+              className="flex items-center gap-1"
+            >
+              {analysisRunning && <Loader2 className="h-4 w-4 animate-spin" />}
+              <span>{analysisRunning ? 'Updating analysis' : 'Continue to results'}</span>
+              {!analysisRunning && <ArrowRight className="h-4 w-4" />}
+            </Button>
+          </div>
+
+          {error ? (
+            <p className="text-red-500">{error}</p>
+          ) : !job ? (
+            <div className="flex items-center justify-center py-12">
+              <Loader2 className="h-8 w-8 animate-spin text-primary" />
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              {reviewableDocuments.map(doc => (
+                <ExtractedDataReview
+                  key={doc.documentId}
+                  kind={doc.kind}
+                  documentId={doc.documentId}
+                  onSaved={handleSaved}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      </main>
+      <Footer />
+    </div>
+  );
+};
+
+export default ReviewPage;